@@ -0,0 +1,579 @@
+const pdfParse = require('pdf-parse');
+const { toEvidenceClaim, claimText, verifyEvidence } = require('../utils/evidence');
+const { DEFAULT_LANGUAGE, translate } = require('../utils/i18n');
+const {
+  getBuiltInTemplate,
+  renderPrompt,
+  localizePrompt,
+  buildRepairPrompt,
+  formatPromptVersion,
+} = require('./prompts');
+const { parseAIOutput } = require('./aiSchemas');
+const { normalizeProfile } = require('../utils/profile');
+const { estimateCost } = require('./pricing');
+require('dotenv').config();
+
+/**
+ * Registro de proveedores de IA.
+ * Cada proveedor expone: name, supportsFiles, isConfigured() y generate({ task, prompt, file, context }),
+ * que devuelve { text, model, usage: { inputTokens, outputTokens } }. El proveedor activo se elige
+ * con AI_PROVIDER (gemini | groq | mock).
+ */
+const providers = {
+  gemini: require('./gemini'),
+  groq: require('./groq'),
+  mock: require('./mock'),
+};
+
+const PROVIDER_NAMES = Object.keys(providers);
+
+/**
+ * Obtiene el proveedor de IA a utilizar.
+ * Si AI_PROVIDER no está definido se usa el primero con credenciales (Gemini, Groq) y,
+ * en su defecto, el proveedor simulado.
+ * @param {string} [name] - Nombre del proveedor (por defecto AI_PROVIDER).
+ * @returns {object} - El proveedor.
+ */
+function getProvider(name = process.env.AI_PROVIDER) {
+  if (name) {
+    const provider = providers[name.toLowerCase()];
+    if (!provider) {
+      throw new Error(`Proveedor de IA desconocido: ${name}. Valores válidos: ${PROVIDER_NAMES.join(', ')}`);
+    }
+    return provider;
+  }
+
+  if (providers.gemini.isConfigured()) return providers.gemini;
+  if (providers.groq.isConfigured()) return providers.groq;
+  return providers.mock;
+}
+
+// Funciones que reciben el consumo de cada llamada a la IA (ver onUsage)
+const usageListeners = [];
+
+/**
+ * Registra una función que recibe el consumo de cada llamada a la IA: tarea, proveedor, modelo,
+ * tokens, latencia, coste estimado, si tuvo éxito, si la respuesta cumplió el esquema
+ * (schemaValid, schemaErrors), el número de intento de reparación y el contexto de uso (options.usageContext).
+ * Los errores de la función se registran en el log y no afectan a la llamada.
+ * @param {Function} listener - Función (entry) => void | Promise.
+ */
+function onUsage(listener) {
+  usageListeners.push(listener);
+}
+
+/**
+ * Ejecuta una generación con el proveedor, valida la respuesta contra el esquema de la tarea
+ * y notifica su consumo, también si falla.
+ * @param {object} provider - Proveedor de IA.
+ * @param {object} request - Solicitud para provider.generate.
+ * @param {object} [usageContext] - Datos para atribuir el consumo (applicationId, jobRoleId, userId).
+ * @param {number} [repairAttempt] - Número de intento de reparación (0 en la primera llamada).
+ * @returns {Promise<{text: string, model: string, usage: object, output: object}>} - Resultado del
+ *   proveedor y respuesta validada (output.value y output.errors).
+ */
+async function generateWithUsage(provider, request, usageContext = {}, repairAttempt = 0) {
+  const startedAt = Date.now();
+  let result = null;
+  let output = null;
+  let failure = null;
+  try {
+    result = await provider.generate(request);
+    output = parseAIOutput(request.task, result.text, request.context);
+    return { ...result, output };
+  } catch (error) {
+    failure = error;
+    throw error;
+  } finally {
+    const usage = (result && result.usage) || {};
+    const model = result ? result.model : null;
+    const entry = {
+      task: request.task,
+      provider: provider.name,
+      model,
+      inputTokens: usage.inputTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+      latencyMs: Date.now() - startedAt,
+      estimatedCostUsd: model ? estimateCost(model, usage.inputTokens, usage.outputTokens) : null,
+      success: !failure,
+      error: failure ? failure.message : null,
+      schemaValid: output ? output.errors.length === 0 : null,
+      schemaErrors: output && output.errors.length > 0 ? output.errors : null,
+      repairAttempt,
+      ...usageContext,
+    };
+    usageListeners.forEach((listener) => {
+      Promise.resolve()
+        .then(() => listener(entry))
+        .catch(error => console.error('Error registrando el consumo de IA:', error.message));
+    });
+  }
+}
+
+// Reintentos con los errores de validación antes de dar por fallida una respuesta
+const MAX_REPAIR_ATTEMPTS = process.env.AI_REPAIR_MAX_ATTEMPTS !== undefined
+  ? parseInt(process.env.AI_REPAIR_MAX_ATTEMPTS)
+  : 2;
+
+/**
+ * Genera una respuesta que cumpla el esquema de la tarea. Si el JSON no es válido o no cumple
+ * el esquema, se vuelve a pedir al modelo con los errores de validación, hasta MAX_REPAIR_ATTEMPTS veces.
+ * @param {object} provider - Proveedor de IA.
+ * @param {object} request - Solicitud para provider.generate (con el contexto que necesita el esquema).
+ * @param {object} [usageContext] - Datos para atribuir el consumo (applicationId, jobRoleId, userId).
+ * @returns {Promise<{data: object, model: string}>} - Respuesta validada y modelo que la generó.
+ * @throws {Error} - Si el proveedor falla o la respuesta sigue sin cumplir el esquema.
+ */
+async function generateStructured(provider, request, usageContext) {
+  let prompt = request.prompt;
+  let errors = [];
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const result = await generateWithUsage(provider, { ...request, prompt }, usageContext, attempt);
+    if (result.output.errors.length === 0) {
+      return { data: result.output.value, model: result.model };
+    }
+    errors = result.output.errors;
+    console.warn(`⚠️  Respuesta de ${provider.name} (${request.task}) no cumple el esquema (intento ${attempt + 1}):`, errors);
+    prompt = buildRepairPrompt(request.prompt, result.text, errors);
+  }
+  throw new Error(`La respuesta del modelo no cumple el esquema tras ${MAX_REPAIR_ATTEMPTS + 1} intentos: ${errors.join('; ')}`);
+}
+
+/**
+ * Rúbrica por defecto (equivalente a los pesos fijos originales).
+ * Cada criterio: key (identificador), name, weight (peso relativo) y description.
+ */
+const DEFAULT_RUBRIC = [
+  {
+    key: 'experience',
+    name: 'Experiencia laboral',
+    weight: 50,
+    description: 'Experiencia directa en un rol con el mismo título y funciones; la experiencia transferible puntúa menos y la no relacionada, poco.',
+  },
+  {
+    key: 'skills',
+    name: 'Habilidades técnicas',
+    weight: 25,
+    description: 'Mención explícita de las 2-3 habilidades o herramientas más críticas de la descripción del puesto.',
+  },
+  {
+    key: 'education',
+    name: 'Formación académica',
+    weight: 10,
+    description: 'Estudios y certificaciones relacionados con el puesto.',
+  },
+  {
+    key: 'soft_skills',
+    name: 'Competencias interpersonales',
+    weight: 10,
+    description: 'Evidencia de comunicación, trabajo en equipo y liderazgo.',
+  },
+];
+
+/**
+ * Devuelve la rúbrica a aplicar (la del puesto o la rúbrica por defecto).
+ * @param {Array<object>|null} rubric - Rúbrica del puesto.
+ * @returns {Array<object>} - Rúbrica efectiva.
+ */
+const resolveRubric = (rubric) => (Array.isArray(rubric) && rubric.length > 0 ? rubric : DEFAULT_RUBRIC);
+
+/**
+ * Calcula la puntuación global como media ponderada de las sub-puntuaciones.
+ * @param {Array<{weight: number, score: number}>} criteriaScores - Sub-puntuaciones por criterio.
+ * @returns {number} - Puntuación global (0-100).
+ */
+const computeWeightedScore = (criteriaScores) => {
+  const totalWeight = criteriaScores.reduce((sum, c) => sum + c.weight, 0);
+  if (totalWeight <= 0) return 0;
+  return Math.round(criteriaScores.reduce((sum, c) => sum + c.score * c.weight, 0) / totalWeight);
+};
+
+/**
+ * Genera el prompt para la evaluación del CV. Las respuestas del candidato al formulario del
+ * puesto se añaden después de la plantilla, igual que el CV, para que valgan con cualquier versión.
+ * @param {string} jobDescription - Descripción del puesto.
+ * @param {Array<object>} rubric - Rúbrica de evaluación del puesto.
+ * @param {object} promptTemplate - Plantilla de evaluación a utilizar.
+ * @param {string} [language] - Idioma de salida.
+ * @param {string} [answers] - Respuestas del candidato (ver formatAnswers).
+ * @returns {string} - El prompt completo.
+ */
+const getEvaluationPrompt = (jobDescription, rubric, promptTemplate, language, answers) => localizePrompt(renderPrompt(promptTemplate.template, {
+  jobDescription,
+  rubric: rubric.map(c => `- [${c.key}] ${c.name} (peso ${c.weight}): ${c.description || ''}`).join('\n'),
+}), language) + (answers ? `\n\nRESPUESTAS DEL CANDIDATO AL FORMULARIO DE APLICACIÓN:\n${answers}` : '');
+
+/**
+ * Completa la evaluación validada por el esquema de la IA.
+ * La puntuación global se calcula con la media ponderada de los criterios de la rúbrica y cada
+ * fortaleza/debilidad se convierte en { claim, evidence, verified } verificando la cita contra el CV.
+ * @param {object} evaluation - Evaluación que cumple el esquema (criteria, strengths, weaknesses, summary).
+ * @param {Array<object>} rubric - Rúbrica aplicada.
+ * @param {string} cvText - Texto del CV para verificar las citas.
+ * @returns {object} - La evaluación (score, criteriaScores, strengths, weaknesses, summary).
+ */
+const normalizeEvaluation = ({ criteria, strengths, weaknesses, summary }, rubric, cvText) => {
+  // Asociar cada criterio de la rúbrica con su sub-puntuación (en el rango 0-100)
+  const criteriaScores = rubric.map((criterion) => {
+    const result = criteria.find(c => c.key === criterion.key);
+    return {
+      key: criterion.key,
+      name: criterion.name,
+      weight: criterion.weight,
+      score: result.score,
+      justification: result.justification,
+    };
+  });
+
+  return {
+    score: computeWeightedScore(criteriaScores),
+    criteriaScores,
+    strengths: strengths.map(item => toEvidenceClaim(item, cvText)),
+    weaknesses: weaknesses.map(item => toEvidenceClaim(item, cvText)),
+    summary,
+  };
+};
+
+/**
+ * Extrae el texto de un PDF para los proveedores que no aceptan archivos.
+ * @param {Buffer} pdfBuffer - Buffer del PDF.
+ * @returns {Promise<string>} - Texto extraído.
+ */
+async function extractPdfText(pdfBuffer) {
+  const data = await pdfParse(pdfBuffer);
+  return data.text;
+}
+
+/**
+ * Evalúa un CV (archivo PDF) contra una descripción de puesto.
+ * Si el proveedor no acepta archivos, se evalúa el texto extraído del PDF.
+ * @param {Buffer} cvFileBuffer - Buffer del archivo PDF del CV.
+ * @param {string} jobDescription - Descripción del puesto.
+ * @param {object} [options] - Opciones adicionales.
+ * @param {string} [options.provider] - Proveedor a utilizar (por defecto AI_PROVIDER).
+ * @param {Array<object>} [options.rubric] - Rúbrica del puesto (por defecto DEFAULT_RUBRIC).
+ * @param {string} [options.cvText] - Texto ya extraído del PDF (para verificar las citas).
+ * @param {object} [options.promptTemplate] - Plantilla de evaluación (por defecto la integrada).
+ * @param {string} [options.language] - Idioma de salida (por defecto español).
+ * @param {string} [options.answers] - Respuestas del candidato al formulario del puesto.
+ * @param {object} [options.usageContext] - Datos para atribuir el consumo (applicationId, jobRoleId, userId).
+ * @returns {Promise<Object>} - Evaluación con puntuación, sub-puntuaciones, fortalezas, debilidades, modelo y versión del prompt.
+ * @throws {Error} - Si el proveedor falla o su respuesta no es válida.
+ */
+async function evaluateCVWithFile(cvFileBuffer, jobDescription, options = {}) {
+  const provider = getProvider(options.provider);
+  const rubric = resolveRubric(options.rubric);
+  const promptTemplate = options.promptTemplate || getBuiltInTemplate('evaluation');
+  try {
+    const cvText = options.cvText !== undefined ? options.cvText : await extractPdfText(cvFileBuffer);
+
+    if (!provider.supportsFiles) {
+      return await evaluateCVWithText(cvText, jobDescription, { ...options, provider: provider.name });
+    }
+
+    const result = await generateStructured(provider, {
+      task: 'evaluation',
+      prompt: getEvaluationPrompt(jobDescription, rubric, promptTemplate, options.language, options.answers),
+      file: { data: cvFileBuffer, mimeType: 'application/pdf' },
+      context: { jobDescription, rubric, language: options.language },
+    }, options.usageContext);
+
+    return {
+      ...normalizeEvaluation(result.data, rubric, cvText),
+      model: result.model,
+      promptVersion: formatPromptVersion(promptTemplate),
+    };
+  } catch (error) {
+    console.error(`Error en evaluación con ${provider.name} (File):`, error);
+    throw error;
+  }
+}
+
+/**
+ * Evalúa un CV (texto) contra una descripción de puesto.
+ * @param {string} cvText - Texto extraído del CV.
+ * @param {string} jobDescription - Descripción del puesto.
+ * @param {object} [options] - Opciones adicionales.
+ * @param {string} [options.provider] - Proveedor a utilizar (por defecto AI_PROVIDER).
+ * @param {Array<object>} [options.rubric] - Rúbrica del puesto (por defecto DEFAULT_RUBRIC).
+ * @param {object} [options.promptTemplate] - Plantilla de evaluación (por defecto la integrada).
+ * @param {string} [options.language] - Idioma de salida (por defecto español).
+ * @param {string} [options.answers] - Respuestas del candidato al formulario del puesto.
+ * @param {object} [options.usageContext] - Datos para atribuir el consumo (applicationId, jobRoleId, userId).
+ * @returns {Promise<Object>} - Evaluación con puntuación, sub-puntuaciones, fortalezas, debilidades, modelo y versión del prompt.
+ * @throws {Error} - Si el proveedor falla o su respuesta no es válida.
+ */
+async function evaluateCVWithText(cvText, jobDescription, options = {}) {
+  const provider = getProvider(options.provider);
+  const rubric = resolveRubric(options.rubric);
+  const promptTemplate = options.promptTemplate || getBuiltInTemplate('evaluation');
+  try {
+    const result = await generateStructured(provider, {
+      task: 'evaluation',
+      prompt: getEvaluationPrompt(jobDescription, rubric, promptTemplate, options.language, options.answers) + '\n\nCURRICULUM VITAE:\n' + cvText,
+      context: { cvText, jobDescription, rubric, language: options.language },
+    }, options.usageContext);
+
+    return {
+      ...normalizeEvaluation(result.data, rubric, cvText),
+      model: result.model,
+      promptVersion: formatPromptVersion(promptTemplate),
+    };
+  } catch (error) {
+    console.error(`Error en evaluación con ${provider.name} (Text):`, error);
+    throw error;
+  }
+}
+
+/**
+ * Extrae del texto de un CV un perfil estructurado (experiencia, habilidades, formación, idiomas...).
+ * @param {string} cvText - Texto extraído del CV.
+ * @param {object} [options] - Opciones adicionales.
+ * @param {string} [options.provider] - Proveedor a utilizar (por defecto AI_PROVIDER).
+ * @param {object} [options.promptTemplate] - Plantilla de extracción (por defecto la integrada).
+ * @param {object} [options.usageContext] - Datos para atribuir el consumo (applicationId, jobRoleId, userId).
+ * @returns {Promise<Object>} - Perfil normalizado con el modelo y la versión del prompt.
+ * @throws {Error} - Si el proveedor falla o su respuesta no es válida.
+ */
+async function extractCandidateProfile(cvText, options = {}) {
+  const provider = getProvider(options.provider);
+  const promptTemplate = options.promptTemplate || getBuiltInTemplate('profile');
+  try {
+    const result = await generateStructured(provider, {
+      task: 'profile',
+      prompt: renderPrompt(promptTemplate.template, { cvText }),
+      context: { cvText },
+    }, options.usageContext);
+
+    return {
+      ...normalizeProfile(result.data),
+      model: result.model,
+      promptVersion: formatPromptVersion(promptTemplate),
+    };
+  } catch (error) {
+    console.error(`Error en la extracción del perfil con ${provider.name}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Asocia las preguntas de sondeo de la guía validada con las debilidades de la evaluación.
+ * @param {object} kit - Guía que cumple el esquema.
+ * @param {Array<string>} weaknesses - Debilidades de la evaluación.
+ * @returns {object} - Guía con technicalQuestions, behaviouralQuestions y weaknessProbes.
+ */
+const normalizeInterviewKit = ({ technicalQuestions, behaviouralQuestions, weaknessProbes }, weaknesses) => ({
+  technicalQuestions,
+  behaviouralQuestions,
+  // El esquema exige una pregunta por debilidad; se asocian por orden
+  weaknessProbes: weaknesses.map((weakness, index) => ({
+    weakness,
+    question: weaknessProbes[index].question,
+    goodAnswer: weaknessProbes[index].goodAnswer,
+  })),
+});
+
+/**
+ * Genera una guía de entrevista personalizada para un candidato.
+ * @param {object} input - Datos del candidato.
+ * @param {string} input.jobDescription - Descripción del puesto.
+ * @param {string} input.cvText - Texto del CV.
+ * @param {object} input.evaluation - Evaluación del candidato (summary, weaknesses).
+ * @param {object} [options] - Opciones adicionales.
+ * @param {string} [options.provider] - Proveedor a utilizar (por defecto AI_PROVIDER).
+ * @param {object} [options.promptTemplate] - Plantilla de la guía (por defecto la integrada).
+ * @param {string} [options.language] - Idioma de salida (por defecto español).
+ * @param {object} [options.usageContext] - Datos para atribuir el consumo (applicationId, jobRoleId, userId).
+ * @returns {Promise<Object>} - Guía de entrevista con el modelo y la versión del prompt.
+ * @throws {Error} - Si el proveedor falla o su respuesta no es válida.
+ */
+async function generateInterviewKit({ jobDescription, cvText, evaluation }, options = {}) {
+  const provider = getProvider(options.provider);
+  const promptTemplate = options.promptTemplate || getBuiltInTemplate('interview_kit');
+  const weaknesses = (evaluation.weaknesses || []).map(claimText).filter(Boolean);
+  try {
+    const result = await generateStructured(provider, {
+      task: 'interview_kit',
+      prompt: localizePrompt(renderPrompt(promptTemplate.template, {
+        jobDescription,
+        cvText,
+        evaluationSummary: evaluation.summary || '',
+        weaknesses: weaknesses.length > 0 ? weaknesses.map(w => `- ${w}`).join('\n') : '- Ninguna',
+      }), options.language),
+      context: { jobDescription, cvText, weaknesses, language: options.language },
+    }, options.usageContext);
+
+    return {
+      ...normalizeInterviewKit(result.data, weaknesses),
+      model: result.model,
+      promptVersion: formatPromptVersion(promptTemplate),
+    };
+  } catch (error) {
+    console.error(`Error generando la guía de entrevista con ${provider.name}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Redacta un borrador de descripción y requisitos para un puesto.
+ * @param {object} input - Datos del puesto.
+ * @param {string} input.title - Título del puesto.
+ * @param {string} input.seniority - Nivel (junior, mid, senior...).
+ * @param {string} [input.department] - Departamento.
+ * @param {Array<string>} [input.notes] - Notas del reclutador.
+ * @param {object} [options] - Opciones adicionales.
+ * @param {string} [options.provider] - Proveedor a utilizar (por defecto AI_PROVIDER).
+ * @param {object} [options.promptTemplate] - Plantilla del borrador (por defecto la integrada).
+ * @param {string} [options.language] - Idioma de salida (por defecto español).
+ * @param {object} [options.usageContext] - Datos para atribuir el consumo (applicationId, jobRoleId, userId).
+ * @returns {Promise<Object>} - Borrador con el modelo y la versión del prompt.
+ * @throws {Error} - Si el proveedor falla o su respuesta no es válida.
+ */
+async function draftRoleDescription({ title, seniority, department, notes = [] }, options = {}) {
+  const provider = getProvider(options.provider);
+  const promptTemplate = options.promptTemplate || getBuiltInTemplate('role_draft');
+  try {
+    const result = await generateStructured(provider, {
+      task: 'role_draft',
+      prompt: localizePrompt(renderPrompt(promptTemplate.template, {
+        title,
+        seniority,
+        department: department || 'No especificado',
+        notes: notes.length > 0 ? notes.map(n => `- ${n}`).join('\n') : '- Sin notas',
+      }), options.language),
+      context: { title, seniority, department, notes, language: options.language },
+    }, options.usageContext);
+
+    return {
+      ...result.data,
+      model: result.model,
+      promptVersion: formatPromptVersion(promptTemplate),
+    };
+  } catch (error) {
+    console.error(`Error redactando el puesto con ${provider.name}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Valora con IA el CV de un candidato contra cada requisito del puesto (cumplido, parcial o ausente).
+ * La evidencia citada se verifica contra el texto del CV.
+ * @param {object} input - Datos de la valoración.
+ * @param {Array<object>} input.requirements - Requisitos del puesto (key, text, level).
+ * @param {string} input.cvText - Texto del CV.
+ * @param {object} [options] - Opciones adicionales.
+ * @param {string} [options.provider] - Proveedor a utilizar (por defecto AI_PROVIDER).
+ * @param {object} [options.promptTemplate] - Plantilla de la matriz (por defecto la integrada).
+ * @param {string} [options.language] - Idioma de salida (por defecto español).
+ * @param {object} [options.usageContext] - Datos para atribuir el consumo (applicationId, jobRoleId, userId).
+ * @returns {Promise<Object>} - { requirements, model, promptVersion }, en el orden de los requisitos.
+ * @throws {Error} - Si el proveedor falla o su respuesta no es válida.
+ */
+async function assessRequirements({ requirements, cvText }, options = {}) {
+  const provider = getProvider(options.provider);
+  const promptTemplate = options.promptTemplate || getBuiltInTemplate('requirement_matrix');
+  try {
+    const result = await generateStructured(provider, {
+      task: 'requirement_matrix',
+      prompt: localizePrompt(renderPrompt(promptTemplate.template, {
+        requirements: requirements
+          .map(r => `- [${r.key}] ${r.text}${r.level === 'preferred' ? ' (deseable)' : ''}`)
+          .join('\n'),
+        cvText,
+      }), options.language),
+      context: { requirements, cvText, language: options.language },
+    }, options.usageContext);
+
+    const byKey = new Map(result.data.requirements.map(item => [item.key, item]));
+    return {
+      requirements: requirements.map((requirement) => {
+        const { status, evidence, justification } = byKey.get(requirement.key);
+        return {
+          ...requirement,
+          status,
+          evidence: evidence.trim(),
+          evidenceVerified: verifyEvidence(evidence, cvText),
+          justification,
+        };
+      }),
+      model: result.model,
+      promptVersion: formatPromptVersion(promptTemplate),
+    };
+  } catch (error) {
+    console.error(`Error valorando los requisitos con ${provider.name}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Genera el prompt para la comparación de candidatos.
+ * @param {object} role - El puesto de trabajo (title, description, requirements).
+ * @param {Array<object>} candidates - Candidatos con sus evaluaciones.
+ * @param {object} promptTemplate - Plantilla de comparación a utilizar.
+ * @returns {string} - El prompt completo.
+ */
+const getComparisonPrompt = (role, candidates, promptTemplate) => renderPrompt(promptTemplate.template, {
+  roleTitle: role.title,
+  roleDescription: role.description,
+  roleRequirements: role.requirements,
+  candidates: candidates.map((c, index) => `
+**Candidato ${index + 1}: ${c.name} (Puntuación Inicial: ${c.evaluation.score})**
+- **Resumen de la Evaluación Inicial:** ${c.evaluation.summary}
+- **Fortalezas Detectadas:**
+  - ${c.evaluation.strengths.map(claimText).join('\n  - ')}
+- **Debilidades Detectadas:**
+  - ${c.evaluation.weaknesses.map(claimText).join('\n  - ')}
+`).join(''),
+});
+
+/**
+ * Compara candidatos para un puesto usando el proveedor de IA activo.
+ * @param {object} role - El puesto de trabajo (title, description, requirements).
+ * @param {Array<object>} candidates - Array de candidatos con sus evaluaciones.
+ * @param {object} [options] - Opciones adicionales.
+ * @param {string} [options.provider] - Proveedor a utilizar (por defecto AI_PROVIDER).
+ * @param {object} [options.promptTemplate] - Plantilla de comparación (por defecto la integrada).
+ * @param {string} [options.language] - Idioma de salida (por defecto español).
+ * @param {object} [options.usageContext] - Datos para atribuir el consumo (applicationId, jobRoleId, userId).
+ * @returns {Promise<Object>} - El resultado de la comparación (con el modelo y la versión del prompt utilizados).
+ */
+async function compareCandidatesWithGemini(role, candidates, options = {}) {
+  const provider = getProvider(options.provider);
+  const promptTemplate = options.promptTemplate || getBuiltInTemplate('comparison');
+  try {
+    const result = await generateStructured(provider, {
+      task: 'comparison',
+      prompt: localizePrompt(getComparisonPrompt(role, candidates, promptTemplate), options.language),
+      context: { role, candidates, language: options.language },
+    }, options.usageContext);
+
+    return {
+      ...result.data,
+      model: result.model,
+      promptVersion: formatPromptVersion(promptTemplate),
+      language: options.language || DEFAULT_LANGUAGE,
+    };
+  } catch (error) {
+    console.error(`Error en la comparación de candidatos con ${provider.name}:`, error);
+    return {
+      error: true,
+      message: translate('No se pudo completar la comparación debido a un error del modelo de IA.', options.language),
+      details: error.message,
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_RUBRIC,
+  PROVIDER_NAMES,
+  getProvider,
+  onUsage,
+  resolveRubric,
+  evaluateCVWithFile,
+  evaluateCVWithText,
+  extractCandidateProfile,
+  generateInterviewKit,
+  draftRoleDescription,
+  assessRequirements,
+  compareCandidatesWithGemini,
+};
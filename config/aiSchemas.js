@@ -0,0 +1,156 @@
+/**
+ * Esquemas estrictos de las respuestas de la IA, uno por tipo de tarea.
+ * Una respuesta que no cumple su esquema no se corrige ni se rellena: se pide al modelo
+ * que la repare (ver generateStructured en config/ai.js) y, si no lo consigue, la tarea falla.
+ */
+const Joi = require('joi');
+
+// Sin conversiones de tipo: "85" no es una puntuación válida, 85 sí
+const VALIDATION_OPTIONS = { abortEarly: false, convert: false };
+// Fortalezas y debilidades que se piden como máximo en el prompt de evaluación
+const MAX_CLAIMS = 3;
+
+// Texto con al menos un carácter que no sea un espacio
+const text = () => Joi.string().pattern(/\S/, 'texto no vacío');
+const nullableText = () => Joi.string().allow('', null);
+
+const claimSchema = Joi.object({
+  claim: text().required(),
+  evidence: Joi.string().allow('').required(),
+});
+
+/**
+ * Esquema de la evaluación de un CV: un criterio por cada clave de la rúbrica.
+ * @param {object} context - Datos de la tarea.
+ * @param {Array<object>} context.rubric - Rúbrica aplicada.
+ * @returns {Joi.Schema} - Esquema.
+ */
+const evaluationSchema = ({ rubric }) => {
+  const keys = rubric.map(criterion => criterion.key);
+  return Joi.object({
+    criteria: Joi.array().items(Joi.object({
+      key: Joi.string().valid(...keys).required(),
+      score: Joi.number().integer().min(0).max(100).required(),
+      justification: text().required(),
+    })).length(keys.length).unique('key').required(),
+    strengths: Joi.array().items(claimSchema).max(MAX_CLAIMS).required(),
+    weaknesses: Joi.array().items(claimSchema).max(MAX_CLAIMS).required(),
+    summary: text().required(),
+  });
+};
+
+/**
+ * Esquema de la comparación: el mejor candidato y un análisis por candidato, con sus nombres.
+ * @param {object} context - Datos de la tarea.
+ * @param {Array<object>} context.candidates - Candidatos comparados (con name).
+ * @returns {Joi.Schema} - Esquema.
+ */
+const comparisonSchema = ({ candidates }) => {
+  const names = candidates.map(candidate => candidate.name);
+  return Joi.object({
+    best_candidate_name: Joi.string().valid(...names).required(),
+    justification: text().required(),
+    comparison_summary: Joi.array().items(Joi.object({
+      candidate_name: Joi.string().valid(...names).required(),
+      analysis: text().required(),
+    })).length(names.length).unique('candidate_name').required(),
+  });
+};
+
+const profileSchema = () => Joi.object({
+  workHistory: Joi.array().items(Joi.object({
+    employer: nullableText().required(),
+    title: nullableText().required(),
+    startDate: nullableText().required(),
+    endDate: nullableText().required(),
+  })).required(),
+  totalYearsExperience: Joi.number().min(0).allow(null).required(),
+  skills: Joi.array().items(text()).required(),
+  education: Joi.array().items(Joi.object({
+    degree: nullableText().required(),
+    institution: nullableText().required(),
+    year: Joi.alternatives().try(nullableText(), Joi.number().integer()).required(),
+  })).required(),
+  certifications: Joi.array().items(text()).required(),
+  languages: Joi.array().items(Joi.object({
+    language: text().required(),
+    level: nullableText().required(),
+  })).required(),
+});
+
+const questionSchema = Joi.object({
+  question: text().required(),
+  goodAnswer: text().required(),
+});
+
+/**
+ * Esquema de la guía de entrevista: exactamente una pregunta de sondeo por debilidad.
+ * @param {object} context - Datos de la tarea.
+ * @param {Array<string>} context.weaknesses - Debilidades de la evaluación.
+ * @returns {Joi.Schema} - Esquema.
+ */
+const interviewKitSchema = ({ weaknesses }) => Joi.object({
+  technicalQuestions: Joi.array().items(questionSchema).min(1).required(),
+  behaviouralQuestions: Joi.array().items(questionSchema).min(1).required(),
+  weaknessProbes: Joi.array().items(questionSchema.keys({ weakness: text().required() }))
+    .length(weaknesses.length).required(),
+});
+
+const roleDraftSchema = () => Joi.object({
+  description: text().required(),
+  mustHave: Joi.array().items(text()).min(1).required(),
+  niceToHave: Joi.array().items(text()).required(),
+});
+
+/**
+ * Esquema de la matriz de requisitos: una valoración por cada requisito del puesto.
+ * @param {object} context - Datos de la tarea.
+ * @param {Array<object>} context.requirements - Requisitos del puesto (con key).
+ * @returns {Joi.Schema} - Esquema.
+ */
+const requirementMatrixSchema = ({ requirements }) => {
+  const keys = requirements.map(requirement => requirement.key);
+  return Joi.object({
+    requirements: Joi.array().items(Joi.object({
+      key: Joi.string().valid(...keys).required(),
+      status: Joi.string().valid('met', 'partial', 'missing').required(),
+      evidence: Joi.string().allow('').required(),
+      justification: text().required(),
+    })).length(keys.length).unique('key').required(),
+  });
+};
+
+const SCHEMAS = {
+  evaluation: evaluationSchema,
+  comparison: comparisonSchema,
+  profile: profileSchema,
+  interview_kit: interviewKitSchema,
+  role_draft: roleDraftSchema,
+  requirement_matrix: requirementMatrixSchema,
+};
+
+/**
+ * Interpreta y valida el texto devuelto por la IA para una tarea.
+ * @param {string} task - Tipo de tarea (evaluation, comparison, profile, interview_kit, role_draft,
+ *   requirement_matrix).
+ * @param {string} output - Texto devuelto por el modelo.
+ * @param {object} [context] - Datos de la tarea que necesita el esquema (rúbrica, candidatos, debilidades, requisitos).
+ * @returns {{value: object|null, errors: Array<string>}} - Objeto validado y errores (vacío si es válido).
+ */
+function parseAIOutput(task, output, context = {}) {
+  let data;
+  try {
+    data = JSON.parse(output);
+  } catch (error) {
+    return { value: null, errors: [`JSON inválido: ${error.message}`] };
+  }
+
+  const { error, value } = SCHEMAS[task](context).validate(data, VALIDATION_OPTIONS);
+  return error
+    ? { value: null, errors: error.details.map(detail => detail.message) }
+    : { value, errors: [] };
+}
+
+module.exports = {
+  parseAIOutput,
+};
@@ -1,17 +1,9 @@
-
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 require('dotenv').config();
 
-if (!process.env.GEMINI_API_KEY) {
-  throw new Error('GEMINI_API_KEY no está configurada en las variables de entorno');
-}
-
-// Inicializar cliente de Gemini
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
 // Modelo a utilizar
-const MODEL_VISION = 'gemini-1.5-flash'; // Modelo multimodal para analizar el PDF
-const MODEL_TEXT = 'gemini-1.5-flash';   // Modelo de texto para re-evaluaciones
+const MODEL_VISION = process.env.GEMINI_MODEL || 'gemini-1.5-flash'; // Modelo multimodal para analizar el PDF
+const MODEL_TEXT = process.env.GEMINI_MODEL || 'gemini-1.5-flash';   // Modelo de texto para re-evaluaciones
 
 const generationConfig = {
   temperature: 0.2,
@@ -27,235 +19,57 @@ const safetySettings = [
   { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_NONE' },
 ];
 
-/**
- * Genera el prompt para la evaluación del CV.
- * @param {string} jobDescription - Descripción del puesto.
- * @returns {string} - El prompt completo.
- */
-const getEvaluationPrompt = (jobDescription) => `
-Eres un evaluador senior de recursos humanos, extremadamente estricto y objetivo. Analiza el CV del candidato CONTRA los requisitos específicos del puesto proporcionado. Basa tu evaluación ÚNICAMENTE en la evidencia explícita encontrada en el CV. No inventes, asumas o infieras cualidades.
-
-**METODOLOGÍA DE EVALUACIÓN ESTRICTA:**
-1.  **EXPERIENCIA (Peso 50%):** Evalúa la experiencia en este orden de prioridad:
-    -   **Experiencia Directa (Máximo puntaje):** Experiencia laboral comprobable en un rol con el MISMO título y funciones.
-    -   **Experiencia Transferible (Puntaje Medio):** Experiencia en un área técnica o funcionalmente relacionada (ej: Backend -> Frontend, Soporte Técnico -> Call Center).
-    -   **Sin Experiencia Relevante (Puntaje Bajo):** Experiencia en un área no relacionada (ej: Diseño -> Programación, Contabilidad -> Ventas).
-2.  **HABILIDADES ESPECÍFICAS:** Identifica las 2-3 habilidades más críticas mencionadas en la descripción del puesto (ej: "programación frontend", "atención al cliente", "ventas"). El candidato debe mencionar explícitamente estas habilidades o herramientas clave en su CV. Si no lo hace, es una falta crítica.
-3.  **CANTIDAD DE ELEMENTOS EN LISTAS:** Debes generar **exactamente 3 elementos** para los arrays 'strengths' y 'weaknesses'. Si no encuentras 3 fortalezas, completa con las más relevantes aunque sean débiles. Si no encuentras 3 debilidades, repite las más críticas o usa "No proporciona información sobre [requisito importante]".
-4.  **NO INVENTAR:** Si una habilidad, herramienta o experiencia requerida NO está escrita en el CV, se considera que el candidato NO la tiene. No extrapoles.
-5.  **Lenguaje:** Debes darme todo en Español.
-
-PUESTO DE TRABAJO:
-${jobDescription}
-
-**INSTRUCCIÓN FINAL:** Analiza el CV proporcionado y genera ÚNICAMENTE un objeto JSON válido, sin ningún texto adicional antes o después. Sé crítico y basado en hechos. Asegúrate de que los arrays 'strengths' y 'weaknesses' tengan EXACTAMENTE 3 elementos cada uno.
-
-{
-  "score": 0, // Calculado de forma justa.
-  "strengths": ["", "", ""], // Sé específico y cita la evidencia del CV. Ej: "2 años de experiencia en call center en Empresa X".
-  "weaknesses": ["", "", ""], // Sé específico: "El CV no menciona experiencia en ventas, requisito clave para el puesto".
-  "summary": "" // Breve resumen de 1-2 oraciones. Ej: "Candidato con perfil de diseño, sin evidencia de experiencia en ventas o atención al cliente para el puesto de call center."
-}
-
-Evalúa considerando:
-- Experiencia laboral (50%)
-- Habilidades técnicas (25%)
-- Formación académica (10%)
-- Competencias interpersonales (10%)
-
-Responde solo con el JSON válido.
-`;
+// El cliente se crea en el primer uso para que el servidor pueda arrancar sin GEMINI_API_KEY
+let genAI = null;
 
 /**
- * Normaliza y valida la respuesta JSON de la IA.
- * @param {object} evaluation - El objeto de evaluación de la IA.
- * @returns {object} - La evaluación normalizada.
+ * Obtiene (o inicializa) el cliente de Gemini.
+ * @returns {GoogleGenerativeAI} - Cliente de Gemini.
  */
-const normalizeEvaluation = (evaluation) => {
-  if (!evaluation || typeof evaluation !== 'object') {
-    throw new Error('Respuesta del modelo no es un objeto válido');
+function getClient() {
+  if (!process.env.GEMINI_API_KEY) {
+    throw new Error('GEMINI_API_KEY no está configurada en las variables de entorno');
   }
-
-  // Validar estructura de la respuesta
-  if (!('score' in evaluation) || !('strengths' in evaluation) || !('weaknesses' in evaluation)) {
-    throw new Error('Respuesta del modelo incompleta. Faltan score, strengths o weaknesses.');
-  }
-
-  // Asegurar que el score esté en el rango correcto
-  evaluation.score = Math.max(0, Math.min(100, parseInt(evaluation.score) || 0));
-
-  // Asegurar que tengamos exactamente 3 fortalezas y 3 debilidades
-  evaluation.strengths = (Array.isArray(evaluation.strengths) ? evaluation.strengths : []).slice(0, 3);
-  while (evaluation.strengths.length < 3) {
-    evaluation.strengths.push('Análisis pendiente');
-  }
-
-  evaluation.weaknesses = (Array.isArray(evaluation.weaknesses) ? evaluation.weaknesses : []).slice(0, 3);
-  while (evaluation.weaknesses.length < 3) {
-    evaluation.weaknesses.push('Información limitada');
-  }
-
-  // Asegurar que summary existe
-  evaluation.summary = evaluation.summary || 'Evaluación completada automáticamente.';
-
-  return evaluation;
-};
-
-/**
- * Evalúa un CV (archivo PDF) contra una descripción de puesto usando Gemini.
- * @param {Buffer} cvFileBuffer - Buffer del archivo PDF del CV.
- * @param {string} jobDescription - Descripción del puesto.
- * @returns {Promise<Object>} - Evaluación con puntuación, fortalezas y debilidades.
- */
-async function evaluateCVWithFile(cvFileBuffer, jobDescription) {
-  try {
-    const model = genAI.getGenerativeModel({
-      model: MODEL_VISION,
-      safetySettings,
-      generationConfig,
-    });
-
-    const prompt = getEvaluationPrompt(jobDescription);
-    const imagePart = {
-      inlineData: {
-        data: cvFileBuffer.toString('base64'),
-        mimeType: 'application/pdf',
-      },
-    };
-
-    const result = await model.generateContent([prompt, imagePart]);
-    const response = result.response;
-    const evaluation = response.text();
-
-    return normalizeEvaluation(JSON.parse(evaluation));
-  } catch (error) {
-    console.error('Error en evaluación con Gemini (File):', error);
-    // Respuesta de fallback en caso de error
-    return {
-      score: 0,
-      strengths: ['Evaluación pendiente', 'Requiere revisión manual', 'Error de IA'],
-      weaknesses: ['Error en procesamiento automático', 'Información no disponible', 'Fallo en la API'],
-      summary: 'Error en la evaluación automática con Gemini. Se requiere revisión manual del candidato.',
-    };
+  if (!genAI) {
+    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
   }
+  return genAI;
 }
 
 /**
- * Evalúa un CV (texto) contra una descripción de puesto usando Gemini.
- * @param {string} cvText - Texto extraído del CV.
- * @param {string} jobDescription - Descripción del puesto.
- * @returns {Promise<Object>} - Evaluación con puntuación, fortalezas y debilidades.
+ * Ejecuta una generación con Gemini.
+ * @param {object} request - Solicitud de generación.
+ * @param {string} request.prompt - Prompt completo.
+ * @param {{data: Buffer, mimeType: string}} [request.file] - Archivo adjunto (ej. el PDF del CV).
+ * @returns {Promise<{text: string, model: string, usage: object}>} - Texto generado, modelo utilizado
+ *   y tokens consumidos ({ inputTokens, outputTokens }).
  */
-async function evaluateCVWithText(cvText, jobDescription) {
-  try {
-    const model = genAI.getGenerativeModel({
-      model: MODEL_TEXT,
-      safetySettings,
-      generationConfig,
-    });
-
-    const prompt = getEvaluationPrompt(jobDescription) + '\n\nCURRICULUM VITAE:\n' + cvText;
-
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    const evaluation = response.text();
-
-    return normalizeEvaluation(JSON.parse(evaluation));
-  } catch (error) {
-    console.error('Error en evaluación con Gemini (Text):', error);
-    // Respuesta de fallback en caso de error
-    return {
-      score: 0,
-      strengths: ['Evaluación pendiente', 'Requiere revisión manual', 'Error de IA'],
-      weaknesses: ['Error en procesamiento automático', 'Información no disponible', 'Fallo en la API'],
-      summary: 'Error en la evaluación automática con Gemini. Se requiere revisión manual del candidato.',
-    };
-  }
-}
-
-module.exports = {
-  evaluateCVWithFile,
-  evaluateCVWithText,
-  MODEL_VISION,
-  MODEL_TEXT,
-};
-
-const getComparisonPrompt = (role, candidates) => `
-Eres un director de Recursos Humanos con más de 20 años de experiencia, especializado en la selección de talento para puestos de tecnología. Tu tarea es analizar un conjunto de candidatos que ya han sido evaluados por un asistente junior. Debes realizar una comparación detallada y determinar cuál es el mejor candidato para el puesto.
-
-**PUESTO DE TRABAJO:**
-- **Título:** ${role.title}
-- **Descripción:** ${role.description}
-- **Requisitos:** ${role.requirements}
-
-**CANDIDATOS A COMPARAR:**
-${candidates.map((c, index) => `
-**Candidato ${index + 1}: ${c.name} (Puntuación Inicial: ${c.evaluation.score})**
-- **Resumen de la Evaluación Inicial:** ${c.evaluation.summary}
-- **Fortalezas Detectadas:**
-  - ${c.evaluation.strengths.join('\n  - ')}
-- **Debilidades Detectadas:**
-  - ${c.evaluation.weaknesses.join('\n  - ')}
-`).join('')}
-
-**INSTRUCCIONES PARA LA COMPARACIÓN:**
-1.  **Análisis Comparativo:** Compara directamente las fortalezas y debilidades de los candidatos en relación con los requisitos CLAVE del puesto.
-2.  **Justificación Profunda:** No te limites a repetir la información. Aporta un análisis crítico y profundo. Por ejemplo, si un candidato tiene "Experiencia en React" como fortaleza y el puesto requiere "React", explica POR QUÉ eso lo hace más fuerte que otro candidato que quizás solo tenga "conocimientos de JavaScript".
-3.  **Identificar al Mejor Candidato:** Declara CLARAMENTE cuál es el mejor candidato (Si ninguno es adecuado, recomiendo el mejor que pueda ser capacitado con pocos recursos).
-4.  **Formato de Respuesta:** Responde con un objeto JSON válido, sin texto adicional.
-5.  **Lenguaje:** Debes darme todo en Español.
-
-**FORMATO DE SALIDA JSON:**
-{
-  "best_candidate_name": "Nombre del Mejor Candidato",
-  "justification": "Análisis detallado y profundo que justifica tu elección, comparando a los candidatos entre sí y contra los requisitos del puesto. Explica por qué el candidato elegido es superior a los demás.",
-  "comparison_summary": [
-    {
-      "candidate_name": "Nombre Candidato 1",
-      "analysis": "Breve análisis de cómo este candidato se ajusta al puesto y en qué es más débil o fuerte que los otros."
-    },
-    {
-      "candidate_name": "Nombre Candidato 2",
-      "analysis": "Breve análisis de cómo este candidato se ajusta al puesto y en qué es más débil o fuerte que los otros."
-    }
-  ]
-}
-`;
-
-/**
- * Compara candidatos para un puesto usando Gemini.
- * @param {object} role - El puesto de trabajo (title, description, requirements).
- * @param {Array<object>} candidates - Array de candidatos con sus evaluaciones.
- * @returns {Promise<Object>} - El resultado de la comparación.
- */
-async function compareCandidatesWithGemini(role, candidates) {
-  try {
-    const model = genAI.getGenerativeModel({
-      model: MODEL_TEXT,
-      safetySettings,
-      generationConfig,
-    });
-
-    const prompt = getComparisonPrompt(role, candidates);
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    const comparison = response.text();
-
-    return JSON.parse(comparison);
-  } catch (error) {
-    console.error('Error en la comparación de candidatos con Gemini:', error);
-    return {
-      error: true,
-      message: 'No se pudo completar la comparación debido a un error del modelo de IA.',
-      details: error.message,
-    };
-  }
+async function generate({ prompt, file }) {
+  const modelName = file ? MODEL_VISION : MODEL_TEXT;
+  const model = getClient().getGenerativeModel({
+    model: modelName,
+    safetySettings,
+    generationConfig,
+  });
+
+  const parts = file
+    ? [prompt, { inlineData: { data: file.data.toString('base64'), mimeType: file.mimeType } }]
+    : prompt;
+
+  const result = await model.generateContent(parts);
+  const usage = result.response.usageMetadata || {};
+  return {
+    text: result.response.text(),
+    model: modelName,
+    usage: { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 },
+  };
 }
 
 module.exports = {
-  evaluateCVWithFile,
-  evaluateCVWithText,
-  compareCandidatesWithGemini,
+  name: 'gemini',
+  supportsFiles: true,
+  isConfigured: () => Boolean(process.env.GEMINI_API_KEY),
+  generate,
   MODEL_VISION,
   MODEL_TEXT,
 };
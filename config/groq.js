@@ -0,0 +1,55 @@
+const Groq = require('groq-sdk');
+require('dotenv').config();
+
+// Modelo a utilizar (Groq solo trabaja con texto)
+const MODEL_TEXT = process.env.GROQ_MODEL || 'llama-3.3-70b-versatile';
+
+// El cliente se crea en el primer uso para que el servidor pueda arrancar sin GROQ_API_KEY
+let groq = null;
+
+/**
+ * Obtiene (o inicializa) el cliente de Groq.
+ * @returns {Groq} - Cliente de Groq.
+ */
+function getClient() {
+  if (!process.env.GROQ_API_KEY) {
+    throw new Error('GROQ_API_KEY no está configurada en las variables de entorno');
+  }
+  if (!groq) {
+    groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
+  }
+  return groq;
+}
+
+/**
+ * Ejecuta una generación con Groq.
+ * @param {object} request - Solicitud de generación.
+ * @param {string} request.prompt - Prompt completo.
+ * @returns {Promise<{text: string, model: string, usage: object}>} - Texto generado, modelo utilizado
+ *   y tokens consumidos ({ inputTokens, outputTokens }).
+ */
+async function generate({ prompt }) {
+  const completion = await getClient().chat.completions.create({
+    model: MODEL_TEXT,
+    messages: [{ role: 'user', content: prompt }],
+    temperature: 0.2,
+    top_p: 0.9,
+    max_tokens: 1000,
+    response_format: { type: 'json_object' },
+  });
+
+  const usage = completion.usage || {};
+  return {
+    text: completion.choices[0].message.content,
+    model: completion.model || MODEL_TEXT,
+    usage: { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 },
+  };
+}
+
+module.exports = {
+  name: 'groq',
+  supportsFiles: false,
+  isConfigured: () => Boolean(process.env.GROQ_API_KEY),
+  generate,
+  MODEL_TEXT,
+};
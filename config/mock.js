@@ -0,0 +1,273 @@
+/**
+ * Proveedor de IA simulado y determinista.
+ * No realiza llamadas de red: construye las respuestas a partir del contexto de la tarea
+ * (texto del CV, descripción del puesto, candidatos...). Pensado para CI y desarrollo local.
+ */
+
+const MODEL_TEXT = 'mock-evaluator-v1';
+
+// Palabras vacías que no aportan señal al comparar puesto y CV
+const STOPWORDS = new Set([
+  'para', 'como', 'con', 'los', 'las', 'del', 'que', 'una', 'uno', 'por', 'sus', 'este', 'esta',
+  'experiencia', 'buscamos', 'conocimientos', 'anos', 'minimo', 'entre', 'sobre',
+  'with', 'and', 'the', 'for', 'from', 'that', 'this', 'have', 'will', 'years', 'experience',
+]);
+
+/**
+ * Normaliza un texto: minúsculas y sin acentos.
+ * @param {string} text - Texto a normalizar.
+ * @returns {string} - Texto normalizado.
+ */
+const normalize = (text) => (text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Extrae las palabras clave (únicas, en orden de aparición) de un texto.
+ * @param {string} text - Texto de origen.
+ * @returns {Array<string>} - Palabras clave.
+ */
+const extractKeywords = (text) => {
+  const words = normalize(text).match(/[a-z0-9+#.]{4,}/g) || [];
+  return [...new Set(words.map(w => w.replace(/\.+$/, '')).filter(w => w.length >= 4 && !STOPWORDS.has(w)))];
+};
+
+/**
+ * Calcula qué fracción de las palabras clave aparece en el CV.
+ * @param {Array<string>} keywords - Palabras clave buscadas.
+ * @param {Set<string>} cvWords - Palabras clave del CV.
+ * @returns {number} - Cobertura entre 0 y 1.
+ */
+const coverageOf = (keywords, cvWords) => (keywords.length > 0
+  ? keywords.filter(k => cvWords.has(k)).length / keywords.length
+  : 0);
+
+/**
+ * Busca en el CV la línea que contiene una palabra clave, para usarla como cita.
+ * @param {string} cvText - Texto del CV.
+ * @param {string} keyword - Palabra clave normalizada.
+ * @returns {string} - Línea del CV (recortada) o cadena vacía.
+ */
+const findExcerpt = (cvText, keyword) => {
+  const line = (cvText || '').split('\n').find(l => normalize(l).includes(keyword));
+  return line ? line.trim().slice(0, 200) : '';
+};
+
+/**
+ * Simula la evaluación de un CV por cobertura de palabras clave del puesto.
+ * Cada criterio de la rúbrica combina la cobertura del puesto y la de su propia descripción.
+ * @param {object} context - Contexto de la tarea.
+ * @returns {object} - Evaluación con el mismo formato que devolvería el modelo.
+ */
+function mockEvaluation({ cvText, jobDescription, rubric = [] }) {
+  const keywords = extractKeywords(jobDescription);
+  const cvWords = new Set(extractKeywords(cvText));
+  const found = keywords.filter(k => cvWords.has(k));
+  const missing = keywords.filter(k => !cvWords.has(k));
+  const coverage = coverageOf(keywords, cvWords);
+
+  return {
+    criteria: rubric.map((criterion) => {
+      const criterionKeywords = extractKeywords(criterion.description);
+      const criterionCoverage = criterionKeywords.length > 0
+        ? (coverage + coverageOf(criterionKeywords, cvWords)) / 2
+        : coverage;
+      return {
+        key: criterion.key,
+        score: Math.round(10 + criterionCoverage * 85),
+        justification: `Cobertura simulada del ${Math.round(criterionCoverage * 100)}% para "${criterion.name}".`,
+      };
+    }),
+    strengths: found.slice(0, 3).map(k => ({
+      claim: `El CV menciona "${k}", relevante para el puesto`,
+      evidence: findExcerpt(cvText, k),
+    })),
+    weaknesses: missing.slice(0, 3).map(k => ({
+      claim: `El CV no menciona "${k}", requerido en la descripción del puesto`,
+      evidence: '',
+    })),
+    summary: `Evaluación simulada: el CV cubre ${found.length} de ${keywords.length} palabras clave del puesto.`,
+  };
+}
+
+/**
+ * Simula la comparación de candidatos eligiendo la mayor puntuación inicial.
+ * @param {object} context - Contexto de la tarea.
+ * @returns {object} - Comparación con el mismo formato que devolvería el modelo.
+ */
+function mockComparison({ candidates }) {
+  const ranked = [...candidates].sort((a, b) =>
+    (b.evaluation.score || 0) - (a.evaluation.score || 0) || a.name.localeCompare(b.name));
+  const best = ranked[0];
+
+  return {
+    best_candidate_name: best.name,
+    justification: `Comparación simulada: ${best.name} tiene la puntuación inicial más alta (${best.evaluation.score}).`,
+    comparison_summary: candidates.map(c => ({
+      candidate_name: c.name,
+      analysis: `Puntuación inicial de ${c.evaluation.score}.`,
+    })),
+  };
+}
+
+// Vocabulario reconocido por el perfil simulado
+const KNOWN_SKILLS = [
+  'JavaScript', 'TypeScript', 'Node.js', 'React', 'Angular', 'Vue', 'Python', 'Java', 'C#', 'PHP', 'Go',
+  'SQL', 'PostgreSQL', 'MySQL', 'MongoDB', 'Docker', 'Kubernetes', 'AWS', 'Azure', 'Git', 'Excel', 'SAP',
+];
+const KNOWN_LANGUAGES = ['Español', 'Inglés', 'Francés', 'Alemán', 'Portugués', 'Italiano', 'Catalán'];
+
+/**
+ * Indica si un término aparece como palabra completa en un texto normalizado.
+ * @param {string} text - Texto normalizado.
+ * @param {string} term - Término a buscar.
+ * @returns {boolean} - true si aparece.
+ */
+const containsTerm = (text, term) => {
+  const escaped = normalize(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9+#])`).test(text);
+};
+
+/**
+ * Simula la extracción del perfil: habilidades e idiomas de un vocabulario conocido
+ * y puestos a partir de las líneas del CV con un rango de años (ej. "2019 - 2022").
+ * @param {object} context - Contexto de la tarea.
+ * @returns {object} - Perfil con el mismo formato que devolvería el modelo.
+ */
+function mockProfile({ cvText }) {
+  const lines = (cvText || '').split('\n').map(l => l.trim()).filter(Boolean);
+  const text = normalize(cvText);
+
+  const dated = lines
+    .map(line => ({ line, match: normalize(line).match(/(\d{4})\s*[-\u2013]\s*(\d{4}|actualidad|presente|actual)/) }));
+
+  const workHistory = dated
+    .filter(({ match }) => match)
+    .map(({ line, match }) => ({
+      employer: null,
+      title: line.replace(match[0], '').replace(/[()|,\s-]+$/, '').trim().slice(0, 100) || null,
+      startDate: match[1],
+      endDate: /^\d{4}$/.test(match[2]) ? match[2] : null,
+    }));
+
+  return {
+    workHistory,
+    totalYearsExperience: null,
+    skills: KNOWN_SKILLS.filter(skill => containsTerm(text, skill)),
+    education: dated
+      .filter(({ match }) => !match)
+      .map(({ line }) => line)
+      .filter(line => /universidad|licenciatura|grado en|ingenier|master|maestria|bachelor|degree/.test(normalize(line)))
+      .map(line => ({ degree: line.slice(0, 150), institution: null, year: null })),
+    certifications: lines.filter(line => /certifica/.test(normalize(line))).map(line => line.slice(0, 150)),
+    languages: KNOWN_LANGUAGES
+      .filter(language => containsTerm(text, language))
+      .map(language => ({ language, level: null })),
+  };
+}
+
+/**
+ * Simula la guía de entrevista: preguntas sobre las palabras clave del puesto
+ * y una pregunta de sondeo por cada debilidad.
+ * @param {object} context - Contexto de la tarea.
+ * @returns {object} - Guía con el mismo formato que devolvería el modelo.
+ */
+function mockInterviewKit({ jobDescription, weaknesses = [] }) {
+  const keywords = extractKeywords(jobDescription).slice(0, 3);
+
+  return {
+    technicalQuestions: (keywords.length > 0 ? keywords : ['el puesto']).map(k => ({
+      question: `Describe un proyecto reciente en el que hayas trabajado con "${k}".`,
+      goodAnswer: `Explica un caso concreto con "${k}", su papel en él y el resultado obtenido.`,
+    })),
+    behaviouralQuestions: [{
+      question: 'Cuéntame una situación en la que tuviste que resolver un desacuerdo con un compañero.',
+      goodAnswer: 'Describe la situación, cómo escuchó a la otra parte y qué acuerdo se alcanzó.',
+    }],
+    weaknessProbes: weaknesses.map(w => ({
+      weakness: w,
+      question: `Sobre este punto: "${w}". ¿Qué experiencia tienes al respecto?`,
+      goodAnswer: 'Aporta experiencia concreta no reflejada en el CV o un plan realista para cubrir la carencia.',
+    })),
+  };
+}
+
+/**
+ * Simula el borrador de un puesto a partir del título, el nivel y las notas.
+ * @param {object} context - Contexto de la tarea.
+ * @returns {object} - Borrador con el mismo formato que devolvería el modelo.
+ */
+function mockRoleDraft({ title, seniority, department, notes = [] }) {
+  return {
+    description: `Buscamos un/a ${title} (${seniority})${department ? ` para el departamento de ${department}` : ''}. ` +
+      'La persona seleccionada se incorporará al equipo y participará en sus proyectos desde el primer día.',
+    mustHave: notes.length > 0 ? notes : [`Experiencia demostrable como ${title}`],
+    niceToHave: ['Experiencia previa en un puesto similar'],
+  };
+}
+
+/**
+ * Simula la matriz de requisitos por cobertura de las palabras clave de cada requisito:
+ * todas en el CV es "met", alguna es "partial" y ninguna es "missing".
+ * @param {object} context - Contexto de la tarea.
+ * @returns {object} - Matriz con el mismo formato que devolvería el modelo.
+ */
+function mockRequirementMatrix({ requirements = [], cvText }) {
+  const cvWords = new Set(extractKeywords(cvText));
+
+  return {
+    requirements: requirements.map((requirement) => {
+      const keywords = extractKeywords(requirement.text);
+      const found = keywords.filter(k => cvWords.has(k));
+      const status = keywords.length > 0 && found.length === keywords.length
+        ? 'met'
+        : (found.length > 0 ? 'partial' : 'missing');
+      return {
+        key: requirement.key,
+        status,
+        evidence: found.length > 0 ? findExcerpt(cvText, found[0]) : '',
+        justification: `Cobertura simulada: el CV menciona ${found.length} de ${keywords.length} palabras clave del requisito.`,
+      };
+    }),
+  };
+}
+
+const handlers = {
+  evaluation: mockEvaluation,
+  comparison: mockComparison,
+  profile: mockProfile,
+  interview_kit: mockInterviewKit,
+  role_draft: mockRoleDraft,
+  requirement_matrix: mockRequirementMatrix,
+};
+
+/**
+ * Ejecuta una generación simulada.
+ * @param {object} request - Solicitud de generación.
+ * @param {string} request.task - Tipo de tarea (evaluation, comparison...).
+ * @param {string} [request.prompt] - Prompt completo (solo se usa para estimar los tokens).
+ * @param {object} request.context - Datos estructurados de la tarea.
+ * @returns {Promise<{text: string, model: string, usage: object}>} - Texto generado, modelo utilizado
+ *   y tokens estimados (unos 4 caracteres por token).
+ */
+async function generate({ task, prompt, context }) {
+  const handler = handlers[task];
+  if (!handler) {
+    throw new Error(`El proveedor simulado no soporta la tarea "${task}"`);
+  }
+  const text = JSON.stringify(handler(context || {}));
+  return {
+    text,
+    model: MODEL_TEXT,
+    usage: { inputTokens: Math.ceil((prompt || '').length / 4), outputTokens: Math.ceil(text.length / 4) },
+  };
+}
+
+module.exports = {
+  name: 'mock',
+  supportsFiles: false,
+  isConfigured: () => true,
+  generate,
+  MODEL_TEXT,
+};
@@ -0,0 +1,52 @@
+require('dotenv').config();
+
+/**
+ * Precios de referencia de los modelos, en USD por millón de tokens ({ input, output }).
+ * Se buscan por prefijo del nombre del modelo (gana el prefijo más largo), así que
+ * "gemini-1.5-flash" cubre también "gemini-1.5-flash-002". Se pueden sobrescribir o ampliar
+ * con AI_MODEL_PRICING, un JSON con el mismo formato.
+ */
+const DEFAULT_PRICING = {
+  'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+  'gemini-1.5-pro': { input: 1.25, output: 5.00 },
+  'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+  'llama-3.3-70b': { input: 0.59, output: 0.79 },
+  'llama-3.1-8b': { input: 0.05, output: 0.08 },
+  'mock-': { input: 0, output: 0 },
+};
+
+/**
+ * Lee la tabla de precios efectiva (por defecto + AI_MODEL_PRICING).
+ * @returns {object} - Precios por prefijo de modelo.
+ */
+function getPricing() {
+  if (!process.env.AI_MODEL_PRICING) return DEFAULT_PRICING;
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(process.env.AI_MODEL_PRICING) };
+  } catch (error) {
+    console.warn('⚠️  AI_MODEL_PRICING no es un JSON válido; se usan los precios por defecto');
+    return DEFAULT_PRICING;
+  }
+}
+
+/**
+ * Estima el coste de una llamada a la IA.
+ * @param {string} model - Modelo utilizado.
+ * @param {number} inputTokens - Tokens de entrada.
+ * @param {number} outputTokens - Tokens de salida.
+ * @returns {number|null} - Coste en USD, o null si el modelo no tiene precio conocido.
+ */
+function estimateCost(model, inputTokens, outputTokens) {
+  const pricing = getPricing();
+  const prefix = Object.keys(pricing)
+    .filter(key => (model || '').startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!prefix) return null;
+
+  const { input = 0, output = 0 } = pricing[prefix];
+  return ((inputTokens || 0) * input + (outputTokens || 0) * output) / 1e6;
+}
+
+module.exports = {
+  estimateCost,
+};
@@ -0,0 +1,302 @@
+/**
+ * Plantillas de prompt integradas (versión 1 de cada una).
+ * Las nuevas versiones se guardan en public.prompt_templates y se promueven desde /api/admin/prompts;
+ * mientras ninguna versión esté activa en la base de datos se usan estas.
+ *
+ * Las plantillas usan marcadores {{nombre}} que se sustituyen al generar el prompt.
+ */
+
+const BUILT_IN_VERSION = 1;
+
+const EVALUATION_TEMPLATE = `
+Eres un evaluador senior de recursos humanos, extremadamente estricto y objetivo. Analiza el CV del candidato CONTRA los requisitos específicos del puesto proporcionado. Basa tu evaluación ÚNICAMENTE en la evidencia explícita encontrada en el CV. No inventes, asumas o infieras cualidades.
+
+**METODOLOGÍA DE EVALUACIÓN ESTRICTA:**
+1.  **CRITERIOS:** Puntúa de 0 a 100 CADA UNO de los criterios de la rúbrica, de forma independiente y según su descripción. La puntuación global se calculará a partir de tus sub-puntuaciones.
+2.  **HABILIDADES ESPECÍFICAS:** Identifica las 2-3 habilidades más críticas mencionadas en la descripción del puesto (ej: "programación frontend", "atención al cliente", "ventas"). El candidato debe mencionar explícitamente estas habilidades o herramientas clave en su CV. Si no lo hace, es una falta crítica.
+3.  **CANTIDAD DE ELEMENTOS EN LISTAS:** Genera **hasta 3 elementos** para los arrays 'strengths' y 'weaknesses'. No rellenes las listas con afirmaciones sin respaldo.
+4.  **NO INVENTAR:** Si una habilidad, herramienta o experiencia requerida NO está escrita en el CV, se considera que el candidato NO la tiene. No extrapoles.
+5.  **EVIDENCIA TEXTUAL:** Cada fortaleza y debilidad debe incluir en 'evidence' un fragmento copiado LITERALMENTE del CV (sin parafrasear ni traducir) que la respalde. Si una debilidad se basa en la ausencia de información, deja 'evidence' vacío.
+6.  **Lenguaje:** Debes darme todo en Español.
+
+PUESTO DE TRABAJO:
+{{jobDescription}}
+
+RÚBRICA DE EVALUACIÓN:
+{{rubric}}
+
+**INSTRUCCIÓN FINAL:** Analiza el CV proporcionado y genera ÚNICAMENTE un objeto JSON válido, sin ningún texto adicional antes o después. Sé crítico y basado en hechos. Asegúrate de que los arrays 'strengths' y 'weaknesses' tengan como máximo 3 elementos cada uno y de que 'criteria' incluya TODOS los criterios de la rúbrica, usando su key.
+
+{
+  "criteria": [{ "key": "", "score": 0, "justification": "" }], // Un elemento por criterio de la rúbrica. Justificación breve basada en el CV.
+  "strengths": [{ "claim": "", "evidence": "" }], // Sé específico. Ej: { "claim": "2 años de experiencia en call center", "evidence": "Agente de call center en Empresa X (2021-2023)" }.
+  "weaknesses": [{ "claim": "", "evidence": "" }], // Sé específico. Ej: { "claim": "El CV no menciona experiencia en ventas, requisito clave para el puesto", "evidence": "" }.
+  "summary": "" // Breve resumen de 1-2 oraciones. Ej: "Candidato con perfil de diseño, sin evidencia de experiencia en ventas o atención al cliente para el puesto de call center."
+}
+
+Responde solo con el JSON válido.
+`;
+
+const COMPARISON_TEMPLATE = `
+Eres un director de Recursos Humanos con más de 20 años de experiencia, especializado en la selección de talento para puestos de tecnología. Tu tarea es analizar un conjunto de candidatos que ya han sido evaluados por un asistente junior. Debes realizar una comparación detallada y determinar cuál es el mejor candidato para el puesto.
+
+**PUESTO DE TRABAJO:**
+- **Título:** {{roleTitle}}
+- **Descripción:** {{roleDescription}}
+- **Requisitos:** {{roleRequirements}}
+
+**CANDIDATOS A COMPARAR:**
+{{candidates}}
+
+**INSTRUCCIONES PARA LA COMPARACIÓN:**
+1.  **Análisis Comparativo:** Compara directamente las fortalezas y debilidades de los candidatos en relación con los requisitos CLAVE del puesto.
+2.  **Justificación Profunda:** No te limites a repetir la información. Aporta un análisis crítico y profundo. Por ejemplo, si un candidato tiene "Experiencia en React" como fortaleza y el puesto requiere "React", explica POR QUÉ eso lo hace más fuerte que otro candidato que quizás solo tenga "conocimientos de JavaScript".
+3.  **Identificar al Mejor Candidato:** Declara CLARAMENTE cuál es el mejor candidato (Si ninguno es adecuado, recomiendo el mejor que pueda ser capacitado con pocos recursos).
+4.  **Formato de Respuesta:** Responde con un objeto JSON válido, sin texto adicional.
+5.  **Lenguaje:** Debes darme todo en Español.
+
+**FORMATO DE SALIDA JSON:**
+{
+  "best_candidate_name": "Nombre del Mejor Candidato",
+  "justification": "Análisis detallado y profundo que justifica tu elección, comparando a los candidatos entre sí y contra los requisitos del puesto. Explica por qué el candidato elegido es superior a los demás.",
+  "comparison_summary": [
+    {
+      "candidate_name": "Nombre Candidato 1",
+      "analysis": "Breve análisis de cómo este candidato se ajusta al puesto y en qué es más débil o fuerte que los otros."
+    },
+    {
+      "candidate_name": "Nombre Candidato 2",
+      "analysis": "Breve análisis de cómo este candidato se ajusta al puesto y en qué es más débil o fuerte que los otros."
+    }
+  ]
+}
+`;
+
+const PROFILE_TEMPLATE = `
+Eres un asistente de recursos humanos que extrae datos estructurados de currículums. Lee el CV y devuelve ÚNICAMENTE la información que aparece escrita en él, sin inventar ni inferir nada.
+
+**INSTRUCCIONES:**
+1.  **workHistory:** Un elemento por puesto de trabajo, con empresa ('employer'), cargo ('title') y fechas de inicio y fin en formato "YYYY-MM" (o "YYYY" si solo consta el año). Si el puesto es el actual, 'endDate' debe ser null.
+2.  **totalYearsExperience:** Años totales de experiencia laboral según el CV (número, puede tener decimales).
+3.  **skills:** Habilidades técnicas y herramientas mencionadas (ej. "PostgreSQL", "React", "Excel"), con su nombre habitual.
+4.  **education:** Títulos académicos con el título ('degree'), la institución ('institution') y el año de finalización ('year').
+5.  **certifications:** Certificaciones y licencias mencionadas.
+6.  **languages:** Idiomas que habla el candidato ('language', en español) y su nivel ('level') si consta.
+7.  Si un dato no aparece en el CV, usa null o un array vacío.
+
+{
+  "workHistory": [{ "employer": "", "title": "", "startDate": "YYYY-MM", "endDate": null }],
+  "totalYearsExperience": 0,
+  "skills": [""],
+  "education": [{ "degree": "", "institution": "", "year": "YYYY" }],
+  "certifications": [""],
+  "languages": [{ "language": "", "level": "" }]
+}
+
+Responde solo con el JSON válido.
+
+CURRICULUM VITAE:
+{{cvText}}
+`;
+
+const INTERVIEW_KIT_TEMPLATE = `
+Eres un entrevistador técnico y de recursos humanos con amplia experiencia. Prepara una guía de entrevista personalizada para el candidato, basada en el puesto, su CV y la evaluación previa. Las preguntas deben referirse a experiencias y tecnologías concretas del CV o del puesto, no ser genéricas.
+
+**PUESTO DE TRABAJO:**
+{{jobDescription}}
+
+**EVALUACIÓN PREVIA:**
+{{evaluationSummary}}
+
+**DEBILIDADES DETECTADAS:**
+{{weaknesses}}
+
+**INSTRUCCIONES:**
+1.  **technicalQuestions:** Entre 3 y 5 preguntas técnicas sobre las habilidades clave del puesto.
+2.  **behaviouralQuestions:** Entre 2 y 4 preguntas de comportamiento (situaciones pasadas, trabajo en equipo, resolución de conflictos).
+3.  **weaknessProbes:** Exactamente una pregunta por cada debilidad detectada, copiando el texto de la debilidad en 'weakness'.
+4.  **goodAnswer:** Para cada pregunta, describe qué debería contener una buena respuesta.
+5.  **Lenguaje:** Debes darme todo en Español.
+
+{
+  "technicalQuestions": [{ "question": "", "goodAnswer": "" }],
+  "behaviouralQuestions": [{ "question": "", "goodAnswer": "" }],
+  "weaknessProbes": [{ "weakness": "", "question": "", "goodAnswer": "" }]
+}
+
+Responde solo con el JSON válido.
+
+CURRICULUM VITAE:
+{{cvText}}
+`;
+
+const ROLE_DRAFT_TEMPLATE = `
+Eres un especialista en selección de personal que redacta ofertas de empleo claras, inclusivas y concretas. Redacta un borrador de oferta a partir de los datos del puesto y las notas del reclutador. No inventes beneficios, salarios ni datos de la empresa que no aparezcan en las notas.
+
+**DATOS DEL PUESTO:**
+- **Título:** {{title}}
+- **Nivel:** {{seniority}}
+- **Departamento:** {{department}}
+
+**NOTAS DEL RECLUTADOR:**
+{{notes}}
+
+**INSTRUCCIONES:**
+1.  **description:** Descripción del puesto de 2-4 párrafos: propósito del rol, responsabilidades principales y contexto del equipo.
+2.  **mustHave:** Entre 3 y 8 requisitos imprescindibles, concretos y verificables en un CV (ej. "3+ años de experiencia con PostgreSQL"), coherentes con el nivel indicado.
+3.  **niceToHave:** Entre 2 y 6 requisitos deseables.
+4.  Evita requisitos discriminatorios (edad, género, nacionalidad, estado civil...).
+5.  **Lenguaje:** Debes darme todo en Español.
+
+{
+  "description": "",
+  "mustHave": [""],
+  "niceToHave": [""]
+}
+
+Responde solo con el JSON válido.
+`;
+
+const REQUIREMENT_MATRIX_TEMPLATE = `
+Eres un evaluador senior de recursos humanos, estricto y objetivo. Revisa el CV del candidato requisito por requisito. Basa cada valoración ÚNICAMENTE en la evidencia explícita del CV: no inventes, asumas ni extrapoles.
+
+**REQUISITOS DEL PUESTO:**
+{{requirements}}
+
+**INSTRUCCIONES:**
+1.  **status:** Para CADA requisito, usando su key: "met" si el CV demuestra que lo cumple por completo, "partial" si lo cumple solo en parte (menos años, tecnología parecida, nivel inferior) y "missing" si el CV no lo menciona.
+2.  **evidence:** Fragmento copiado LITERALMENTE del CV (sin parafrasear ni traducir) que respalde la valoración. Si el requisito falta, deja 'evidence' vacío.
+3.  **justification:** Una oración que explique la valoración.
+4.  **Lenguaje:** Debes darme todo en Español.
+
+{
+  "requirements": [{ "key": "", "status": "met", "evidence": "", "justification": "" }] // Un elemento por requisito, en el mismo orden.
+}
+
+Responde solo con el JSON válido.
+
+CURRICULUM VITAE:
+{{cvText}}
+`;
+
+// Plantilla integrada y marcadores obligatorios de cada tipo de prompt
+const PROMPTS = {
+  evaluation: {
+    template: EVALUATION_TEMPLATE,
+    placeholders: ['jobDescription', 'rubric'],
+  },
+  comparison: {
+    template: COMPARISON_TEMPLATE,
+    placeholders: ['roleTitle', 'roleDescription', 'roleRequirements', 'candidates'],
+  },
+  profile: {
+    template: PROFILE_TEMPLATE,
+    placeholders: ['cvText'],
+  },
+  interview_kit: {
+    template: INTERVIEW_KIT_TEMPLATE,
+    placeholders: ['jobDescription', 'evaluationSummary', 'weaknesses', 'cvText'],
+  },
+  role_draft: {
+    template: ROLE_DRAFT_TEMPLATE,
+    placeholders: ['title', 'seniority', 'department', 'notes'],
+  },
+  requirement_matrix: {
+    template: REQUIREMENT_MATRIX_TEMPLATE,
+    placeholders: ['requirements', 'cvText'],
+  },
+};
+
+const PROMPT_NAMES = Object.keys(PROMPTS);
+
+/**
+ * Devuelve la plantilla integrada de un tipo de prompt.
+ * @param {string} name - Tipo de prompt (evaluation | comparison | profile | interview_kit | role_draft |
+ *   requirement_matrix).
+ * @returns {{name: string, version: number, template: string}} - Plantilla integrada.
+ */
+function getBuiltInTemplate(name) {
+  if (!PROMPTS[name]) {
+    throw new Error(`Tipo de prompt desconocido: "${name}"`);
+  }
+  return { name, version: BUILT_IN_VERSION, template: PROMPTS[name].template };
+}
+
+/**
+ * Lista los marcadores obligatorios que falten en una plantilla.
+ * @param {string} name - Tipo de prompt.
+ * @param {string} template - Texto de la plantilla.
+ * @returns {Array<string>} - Marcadores ausentes.
+ */
+function getMissingPlaceholders(name, template) {
+  return PROMPTS[name].placeholders.filter(placeholder => !template.includes(`{{${placeholder}}}`));
+}
+
+/**
+ * Sustituye los marcadores {{nombre}} de una plantilla.
+ * @param {string} template - Texto de la plantilla.
+ * @param {object} values - Valores de los marcadores.
+ * @returns {string} - Prompt generado.
+ */
+function renderPrompt(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+    (values[key] !== undefined && values[key] !== null ? String(values[key]) : ''));
+}
+
+// Instrucción de idioma de las plantillas integradas y su equivalente en otros idiomas
+const OUTPUT_LANGUAGE_INSTRUCTION = 'Debes darme todo en Español.';
+const OUTPUT_LANGUAGE_INSTRUCTIONS = {
+  en: 'You must write everything in English (keep the JSON keys exactly as specified).',
+  pt: 'Você deve escrever tudo em português (mantenha as chaves do JSON exatamente como especificadas).',
+};
+
+/**
+ * Adapta un prompt ya generado al idioma de salida pedido. Las plantillas están escritas
+ * para responder en español: se sustituye su instrucción de idioma o, si la plantilla
+ * no la tiene, se añade al final.
+ * @param {string} prompt - Prompt generado.
+ * @param {string} [language] - Idioma de salida (es | en | pt).
+ * @returns {string} - Prompt con la instrucción de idioma.
+ */
+function localizePrompt(prompt, language) {
+  const instruction = OUTPUT_LANGUAGE_INSTRUCTIONS[language];
+  if (!instruction) return prompt;
+  return prompt.includes(OUTPUT_LANGUAGE_INSTRUCTION)
+    ? prompt.replace(OUTPUT_LANGUAGE_INSTRUCTION, instruction)
+    : `${prompt}\n\n**Idioma de la respuesta:** ${instruction}`;
+}
+
+/**
+ * Genera el prompt de reparación de una respuesta que no cumple el esquema: el prompt original,
+ * la respuesta anterior y los errores de validación.
+ * @param {string} prompt - Prompt original.
+ * @param {string} output - Respuesta anterior del modelo.
+ * @param {Array<string>} errors - Errores de validación.
+ * @returns {string} - Prompt de reparación.
+ */
+const buildRepairPrompt = (prompt, output, errors) => `${prompt}
+
+**CORRECCIÓN NECESARIA:** Tu respuesta anterior no es válida. Estos son los errores encontrados:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respuesta anterior:
+${output}
+
+Devuelve de nuevo la respuesta completa corrigiendo estos errores. No inventes datos para rellenar campos: usa solo información del contenido proporcionado. Responde solo con el JSON válido.`;
+
+/**
+ * Identificador de versión que se guarda con cada evaluación (ej. "evaluation-v2").
+ * @param {{name: string, version: number}} promptTemplate - Plantilla utilizada.
+ * @returns {string} - Identificador de la versión.
+ */
+const formatPromptVersion = ({ name, version }) => `${name}-v${version}`;
+
+module.exports = {
+  PROMPT_NAMES,
+  getBuiltInTemplate,
+  getMissingPlaceholders,
+  renderPrompt,
+  localizePrompt,
+  buildRepairPrompt,
+  formatPromptVersion,
+};
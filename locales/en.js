@@ -0,0 +1,203 @@
+/**
+ * Traducciones al inglés de los mensajes de la API.
+ * Las claves son el mensaje original en español; {nombre} marca una parte variable.
+ */
+module.exports = {
+  // Autenticación y permisos
+  'Token de acceso requerido': 'Access token required',
+  'Token inválido o expirado': 'Invalid or expired token',
+  'Enlace de acceso requerido': 'Access link required',
+  'Enlace de acceso inválido o expirado': 'Invalid or expired access link',
+  'Usuario no autenticado': 'User not authenticated',
+  'Usuario no encontrado': 'User not found',
+  'Credenciales inválidas': 'Invalid credentials',
+  'Refresh token requerido': 'Refresh token required',
+  'Refresh token inválido': 'Invalid refresh token',
+  'No tienes permisos para acceder a este recurso': 'You do not have permission to access this resource',
+  'No tienes permisos para editar esta aplicación': 'You do not have permission to edit this application',
+  'No tienes permisos para editar este rol': 'You do not have permission to edit this role',
+  'No tienes permisos para eliminar esta aplicación': 'You do not have permission to delete this application',
+  'No tienes permisos para eliminar esta evaluación': 'You do not have permission to delete this evaluation',
+  'No tienes permisos para eliminar este candidato': 'You do not have permission to delete this candidate',
+  'No tienes permisos para eliminar este rol': 'You do not have permission to delete this role',
+  'No tienes permisos para generar rankings de este rol': 'You do not have permission to generate rankings for this role',
+  'No tienes permisos para decidir sobre las comparaciones de este rol': 'You do not have permission to decide on the comparisons of this role',
+  'No tienes permisos para importar candidatos en este rol': 'You do not have permission to import candidates into this role',
+  'No tienes permisos para ver este mensaje': 'You do not have permission to view this message',
+  'No tienes permisos para modificar esta evaluación': 'You do not have permission to modify this evaluation',
+  'No tienes permisos para re-evaluar esta aplicación': 'You do not have permission to re-evaluate this application',
+  'No tienes permisos para re-evaluar los candidatos de este rol': 'You do not have permission to re-evaluate the candidates of this role',
+  'No tienes permisos para ver esta aplicación': 'You do not have permission to view this application',
+  'No tienes permisos para ver esta evaluación': 'You do not have permission to view this evaluation',
+  'No tienes permisos para ver las aplicaciones de este rol': 'You do not have permission to view the applications of this role',
+  'No tienes permisos para ver las comparaciones de este rol': 'You do not have permission to view the comparisons of this role',
+  'No tienes permisos para ver las re-evaluaciones de este rol': 'You do not have permission to view the re-evaluations of this role',
+  'No tienes permisos para ver los rankings de este rol': 'You do not have permission to view the rankings of this role',
+  'No tienes permisos para ver los candidatos de este rol': 'You do not have permission to view the candidates of this role',
+
+  // Recursos no encontrados
+  'Endpoint no encontrado': 'Endpoint not found',
+  'Aplicación no encontrada': 'Application not found',
+  'Candidato no encontrado': 'Candidate not found',
+  'Candidato no encontrado o no tienes permisos para verlo': 'Candidate not found or you do not have permission to view it',
+  'Comparación no encontrada': 'Comparison not found',
+  'Ranking no encontrado': 'Ranking not found',
+  'Evaluación no encontrada': 'Evaluation not found',
+  'Evaluación no encontrada para esta aplicación': 'Evaluation not found for this application',
+  'Experimento no encontrado': 'Experiment not found',
+  'Presupuesto no encontrado': 'Budget not found',
+  'Puesto no encontrado o no tienes permisos para acceder a él.': 'Role not found or you do not have permission to access it.',
+  'Re-evaluación no encontrada': 'Re-evaluation not found',
+  'Rol no encontrado': 'Role not found',
+  'Rol no encontrado o no está activo': 'Role not found or not active',
+  'Versión de plantilla no encontrada': 'Template version not found',
+  'Versión {version} del prompt de evaluación no encontrada': 'Version {version} of the evaluation prompt not found',
+  'Versión de evaluación {version} no encontrada': 'Evaluation version {version} not found',
+  'Esta aplicación aún no tiene guía de entrevista': 'This application does not have an interview kit yet',
+  'Mensaje no encontrado': 'Message not found',
+  'Mensaje no encontrado en triaje': 'Message not found in triage',
+
+  // Peticiones inválidas y conflictos
+  'Archivo CV requerido': 'CV file required',
+  'Formato de CV no admitido. Usa PDF, DOCX, ODT, RTF o TXT': 'Unsupported CV format. Use PDF, DOCX, ODT, RTF or TXT',
+  'Archivo ZIP requerido': 'ZIP file required',
+  'El archivo debe ser un ZIP válido': 'The file must be a valid ZIP archive',
+  'El ZIP no contiene ningún CV': 'The ZIP archive does not contain any CV',
+  'El ZIP no puede contener más de {max} CVs': 'The ZIP archive cannot contain more than {max} CVs',
+  'El manifiesto CSV está vacío': 'The CSV manifest is empty',
+  'El manifiesto CSV debe tener una columna con el nombre del archivo': 'The CSV manifest must have a column with the file name',
+  'Archivo de correo requerido': 'Email file required',
+  'El archivo debe ser un mensaje de correo (.eml) o un buzón mbox': 'The file must be an email message (.eml) or an mbox mailbox',
+  'El buzón no puede contener más de {max} mensajes': 'The mailbox cannot contain more than {max} messages',
+  'El estado debe ser processed, triage o discarded': 'Status must be processed, triage or discarded',
+  'No se pudo leer el mensaje de correo': 'The email message could not be read',
+  'El mensaje no tiene remitente': 'The message has no sender',
+  'El mensaje no tiene ningún CV adjunto': 'The message has no CV attached',
+  'La respuesta a "{label}" es requerida': 'An answer to "{label}" is required',
+  'La respuesta a "{label}" debe ser un texto': 'The answer to "{label}" must be text',
+  'La respuesta a "{label}" no puede exceder {max} caracteres': 'The answer to "{label}" cannot exceed {max} characters',
+  'La respuesta a "{label}" debe ser un número': 'The answer to "{label}" must be a number',
+  'La respuesta a "{label}" debe ser sí o no': 'The answer to "{label}" must be yes or no',
+  'La respuesta a "{label}" no es una de las opciones de la pregunta': 'The answer to "{label}" is not one of the question options',
+  'El archivo de "{label}" debe ser PDF, DOCX, ODT, RTF o TXT': 'The file for "{label}" must be PDF, DOCX, ODT, RTF or TXT',
+  'Pregunta desconocida: {key}': 'Unknown question: {key}',
+  'Las respuestas deben ser un objeto JSON': 'Answers must be a JSON object',
+  'Campo de archivo no admitido: {field}': 'Unsupported file field: {field}',
+  'No hay campos para actualizar': 'There are no fields to update',
+  'No hay texto del CV disponible para evaluar': 'There is no CV text available to evaluate',
+  'Ya existe una aplicación de este candidato para este rol': 'This candidate has already applied to this role',
+  'Se requiere un array de al menos 2 IDs de candidatos y el ID del puesto.': 'An array of at least 2 candidate IDs and the role ID are required.',
+  'Algunos candidatos no se encontraron o no pertenecen al puesto especificado.': 'Some candidates were not found or do not belong to the specified role.',
+  'Los siguientes candidatos no tienen una evaluación: {names}': 'The following candidates do not have an evaluation: {names}',
+  'El candidato elegido no forma parte de la comparación': 'The chosen candidate is not part of the comparison',
+  'El candidato elegido es el recomendado: acepta la recomendación en su lugar': 'The chosen candidate is the recommended one: accept the recommendation instead',
+  'El candidato recomendado ya no existe; sustituye la recomendación por otro candidato': 'The recommended candidate no longer exists; override the recommendation with another candidate',
+  'El puesto no tiene requisitos o el CV no tiene texto legible': 'The role has no requirements or the CV has no readable text',
+  'Se necesitan al menos 2 candidatos evaluados para generar un ranking': 'At least 2 evaluated candidates are needed to generate a ranking',
+  'Solo se pueden confirmar evaluaciones pendientes de revisión manual': 'Only evaluations pending manual review can be confirmed',
+  'La aplicación necesita una evaluación completada para generar la guía de entrevista': 'The application needs a completed evaluation to generate the interview kit',
+  'Tipo de prompt o versión inválidos': 'Invalid prompt type or version',
+  'Esta versión ya está activa': 'This version is already active',
+  'Las dos versiones del experimento deben ser distintas': 'The two experiment versions must be different',
+  'Antes de promover la versión {version} hay que completar un experimento contra la versión activa ({active})': 'Before promoting version {version} an experiment against the active version ({active}) must be completed',
+  'El tipo de prompt debe ser uno de: {values}': 'The prompt type must be one of: {values}',
+  'Faltan marcadores en la plantilla: {values}': 'The template is missing placeholders: {values}',
+  'La aplicación ya no admite cambios': 'The application no longer accepts changes',
+  'La aplicación ya no se puede retirar': 'The application can no longer be withdrawn',
+  'Demasiadas solicitudes desde esta IP, intenta de nuevo más tarde.': 'Too many requests from this IP, please try again later.',
+
+  // Errores internos y de la IA
+  'Error interno del servidor': 'Internal server error',
+  'El portal del candidato no está configurado': 'The candidate portal is not configured',
+  'Error interno del servidor al comparar candidatos.': 'Internal server error while comparing candidates.',
+  'Error interno del servidor al extraer el perfil': 'Internal server error while extracting the profile',
+  'Error interno del servidor al obtener actividad reciente': 'Internal server error while fetching recent activity',
+  'Error interno del servidor al obtener analytics': 'Internal server error while fetching analytics',
+  'Error interno del servidor al obtener candidatos': 'Internal server error while fetching candidates',
+  'Error interno del servidor al obtener detalles del candidato': 'Internal server error while fetching candidate details',
+  'Error interno del servidor al obtener estadísticas': 'Internal server error while fetching statistics',
+  'Error interno del servidor al obtener evaluaciones que requieren atención': 'Internal server error while fetching evaluations that need attention',
+  'Error interno del servidor al obtener rol': 'Internal server error while fetching the role',
+  'Error procesando la evaluación del CV': 'Error processing the CV evaluation',
+  'No se pudo extraer el texto del CV': 'Could not extract the text of the CV',
+  'Error subiendo archivo: {error}': 'Error uploading file: {error}',
+  'No se pudo generar el borrador debido a un error del modelo de IA': 'The draft could not be generated due to an AI model error',
+  'No se pudo generar la guía de entrevista debido a un error del modelo de IA': 'The interview kit could not be generated due to an AI model error',
+  'No se pudo valorar los requisitos debido a un error del modelo de IA': 'The requirements could not be assessed due to an AI model error',
+  'No se pudo completar la comparación debido a un error del modelo de IA.': 'The comparison could not be completed due to an AI model error.',
+  'Respuesta del modelo no es un objeto válido': 'The model response is not a valid object',
+  'La respuesta del modelo no cumple el esquema tras {attempts} intentos: {errors}': 'The model response does not match the schema after {attempts} attempts: {errors}',
+
+  // Validación
+  'Debe ser un email válido': 'Must be a valid email',
+  'El email es requerido': 'Email is required',
+  'La contraseña es requerida': 'Password is required',
+  'La contraseña debe tener al menos 6 caracteres': 'Password must be at least 6 characters long',
+  'El nombre completo es requerido': 'Full name is required',
+  'El nombre debe tener al menos 2 caracteres': 'Name must be at least 2 characters long',
+  'El nombre no puede exceder 100 caracteres': 'Name cannot exceed 100 characters',
+  'El nombre no puede exceder 255 caracteres': 'Name cannot exceed 255 characters',
+  'El nombre del candidato es requerido': 'Candidate name is required',
+  'El email del candidato es requerido': 'Candidate email is required',
+  'El ID del rol es requerido': 'Role ID is required',
+  'El ID de la aplicación es requerido': 'Application ID is required',
+  'ID de aplicación inválido': 'Invalid application ID',
+  'ID de rol inválido': 'Invalid role ID',
+  'El título es requerido': 'Title is required',
+  'El título debe tener al menos 3 caracteres': 'Title must be at least 3 characters long',
+  'El título no puede exceder 255 caracteres': 'Title cannot exceed 255 characters',
+  'La descripción es requerida': 'Description is required',
+  'La descripción debe tener al menos 10 caracteres': 'Description must be at least 10 characters long',
+  'El nivel es requerido': 'Seniority is required',
+  'El nivel debe ser uno de: intern, junior, mid, senior, lead, manager': 'Seniority must be one of: intern, junior, mid, senior, lead, manager',
+  'La clave del criterio es requerida': 'Criterion key is required',
+  'La clave del criterio solo puede contener minúsculas, números y guiones bajos': 'Criterion key may only contain lowercase letters, numbers and underscores',
+  'El nombre del criterio es requerido': 'Criterion name is required',
+  'El peso del criterio es requerido': 'Criterion weight is required',
+  'El peso del criterio debe ser mayor que 0': 'Criterion weight must be greater than 0',
+  'La rúbrica debe tener al menos un criterio': 'The rubric must have at least one criterion',
+  'La rúbrica no puede tener más de 10 criterios': 'The rubric cannot have more than 10 criteria',
+  'Las claves de los criterios de la rúbrica deben ser únicas': 'Rubric criterion keys must be unique',
+  'El número de muestras debe ser al menos 1': 'The number of samples must be at least 1',
+  'El número de muestras no puede superar 5': 'The number of samples cannot exceed 5',
+  'Los proveedores de consenso deben ser: {values}': 'Consensus providers must be: {values}',
+  'Los proveedores de consenso no pueden repetirse': 'Consensus providers cannot be repeated',
+  'El idioma debe ser uno de: {values}': 'The language must be one of: {values}',
+  'Cada pregunta debe tener texto': 'Each question must have text',
+  'El tipo de prompt es requerido': 'Prompt type is required',
+  'La plantilla es requerida': 'Template is required',
+  'La plantilla debe tener al menos 50 caracteres': 'Template must be at least 50 characters long',
+  'La versión candidata (versionB) es requerida': 'The candidate version (versionB) is required',
+  'La versión de origen (from) es requerida': 'The source version (from) is required',
+  'La versión de destino (to) es requerida': 'The target version (to) is required',
+  'La muestra debe tener al menos 2 aplicaciones': 'The sample must have at least 2 applications',
+  'La muestra no puede superar 50 aplicaciones': 'The sample cannot exceed 50 applications',
+  'La agrupación debe ser una de: {values}': 'Grouping must be one of: {values}',
+  'La fecha inicial debe tener formato ISO (YYYY-MM-DD)': 'The start date must be in ISO format (YYYY-MM-DD)',
+  'La fecha final debe tener formato ISO (YYYY-MM-DD)': 'The end date must be in ISO format (YYYY-MM-DD)',
+  'El presupuesto mensual (monthlyBudgetUsd) es requerido': 'The monthly budget (monthlyBudgetUsd) is required',
+  'El presupuesto no puede ser negativo': 'The budget cannot be negative',
+  'La decisión debe ser accepted u overridden': 'The decision must be accepted or overridden',
+  'La decisión es requerida': 'The decision is required',
+  'Para sustituir la recomendación hay que indicar el candidato elegido': 'To override the recommendation you must specify the chosen candidate',
+  'Al aceptar la recomendación no se indica otro candidato': 'No other candidate can be specified when accepting the recommendation',
+  'El motivo es requerido al sustituir la recomendación': 'A reason is required to override the recommendation',
+  'El motivo no puede exceder 2000 caracteres': 'The reason cannot exceed 2000 characters',
+  'El número de rivales por candidato debe estar entre 1 y 10': 'The number of opponents per candidate must be between 1 and 10',
+  'La puntuación mínima debe estar entre 0 y 100': 'The minimum score must be between 0 and 100',
+  'La clave de la pregunta es requerida': 'Question key is required',
+  'La clave de la pregunta solo puede contener minúsculas, números y guiones bajos': 'Question key may only contain lowercase letters, numbers and underscores',
+  'El texto de la pregunta es requerido': 'Question text is required',
+  'El tipo de pregunta debe ser: {values}': 'Question type must be: {values}',
+  'El tipo de pregunta es requerido': 'Question type is required',
+  'Las preguntas de opción única necesitan al menos 2 opciones': 'Single-choice questions need at least 2 options',
+  'Las opciones de una pregunta no pueden repetirse': 'Question options cannot be repeated',
+  'Solo las preguntas de opción única tienen opciones': 'Only single-choice questions have options',
+  'Solo las preguntas de sí/no, número u opción única pueden ser eliminatorias': 'Only yes/no, number or single-choice questions can be knockout questions',
+  'El operador del criterio eliminatorio debe ser uno de: {values}': 'The knockout operator must be one of: {values}',
+  'El criterio eliminatorio necesita un operador y un valor': 'The knockout rule needs an operator and a value',
+  'El valor del criterio eliminatorio debe ser una de las opciones de la pregunta': 'The knockout value must be one of the question options',
+  'El formulario no puede tener más de 30 preguntas': 'The form cannot have more than 30 questions',
+  'Las claves de las preguntas deben ser únicas': 'Question keys must be unique',
+  'El motivo no puede exceder 2000 caracteres': 'The reason cannot exceed 2000 characters',
+};
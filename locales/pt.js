@@ -0,0 +1,203 @@
+/**
+ * Traducciones al portugués de los mensajes de la API.
+ * Las claves son el mensaje original en español; {nombre} marca una parte variable.
+ */
+module.exports = {
+  // Autenticación y permisos
+  'Token de acceso requerido': 'Token de acesso obrigatório',
+  'Token inválido o expirado': 'Token inválido ou expirado',
+  'Enlace de acceso requerido': 'Link de acesso obrigatório',
+  'Enlace de acceso inválido o expirado': 'Link de acesso inválido ou expirado',
+  'Usuario no autenticado': 'Usuário não autenticado',
+  'Usuario no encontrado': 'Usuário não encontrado',
+  'Credenciales inválidas': 'Credenciais inválidas',
+  'Refresh token requerido': 'Refresh token obrigatório',
+  'Refresh token inválido': 'Refresh token inválido',
+  'No tienes permisos para acceder a este recurso': 'Você não tem permissão para acessar este recurso',
+  'No tienes permisos para editar esta aplicación': 'Você não tem permissão para editar esta candidatura',
+  'No tienes permisos para editar este rol': 'Você não tem permissão para editar esta vaga',
+  'No tienes permisos para eliminar esta aplicación': 'Você não tem permissão para excluir esta candidatura',
+  'No tienes permisos para eliminar esta evaluación': 'Você não tem permissão para excluir esta avaliação',
+  'No tienes permisos para eliminar este candidato': 'Você não tem permissão para excluir este candidato',
+  'No tienes permisos para eliminar este rol': 'Você não tem permissão para excluir esta vaga',
+  'No tienes permisos para generar rankings de este rol': 'Você não tem permissão para gerar rankings desta vaga',
+  'No tienes permisos para decidir sobre las comparaciones de este rol': 'Você não tem permissão para decidir sobre as comparações desta vaga',
+  'No tienes permisos para importar candidatos en este rol': 'Você não tem permissão para importar candidatos nesta vaga',
+  'No tienes permisos para ver este mensaje': 'Você não tem permissão para ver esta mensagem',
+  'No tienes permisos para modificar esta evaluación': 'Você não tem permissão para modificar esta avaliação',
+  'No tienes permisos para re-evaluar esta aplicación': 'Você não tem permissão para reavaliar esta candidatura',
+  'No tienes permisos para re-evaluar los candidatos de este rol': 'Você não tem permissão para reavaliar os candidatos desta vaga',
+  'No tienes permisos para ver esta aplicación': 'Você não tem permissão para ver esta candidatura',
+  'No tienes permisos para ver esta evaluación': 'Você não tem permissão para ver esta avaliação',
+  'No tienes permisos para ver las aplicaciones de este rol': 'Você não tem permissão para ver as candidaturas desta vaga',
+  'No tienes permisos para ver las comparaciones de este rol': 'Você não tem permissão para ver as comparações desta vaga',
+  'No tienes permisos para ver las re-evaluaciones de este rol': 'Você não tem permissão para ver as reavaliações desta vaga',
+  'No tienes permisos para ver los rankings de este rol': 'Você não tem permissão para ver os rankings desta vaga',
+  'No tienes permisos para ver los candidatos de este rol': 'Você não tem permissão para ver os candidatos desta vaga',
+
+  // Recursos no encontrados
+  'Endpoint no encontrado': 'Endpoint não encontrado',
+  'Aplicación no encontrada': 'Candidatura não encontrada',
+  'Candidato no encontrado': 'Candidato não encontrado',
+  'Candidato no encontrado o no tienes permisos para verlo': 'Candidato não encontrado ou você não tem permissão para vê-lo',
+  'Comparación no encontrada': 'Comparação não encontrada',
+  'Ranking no encontrado': 'Ranking não encontrado',
+  'Evaluación no encontrada': 'Avaliação não encontrada',
+  'Evaluación no encontrada para esta aplicación': 'Avaliação não encontrada para esta candidatura',
+  'Experimento no encontrado': 'Experimento não encontrado',
+  'Presupuesto no encontrado': 'Orçamento não encontrado',
+  'Puesto no encontrado o no tienes permisos para acceder a él.': 'Vaga não encontrada ou você não tem permissão para acessá-la.',
+  'Re-evaluación no encontrada': 'Reavaliação não encontrada',
+  'Rol no encontrado': 'Vaga não encontrada',
+  'Rol no encontrado o no está activo': 'Vaga não encontrada ou inativa',
+  'Versión de plantilla no encontrada': 'Versão do modelo não encontrada',
+  'Versión {version} del prompt de evaluación no encontrada': 'Versão {version} do prompt de avaliação não encontrada',
+  'Versión de evaluación {version} no encontrada': 'Versão de avaliação {version} não encontrada',
+  'Esta aplicación aún no tiene guía de entrevista': 'Esta candidatura ainda não tem roteiro de entrevista',
+  'Mensaje no encontrado': 'Mensagem não encontrada',
+  'Mensaje no encontrado en triaje': 'Mensagem não encontrada na triagem',
+
+  // Peticiones inválidas y conflictos
+  'Archivo CV requerido': 'Arquivo de currículo obrigatório',
+  'Formato de CV no admitido. Usa PDF, DOCX, ODT, RTF o TXT': 'Formato de currículo não suportado. Use PDF, DOCX, ODT, RTF ou TXT',
+  'Archivo ZIP requerido': 'Arquivo ZIP obrigatório',
+  'El archivo debe ser un ZIP válido': 'O arquivo deve ser um ZIP válido',
+  'El ZIP no contiene ningún CV': 'O ZIP não contém nenhum currículo',
+  'El ZIP no puede contener más de {max} CVs': 'O ZIP não pode conter mais de {max} currículos',
+  'El manifiesto CSV está vacío': 'O manifesto CSV está vazio',
+  'El manifiesto CSV debe tener una columna con el nombre del archivo': 'O manifesto CSV deve ter uma coluna com o nome do arquivo',
+  'Archivo de correo requerido': 'Arquivo de e-mail obrigatório',
+  'El archivo debe ser un mensaje de correo (.eml) o un buzón mbox': 'O arquivo deve ser uma mensagem de e-mail (.eml) ou uma caixa mbox',
+  'El buzón no puede contener más de {max} mensajes': 'A caixa de correio não pode conter mais de {max} mensagens',
+  'El estado debe ser processed, triage o discarded': 'O status deve ser processed, triage ou discarded',
+  'No se pudo leer el mensaje de correo': 'Não foi possível ler a mensagem de e-mail',
+  'El mensaje no tiene remitente': 'A mensagem não tem remetente',
+  'El mensaje no tiene ningún CV adjunto': 'A mensagem não tem nenhum currículo anexado',
+  'La respuesta a "{label}" es requerida': 'A resposta a "{label}" é obrigatória',
+  'La respuesta a "{label}" debe ser un texto': 'A resposta a "{label}" deve ser um texto',
+  'La respuesta a "{label}" no puede exceder {max} caracteres': 'A resposta a "{label}" não pode exceder {max} caracteres',
+  'La respuesta a "{label}" debe ser un número': 'A resposta a "{label}" deve ser um número',
+  'La respuesta a "{label}" debe ser sí o no': 'A resposta a "{label}" deve ser sim ou não',
+  'La respuesta a "{label}" no es una de las opciones de la pregunta': 'A resposta a "{label}" não é uma das opções da pergunta',
+  'El archivo de "{label}" debe ser PDF, DOCX, ODT, RTF o TXT': 'O arquivo de "{label}" deve ser PDF, DOCX, ODT, RTF ou TXT',
+  'Pregunta desconocida: {key}': 'Pergunta desconhecida: {key}',
+  'Las respuestas deben ser un objeto JSON': 'As respostas devem ser um objeto JSON',
+  'Campo de archivo no admitido: {field}': 'Campo de arquivo não suportado: {field}',
+  'No hay campos para actualizar': 'Não há campos para atualizar',
+  'No hay texto del CV disponible para evaluar': 'Não há texto do currículo disponível para avaliar',
+  'Ya existe una aplicación de este candidato para este rol': 'Já existe uma candidatura deste candidato para esta vaga',
+  'Se requiere un array de al menos 2 IDs de candidatos y el ID del puesto.': 'É necessário um array com pelo menos 2 IDs de candidatos e o ID da vaga.',
+  'Algunos candidatos no se encontraron o no pertenecen al puesto especificado.': 'Alguns candidatos não foram encontrados ou não pertencem à vaga indicada.',
+  'Los siguientes candidatos no tienen una evaluación: {names}': 'Os seguintes candidatos não têm avaliação: {names}',
+  'El candidato elegido no forma parte de la comparación': 'O candidato escolhido não faz parte da comparação',
+  'El candidato elegido es el recomendado: acepta la recomendación en su lugar': 'O candidato escolhido é o recomendado: aceite a recomendação em vez disso',
+  'El candidato recomendado ya no existe; sustituye la recomendación por otro candidato': 'O candidato recomendado já não existe; substitua a recomendação por outro candidato',
+  'El puesto no tiene requisitos o el CV no tiene texto legible': 'A vaga não tem requisitos ou o currículo não tem texto legível',
+  'Se necesitan al menos 2 candidatos evaluados para generar un ranking': 'São necessários pelo menos 2 candidatos avaliados para gerar um ranking',
+  'Solo se pueden confirmar evaluaciones pendientes de revisión manual': 'Somente avaliações pendentes de revisão manual podem ser confirmadas',
+  'La aplicación necesita una evaluación completada para generar la guía de entrevista': 'A candidatura precisa de uma avaliação concluída para gerar o roteiro de entrevista',
+  'Tipo de prompt o versión inválidos': 'Tipo de prompt ou versão inválidos',
+  'Esta versión ya está activa': 'Esta versão já está ativa',
+  'Las dos versiones del experimento deben ser distintas': 'As duas versões do experimento devem ser diferentes',
+  'Antes de promover la versión {version} hay que completar un experimento contra la versión activa ({active})': 'Antes de promover a versão {version} é preciso concluir um experimento contra a versão ativa ({active})',
+  'El tipo de prompt debe ser uno de: {values}': 'O tipo de prompt deve ser um de: {values}',
+  'Faltan marcadores en la plantilla: {values}': 'Faltam marcadores no modelo: {values}',
+  'La aplicación ya no admite cambios': 'A candidatura não admite mais alterações',
+  'La aplicación ya no se puede retirar': 'A candidatura não pode mais ser retirada',
+  'Demasiadas solicitudes desde esta IP, intenta de nuevo más tarde.': 'Muitas solicitações deste IP, tente novamente mais tarde.',
+
+  // Errores internos y de la IA
+  'Error interno del servidor': 'Erro interno do servidor',
+  'El portal del candidato no está configurado': 'O portal do candidato não está configurado',
+  'Error interno del servidor al comparar candidatos.': 'Erro interno do servidor ao comparar candidatos.',
+  'Error interno del servidor al extraer el perfil': 'Erro interno do servidor ao extrair o perfil',
+  'Error interno del servidor al obtener actividad reciente': 'Erro interno do servidor ao obter a atividade recente',
+  'Error interno del servidor al obtener analytics': 'Erro interno do servidor ao obter as métricas',
+  'Error interno del servidor al obtener candidatos': 'Erro interno do servidor ao obter os candidatos',
+  'Error interno del servidor al obtener detalles del candidato': 'Erro interno do servidor ao obter os detalhes do candidato',
+  'Error interno del servidor al obtener estadísticas': 'Erro interno do servidor ao obter as estatísticas',
+  'Error interno del servidor al obtener evaluaciones que requieren atención': 'Erro interno do servidor ao obter as avaliações que exigem atenção',
+  'Error interno del servidor al obtener rol': 'Erro interno do servidor ao obter a vaga',
+  'Error procesando la evaluación del CV': 'Erro ao processar a avaliação do currículo',
+  'No se pudo extraer el texto del CV': 'Não foi possível extrair o texto do currículo',
+  'Error subiendo archivo: {error}': 'Erro ao enviar o arquivo: {error}',
+  'No se pudo generar el borrador debido a un error del modelo de IA': 'Não foi possível gerar o rascunho devido a um erro do modelo de IA',
+  'No se pudo generar la guía de entrevista debido a un error del modelo de IA': 'Não foi possível gerar o roteiro de entrevista devido a um erro do modelo de IA',
+  'No se pudo valorar los requisitos debido a un error del modelo de IA': 'Não foi possível avaliar os requisitos devido a um erro do modelo de IA',
+  'No se pudo completar la comparación debido a un error del modelo de IA.': 'Não foi possível concluir a comparação devido a um erro do modelo de IA.',
+  'Respuesta del modelo no es un objeto válido': 'A resposta do modelo não é um objeto válido',
+  'La respuesta del modelo no cumple el esquema tras {attempts} intentos: {errors}': 'A resposta do modelo não segue o esquema após {attempts} tentativas: {errors}',
+
+  // Validación
+  'Debe ser un email válido': 'Deve ser um email válido',
+  'El email es requerido': 'O email é obrigatório',
+  'La contraseña es requerida': 'A senha é obrigatória',
+  'La contraseña debe tener al menos 6 caracteres': 'A senha deve ter pelo menos 6 caracteres',
+  'El nombre completo es requerido': 'O nome completo é obrigatório',
+  'El nombre debe tener al menos 2 caracteres': 'O nome deve ter pelo menos 2 caracteres',
+  'El nombre no puede exceder 100 caracteres': 'O nome não pode exceder 100 caracteres',
+  'El nombre no puede exceder 255 caracteres': 'O nome não pode exceder 255 caracteres',
+  'El nombre del candidato es requerido': 'O nome do candidato é obrigatório',
+  'El email del candidato es requerido': 'O email do candidato é obrigatório',
+  'El ID del rol es requerido': 'O ID da vaga é obrigatório',
+  'El ID de la aplicación es requerido': 'O ID da candidatura é obrigatório',
+  'ID de aplicación inválido': 'ID de candidatura inválido',
+  'ID de rol inválido': 'ID de vaga inválido',
+  'El título es requerido': 'O título é obrigatório',
+  'El título debe tener al menos 3 caracteres': 'O título deve ter pelo menos 3 caracteres',
+  'El título no puede exceder 255 caracteres': 'O título não pode exceder 255 caracteres',
+  'La descripción es requerida': 'A descrição é obrigatória',
+  'La descripción debe tener al menos 10 caracteres': 'A descrição deve ter pelo menos 10 caracteres',
+  'El nivel es requerido': 'O nível é obrigatório',
+  'El nivel debe ser uno de: intern, junior, mid, senior, lead, manager': 'O nível deve ser um de: intern, junior, mid, senior, lead, manager',
+  'La clave del criterio es requerida': 'A chave do critério é obrigatória',
+  'La clave del criterio solo puede contener minúsculas, números y guiones bajos': 'A chave do critério só pode conter letras minúsculas, números e sublinhados',
+  'El nombre del criterio es requerido': 'O nome do critério é obrigatório',
+  'El peso del criterio es requerido': 'O peso do critério é obrigatório',
+  'El peso del criterio debe ser mayor que 0': 'O peso do critério deve ser maior que 0',
+  'La rúbrica debe tener al menos un criterio': 'A rubrica deve ter pelo menos um critério',
+  'La rúbrica no puede tener más de 10 criterios': 'A rubrica não pode ter mais de 10 critérios',
+  'Las claves de los criterios de la rúbrica deben ser únicas': 'As chaves dos critérios da rubrica devem ser únicas',
+  'El número de muestras debe ser al menos 1': 'O número de amostras deve ser pelo menos 1',
+  'El número de muestras no puede superar 5': 'O número de amostras não pode exceder 5',
+  'Los proveedores de consenso deben ser: {values}': 'Os provedores de consenso devem ser: {values}',
+  'Los proveedores de consenso no pueden repetirse': 'Os provedores de consenso não podem se repetir',
+  'El idioma debe ser uno de: {values}': 'O idioma deve ser um de: {values}',
+  'Cada pregunta debe tener texto': 'Cada pergunta deve ter texto',
+  'El tipo de prompt es requerido': 'O tipo de prompt é obrigatório',
+  'La plantilla es requerida': 'O modelo é obrigatório',
+  'La plantilla debe tener al menos 50 caracteres': 'O modelo deve ter pelo menos 50 caracteres',
+  'La versión candidata (versionB) es requerida': 'A versão candidata (versionB) é obrigatória',
+  'La versión de origen (from) es requerida': 'A versão de origem (from) é obrigatória',
+  'La versión de destino (to) es requerida': 'A versão de destino (to) é obrigatória',
+  'La muestra debe tener al menos 2 aplicaciones': 'A amostra deve ter pelo menos 2 candidaturas',
+  'La muestra no puede superar 50 aplicaciones': 'A amostra não pode exceder 50 candidaturas',
+  'La agrupación debe ser una de: {values}': 'O agrupamento deve ser um de: {values}',
+  'La fecha inicial debe tener formato ISO (YYYY-MM-DD)': 'A data inicial deve estar no formato ISO (YYYY-MM-DD)',
+  'La fecha final debe tener formato ISO (YYYY-MM-DD)': 'A data final deve estar no formato ISO (YYYY-MM-DD)',
+  'El presupuesto mensual (monthlyBudgetUsd) es requerido': 'O orçamento mensal (monthlyBudgetUsd) é obrigatório',
+  'El presupuesto no puede ser negativo': 'O orçamento não pode ser negativo',
+  'La decisión debe ser accepted u overridden': 'A decisão deve ser accepted ou overridden',
+  'La decisión es requerida': 'A decisão é obrigatória',
+  'Para sustituir la recomendación hay que indicar el candidato elegido': 'Para substituir a recomendação é preciso indicar o candidato escolhido',
+  'Al aceptar la recomendación no se indica otro candidato': 'Ao aceitar a recomendação não se indica outro candidato',
+  'El motivo es requerido al sustituir la recomendación': 'O motivo é obrigatório ao substituir a recomendação',
+  'El motivo no puede exceder 2000 caracteres': 'O motivo não pode exceder 2000 caracteres',
+  'El número de rivales por candidato debe estar entre 1 y 10': 'O número de rivais por candidato deve estar entre 1 e 10',
+  'La puntuación mínima debe estar entre 0 y 100': 'A pontuação mínima deve estar entre 0 e 100',
+  'La clave de la pregunta es requerida': 'A chave da pergunta é obrigatória',
+  'La clave de la pregunta solo puede contener minúsculas, números y guiones bajos': 'A chave da pergunta só pode conter letras minúsculas, números e sublinhados',
+  'El texto de la pregunta es requerido': 'O texto da pergunta é obrigatório',
+  'El tipo de pregunta debe ser: {values}': 'O tipo de pergunta deve ser: {values}',
+  'El tipo de pregunta es requerido': 'O tipo de pergunta é obrigatório',
+  'Las preguntas de opción única necesitan al menos 2 opciones': 'Perguntas de escolha única precisam de pelo menos 2 opções',
+  'Las opciones de una pregunta no pueden repetirse': 'As opções de uma pergunta não podem se repetir',
+  'Solo las preguntas de opción única tienen opciones': 'Somente perguntas de escolha única têm opções',
+  'Solo las preguntas de sí/no, número u opción única pueden ser eliminatorias': 'Somente perguntas de sim/não, número ou escolha única podem ser eliminatórias',
+  'El operador del criterio eliminatorio debe ser uno de: {values}': 'O operador do critério eliminatório deve ser um de: {values}',
+  'El criterio eliminatorio necesita un operador y un valor': 'O critério eliminatório precisa de um operador e um valor',
+  'El valor del criterio eliminatorio debe ser una de las opciones de la pregunta': 'O valor do critério eliminatório deve ser uma das opções da pergunta',
+  'El formulario no puede tener más de 30 preguntas': 'O formulário não pode ter mais de 30 perguntas',
+  'Las claves de las preguntas deben ser únicas': 'As chaves das perguntas devem ser únicas',
+  'El motivo no puede exceder 2000 caracteres': 'O motivo não pode exceder 2000 caracteres',
+};
@@ -2,6 +2,9 @@ const jwt = require('jsonwebtoken');
 const { supabase, supabaseAdmin } = require('../config/supabase');
 const { query } = require('../utils/database');
 
+// Finalidad de los tokens del portal del candidato (no sirven como sesión de usuario)
+const CANDIDATE_PORTAL_PURPOSE = 'candidate_portal';
+
 /**
  * Middleware para verificar token JWT de Supabase
  * @param {Object} req - Request object
@@ -177,10 +180,53 @@ function verifyToken(token) {
   return jwt.verify(token, process.env.JWT_SECRET);
 }
 
+/**
+ * Middleware para el portal del candidato: verifica el token firmado del enlace que recibe el
+ * candidato (cabecera Authorization: Bearer o parámetro ?token=) y deja el ID de su aplicación
+ * en req.candidate
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Function} next - Next middleware function
+ */
+function authenticateCandidate(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = (authHeader && authHeader.split(' ')[1]) || req.query.token;
+
+  if (!token) {
+    return res.status(401).json({
+      error: {
+        message: 'Enlace de acceso requerido',
+        status: 401
+      }
+    });
+  }
+
+  let payload;
+  try {
+    payload = verifyToken(token);
+  } catch (error) {
+    payload = null;
+  }
+
+  if (!payload || payload.purpose !== CANDIDATE_PORTAL_PURPOSE || !payload.sub) {
+    return res.status(401).json({
+      error: {
+        message: 'Enlace de acceso inválido o expirado',
+        status: 401
+      }
+    });
+  }
+
+  req.candidate = { applicationId: payload.sub };
+  next();
+}
+
 module.exports = {
+  CANDIDATE_PORTAL_PURPOSE,
   authenticateToken,
   requireRole,
   optionalAuth,
+  authenticateCandidate,
   generateToken,
   verifyToken
 };
\ No newline at end of file
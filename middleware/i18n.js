@@ -0,0 +1,34 @@
+const { DEFAULT_LANGUAGE, parseAcceptLanguage, translate } = require('../utils/i18n');
+
+/**
+ * Middleware que resuelve el idioma de la petición (cabecera Accept-Language) y traduce
+ * los mensajes de error de las respuestas JSON. Deja en req.language el idioma de la respuesta
+ * y en req.requestedLanguage el pedido expresamente en la cabecera (o null).
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Function} next - Next middleware function
+ */
+function resolveRequestLanguage(req, res, next) {
+  req.requestedLanguage = parseAcceptLanguage(req.headers['accept-language']);
+  req.language = req.requestedLanguage || DEFAULT_LANGUAGE;
+  res.set('Content-Language', req.language);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && typeof body === 'object') {
+      // Formato { error: { message, status } } y formato { success: false, message }
+      if (body.error && typeof body.error === 'object' && body.error.message) {
+        body = { ...body, error: { ...body.error, message: translate(body.error.message, req.language) } };
+      } else if (res.statusCode >= 400 && typeof body.message === 'string') {
+        body = { ...body, message: translate(body.message, req.language) };
+      }
+    }
+    return json(body);
+  };
+
+  next();
+}
+
+module.exports = {
+  resolveRequestLanguage
+};
@@ -0,0 +1,5 @@
+-- Rúbricas de evaluación configurables por puesto
+-- job_roles.rubric: [{ key, name, weight, description }] (NULL = rúbrica por defecto)
+-- evaluations.criteria_scores: [{ key, name, weight, score, justification }]
+ALTER TABLE public.job_roles ADD COLUMN IF NOT EXISTS rubric JSONB;
+ALTER TABLE public.evaluations ADD COLUMN IF NOT EXISTS criteria_scores JSONB;
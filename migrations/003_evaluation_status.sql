@@ -0,0 +1,19 @@
+-- Estado explícito de las evaluaciones de IA
+-- pending: en cola | completed: evaluación válida | failed: error de IA | needs_manual_review: requiere revisión humana
+ALTER TABLE public.evaluations
+  ADD COLUMN IF NOT EXISTS status VARCHAR(30) NOT NULL DEFAULT 'completed'
+    CHECK (status IN ('pending', 'completed', 'failed', 'needs_manual_review')),
+  ADD COLUMN IF NOT EXISTS status_reason TEXT,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_evaluations_status ON public.evaluations(status);
+
+DROP TRIGGER IF EXISTS update_evaluations_updated_at ON public.evaluations;
+CREATE TRIGGER update_evaluations_updated_at BEFORE UPDATE ON public.evaluations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Las evaluaciones de fallback (score 0 por error de la IA) pasan a estado fallido
+UPDATE public.evaluations
+SET status = 'failed',
+    score = NULL,
+    status_reason = 'Evaluación de fallback generada por un error de la IA'
+WHERE summary LIKE 'Error en la evaluación automática%';
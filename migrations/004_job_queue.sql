@@ -0,0 +1,27 @@
+-- Cola de trabajos persistente (ejecución al menos una vez, reintentos con backoff y dead-letter)
+-- queued: en espera | running: en ejecución | completed: terminado | dead: agotó los reintentos
+CREATE TABLE IF NOT EXISTS public.jobs (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  application_id UUID REFERENCES public.applications(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMP WITH TIME ZONE,
+  locked_by VARCHAR(255),
+  last_error TEXT,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON public.jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_application_id ON public.jobs(application_id);
+
+DROP TRIGGER IF EXISTS update_jobs_updated_at ON public.jobs;
+CREATE TRIGGER update_jobs_updated_at BEFORE UPDATE ON public.jobs FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Solo el servidor accede a la cola
+ALTER TABLE public.jobs ENABLE ROW LEVEL SECURITY;
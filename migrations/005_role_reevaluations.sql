@@ -0,0 +1,26 @@
+-- Evaluaciones desactualizadas: se marcan cuando cambia la descripción, los requisitos o la rúbrica del puesto
+ALTER TABLE public.evaluations
+  ADD COLUMN IF NOT EXISTS is_stale BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS stale_since TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_evaluations_is_stale ON public.evaluations(is_stale) WHERE is_stale;
+
+-- Re-evaluaciones masivas de un puesto (cada aplicación es un trabajo en public.jobs)
+CREATE TABLE IF NOT EXISTS public.reevaluation_batches (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  job_role_id UUID NOT NULL REFERENCES public.job_roles(id) ON DELETE CASCADE,
+  requested_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+  total INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reevaluation_batches_job_role_id ON public.reevaluation_batches(job_role_id);
+
+ALTER TABLE public.jobs
+  ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES public.reevaluation_batches(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_batch_id ON public.jobs(batch_id) WHERE batch_id IS NOT NULL;
+
+-- Solo el servidor accede a los lotes
+ALTER TABLE public.reevaluation_batches ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,48 @@
+-- Historial de evaluaciones: cada ejecución de la IA se guarda como una versión inmutable.
+-- public.evaluations sigue guardando la versión vigente de cada aplicación.
+ALTER TABLE public.evaluations
+  ADD COLUMN IF NOT EXISTS prompt_version VARCHAR(50);
+
+CREATE TABLE IF NOT EXISTS public.evaluation_versions (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  application_id UUID NOT NULL REFERENCES public.applications(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  status VARCHAR(30) NOT NULL
+    CHECK (status IN ('completed', 'failed', 'needs_manual_review')),
+  status_reason TEXT,
+  score INTEGER CHECK (score >= 0 AND score <= 100),
+  criteria_scores JSONB,
+  strengths JSONB,
+  weaknesses JSONB,
+  summary TEXT,
+  model_used VARCHAR(100),
+  prompt_version VARCHAR(50),
+  role_snapshot JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (application_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_evaluation_versions_application_id ON public.evaluation_versions(application_id);
+
+-- Las evaluaciones existentes pasan a ser la versión 1 (con el puesto en su estado actual)
+INSERT INTO public.evaluation_versions (
+  application_id, version, status, status_reason, score, criteria_scores, strengths, weaknesses,
+  summary, model_used, role_snapshot, created_at
+)
+SELECT
+  e.application_id, 1, e.status, e.status_reason, e.score, e.criteria_scores, e.strengths, e.weaknesses,
+  e.summary, e.model_used,
+  jsonb_build_object(
+    'title', jr.title,
+    'description', jr.description,
+    'requirements', jr.requirements,
+    'rubric', jr.rubric
+  ),
+  COALESCE(e.evaluation_date, e.created_at)
+FROM public.evaluations e
+JOIN public.applications a ON e.application_id = a.id
+JOIN public.job_roles jr ON a.job_role_id = jr.id
+WHERE e.status <> 'pending'
+ON CONFLICT (application_id, version) DO NOTHING;
+
+ALTER TABLE public.evaluation_versions ENABLE ROW LEVEL SECURITY;
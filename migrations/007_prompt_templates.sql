@@ -0,0 +1,39 @@
+-- Plantillas de prompt versionadas. La versión 1 de cada tipo está integrada en config/prompts.js;
+-- las nuevas versiones se crean como borrador y se promueven tras un experimento A/B.
+CREATE TABLE IF NOT EXISTS public.prompt_templates (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  name VARCHAR(50) NOT NULL CHECK (name IN ('evaluation', 'comparison')),
+  version INTEGER NOT NULL CHECK (version > 1),
+  template TEXT NOT NULL,
+  description TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'active', 'retired')),
+  created_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  promoted_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (name, version)
+);
+
+-- Como máximo una versión activa por tipo de prompt
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_active ON public.prompt_templates(name) WHERE status = 'active';
+
+-- Experimentos A/B: dos versiones del prompt de evaluación sobre una muestra de aplicaciones
+CREATE TABLE IF NOT EXISTS public.prompt_experiments (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  name VARCHAR(50) NOT NULL DEFAULT 'evaluation',
+  version_a INTEGER NOT NULL,
+  version_b INTEGER NOT NULL,
+  sample_size INTEGER NOT NULL,
+  job_role_id UUID REFERENCES public.job_roles(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  results JSONB NOT NULL DEFAULT '[]'::jsonb,
+  report JSONB,
+  error TEXT,
+  created_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_experiments_versions ON public.prompt_experiments(name, version_a, version_b);
+
+ALTER TABLE public.prompt_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.prompt_experiments ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,32 @@
+-- Perfil estructurado extraído del CV de cada aplicación
+CREATE TABLE IF NOT EXISTS public.candidate_profiles (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  application_id UUID NOT NULL UNIQUE REFERENCES public.applications(id) ON DELETE CASCADE,
+  work_history JSONB NOT NULL DEFAULT '[]'::jsonb,
+  total_years_experience NUMERIC(4, 1),
+  skills JSONB NOT NULL DEFAULT '[]'::jsonb,
+  education JSONB NOT NULL DEFAULT '[]'::jsonb,
+  certifications JSONB NOT NULL DEFAULT '[]'::jsonb,
+  languages JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- Claves normalizadas (minúsculas, sin acentos) para filtrar por habilidad o idioma
+  skill_keys TEXT[] NOT NULL DEFAULT '{}',
+  language_keys TEXT[] NOT NULL DEFAULT '{}',
+  model_used VARCHAR(100),
+  prompt_version VARCHAR(50),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_candidate_profiles_skill_keys ON public.candidate_profiles USING GIN (skill_keys);
+CREATE INDEX IF NOT EXISTS idx_candidate_profiles_language_keys ON public.candidate_profiles USING GIN (language_keys);
+CREATE INDEX IF NOT EXISTS idx_candidate_profiles_years ON public.candidate_profiles(total_years_experience);
+
+DROP TRIGGER IF EXISTS update_candidate_profiles_updated_at ON public.candidate_profiles;
+CREATE TRIGGER update_candidate_profiles_updated_at BEFORE UPDATE ON public.candidate_profiles FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE public.candidate_profiles ENABLE ROW LEVEL SECURITY;
+
+-- El prompt de extracción de perfil también se puede versionar
+ALTER TABLE public.prompt_templates DROP CONSTRAINT IF EXISTS prompt_templates_name_check;
+ALTER TABLE public.prompt_templates
+  ADD CONSTRAINT prompt_templates_name_check CHECK (name IN ('evaluation', 'comparison', 'profile'));
@@ -0,0 +1,26 @@
+-- Guías de entrevista generadas por IA (una por aplicación, editables por el reclutador)
+CREATE TABLE IF NOT EXISTS public.interview_kits (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  application_id UUID NOT NULL UNIQUE REFERENCES public.applications(id) ON DELETE CASCADE,
+  technical_questions JSONB NOT NULL DEFAULT '[]'::jsonb,
+  behavioural_questions JSONB NOT NULL DEFAULT '[]'::jsonb,
+  weakness_probes JSONB NOT NULL DEFAULT '[]'::jsonb,
+  notes TEXT,
+  model_used VARCHAR(100),
+  prompt_version VARCHAR(50),
+  generated_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  edited_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  edited_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_interview_kits_updated_at ON public.interview_kits;
+CREATE TRIGGER update_interview_kits_updated_at BEFORE UPDATE ON public.interview_kits FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE public.interview_kits ENABLE ROW LEVEL SECURITY;
+
+-- El prompt de la guía de entrevista también se puede versionar
+ALTER TABLE public.prompt_templates DROP CONSTRAINT IF EXISTS prompt_templates_name_check;
+ALTER TABLE public.prompt_templates
+  ADD CONSTRAINT prompt_templates_name_check CHECK (name IN ('evaluation', 'comparison', 'profile', 'interview_kit'));
@@ -0,0 +1,5 @@
+-- El prompt del borrador de puesto también se puede versionar
+ALTER TABLE public.prompt_templates DROP CONSTRAINT IF EXISTS prompt_templates_name_check;
+ALTER TABLE public.prompt_templates
+  ADD CONSTRAINT prompt_templates_name_check
+    CHECK (name IN ('evaluation', 'comparison', 'profile', 'interview_kit', 'role_draft'));
@@ -0,0 +1,12 @@
+-- Evaluación a ciegas: el CV se anonimiza antes de construir cualquier prompt
+ALTER TABLE public.job_roles
+  ADD COLUMN IF NOT EXISTS blind_evaluation BOOLEAN NOT NULL DEFAULT false;
+
+-- Registro de la anonimización aplicada en cada evaluación (para auditoría)
+ALTER TABLE public.evaluations
+  ADD COLUMN IF NOT EXISTS redaction_applied BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS redaction_summary JSONB;
+
+ALTER TABLE public.evaluation_versions
+  ADD COLUMN IF NOT EXISTS redaction_applied BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS redaction_summary JSONB;
@@ -0,0 +1,22 @@
+-- Puntuación por consenso: cada puesto puede evaluar varias veces el mismo CV
+-- (con uno o varios proveedores) y guardar la mediana
+ALTER TABLE public.job_roles
+  ADD COLUMN IF NOT EXISTS consensus_samples INTEGER NOT NULL DEFAULT 1
+    CHECK (consensus_samples BETWEEN 1 AND 5),
+  ADD COLUMN IF NOT EXISTS consensus_providers TEXT[];
+
+-- Muestras, dispersión (máxima - mínima) y confianza de cada evaluación.
+-- confidence es NULL cuando la evaluación se hizo con una sola muestra.
+ALTER TABLE public.evaluations
+  ADD COLUMN IF NOT EXISTS sample_count INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS sample_scores JSONB,
+  ADD COLUMN IF NOT EXISTS score_spread INTEGER,
+  ADD COLUMN IF NOT EXISTS confidence VARCHAR(10) CHECK (confidence IN ('high', 'low'));
+
+ALTER TABLE public.evaluation_versions
+  ADD COLUMN IF NOT EXISTS sample_count INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS sample_scores JSONB,
+  ADD COLUMN IF NOT EXISTS score_spread INTEGER,
+  ADD COLUMN IF NOT EXISTS confidence VARCHAR(10) CHECK (confidence IN ('high', 'low'));
+
+CREATE INDEX IF NOT EXISTS idx_evaluations_confidence ON public.evaluations(confidence);
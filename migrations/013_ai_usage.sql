@@ -0,0 +1,39 @@
+-- Consumo de cada llamada a la IA (tokens, latencia y coste estimado)
+CREATE TABLE IF NOT EXISTS public.ai_usage (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  task VARCHAR(50) NOT NULL,
+  provider VARCHAR(20) NOT NULL,
+  model VARCHAR(100),
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  latency_ms INTEGER NOT NULL,
+  estimated_cost_usd NUMERIC(12, 6),
+  success BOOLEAN NOT NULL DEFAULT true,
+  error TEXT,
+  application_id UUID REFERENCES public.applications(id) ON DELETE SET NULL,
+  job_role_id UUID REFERENCES public.job_roles(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  -- Organización (users.company_name) en el momento de la llamada, para los presupuestos
+  organization VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_organization_created_at ON public.ai_usage(organization, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_job_role_id ON public.ai_usage(job_role_id);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_user_id ON public.ai_usage(user_id);
+
+ALTER TABLE public.ai_usage ENABLE ROW LEVEL SECURITY;
+
+-- Presupuesto mensual de IA por organización. Al agotarse, las evaluaciones nuevas esperan en la cola.
+CREATE TABLE IF NOT EXISTS public.ai_budgets (
+  organization VARCHAR(255) PRIMARY KEY,
+  monthly_budget_usd NUMERIC(12, 2) NOT NULL CHECK (monthly_budget_usd >= 0),
+  updated_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_ai_budgets_updated_at ON public.ai_budgets;
+CREATE TRIGGER update_ai_budgets_updated_at BEFORE UPDATE ON public.ai_budgets FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE public.ai_budgets ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,14 @@
+-- Caché de evaluaciones: cada versión guarda el hash de sus entradas (texto normalizado del CV,
+-- descripción del puesto, rúbrica, versión del prompt y proveedores). Una petición idéntica
+-- reutiliza el resultado guardado en lugar de llamar de nuevo a la IA.
+ALTER TABLE public.evaluation_versions
+  ADD COLUMN IF NOT EXISTS cache_key VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS from_cache BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE public.evaluations
+  ADD COLUMN IF NOT EXISTS cache_key VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS from_cache BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_evaluation_versions_cache_key
+  ON public.evaluation_versions(cache_key, created_at DESC)
+  WHERE cache_key IS NOT NULL;
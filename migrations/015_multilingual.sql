@@ -0,0 +1,14 @@
+-- Idiomas: cada puesto declara el idioma en que la IA redacta evaluaciones, comparaciones
+-- y guías de entrevista; se guarda el idioma detectado de cada CV y el de cada evaluación.
+ALTER TABLE public.job_roles
+  ADD COLUMN IF NOT EXISTS output_language VARCHAR(5) NOT NULL DEFAULT 'es'
+    CHECK (output_language IN ('es', 'en', 'pt'));
+
+ALTER TABLE public.applications
+  ADD COLUMN IF NOT EXISTS cv_language VARCHAR(5);
+
+ALTER TABLE public.evaluations
+  ADD COLUMN IF NOT EXISTS output_language VARCHAR(5);
+
+ALTER TABLE public.evaluation_versions
+  ADD COLUMN IF NOT EXISTS output_language VARCHAR(5);
@@ -0,0 +1,10 @@
+-- Validación de las respuestas de la IA contra su esquema: cada llamada registra si la respuesta
+-- lo cumplió, los errores encontrados y el número de intento de reparación (0 = primera llamada)
+ALTER TABLE public.ai_usage
+  ADD COLUMN IF NOT EXISTS schema_valid BOOLEAN,
+  ADD COLUMN IF NOT EXISTS schema_errors JSONB,
+  ADD COLUMN IF NOT EXISTS repair_attempt INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_schema_violations
+  ON public.ai_usage(task, created_at)
+  WHERE schema_valid = false;
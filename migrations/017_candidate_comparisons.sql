@@ -0,0 +1,30 @@
+-- Comparaciones de candidatos guardadas con sus entradas (puesto, aplicaciones y versiones de
+-- evaluación usadas) y la decisión del reclutador sobre la recomendación de la IA
+CREATE TABLE IF NOT EXISTS public.candidate_comparisons (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  job_role_id UUID NOT NULL REFERENCES public.job_roles(id) ON DELETE CASCADE,
+  candidate_ids UUID[] NOT NULL,
+  -- [{ applicationId, name, evaluationVersion, score }] en el momento de la comparación
+  candidates JSONB NOT NULL,
+  best_application_id UUID REFERENCES public.applications(id) ON DELETE SET NULL,
+  justification TEXT,
+  -- [{ applicationId, analysis }]
+  comparison_summary JSONB NOT NULL DEFAULT '[]'::jsonb,
+  model_used VARCHAR(100),
+  prompt_version VARCHAR(50),
+  output_language VARCHAR(5),
+  decision VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (decision IN ('pending', 'accepted', 'overridden')),
+  -- Candidato elegido finalmente (el recomendado si se acepta, otro si se sustituye)
+  decided_application_id UUID REFERENCES public.applications(id) ON DELETE SET NULL,
+  decision_reason TEXT,
+  decided_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  decided_at TIMESTAMP WITH TIME ZONE,
+  created_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_candidate_comparisons_job_role_id
+  ON public.candidate_comparisons(job_role_id, created_at DESC);
+
+ALTER TABLE public.candidate_comparisons ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,35 @@
+-- Rankings de los candidatos de un puesto a partir de comparaciones por parejas con la IA,
+-- agregadas con el modelo de Bradley–Terry. Cada ranking se calcula en un trabajo de la cola.
+CREATE TABLE IF NOT EXISTS public.role_rankings (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  job_role_id UUID NOT NULL REFERENCES public.job_roles(id) ON DELETE CASCADE,
+  requested_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  -- Candidatos en el orden usado para el calendario (puntuación de evaluación descendente)
+  candidate_ids UUID[] NOT NULL,
+  opponents INTEGER NOT NULL CHECK (opponents > 0),
+  total_matches INTEGER NOT NULL,
+  -- [{ a, b, winner } | { a, b, error }], se guarda tras cada comparación para poder reanudar
+  matches JSONB NOT NULL DEFAULT '[]'::jsonb,
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_role_rankings_job_role_id ON public.role_rankings(job_role_id, created_at DESC);
+
+-- Posición final de cada candidato en un ranking completado
+CREATE TABLE IF NOT EXISTS public.role_ranking_entries (
+  ranking_id UUID NOT NULL REFERENCES public.role_rankings(id) ON DELETE CASCADE,
+  application_id UUID NOT NULL REFERENCES public.applications(id) ON DELETE CASCADE,
+  rank INTEGER NOT NULL,
+  rating NUMERIC(8, 2) NOT NULL,
+  wins INTEGER NOT NULL DEFAULT 0,
+  losses INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (ranking_id, application_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_role_ranking_entries_application_id ON public.role_ranking_entries(application_id);
+
+ALTER TABLE public.role_rankings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.role_ranking_entries ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,32 @@
+-- Matriz de requisitos: cada requisito del puesto (una línea de job_roles.requirements) valorado
+-- contra el CV de una aplicación como cumplido, parcial o ausente, con la evidencia del CV.
+-- requirement_key depende solo del texto del requisito: si el puesto cambia sus requisitos,
+-- las filas de los requisitos que ya no existen se ignoran y los nuevos quedan pendientes.
+CREATE TABLE IF NOT EXISTS public.application_requirements (
+  application_id UUID NOT NULL REFERENCES public.applications(id) ON DELETE CASCADE,
+  job_role_id UUID NOT NULL REFERENCES public.job_roles(id) ON DELETE CASCADE,
+  requirement_key VARCHAR(20) NOT NULL,
+  requirement TEXT NOT NULL,
+  level VARCHAR(20) NOT NULL DEFAULT 'required' CHECK (level IN ('required', 'preferred')),
+  status VARCHAR(20) NOT NULL CHECK (status IN ('met', 'partial', 'missing')),
+  evidence TEXT,
+  evidence_verified BOOLEAN NOT NULL DEFAULT false,
+  justification TEXT,
+  model_used VARCHAR(100),
+  prompt_version VARCHAR(50),
+  output_language VARCHAR(5),
+  assessed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (application_id, requirement_key)
+);
+
+-- Consultas por puesto del tipo "candidatos a los que les falta el requisito X"
+CREATE INDEX IF NOT EXISTS idx_application_requirements_role_key_status
+  ON public.application_requirements(job_role_id, requirement_key, status);
+
+ALTER TABLE public.application_requirements ENABLE ROW LEVEL SECURITY;
+
+-- El prompt de la matriz de requisitos también se puede versionar
+ALTER TABLE public.prompt_templates DROP CONSTRAINT IF EXISTS prompt_templates_name_check;
+ALTER TABLE public.prompt_templates
+  ADD CONSTRAINT prompt_templates_name_check
+    CHECK (name IN ('evaluation', 'comparison', 'profile', 'interview_kit', 'role_draft', 'requirement_matrix'));
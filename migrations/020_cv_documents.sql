@@ -0,0 +1,11 @@
+-- CVs en varios formatos: se guarda el formato detectado por el contenido del archivo
+-- (pdf, docx, odt, rtf o txt) y el nombre con el que lo subió el candidato.
+ALTER TABLE public.applications
+  ADD COLUMN IF NOT EXISTS cv_file_type VARCHAR(10)
+    CHECK (cv_file_type IN ('pdf', 'docx', 'odt', 'rtf', 'txt')),
+  ADD COLUMN IF NOT EXISTS cv_file_name VARCHAR(255);
+
+-- Hasta ahora solo se aceptaban PDFs
+UPDATE public.applications
+SET cv_file_type = 'pdf'
+WHERE cv_file_type IS NULL AND cv_file_path IS NOT NULL AND cv_file_path <> '';
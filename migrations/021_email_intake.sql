@@ -0,0 +1,39 @@
+-- Recepción de candidaturas por correo: cada puesto tiene un código con el que se identifica
+-- en la dirección de respuesta (empleo+<código>@empresa.com) o en el asunto ([REF-<código>]).
+ALTER TABLE public.job_roles
+  ADD COLUMN IF NOT EXISTS intake_token VARCHAR(12) NOT NULL
+    DEFAULT substr(md5(random()::text || clock_timestamp()::text), 1, 8);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_job_roles_intake_token
+  ON public.job_roles(intake_token);
+
+-- Mensajes recibidos (subidos como .eml/mbox o leídos del maildir). Los que no se pueden asociar
+-- a un puesto quedan en triaje con su mensaje original hasta que un reclutador les asigna un
+-- puesto o los descarta.
+CREATE TABLE IF NOT EXISTS public.inbound_emails (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  -- Message-ID del mensaje o, si no tiene, "sha256:<hash del contenido>"
+  message_key VARCHAR(500) NOT NULL UNIQUE,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('upload', 'maildir')),
+  from_name VARCHAR(255),
+  from_email VARCHAR(255),
+  subject TEXT,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  job_role_id UUID REFERENCES public.job_roles(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('processed', 'triage', 'discarded')),
+  triage_reason VARCHAR(30)
+    CHECK (triage_reason IN ('role_not_found', 'role_inactive', 'no_sender', 'no_attachment', 'parse_error')),
+  -- [{ filename, status: created | duplicate | failed | skipped, applicationId, message }]
+  attachments JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- Mensaje original, solo mientras está en triaje
+  raw_message BYTEA,
+  uploaded_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  resolved_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_inbound_emails_status
+  ON public.inbound_emails(status, received_at DESC);
+
+ALTER TABLE public.inbound_emails ENABLE ROW LEVEL SECURITY;
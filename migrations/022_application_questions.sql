@@ -0,0 +1,10 @@
+-- Preguntas del formulario de aplicación de cada puesto:
+-- [{ key, label, type: text | number | boolean | choice | file, required, options, knockout: { operator, value, reason } }]
+ALTER TABLE public.job_roles
+  ADD COLUMN IF NOT EXISTS questions JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- Respuestas del candidato con el texto de la pregunta en el momento de la candidatura
+-- ([{ key, label, type, value }]) y motivo del descarte automático por criterios eliminatorios
+ALTER TABLE public.applications
+  ADD COLUMN IF NOT EXISTS answers JSONB NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
@@ -0,0 +1,11 @@
+-- Portal del candidato: el candidato puede retirar su aplicación (estado withdrawn) y subir
+-- un CV actualizado desde el enlace firmado que recibe al postularse.
+ALTER TABLE public.applications DROP CONSTRAINT IF EXISTS applications_status_check;
+ALTER TABLE public.applications
+  ADD CONSTRAINT applications_status_check
+    CHECK (status IN ('pending', 'reviewing', 'interviewed', 'hired', 'rejected', 'withdrawn'));
+
+ALTER TABLE public.applications
+  ADD COLUMN IF NOT EXISTS withdrawn_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS withdrawal_reason TEXT,
+  ADD COLUMN IF NOT EXISTS cv_updated_at TIMESTAMP WITH TIME ZONE;
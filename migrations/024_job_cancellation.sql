@@ -0,0 +1,6 @@
+-- Trabajos cancelados: los de una aplicación cuyo CV se ha sustituido antes de que se ejecutaran
+-- queued: en espera | running: en ejecución | completed: terminado | dead: agotó los reintentos | cancelled: cancelado
+ALTER TABLE public.jobs DROP CONSTRAINT IF EXISTS jobs_status_check;
+ALTER TABLE public.jobs
+  ADD CONSTRAINT jobs_status_check
+    CHECK (status IN ('queued', 'running', 'completed', 'dead', 'cancelled'));
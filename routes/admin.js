@@ -0,0 +1,417 @@
+const express = require('express');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { PROMPT_NAMES, getMissingPlaceholders } = require('../config/prompts');
+const {
+  getPromptTemplate,
+  getActivePromptTemplate,
+  listPromptTemplates,
+  createPromptTemplate,
+  promotePromptTemplate
+} = require('../services/promptTemplates');
+const {
+  createPromptExperiment,
+  getPromptExperiment,
+  findCompletedExperiment
+} = require('../services/promptExperiments');
+const {
+  USAGE_GROUPS,
+  listBudgets,
+  setBudget,
+  deleteBudget,
+  getUsageReport
+} = require('../services/aiUsage');
+const Joi = require('joi');
+const router = express.Router();
+
+// Todas las rutas de administración requieren rol admin
+router.use(authenticateToken, requireRole(['admin']));
+
+// Esquemas de validación
+const createPromptSchema = Joi.object({
+  name: Joi.string().valid(...PROMPT_NAMES).required().messages({
+    'any.only': `El tipo de prompt debe ser uno de: ${PROMPT_NAMES.join(', ')}`,
+    'any.required': 'El tipo de prompt es requerido'
+  }),
+  template: Joi.string().min(50).required().messages({
+    'string.min': 'La plantilla debe tener al menos 50 caracteres',
+    'any.required': 'La plantilla es requerida'
+  }),
+  description: Joi.string().max(1000).allow('').optional()
+});
+
+const createExperimentSchema = Joi.object({
+  versionA: Joi.number().integer().min(1).optional(),
+  versionB: Joi.number().integer().min(1).required().messages({
+    'any.required': 'La versión candidata (versionB) es requerida'
+  }),
+  sampleSize: Joi.number().integer().min(2).max(50).default(20).messages({
+    'number.min': 'La muestra debe tener al menos 2 aplicaciones',
+    'number.max': 'La muestra no puede superar 50 aplicaciones'
+  }),
+  jobRoleId: Joi.string().uuid().optional().messages({
+    'string.guid': 'ID de rol inválido'
+  })
+});
+
+const usageReportSchema = Joi.object({
+  groupBy: Joi.string().valid(...Object.keys(USAGE_GROUPS)).default('month').messages({
+    'any.only': `La agrupación debe ser una de: ${Object.keys(USAGE_GROUPS).join(', ')}`
+  }),
+  from: Joi.date().iso().optional().messages({
+    'date.format': 'La fecha inicial debe tener formato ISO (YYYY-MM-DD)'
+  }),
+  to: Joi.date().iso().optional().messages({
+    'date.format': 'La fecha final debe tener formato ISO (YYYY-MM-DD)'
+  }),
+  organization: Joi.string().max(255).optional()
+});
+
+const budgetSchema = Joi.object({
+  monthlyBudgetUsd: Joi.number().min(0).precision(2).required().messages({
+    'number.min': 'El presupuesto no puede ser negativo',
+    'any.required': 'El presupuesto mensual (monthlyBudgetUsd) es requerido'
+  })
+});
+
+/**
+ * GET /api/admin/prompts
+ * Listar las versiones de las plantillas de prompt (filtro opcional ?name=evaluation)
+ */
+router.get('/prompts', async (req, res) => {
+  try {
+    const { name } = req.query;
+
+    if (name && !PROMPT_NAMES.includes(name)) {
+      return res.status(400).json({
+        error: {
+          message: `El tipo de prompt debe ser uno de: ${PROMPT_NAMES.join(', ')}`,
+          status: 400
+        }
+      });
+    }
+
+    const templates = await listPromptTemplates(name);
+    res.json({ templates });
+  } catch (error) {
+    console.error('Error listando plantillas de prompt:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * POST /api/admin/prompts
+ * Crear una nueva versión (borrador) de una plantilla de prompt
+ */
+router.post('/prompts', async (req, res) => {
+  try {
+    const { error: validationError, value } = createPromptSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          message: validationError.details[0].message,
+          status: 400
+        }
+      });
+    }
+
+    const missing = getMissingPlaceholders(value.name, value.template);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: {
+          message: `Faltan marcadores en la plantilla: ${missing.map(p => `{{${p}}}`).join(', ')}`,
+          status: 400
+        }
+      });
+    }
+
+    const template = await createPromptTemplate(value, req.user.id);
+
+    res.status(201).json({
+      message: 'Versión de plantilla creada como borrador',
+      template
+    });
+  } catch (error) {
+    console.error('Error creando plantilla de prompt:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * POST /api/admin/prompts/experiments
+ * Lanzar un experimento A/B entre dos versiones del prompt de evaluación
+ */
+router.post('/prompts/experiments', async (req, res) => {
+  try {
+    const { error: validationError, value } = createExperimentSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          message: validationError.details[0].message,
+          status: 400
+        }
+      });
+    }
+
+    // Por defecto se compara contra la versión activa
+    const versionA = value.versionA || (await getActivePromptTemplate('evaluation')).version;
+
+    if (versionA === value.versionB) {
+      return res.status(400).json({
+        error: {
+          message: 'Las dos versiones del experimento deben ser distintas',
+          status: 400
+        }
+      });
+    }
+
+    const [templateA, templateB] = await Promise.all([
+      getPromptTemplate('evaluation', versionA),
+      getPromptTemplate('evaluation', value.versionB)
+    ]);
+
+    if (!templateA || !templateB) {
+      return res.status(404).json({
+        error: {
+          message: `Versión ${!templateA ? versionA : value.versionB} del prompt de evaluación no encontrada`,
+          status: 404
+        }
+      });
+    }
+
+    const experiment = await createPromptExperiment({ ...value, versionA }, req.user.id);
+
+    res.status(202).json({
+      message: 'Experimento encolado',
+      experiment
+    });
+  } catch (error) {
+    console.error('Error creando experimento de prompt:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/admin/prompts/experiments/:id
+ * Obtener el estado y el informe de un experimento
+ */
+router.get('/prompts/experiments/:id', async (req, res) => {
+  try {
+    const experiment = await getPromptExperiment(req.params.id);
+
+    if (!experiment) {
+      return res.status(404).json({
+        error: {
+          message: 'Experimento no encontrado',
+          status: 404
+        }
+      });
+    }
+
+    res.json({ experiment });
+  } catch (error) {
+    console.error('Error obteniendo experimento de prompt:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * POST /api/admin/prompts/:name/versions/:version/promote
+ * Promover una versión a activa. Para el prompt de evaluación se exige un experimento
+ * completado contra la versión activa.
+ */
+router.post('/prompts/:name/versions/:version/promote', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const version = parseInt(req.params.version);
+
+    if (!PROMPT_NAMES.includes(name) || isNaN(version)) {
+      return res.status(400).json({
+        error: {
+          message: 'Tipo de prompt o versión inválidos',
+          status: 400
+        }
+      });
+    }
+
+    const template = await getPromptTemplate(name, version);
+    if (!template) {
+      return res.status(404).json({
+        error: {
+          message: 'Versión de plantilla no encontrada',
+          status: 404
+        }
+      });
+    }
+
+    const active = await getActivePromptTemplate(name);
+    if (active.version === version) {
+      return res.status(409).json({
+        error: {
+          message: 'Esta versión ya está activa',
+          status: 409
+        }
+      });
+    }
+
+    let experiment = null;
+    if (name === 'evaluation') {
+      experiment = await findCompletedExperiment(active.version, version);
+      if (!experiment) {
+        return res.status(409).json({
+          error: {
+            message: `Antes de promover la versión ${version} hay que completar un experimento contra la versión activa (${active.version})`,
+            status: 409
+          }
+        });
+      }
+    }
+
+    const promoted = await promotePromptTemplate(name, version);
+
+    res.json({
+      message: `Versión ${version} del prompt "${name}" promovida`,
+      template: promoted,
+      experimentReport: experiment ? experiment.report : null
+    });
+  } catch (error) {
+    console.error('Error promoviendo plantilla de prompt:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/admin/usage
+ * Informe de consumo de IA (tokens, latencia y coste estimado) agrupado por puesto, reclutador o mes
+ */
+router.get('/usage', async (req, res) => {
+  try {
+    const { error: validationError, value } = usageReportSchema.validate(req.query);
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          message: validationError.details[0].message,
+          status: 400
+        }
+      });
+    }
+
+    const usage = await getUsageReport(value);
+    res.json({ groupBy: value.groupBy, usage });
+  } catch (error) {
+    console.error('Error obteniendo el consumo de IA:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/admin/budgets
+ * Listar los presupuestos mensuales de IA con el gasto del mes en curso
+ */
+router.get('/budgets', async (req, res) => {
+  try {
+    const budgets = await listBudgets();
+    res.json({ budgets });
+  } catch (error) {
+    console.error('Error listando presupuestos de IA:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/budgets/:organization
+ * Crear o actualizar el presupuesto mensual de IA de una organización (users.company_name)
+ */
+router.put('/budgets/:organization', async (req, res) => {
+  try {
+    const { error: validationError, value } = budgetSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          message: validationError.details[0].message,
+          status: 400
+        }
+      });
+    }
+
+    const budget = await setBudget(req.params.organization, value.monthlyBudgetUsd, req.user.id);
+
+    res.json({
+      message: 'Presupuesto actualizado',
+      budget
+    });
+  } catch (error) {
+    console.error('Error actualizando presupuesto de IA:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/budgets/:organization
+ * Eliminar el presupuesto de una organización (deja de tener límite)
+ */
+router.delete('/budgets/:organization', async (req, res) => {
+  try {
+    const deleted = await deleteBudget(req.params.organization);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: {
+          message: 'Presupuesto no encontrado',
+          status: 404
+        }
+      });
+    }
+
+    res.json({ message: 'Presupuesto eliminado' });
+  } catch (error) {
+    console.error('Error eliminando presupuesto de IA:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
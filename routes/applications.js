@@ -1,111 +1,133 @@
 const express = require('express');
 const multer = require('multer');
-const pdfParse = require('pdf-parse');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const { query, transaction } = require('../utils/database');
 const { supabase, supabaseAdmin } = require('../config/supabase');
-const { evaluateCVWithFile, evaluateCVWithText, MODEL_VISION } = require('../config/gemini');
+const { getLatestEvaluationJob } = require('../services/evaluationJobs');
+const { createApplication } = require('../services/applicationIntake');
+const { issuePortalAccess } = require('../services/candidatePortal');
+const { getRequirementMatrix, assessApplicationRequirements } = require('../services/requirementMatrix');
+const {
+  getInterviewKit,
+  generateApplicationInterviewKit,
+  updateInterviewKit
+} = require('../services/interviewKits');
 const Joi = require('joi');
-const { v4: uuidv4 } = require('uuid');
 const router = express.Router();
 
-// Configuración de multer para subida de archivos
+// Configuración de multer para subida de archivos. El formato del CV se comprueba después
+// por su contenido (ver utils/documents), no por el tipo MIME que declara el cliente.
 const storage = multer.memoryStorage();
 const upload = multer({
   storage,
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB por defecto
-  },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
-      cb(null, true);
-    } else {
-      cb(new Error('Solo se permiten archivos PDF'), false);
-    }
+    files: 10 // El CV y los archivos de las preguntas del formulario
   }
 });
 
+// Campo de los archivos de las preguntas de tipo archivo, ej. "answers[portfolio]"
+const ANSWER_FILE_FIELD = /^answers\[([a-z0-9_]+)\]$/;
+
+// multer entrega el nombre original decodificado como latin1
+const decodeOriginalName = name => Buffer.from(name || '', 'latin1').toString('utf8');
+
 // Esquemas de validación
-const createApplicationSchema = Joi.object({
-  jobRoleId: Joi.string().uuid().required().messages({
-    'string.uuid': 'ID de rol inválido',
-    'any.required': 'El ID del rol es requerido'
-  }),
-  candidateName: Joi.string().min(2).max(255).required().messages({
-    'string.min': 'El nombre debe tener al menos 2 caracteres',
-    'string.max': 'El nombre no puede exceder 255 caracteres',
-    'any.required': 'El nombre del candidato es requerido'
-  }),
-  candidateEmail: Joi.string().email().required().messages({
-    'string.email': 'Debe ser un email válido',
-    'any.required': 'El email del candidato es requerido'
+const interviewQuestionSchema = Joi.object({
+  question: Joi.string().min(5).max(2000).required().messages({
+    'any.required': 'Cada pregunta debe tener texto'
   }),
-  candidatePhone: Joi.string().max(50).optional()
+  goodAnswer: Joi.string().max(4000).allow('').default('')
+});
+
+const updateInterviewKitSchema = Joi.object({
+  technicalQuestions: Joi.array().items(interviewQuestionSchema).max(20).optional(),
+  behaviouralQuestions: Joi.array().items(interviewQuestionSchema).max(20).optional(),
+  weaknessProbes: Joi.array().items(interviewQuestionSchema.keys({
+    weakness: Joi.string().max(1000).allow('').default('')
+  })).max(20).optional(),
+  notes: Joi.string().max(10000).allow('', null).optional()
+}).min(1).messages({
+  'object.min': 'No hay campos para actualizar'
 });
 
 const updateApplicationSchema = Joi.object({
-  status: Joi.string().valid('pending', 'reviewing', 'interviewed', 'hired', 'rejected').optional(),
+  status: Joi.string().valid('pending', 'reviewing', 'interviewed', 'hired', 'rejected', 'withdrawn').optional(),
   candidateName: Joi.string().min(2).max(255).optional(),
   candidateEmail: Joi.string().email().optional(),
   candidatePhone: Joi.string().max(50).optional()
 });
 
 /**
- * Función para subir archivo a Supabase Storage
- * @param {Buffer} fileBuffer - Buffer del archivo
- * @param {string} fileName - Nombre del archivo
- * @param {string} contentType - Tipo de contenido
- * @returns {Promise<string>} - URL del archivo subido
+ * Obtiene una aplicación con su puesto y evaluación, verificando que el usuario puede verla.
+ * Si no existe o no hay permisos, envía la respuesta de error y devuelve null.
+ * @param {Object} req - Petición autenticada
+ * @param {Object} res - Respuesta
+ * @param {string} id - ID de la aplicación
+ * @returns {Promise<Object|null>} - Aplicación o null
  */
-async function uploadToSupabaseStorage(fileBuffer, fileName, contentType) {
-  try {
-    // Usar supabaseAdmin (service role) para bypass de RLS en operaciones del servidor
-    const { data, error } = await supabaseAdmin.storage
-      .from('cvs')
-      .upload(fileName, fileBuffer, {
-        contentType,
-        upsert: false
-      });
-
-    if (error) {
-      throw new Error(`Error subiendo archivo: ${error.message}`);
-    }
+async function getAuthorizedApplication(req, res, id) {
+  const result = await query(
+    `SELECT
+      a.id,
+      a.job_role_id,
+      a.cv_text,
+      a.candidate_name,
+      a.candidate_email,
+      a.candidate_phone,
+      jr.description,
+      jr.requirements,
+      jr.blind_evaluation,
+      jr.output_language,
+      jr.created_by as job_creator_id,
+      e.status as evaluation_status,
+      e.summary,
+      e.weaknesses
+    FROM public.applications a
+    JOIN public.job_roles jr ON a.job_role_id = jr.id
+    LEFT JOIN public.evaluations e ON a.id = e.application_id
+    WHERE a.id = $1`,
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    res.status(404).json({
+      error: {
+        message: 'Aplicación no encontrada',
+        status: 404
+      }
+    });
+    return null;
+  }
 
-    // Obtener URL pública del archivo
-    const { data: urlData } = supabaseAdmin.storage
-      .from('cvs')
-      .getPublicUrl(data.path);
+  const application = result.rows[0];
 
-    return urlData.publicUrl;
-  } catch (error) {
-    console.error('Error en uploadToSupabaseStorage:', error);
-    throw error;
+  if (req.user.profile?.role !== 'admin' && application.job_creator_id !== req.user.id) {
+    res.status(403).json({
+      error: {
+        message: 'No tienes permisos para ver esta aplicación',
+        status: 403
+      }
+    });
+    return null;
   }
-}
 
-/**
- * Función para extraer texto de PDF
- * @param {Buffer} pdfBuffer - Buffer del PDF
- * @returns {Promise<string>} - Texto extraído
- */
-async function extractTextFromPDF(pdfBuffer) {
-  try {
-    const data = await pdfParse(pdfBuffer);
-    return data.text;
-  } catch (error) {
-    console.error('Error extrayendo texto del PDF:', error);
-    throw new Error('No se pudo extraer texto del PDF');
-  }
+  return application;
 }
 
 /**
  * POST /api/applications
- * Crear una nueva aplicación con CV
+ * Crear una nueva aplicación con CV (campo "cv") y las respuestas al formulario del puesto
+ * (campo "answers" en JSON o "answers[clave]"; los archivos en "answers[clave]")
  */
-router.post('/', upload.single('cv'), async (req, res) => {
+router.post('/', upload.any(), async (req, res) => {
   try {
+    // Sin multipart/form-data multer no define req.files
+    const files = req.files || [];
+    const cvFile = files.find(f => f.fieldname === 'cv');
+
     // Validar que se subió un archivo
-    if (!req.file) {
+    if (!cvFile) {
       return res.status(400).json({
         error: {
           message: 'Archivo CV requerido',
@@ -114,152 +136,43 @@ router.post('/', upload.single('cv'), async (req, res) => {
       });
     }
 
-    // Validar datos del formulario
-    const { error: validationError, value } = createApplicationSchema.validate(req.body);
-    if (validationError) {
-      return res.status(400).json({
-        error: {
-          message: validationError.details[0].message,
-          status: 400
-        }
-      });
-    }
-
-    const { jobRoleId, candidateName, candidateEmail, candidatePhone } = value;
-
-    // Verificar que el rol existe y está activo
-    const roleCheck = await query(
-      'SELECT id, title, description FROM public.job_roles WHERE id = $1 AND status = $2',
-      [jobRoleId, 'active']
-    );
-
-    if (roleCheck.rows.length === 0) {
-      return res.status(404).json({
-        error: {
-          message: 'Rol no encontrado o no está activo',
-          status: 404
-        }
-      });
+    const answerFiles = {};
+    for (const answerFile of files.filter(f => f.fieldname !== 'cv')) {
+      const match = answerFile.fieldname.match(ANSWER_FILE_FIELD);
+      if (!match) {
+        return res.status(400).json({
+          error: {
+            message: `Campo de archivo no admitido: ${answerFile.fieldname}`,
+            status: 400
+          }
+        });
+      }
+      answerFiles[match[1]] = { buffer: answerFile.buffer, originalName: decodeOriginalName(answerFile.originalname) };
     }
 
-    const jobRole = roleCheck.rows[0];
-
-    // Verificar si ya existe una aplicación del mismo email para este rol
-    const existingApplication = await query(
-      'SELECT id FROM public.applications WHERE job_role_id = $1 AND candidate_email = $2',
-      [jobRoleId, candidateEmail]
-    );
+    const result = await createApplication(req.body, {
+      buffer: cvFile.buffer,
+      originalName: decodeOriginalName(cvFile.originalname)
+    }, { answerFiles });
 
-    if (existingApplication.rows.length > 0) {
-      return res.status(409).json({
+    if (result.status !== 201) {
+      return res.status(result.status).json({
         error: {
-          message: 'Ya existe una aplicación de este candidato para este rol',
-          status: 409
+          message: result.message,
+          status: result.status
         }
       });
     }
 
-    // Generar nombre único para el archivo
-    const fileExtension = '.pdf';
-    const uniqueFileName = `${uuidv4()}_${candidateName.replace(/[^a-zA-Z0-9]/g, '_')}${fileExtension}`;
-
-    let cvFilePath = '';
-    let cvText = '';
-    let applicationId = '';
-
-    await transaction(async (client) => {
-      try {
-        // Subir archivo a Supabase Storage
-        cvFilePath = await uploadToSupabaseStorage(
-          req.file.buffer,
-          uniqueFileName,
-          req.file.mimetype
-        );
-
-        // Extraer texto del PDF para guardarlo en la BD (para reevaluaciones)
-        cvText = await extractTextFromPDF(req.file.buffer);
-
-        // Crear aplicación en la base de datos
-        const applicationResult = await client.query(
-          `INSERT INTO public.applications (
-            job_role_id, candidate_name, candidate_email, candidate_phone, 
-            cv_file_path, cv_text
-          ) VALUES ($1, $2, $3, $4, $5, $6)
-          RETURNING *`,
-          [jobRoleId, candidateName, candidateEmail, candidatePhone, cvFilePath, cvText]
-        );
-
-        applicationId = applicationResult.rows[0].id;
-
-        // Evaluar CV con IA en segundo plano (no bloquear la respuesta)
-        setImmediate(async () => {
-          try {
-            console.log(`🤖 Iniciando evaluación de CV para aplicación ${applicationId} con Gemini`);
-            
-            const evaluation = await evaluateCVWithFile(req.file.buffer, jobRole.description);
-
-            // Usar la función query directamente para la inserción en segundo plano.
-            // Esta función maneja el pool de conexiones de forma segura.
-            const { query: queryAsync } = require('../utils/database');
-            await queryAsync(
-              `INSERT INTO public.evaluations (
-                application_id, score, strengths, weaknesses, summary, model_used
-              ) VALUES ($1, $2, $3, $4, $5, $6)`,
-              [
-                applicationId,
-                evaluation.score,
-                JSON.stringify(evaluation.strengths),
-                JSON.stringify(evaluation.weaknesses),
-                evaluation.summary,
-                MODEL_VISION,
-              ]
-            );
-            console.log(`✅ Evaluación completada para aplicación ${applicationId}`);
-          } catch (evalError) {
-            console.error(`❌ Error evaluando CV para aplicación ${applicationId}:`, evalError);
-          }
-        });
-
-        return applicationResult.rows[0];
-      } catch (error) {
-        // Si hay error, intentar limpiar el archivo subido
-        if (cvFilePath) {
-          try {
-            await supabaseAdmin.storage
-              .from('cvs')
-              .remove([uniqueFileName]);
-          } catch (cleanupError) {
-            console.error('Error limpiando archivo:', cleanupError);
-          }
-        }
-        throw error;
-      }
-    });
-
+    // Enlace para que el candidato siga su aplicación desde el portal
     res.status(201).json({
       message: 'Aplicación creada exitosamente. La evaluación se procesará en breve.',
-      application: {
-        id: applicationId,
-        jobRoleId,
-        candidateName,
-        candidateEmail,
-        candidatePhone,
-        status: 'pending',
-        cvFilePath
-      }
+      application: result.application,
+      portal: issuePortalAccess(result.application.id)
     });
   } catch (error) {
     console.error('Error creando aplicación:', error);
-    
-    if (error.message.includes('Solo se permiten archivos PDF')) {
-      return res.status(400).json({
-        error: {
-          message: 'Solo se permiten archivos PDF',
-          status: 400
-        }
-      });
-    }
-    
+
     res.status(500).json({
       error: {
         message: 'Error interno del servidor',
@@ -327,7 +240,8 @@ router.get('/', authenticateToken, async (req, res) => {
         e.score,
         e.strengths,
         e.weaknesses,
-        e.summary as evaluation_summary
+        e.summary as evaluation_summary,
+        e.status as evaluation_status
       FROM public.applications a
       JOIN public.job_roles jr ON a.job_role_id = jr.id
       LEFT JOIN public.evaluations e ON a.id = e.application_id
@@ -397,6 +311,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
         e.strengths,
         e.weaknesses,
         e.summary as evaluation_summary,
+        e.status as evaluation_status,
+        e.status_reason as evaluation_status_reason,
         e.evaluation_date
       FROM public.applications a
       JOIN public.job_roles jr ON a.job_role_id = jr.id
@@ -441,6 +357,303 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/applications/:id/evaluation-status
+ * Obtener el estado de la evaluación y del trabajo en cola asociado
+ */
+router.get('/:id/evaluation-status', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await query(
+      `SELECT
+        a.id,
+        jr.created_by as job_creator_id,
+        e.status as evaluation_status,
+        e.status_reason as evaluation_status_reason,
+        e.evaluation_date
+      FROM public.applications a
+      JOIN public.job_roles jr ON a.job_role_id = jr.id
+      LEFT JOIN public.evaluations e ON a.id = e.application_id
+      WHERE a.id = $1`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Aplicación no encontrada',
+          status: 404
+        }
+      });
+    }
+
+    const application = result.rows[0];
+
+    // Verificar permisos
+    if (req.user.profile?.role !== 'admin' && application.job_creator_id !== req.user.id) {
+      return res.status(403).json({
+        error: {
+          message: 'No tienes permisos para ver esta aplicación',
+          status: 403
+        }
+      });
+    }
+
+    const job = await getLatestEvaluationJob(id);
+
+    res.json({
+      applicationId: application.id,
+      evaluation: {
+        status: application.evaluation_status,
+        statusReason: application.evaluation_status_reason,
+        evaluationDate: application.evaluation_date
+      },
+      job: job ? {
+        id: job.id,
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.max_attempts,
+        nextRunAt: job.status === 'queued' ? job.run_at : null,
+        lastError: job.last_error,
+        createdAt: job.created_at,
+        completedAt: job.completed_at
+      } : null
+    });
+  } catch (error) {
+    console.error('Error obteniendo estado de evaluación:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * POST /api/applications/:id/portal-link
+ * Generar un nuevo enlace al portal del candidato (ej. para candidatos importados o si el
+ * enlace anterior ha caducado)
+ */
+router.post('/:id/portal-link', authenticateToken, async (req, res) => {
+  try {
+    const application = await getAuthorizedApplication(req, res, req.params.id);
+    if (!application) return;
+
+    const portal = issuePortalAccess(application.id);
+    if (!portal) {
+      return res.status(503).json({
+        error: {
+          message: 'El portal del candidato no está configurado',
+          status: 503
+        }
+      });
+    }
+
+    res.status(201).json({
+      message: 'Enlace al portal generado exitosamente',
+      portal
+    });
+  } catch (error) {
+    console.error('Error generando enlace al portal:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/applications/:id/interview-kit
+ * Obtener la guía de entrevista de una aplicación
+ */
+router.get('/:id/interview-kit', authenticateToken, async (req, res) => {
+  try {
+    const application = await getAuthorizedApplication(req, res, req.params.id);
+    if (!application) return;
+
+    const kit = await getInterviewKit(application.id);
+    if (!kit) {
+      return res.status(404).json({
+        error: {
+          message: 'Esta aplicación aún no tiene guía de entrevista',
+          status: 404
+        }
+      });
+    }
+
+    res.json({ kit });
+  } catch (error) {
+    console.error('Error obteniendo guía de entrevista:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * POST /api/applications/:id/interview-kit
+ * Generar (o regenerar) con IA la guía de entrevista de una aplicación
+ */
+router.post('/:id/interview-kit', authenticateToken, async (req, res) => {
+  try {
+    const application = await getAuthorizedApplication(req, res, req.params.id);
+    if (!application) return;
+
+    if (!['completed', 'needs_manual_review'].includes(application.evaluation_status)) {
+      return res.status(409).json({
+        error: {
+          message: 'La aplicación necesita una evaluación completada para generar la guía de entrevista',
+          status: 409
+        }
+      });
+    }
+
+    let kit;
+    try {
+      // Idioma pedido en Accept-Language o, si no se indica, el del puesto
+      kit = await generateApplicationInterviewKit(application, req.user.id, req.requestedLanguage || application.output_language);
+    } catch (aiError) {
+      return res.status(502).json({
+        error: {
+          message: 'No se pudo generar la guía de entrevista debido a un error del modelo de IA',
+          status: 502
+        }
+      });
+    }
+
+    res.status(201).json({
+      message: 'Guía de entrevista generada exitosamente',
+      kit
+    });
+  } catch (error) {
+    console.error('Error generando guía de entrevista:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * PUT /api/applications/:id/interview-kit
+ * Editar la guía de entrevista (los arrays enviados reemplazan a los existentes)
+ */
+router.put('/:id/interview-kit', authenticateToken, async (req, res) => {
+  try {
+    const { error: validationError, value } = updateInterviewKitSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          message: validationError.details[0].message,
+          status: 400
+        }
+      });
+    }
+
+    const application = await getAuthorizedApplication(req, res, req.params.id);
+    if (!application) return;
+
+    const kit = await updateInterviewKit(application.id, value, req.user.id);
+    if (!kit) {
+      return res.status(404).json({
+        error: {
+          message: 'Esta aplicación aún no tiene guía de entrevista',
+          status: 404
+        }
+      });
+    }
+
+    res.json({
+      message: 'Guía de entrevista actualizada exitosamente',
+      kit
+    });
+  } catch (error) {
+    console.error('Error actualizando guía de entrevista:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/applications/:id/requirements
+ * Obtener la matriz de requisitos de una aplicación (cumplido, parcial o ausente, con evidencia)
+ */
+router.get('/:id/requirements', authenticateToken, async (req, res) => {
+  try {
+    const application = await getAuthorizedApplication(req, res, req.params.id);
+    if (!application) return;
+
+    const matrix = await getRequirementMatrix(application.id, application.requirements);
+    res.json({ matrix });
+  } catch (error) {
+    console.error('Error obteniendo matriz de requisitos:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * POST /api/applications/:id/requirements
+ * Valorar (o volver a valorar) con IA los requisitos del puesto contra el CV de la aplicación
+ */
+router.post('/:id/requirements', authenticateToken, async (req, res) => {
+  try {
+    const application = await getAuthorizedApplication(req, res, req.params.id);
+    if (!application) return;
+
+    let matrix;
+    try {
+      matrix = await assessApplicationRequirements(application.id, req.user.id);
+    } catch (aiError) {
+      return res.status(502).json({
+        error: {
+          message: 'No se pudo valorar los requisitos debido a un error del modelo de IA',
+          status: 502
+        }
+      });
+    }
+
+    if (!matrix) {
+      return res.status(409).json({
+        error: {
+          message: 'El puesto no tiene requisitos o el CV no tiene texto legible',
+          status: 409
+        }
+      });
+    }
+
+    res.status(201).json({
+      message: 'Matriz de requisitos generada exitosamente',
+      matrix
+    });
+  } catch (error) {
+    console.error('Error valorando requisitos:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
 /**
  * PUT /api/applications/:id
  * Actualizar una aplicación
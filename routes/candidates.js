@@ -2,12 +2,21 @@ const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
 const { query, transaction } = require('../utils/database');
 const { supabaseAdmin } = require('../config/supabase');
-const { compareCandidatesWithGemini } = require('../config/gemini');
+const { compareCandidatesWithGemini } = require('../config/ai');
+const { getActivePromptTemplate } = require('../services/promptTemplates');
+const { buildProfileFilters, enqueueProfileExtraction } = require('../services/candidateProfiles');
+const {
+  getComparisonCandidates,
+  buildPromptCandidates,
+  resolveComparisonResult,
+  saveComparison
+} = require('../services/comparisons');
 const router = express.Router();
 
 /**
  * GET /api/candidates
  * Obtener todos los candidatos de la empresa
+ * Filtros de perfil: skills (separadas por comas), minYears, language
  * Respuesta: candidates[] con id, name, email, roleTitle, score, appliedAt, status
  */
 router.get('/', authenticateToken, async (req, res) => {
@@ -18,6 +27,9 @@ router.get('/', authenticateToken, async (req, res) => {
       limit = 10,
       status,
       search,
+      skills,
+      minYears,
+      language,
       sortBy = 'applied_at',
       sortOrder = 'DESC'
     } = req.query;
@@ -43,6 +55,12 @@ router.get('/', authenticateToken, async (req, res) => {
       paramCount += 2;
     }
 
+    // Filtros por el perfil extraído del CV
+    const profileFilters = buildProfileFilters({ skills, minYears, language }, paramCount);
+    whereConditions.push(...profileFilters.conditions);
+    queryParams.push(...profileFilters.params);
+    paramCount = profileFilters.paramCount;
+
     const whereClause = whereConditions.join(' AND ');
 
     // Validar campos de ordenamiento
@@ -52,6 +70,12 @@ router.get('/', authenticateToken, async (req, res) => {
     const finalSortBy = validSortFields.includes(sortBy) ? sortBy : 'applied_at';
     const finalSortOrder = validSortOrders.includes(sortOrder.toUpperCase()) ? sortOrder.toUpperCase() : 'DESC';
 
+    // Solo las evaluaciones completadas tienen puntuación; el resto (pendientes, fallidas o en
+    // revisión manual) va al final al ordenar por puntuación
+    const orderClause = finalSortBy === 'score'
+      ? `CASE WHEN e.status = 'completed' THEN e.score END ${finalSortOrder} NULLS LAST`
+      : `${finalSortBy} ${finalSortOrder}`;
+
     // Consulta principal para obtener candidatos
     const candidatesQuery = `
       SELECT 
@@ -59,15 +83,19 @@ router.get('/', authenticateToken, async (req, res) => {
         a.candidate_name as name,
         a.candidate_email as email,
         jr.title as role_title,
-        COALESCE(e.score, 0) as score,
+        CASE WHEN e.status = 'completed' THEN e.score END as score,
+        e.status as evaluation_status,
+        p.total_years_experience,
+        p.skills,
         a.applied_at,
         a.status,
         jr.id as role_id
       FROM applications a
       JOIN job_roles jr ON a.job_role_id = jr.id
       LEFT JOIN evaluations e ON e.application_id = a.id
+      LEFT JOIN candidate_profiles p ON p.application_id = a.id
       WHERE ${whereClause}
-      ORDER BY ${finalSortBy === 'score' ? 'COALESCE(e.score, 0)' : finalSortBy} ${finalSortOrder}
+      ORDER BY ${orderClause}
       LIMIT $${paramCount} OFFSET $${paramCount + 1}
     `;
 
@@ -80,6 +108,7 @@ router.get('/', authenticateToken, async (req, res) => {
       SELECT COUNT(DISTINCT a.id) as total
       FROM applications a
       JOIN job_roles jr ON a.job_role_id = jr.id
+      LEFT JOIN candidate_profiles p ON p.application_id = a.id
       WHERE ${whereClause}
     `;
 
@@ -93,7 +122,10 @@ router.get('/', authenticateToken, async (req, res) => {
       name: row.name,
       email: row.email,
       roleTitle: row.role_title,
-      score: parseInt(row.score) || 0,
+      score: row.score !== null ? parseInt(row.score) : null,
+      evaluationStatus: row.evaluation_status,
+      totalYearsExperience: row.total_years_experience !== null ? parseFloat(row.total_years_experience) : null,
+      skills: row.skills || [],
       appliedAt: row.applied_at,
       status: row.status,
       roleId: row.role_id
@@ -140,6 +172,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
         a.candidate_phone as phone,
         a.cv_file_path,
         a.cv_text,
+        a.cv_language,
         a.status,
         a.applied_at,
         jr.id as role_id,
@@ -147,14 +180,26 @@ router.get('/:id', authenticateToken, async (req, res) => {
         jr.description as role_description,
         jr.requirements as role_requirements,
         e.score,
+        e.criteria_scores,
         e.strengths,
         e.weaknesses,
         e.summary as evaluation_summary,
         e.model_used,
-        e.evaluation_date
+        e.status as evaluation_status,
+        e.status_reason as evaluation_status_reason,
+        e.evaluation_date,
+        e.output_language,
+        p.work_history,
+        p.total_years_experience,
+        p.skills,
+        p.education,
+        p.certifications,
+        p.languages,
+        p.updated_at as profile_updated_at
       FROM applications a
       JOIN job_roles jr ON a.job_role_id = jr.id
       LEFT JOIN evaluations e ON e.application_id = a.id
+      LEFT JOIN candidate_profiles p ON p.application_id = a.id
       WHERE a.id = $1 AND jr.created_by = $2
     `;
 
@@ -176,13 +221,27 @@ router.get('/:id', authenticateToken, async (req, res) => {
       email: candidate.email,
       phone: candidate.phone,
       cvFilePath: candidate.cv_file_path,
+      cvLanguage: candidate.cv_language,
       status: candidate.status,
+      evaluationStatus: candidate.evaluation_status,
+      evaluationStatusReason: candidate.evaluation_status_reason,
       evaluation: candidate.score ? {
         score: candidate.score,
+        criteriaScores: candidate.criteria_scores || [],
         strengths: candidate.strengths,
         weaknesses: candidate.weaknesses,
         summary: candidate.evaluation_summary,
+        language: candidate.output_language,
         evaluationDate: candidate.evaluation_date
+      } : null,
+      profile: candidate.profile_updated_at ? {
+        workHistory: candidate.work_history,
+        totalYearsExperience: candidate.total_years_experience !== null ? parseFloat(candidate.total_years_experience) : null,
+        skills: candidate.skills,
+        education: candidate.education,
+        certifications: candidate.certifications,
+        languages: candidate.languages,
+        updatedAt: candidate.profile_updated_at
       } : null
     };
 
@@ -201,9 +260,47 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 
+/**
+ * POST /api/candidates/:id/profile
+ * Volver a extraer en segundo plano el perfil estructurado del CV
+ */
+router.post('/:id/profile', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT a.id
+       FROM applications a
+       JOIN job_roles jr ON a.job_role_id = jr.id
+       WHERE a.id = $1 AND jr.created_by = $2`,
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Candidato no encontrado o no tienes permisos para verlo'
+      });
+    }
+
+    const job = await enqueueProfileExtraction(null, req.params.id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Extracción del perfil encolada',
+      data: { jobId: job.id }
+    });
+  } catch (error) {
+    console.error('Error al encolar la extracción del perfil:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor al extraer el perfil'
+    });
+  }
+});
+
 /**
  * POST /api/candidates/compare
- * Compara dos o más candidatos para un puesto y devuelve la recomendación de la IA.
+ * Compara dos o más candidatos para un puesto y devuelve la recomendación de la IA,
+ * que queda guardada en el historial de comparaciones del puesto (comparisonId).
  */
 router.post('/compare', authenticateToken, async (req, res) => {
   const { candidateIds, roleId } = req.body;
@@ -220,7 +317,7 @@ router.post('/compare', authenticateToken, async (req, res) => {
   try {
     // 2. Obtener la información del puesto y verificar permisos
     const roleQuery = await query(
-      'SELECT title, description, requirements FROM job_roles WHERE id = $1 AND created_by = $2',
+      'SELECT title, description, requirements, blind_evaluation, output_language FROM job_roles WHERE id = $1 AND created_by = $2',
       [roleId, userId]
     );
 
@@ -233,30 +330,7 @@ router.post('/compare', authenticateToken, async (req, res) => {
     const role = roleQuery.rows[0];
 
     // 3. Obtener la información y evaluación de cada candidato
-    const candidatesQuery = `
-      SELECT
-        a.id,
-        a.candidate_name as name,
-        e.score,
-        e.strengths,
-        e.weaknesses,
-        e.summary
-      FROM applications a
-      LEFT JOIN evaluations e ON a.id = e.application_id
-      WHERE a.id = ANY($1::uuid[]) AND a.job_role_id = $2
-    `;
-    const candidatesResult = await query(candidatesQuery, [candidateIds, roleId]);
-
-    const candidates = candidatesResult.rows.map(c => ({
-      id: c.id,
-      name: c.name,
-      evaluation: {
-        score: c.score,
-        strengths: c.strengths || [],
-        weaknesses: c.weaknesses || [],
-        summary: c.summary || 'Sin evaluación previa.',
-      },
-    }));
+    const candidates = await getComparisonCandidates(roleId, candidateIds);
 
     // Verificar que todos los candidatos fueron encontrados y tienen evaluación
     if (candidates.length !== candidateIds.length) {
@@ -274,8 +348,17 @@ router.post('/compare', authenticateToken, async (req, res) => {
     }
 
 
-    // 4. Llamar a Gemini para la comparación
-    const comparisonResult = await compareCandidatesWithGemini(role, candidates);
+    // 4. Llamar a la IA para la comparación. En evaluación a ciegas la IA solo ve
+    // etiquetas anónimas; la respuesta se traduce después a IDs de aplicación y nombres reales.
+    const promptCandidates = buildPromptCandidates(candidates, role.blind_evaluation);
+
+    const promptTemplate = await getActivePromptTemplate('comparison');
+    // Idioma pedido en Accept-Language o, si no se indica, el del puesto
+    const comparisonResult = await compareCandidatesWithGemini(role, promptCandidates, {
+      promptTemplate,
+      language: req.requestedLanguage || role.output_language,
+      usageContext: { jobRoleId: roleId, userId }
+    });
 
     if (comparisonResult.error) {
       return res.status(500).json({
@@ -284,10 +367,13 @@ router.post('/compare', authenticateToken, async (req, res) => {
       });
     }
 
-    // 5. Devolver el resultado
+    // 5. Guardar la comparación con sus entradas y devolver el resultado
+    const resolved = resolveComparisonResult(comparisonResult, candidates, promptCandidates);
+    const comparison = await saveComparison(roleId, candidates, resolved, userId);
+
     res.json({
       success: true,
-      data: comparisonResult,
+      data: { ...resolved, comparisonId: comparison.id },
     });
 
   } catch (error) {
@@ -28,13 +28,13 @@ router.get('/stats', authenticateToken, async (req, res) => {
     `, [userId]);
     const totalCandidates = parseInt(totalCandidatesResult.rows[0].count);
 
-    // Obtener promedio de puntuación de evaluaciones
+    // Obtener promedio de puntuación de evaluaciones (solo las completadas)
     const averageScoreResult = await query(`
       SELECT AVG(e.score) as avg_score 
       FROM evaluations e 
       JOIN applications a ON e.application_id = a.id 
       JOIN job_roles jr ON a.job_role_id = jr.id 
-      WHERE jr.created_by = $1 AND e.score IS NOT NULL
+      WHERE jr.created_by = $1 AND e.status = 'completed'
     `, [userId]);
     const averageScore = averageScoreResult.rows[0].avg_score 
       ? Math.round(parseFloat(averageScoreResult.rows[0].avg_score)) 
@@ -133,6 +133,61 @@ router.get('/activity', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/dashboard/needs-attention
+ * Obtener las evaluaciones que requieren atención (fallidas o pendientes de revisión manual)
+ * Respuesta: items[] con evaluationId, applicationId, candidateName, roleTitle, status, reason, updatedAt
+ */
+router.get('/needs-attention', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const limit = Math.min(100, parseInt(req.query.limit) || 20);
+
+    const attentionResult = await query(`
+      SELECT 
+        e.id as evaluation_id,
+        a.id as application_id,
+        a.candidate_name,
+        jr.id as role_id,
+        jr.title as role_title,
+        e.status,
+        e.status_reason,
+        e.updated_at
+      FROM evaluations e
+      JOIN applications a ON e.application_id = a.id
+      JOIN job_roles jr ON a.job_role_id = jr.id
+      WHERE jr.created_by = $1 AND e.status IN ('failed', 'needs_manual_review')
+      ORDER BY e.updated_at DESC
+      LIMIT $2
+    `, [userId, limit]);
+
+    const items = attentionResult.rows.map(row => ({
+      evaluationId: row.evaluation_id,
+      applicationId: row.application_id,
+      candidateName: row.candidate_name,
+      roleId: row.role_id,
+      roleTitle: row.role_title,
+      status: row.status,
+      reason: row.status_reason,
+      updatedAt: row.updated_at
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        items
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener evaluaciones que requieren atención:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor al obtener evaluaciones que requieren atención'
+    });
+  }
+});
+
 /**
  * GET /api/dashboard/analytics
  * Obtener datos de analytics completos
@@ -162,7 +217,7 @@ router.get('/analytics', authenticateToken, async (req, res) => {
       FROM evaluations e 
       JOIN applications a ON e.application_id = a.id 
       JOIN job_roles jr ON a.job_role_id = jr.id 
-      WHERE jr.created_by = $1 AND e.score IS NOT NULL
+      WHERE jr.created_by = $1 AND e.status = 'completed'
     `, [userId]);
     const averageScore = averageScoreResult.rows[0].avg_score 
       ? Math.round(parseFloat(averageScoreResult.rows[0].avg_score)) 
@@ -180,7 +235,7 @@ router.get('/analytics', authenticateToken, async (req, res) => {
       FROM applications a
       JOIN job_roles jr ON a.job_role_id = jr.id
       JOIN evaluations e ON e.application_id = a.id
-      WHERE jr.created_by = $1 AND e.score IS NOT NULL
+      WHERE jr.created_by = $1 AND e.status = 'completed'
       ORDER BY e.score DESC
       LIMIT 5
     `, [userId]);
@@ -200,7 +255,7 @@ router.get('/analytics', authenticateToken, async (req, res) => {
       FROM evaluations e
       JOIN applications a ON e.application_id = a.id
       JOIN job_roles jr ON a.job_role_id = jr.id
-      WHERE jr.created_by = $1 AND e.score IS NOT NULL
+      WHERE jr.created_by = $1 AND e.status = 'completed'
       GROUP BY score_range
       ORDER BY score_range DESC
     `, [userId]);
@@ -216,7 +271,7 @@ router.get('/analytics', authenticateToken, async (req, res) => {
         jr.status
       FROM job_roles jr
       LEFT JOIN applications a ON a.job_role_id = jr.id
-      LEFT JOIN evaluations e ON e.application_id = a.id
+      LEFT JOIN evaluations e ON e.application_id = a.id AND e.status = 'completed'
       WHERE jr.created_by = $1
       GROUP BY jr.id, jr.title, jr.status
       ORDER BY applications_count DESC
@@ -1,7 +1,16 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
 const { query } = require('../utils/database');
-const { evaluateCVWithText, MODEL_TEXT } = require('../config/gemini');
+const { runApplicationEvaluation } = require('../services/evaluations');
+const { enqueueEvaluation } = require('../services/evaluationJobs');
+const { getApplicationBudgetStatus } = require('../services/aiUsage');
+const {
+  listEvaluationVersions,
+  getEvaluationVersion,
+  diffEvaluationVersions
+} = require('../services/evaluationHistory');
+const { getRequirementMatrix } = require('../services/requirementMatrix');
+const { getUnverifiedClaims } = require('../utils/evidence');
 const Joi = require('joi');
 const router = express.Router();
 
@@ -10,9 +19,59 @@ const reevaluateSchema = Joi.object({
   applicationId: Joi.string().uuid().required().messages({
     'string.uuid': 'ID de aplicación inválido',
     'any.required': 'El ID de la aplicación es requerido'
+  }),
+  // Ignorar la caché y volver a llamar a la IA
+  force: Joi.boolean().default(false)
+});
+
+const versionDiffSchema = Joi.object({
+  from: Joi.number().integer().min(1).required().messages({
+    'any.required': 'La versión de origen (from) es requerida'
+  }),
+  to: Joi.number().integer().min(1).required().messages({
+    'any.required': 'La versión de destino (to) es requerida'
   })
 });
 
+/**
+ * Verifica que la aplicación existe y que el usuario puede ver sus evaluaciones.
+ * @param {object} req - Petición autenticada.
+ * @param {object} res - Respuesta (se envía el error si no hay acceso).
+ * @param {string} applicationId - ID de la aplicación.
+ * @returns {Promise<boolean>} - true si el usuario tiene acceso.
+ */
+async function checkApplicationAccess(req, res, applicationId) {
+  const result = await query(
+    `SELECT jr.created_by as job_creator_id
+     FROM public.applications a
+     JOIN public.job_roles jr ON a.job_role_id = jr.id
+     WHERE a.id = $1`,
+    [applicationId]
+  );
+
+  if (result.rows.length === 0) {
+    res.status(404).json({
+      error: {
+        message: 'Aplicación no encontrada',
+        status: 404
+      }
+    });
+    return false;
+  }
+
+  if (req.user.profile?.role !== 'admin' && result.rows[0].job_creator_id !== req.user.id) {
+    res.status(403).json({
+      error: {
+        message: 'No tienes permisos para ver esta evaluación',
+        status: 403
+      }
+    });
+    return false;
+  }
+
+  return true;
+}
+
 /**
  * GET /api/evaluations
  * Obtener evaluaciones (solo para usuarios autenticados)
@@ -25,6 +84,9 @@ router.get('/', authenticateToken, async (req, res) => {
       jobRoleId,
       minScore,
       maxScore,
+      status,
+      stale,
+      confidence,
       sortBy = 'evaluation_date',
       sortOrder = 'desc'
     } = req.query;
@@ -39,22 +101,41 @@ router.get('/', authenticateToken, async (req, res) => {
 
     // Solo mostrar evaluaciones de roles creados por el usuario (a menos que sea admin)
     if (req.user.profile?.role !== 'admin') {
-      whereConditions.push(`jr.created_by = ${paramCount}`);
+      whereConditions.push(`jr.created_by = $${paramCount}`);
       queryParams.push(req.user.id);
       paramCount++;
     }
 
     // Filtros adicionales
     if (jobRoleId) {
-      whereConditions.push(`a.job_role_id = ${paramCount}`);
+      whereConditions.push(`a.job_role_id = $${paramCount}`);
       queryParams.push(jobRoleId);
       paramCount++;
     }
 
+    if (status) {
+      whereConditions.push(`e.status = $${paramCount}`);
+      queryParams.push(status);
+      paramCount++;
+    }
+
+    if (stale === 'true' || stale === 'false') {
+      whereConditions.push(`e.is_stale = $${paramCount}`);
+      queryParams.push(stale === 'true');
+      paramCount++;
+    }
+
+    // Confianza de las evaluaciones por consenso (las de una sola muestra no tienen confianza)
+    if (confidence === 'low' || confidence === 'high') {
+      whereConditions.push(`e.confidence = $${paramCount}`);
+      queryParams.push(confidence);
+      paramCount++;
+    }
+
     if (minScore !== undefined) {
       const score = parseFloat(minScore);
       if (!isNaN(score)) {
-        whereConditions.push(`e.score >= ${paramCount}`);
+        whereConditions.push(`e.score >= $${paramCount}`);
         queryParams.push(score);
         paramCount++;
       }
@@ -63,7 +144,7 @@ router.get('/', authenticateToken, async (req, res) => {
     if (maxScore !== undefined) {
       const score = parseFloat(maxScore);
       if (!isNaN(score)) {
-        whereConditions.push(`e.score <= ${paramCount}`);
+        whereConditions.push(`e.score <= $${paramCount}`);
         queryParams.push(score);
         paramCount++;
       }
@@ -95,7 +176,7 @@ router.get('/', authenticateToken, async (req, res) => {
       ORDER BY ${sortField === 'candidate_name' ? 'a.candidate_name' : 
                 sortField === 'job_title' ? 'jr.title' : 
                 'e.' + sortField} ${sortDirection}
-      LIMIT ${paramCount} OFFSET ${paramCount + 1}
+      LIMIT $${paramCount} OFFSET $${paramCount + 1}
     `;
 
     queryParams.push(limitNum, offset);
@@ -160,6 +241,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
         jr.title as job_title,
         jr.description as job_description,
         jr.requirements as job_requirements,
+        jr.rubric as job_rubric,
         jr.department,
         jr.created_by as job_creator_id
       FROM public.evaluations e
@@ -192,7 +274,10 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 
     res.json({
-      evaluation
+      evaluation: {
+        ...evaluation,
+        unverified_claims: getUnverifiedClaims(evaluation)
+      }
     });
   } catch (error) {
     console.error('Error obteniendo evaluación:', error);
@@ -207,7 +292,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
 /**
  * GET /api/evaluations/application/:applicationId
- * Obtener evaluación por ID de aplicación
+ * Obtener evaluación por ID de aplicación (con su matriz de requisitos)
  */
 router.get('/application/:applicationId', authenticateToken, async (req, res) => {
   try {
@@ -225,6 +310,7 @@ router.get('/application/:applicationId', authenticateToken, async (req, res) =>
         jr.title as job_title,
         jr.description as job_description,
         jr.requirements as job_requirements,
+        jr.rubric as job_rubric,
         jr.department,
         jr.created_by as job_creator_id
       FROM public.evaluations e
@@ -257,7 +343,11 @@ router.get('/application/:applicationId', authenticateToken, async (req, res) =>
     }
 
     res.json({
-      evaluation
+      evaluation: {
+        ...evaluation,
+        unverified_claims: getUnverifiedClaims(evaluation),
+        requirement_matrix: await getRequirementMatrix(applicationId, evaluation.job_requirements)
+      }
     });
   } catch (error) {
     console.error('Error obteniendo evaluación por aplicación:', error);
@@ -270,6 +360,85 @@ router.get('/application/:applicationId', authenticateToken, async (req, res) =>
   }
 });
 
+/**
+ * GET /api/evaluations/application/:applicationId/versions
+ * Obtener el historial de evaluaciones de una aplicación
+ */
+router.get('/application/:applicationId/versions', authenticateToken, async (req, res) => {
+  try {
+    const { applicationId } = req.params;
+
+    if (!(await checkApplicationAccess(req, res, applicationId))) return;
+
+    const versions = await listEvaluationVersions(applicationId);
+
+    res.json({
+      versions: versions.map((version, index) => ({
+        ...version,
+        score_delta: index > 0 && version.score !== null && versions[index - 1].score !== null
+          ? version.score - versions[index - 1].score
+          : null
+      }))
+    });
+  } catch (error) {
+    console.error('Error obteniendo historial de evaluaciones:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/evaluations/application/:applicationId/versions/diff?from=1&to=2
+ * Comparar dos versiones de la evaluación de una aplicación
+ */
+router.get('/application/:applicationId/versions/diff', authenticateToken, async (req, res) => {
+  try {
+    const { applicationId } = req.params;
+
+    const { error: validationError, value } = versionDiffSchema.validate(req.query);
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          message: validationError.details[0].message,
+          status: 400
+        }
+      });
+    }
+
+    if (!(await checkApplicationAccess(req, res, applicationId))) return;
+
+    const [from, to] = await Promise.all([
+      getEvaluationVersion(applicationId, value.from),
+      getEvaluationVersion(applicationId, value.to)
+    ]);
+
+    if (!from || !to) {
+      return res.status(404).json({
+        error: {
+          message: `Versión de evaluación ${!from ? value.from : value.to} no encontrada`,
+          status: 404
+        }
+      });
+    }
+
+    res.json({
+      diff: diffEvaluationVersions(from, to)
+    });
+  } catch (error) {
+    console.error('Error comparando versiones de evaluación:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
 /**
  * POST /api/evaluations/reevaluate
  * Re-evaluar un CV
@@ -287,14 +456,13 @@ router.post('/reevaluate', authenticateToken, async (req, res) => {
       });
     }
 
-    const { applicationId } = value;
+    const { applicationId, force } = value;
 
     // Verificar que la aplicación existe y el usuario tiene permisos
     const applicationCheck = await query(
       `SELECT 
         a.id,
         a.cv_text,
-        jr.description as job_description,
         jr.created_by as job_creator_id
        FROM public.applications a
        JOIN public.job_roles jr ON a.job_role_id = jr.id
@@ -333,69 +501,42 @@ router.post('/reevaluate', authenticateToken, async (req, res) => {
       });
     }
 
-    try {
-      // Realizar nueva evaluación
-      console.log(`🔄 Re-evaluando CV para aplicación ${applicationId} con Gemini`);
-      
-      const evaluation = await evaluateCVWithText(application.cv_text, application.job_description);
-      
-      // Verificar si ya existe una evaluación
-      const existingEvaluation = await query(
-        'SELECT id FROM public.evaluations WHERE application_id = $1',
-        [applicationId]
-      );
-
-      let result;
-      if (existingEvaluation.rows.length > 0) {
-        // Actualizar evaluación existente
-        result = await query(
-          `UPDATE public.evaluations 
-           SET score = $1, strengths = $2, weaknesses = $3, summary = $4, 
-               model_used = $5, evaluation_date = NOW()
-           WHERE application_id = $6
-           RETURNING *`,
-          [
-            evaluation.score,
-            JSON.stringify(evaluation.strengths),
-            JSON.stringify(evaluation.weaknesses),
-            evaluation.summary,
-            MODEL_TEXT,
-            applicationId
-          ]
-        );
-      } else {
-        // Crear nueva evaluación
-        result = await query(
-          `INSERT INTO public.evaluations (
-            application_id, score, strengths, weaknesses, summary, model_used
-          ) VALUES ($1, $2, $3, $4, $5, $6)
-          RETURNING *`,
-          [
-            applicationId,
-            evaluation.score,
-            JSON.stringify(evaluation.strengths),
-            JSON.stringify(evaluation.weaknesses),
-            evaluation.summary,
-            MODEL_TEXT,
-          ]
-        );
-      }
-      
-      console.log(`✅ Re-evaluación completada para aplicación ${applicationId}`);
-      
-      res.json({
-        message: 'CV re-evaluado exitosamente',
-        evaluation: result.rows[0]
+    // Con el presupuesto mensual agotado la evaluación no se ejecuta: queda en la cola
+    const budget = await getApplicationBudgetStatus(applicationId);
+    if (budget && budget.exhausted) {
+      const job = await enqueueEvaluation(null, applicationId, { bypassCache: force });
+      return res.status(202).json({
+        message: 'Presupuesto mensual de IA agotado. La re-evaluación queda en cola hasta que haya presupuesto',
+        jobId: job.id,
+        budget
       });
-    } catch (evalError) {
-      console.error(`❌ Error re-evaluando CV para aplicación ${applicationId}:`, evalError);
-      res.status(500).json({
+    }
+
+    // Realizar nueva evaluación (si la IA falla se conserva la última evaluación con puntuación;
+    // sin ella, la evaluación queda en estado 'failed')
+    console.log(`🔄 Re-evaluando CV para aplicación ${applicationId}`);
+    const evaluation = await runApplicationEvaluation(applicationId, { bypassCache: force });
+
+    if (evaluation.status === 'failed' || evaluation.reevaluation_error) {
+      console.error(`❌ Error re-evaluando CV para aplicación ${applicationId}: ${evaluation.reevaluation_error || evaluation.status_reason}`);
+      return res.status(502).json({
         error: {
           message: 'Error procesando la evaluación del CV',
-          status: 500
-        }
+          status: 502
+        },
+        evaluation
       });
     }
+
+    console.log(`✅ Re-evaluación completada para aplicación ${applicationId}`);
+
+    res.json({
+      message: evaluation.status === 'needs_manual_review'
+        ? 'CV re-evaluado. La evaluación requiere revisión manual'
+        : 'CV re-evaluado exitosamente',
+      cached: evaluation.from_cache,
+      evaluation
+    });
   } catch (error) {
     console.error('Error en re-evaluación:', error);
     res.status(500).json({
@@ -415,24 +556,25 @@ router.get('/stats', authenticateToken, async (req, res) => {
   try {
     const { jobRoleId } = req.query;
 
-    let whereConditions = [];
+    // Las evaluaciones fallidas, pendientes o en revisión manual no cuentan en las estadísticas
+    let whereConditions = [`e.status = 'completed'`];
     let queryParams = [];
     let paramCount = 1;
 
     // Solo mostrar estadísticas de roles creados por el usuario (a menos que sea admin)
     if (req.user.profile?.role !== 'admin') {
-      whereConditions.push(`jr.created_by = ${paramCount}`);
+      whereConditions.push(`jr.created_by = $${paramCount}`);
       queryParams.push(req.user.id);
       paramCount++;
     }
 
     if (jobRoleId) {
-      whereConditions.push(`a.job_role_id = ${paramCount}`);
+      whereConditions.push(`a.job_role_id = $${paramCount}`);
       queryParams.push(jobRoleId);
       paramCount++;
     }
 
-    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+    const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
 
     const statsQuery = `
       SELECT 
@@ -479,6 +621,76 @@ router.get('/stats', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/evaluations/:id/confirm
+ * Confirmar tras revisión manual una evaluación en estado 'needs_manual_review'
+ */
+router.post('/:id/confirm', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const evaluationCheck = await query(
+      `SELECT e.id, e.status, jr.created_by as job_creator_id
+       FROM public.evaluations e
+       JOIN public.applications a ON e.application_id = a.id
+       JOIN public.job_roles jr ON a.job_role_id = jr.id
+       WHERE e.id = $1`,
+      [id]
+    );
+
+    if (evaluationCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Evaluación no encontrada',
+          status: 404
+        }
+      });
+    }
+
+    const evaluation = evaluationCheck.rows[0];
+
+    // Verificar permisos
+    if (req.user.profile?.role !== 'admin' && evaluation.job_creator_id !== req.user.id) {
+      return res.status(403).json({
+        error: {
+          message: 'No tienes permisos para modificar esta evaluación',
+          status: 403
+        }
+      });
+    }
+
+    if (evaluation.status !== 'needs_manual_review') {
+      return res.status(409).json({
+        error: {
+          message: 'Solo se pueden confirmar evaluaciones pendientes de revisión manual',
+          status: 409
+        }
+      });
+    }
+
+    const result = await query(
+      `UPDATE public.evaluations
+       SET status = 'completed', status_reason = NULL
+       WHERE id = $1
+       RETURNING *`,
+      [id]
+    );
+
+    res.json({
+      message: 'Evaluación confirmada exitosamente',
+      evaluation: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error confirmando evaluación:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
 /**
  * DELETE /api/evaluations/:id
  * Eliminar una evaluación
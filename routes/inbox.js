@@ -0,0 +1,266 @@
+const express = require('express');
+const multer = require('multer');
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { query } = require('../utils/database');
+const {
+  ingestMailbox,
+  listInboundEmails,
+  getInboundEmail,
+  assignInboundEmail,
+  discardInboundEmail
+} = require('../services/emailIntake');
+const router = express.Router();
+
+// Subida de mensajes: un .eml o un buzón mbox (con el mismo límite que la importación de CVs)
+const mailboxUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_IMPORT_SIZE) || 50 * 1024 * 1024 // 50MB por defecto
+  }
+});
+
+// Esquemas de validación
+const listMessagesSchema = Joi.object({
+  status: Joi.string().valid('processed', 'triage', 'discarded').optional().messages({
+    'any.only': 'El estado debe ser processed, triage o discarded'
+  }),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+const assignMessageSchema = Joi.object({
+  jobRoleId: Joi.string().uuid().required().messages({
+    'string.guid': 'ID de rol inválido',
+    'any.required': 'El ID del rol es requerido'
+  })
+});
+
+/**
+ * POST /api/inbox/messages
+ * Recibir candidaturas por correo: un mensaje .eml o un buzón mbox (campo "file"). Cada mensaje
+ * se asocia al puesto por su dirección (empleo+<código>@...) o por [REF-<código>] en el asunto;
+ * los que no se pueden asociar quedan en triaje
+ */
+router.post('/messages', authenticateToken, mailboxUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: {
+          message: 'Archivo de correo requerido',
+          status: 400
+        }
+      });
+    }
+
+    const result = await ingestMailbox(req.file.buffer, req.user.id);
+
+    if (result.status !== 200) {
+      return res.status(result.status).json({
+        error: {
+          message: result.message,
+          status: result.status
+        }
+      });
+    }
+
+    res.json({
+      message: `Correo procesado: ${result.summary.processed} mensajes procesados y ${result.summary.triage} en triaje`,
+      summary: result.summary,
+      messages: result.messages
+    });
+  } catch (error) {
+    console.error('Error recibiendo correo:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/inbox/messages
+ * Mensajes recibidos, del más reciente al más antiguo. Filtro: status (processed, triage, discarded)
+ */
+router.get('/messages', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = listMessagesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          message: error.details[0].message,
+          status: 400
+        }
+      });
+    }
+
+    const { messages, total } = await listInboundEmails({
+      status: value.status,
+      user: { id: req.user.id, isAdmin: req.user.profile?.role === 'admin' },
+      limit: value.limit,
+      offset: (value.page - 1) * value.limit
+    });
+    const totalPages = Math.ceil(total / value.limit);
+
+    res.json({
+      messages,
+      pagination: {
+        page: value.page,
+        limit: value.limit,
+        total,
+        totalPages,
+        hasNext: value.page < totalPages,
+        hasPrev: value.page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error obteniendo mensajes recibidos:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/inbox/messages/:id
+ * Detalle de un mensaje recibido (con destinatarios y texto si está en triaje)
+ */
+router.get('/messages/:id', authenticateToken, async (req, res) => {
+  try {
+    const email = await getInboundEmail(req.params.id);
+
+    if (!email) {
+      return res.status(404).json({
+        error: {
+          message: 'Mensaje no encontrado',
+          status: 404
+        }
+      });
+    }
+
+    const { roleCreatedBy, ...message } = email;
+    if (email.status !== 'triage' && roleCreatedBy !== req.user.id &&
+        email.uploadedBy !== req.user.id && req.user.profile?.role !== 'admin') {
+      return res.status(403).json({
+        error: {
+          message: 'No tienes permisos para ver este mensaje',
+          status: 403
+        }
+      });
+    }
+
+    res.json({ message });
+  } catch (error) {
+    console.error('Error obteniendo mensaje recibido:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * POST /api/inbox/messages/:id/assign
+ * Asignar un puesto a un mensaje en triaje y crear sus aplicaciones
+ */
+router.post('/messages/:id/assign', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = assignMessageSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          message: error.details[0].message,
+          status: 400
+        }
+      });
+    }
+
+    const roleCheck = await query(
+      'SELECT id, created_by, status FROM public.job_roles WHERE id = $1',
+      [value.jobRoleId]
+    );
+
+    if (roleCheck.rows.length === 0 || roleCheck.rows[0].status !== 'active') {
+      return res.status(404).json({
+        error: {
+          message: 'Rol no encontrado o no está activo',
+          status: 404
+        }
+      });
+    }
+
+    if (roleCheck.rows[0].created_by !== req.user.id && req.user.profile?.role !== 'admin') {
+      return res.status(403).json({
+        error: {
+          message: 'No tienes permisos para importar candidatos en este rol',
+          status: 403
+        }
+      });
+    }
+
+    const result = await assignInboundEmail(req.params.id, roleCheck.rows[0], req.user.id);
+
+    if (result.status !== 200) {
+      return res.status(result.status).json({
+        error: {
+          message: result.message,
+          status: result.status
+        }
+      });
+    }
+
+    res.json({
+      message: 'Mensaje asignado exitosamente',
+      email: result.email
+    });
+  } catch (error) {
+    console.error('Error asignando mensaje:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * POST /api/inbox/messages/:id/discard
+ * Descartar un mensaje en triaje
+ */
+router.post('/messages/:id/discard', authenticateToken, async (req, res) => {
+  try {
+    const email = await discardInboundEmail(req.params.id, req.user.id);
+
+    if (!email) {
+      return res.status(404).json({
+        error: {
+          message: 'Mensaje no encontrado en triaje',
+          status: 404
+        }
+      });
+    }
+
+    res.json({
+      message: 'Mensaje descartado exitosamente',
+      email
+    });
+  } catch (error) {
+    console.error('Error descartando mensaje:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+const express = require('express');
+const multer = require('multer');
+const Joi = require('joi');
+const { authenticateCandidate } = require('../middleware/auth');
+const { getPortalApplication, withdrawApplication } = require('../services/candidatePortal');
+const { replaceApplicationCv } = require('../services/applicationIntake');
+const router = express.Router();
+
+// Subida del CV actualizado (mismo límite que en la aplicación)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB por defecto
+  }
+});
+
+// multer entrega el nombre original decodificado como latin1
+const decodeOriginalName = name => Buffer.from(name || '', 'latin1').toString('utf8');
+
+// Esquemas de validación
+const withdrawSchema = Joi.object({
+  reason: Joi.string().trim().max(2000).allow('').optional().messages({
+    'string.max': 'El motivo no puede exceder 2000 caracteres'
+  })
+});
+
+// Todas las rutas del portal se autentican con el enlace del candidato, no con una cuenta
+router.use(authenticateCandidate);
+
+/**
+ * GET /api/portal/application
+ * Estado de la aplicación del candidato en el proceso de selección
+ */
+router.get('/application', async (req, res) => {
+  try {
+    const application = await getPortalApplication(req.candidate.applicationId);
+
+    if (!application) {
+      return res.status(404).json({
+        error: {
+          message: 'Aplicación no encontrada',
+          status: 404
+        }
+      });
+    }
+
+    res.json({ application });
+  } catch (error) {
+    console.error('Error obteniendo aplicación del portal:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * POST /api/portal/application/withdraw
+ * Retirar la aplicación (opcionalmente con un motivo)
+ */
+router.post('/application/withdraw', async (req, res) => {
+  try {
+    const { error, value } = withdrawSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: {
+          message: error.details[0].message,
+          status: 400
+        }
+      });
+    }
+
+    const result = await withdrawApplication(req.candidate.applicationId, value.reason);
+
+    if (result.status !== 200) {
+      return res.status(result.status).json({
+        error: {
+          message: result.message,
+          status: result.status
+        }
+      });
+    }
+
+    res.json({
+      message: 'Aplicación retirada exitosamente',
+      application: result.application
+    });
+  } catch (error) {
+    console.error('Error retirando aplicación:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * PUT /api/portal/application/cv
+ * Subir un CV actualizado (campo "cv"); la aplicación se vuelve a evaluar con el nuevo CV
+ */
+router.put('/application/cv', upload.single('cv'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: {
+          message: 'Archivo CV requerido',
+          status: 400
+        }
+      });
+    }
+
+    const result = await replaceApplicationCv(req.candidate.applicationId, {
+      buffer: req.file.buffer,
+      originalName: decodeOriginalName(req.file.originalname)
+    });
+
+    if (result.status !== 200) {
+      return res.status(result.status).json({
+        error: {
+          message: result.message,
+          status: result.status
+        }
+      });
+    }
+
+    res.json({
+      message: 'CV actualizado exitosamente. La evaluación se procesará en breve.',
+      application: await getPortalApplication(req.candidate.applicationId)
+    });
+  } catch (error) {
+    console.error('Error actualizando CV desde el portal:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,159 @@
 const express = require('express');
+const multer = require('multer');
 const { authenticateToken, requireRole, optionalAuth } = require('../middleware/auth');
 const { query, transaction } = require('../utils/database');
 const { supabaseAdmin } = require('../config/supabase');
+const { DEFAULT_RUBRIC, PROVIDER_NAMES, draftRoleDescription } = require('../config/ai');
+const { getActivePromptTemplate } = require('../services/promptTemplates');
+const {
+  affectsEvaluations,
+  markRoleEvaluationsStale,
+  createReevaluationBatch,
+  getReevaluationProgress
+} = require('../services/reevaluations');
+const { listRoleComparisons, getComparison, decideComparison } = require('../services/comparisons');
+const { createRoleRanking, listRoleRankings, getRoleRanking } = require('../services/rankings');
+const { buildProfileFilters } = require('../services/candidateProfiles');
+const {
+  enqueueRoleRequirementAssessments,
+  getRoleRequirementSummary,
+  buildRequirementFilters
+} = require('../services/requirementMatrix');
+const { importApplications } = require('../services/bulkImport');
+const { getRoleIntakeAddress } = require('../services/emailIntake');
+const { SUPPORTED_LANGUAGES } = require('../utils/i18n');
+const { QUESTION_TYPES, KNOCKOUT_OPERATORS } = require('../utils/questions');
 const Joi = require('joi');
 const router = express.Router();
 
+// Subida de la importación masiva: un ZIP con los CVs y, opcionalmente, un manifiesto CSV
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_IMPORT_SIZE) || 50 * 1024 * 1024 // 50MB por defecto
+  }
+});
+
+// Puntuación de la evaluación solo si está completada (NULL si está pendiente, ha fallado o
+// espera revisión manual), para no mezclarla con una puntuación real de 0
+const COMPLETED_SCORE = "CASE WHEN e.status = 'completed' THEN e.score END";
+
 // Esquemas de validación
+const rubricSchema = Joi.array().items(Joi.object({
+  key: Joi.string().pattern(/^[a-z0-9_]+$/).max(50).required().messages({
+    'string.pattern.base': 'La clave del criterio solo puede contener minúsculas, números y guiones bajos',
+    'any.required': 'La clave del criterio es requerida'
+  }),
+  name: Joi.string().max(100).required().messages({
+    'any.required': 'El nombre del criterio es requerido'
+  }),
+  weight: Joi.number().positive().max(100).required().messages({
+    'number.positive': 'El peso del criterio debe ser mayor que 0',
+    'any.required': 'El peso del criterio es requerido'
+  }),
+  description: Joi.string().max(1000).allow('').optional()
+})).min(1).max(10).unique('key').messages({
+  'array.min': 'La rúbrica debe tener al menos un criterio',
+  'array.max': 'La rúbrica no puede tener más de 10 criterios',
+  'array.unique': 'Las claves de los criterios de la rúbrica deben ser únicas'
+});
+
+// Preguntas del formulario de aplicación. Un criterio eliminatorio indica la respuesta exigida
+// (ej. permiso de trabajo = sí, años de experiencia >= 3): si no se cumple, la aplicación se descarta.
+const knockoutReasonSchema = Joi.string().max(500).optional();
+
+const questionSchema = Joi.object({
+  key: Joi.string().pattern(/^[a-z0-9_]+$/).max(50).required().messages({
+    'string.pattern.base': 'La clave de la pregunta solo puede contener minúsculas, números y guiones bajos',
+    'any.required': 'La clave de la pregunta es requerida'
+  }),
+  label: Joi.string().max(500).required().messages({
+    'any.required': 'El texto de la pregunta es requerido'
+  }),
+  type: Joi.string().valid(...QUESTION_TYPES).required().messages({
+    'any.only': `El tipo de pregunta debe ser: ${QUESTION_TYPES.join(', ')}`,
+    'any.required': 'El tipo de pregunta es requerido'
+  }),
+  required: Joi.boolean().default(false),
+  options: Joi.when('type', {
+    is: 'choice',
+    then: Joi.array().items(Joi.string().max(200)).min(2).max(50).unique().required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'any.required': 'Las preguntas de opción única necesitan al menos 2 opciones',
+    'array.min': 'Las preguntas de opción única necesitan al menos 2 opciones',
+    'array.unique': 'Las opciones de una pregunta no pueden repetirse',
+    'any.unknown': 'Solo las preguntas de opción única tienen opciones'
+  }),
+  knockout: Joi.when('type', {
+    switch: [
+      {
+        is: 'boolean',
+        then: Joi.object({
+          operator: Joi.string().valid('eq').required(),
+          value: Joi.boolean().required(),
+          reason: knockoutReasonSchema
+        })
+      },
+      {
+        is: 'number',
+        then: Joi.object({
+          operator: Joi.string().valid('eq', 'neq', 'gt', 'gte', 'lt', 'lte').required(),
+          value: Joi.number().required(),
+          reason: knockoutReasonSchema
+        })
+      },
+      {
+        is: 'choice',
+        then: Joi.object({
+          operator: Joi.string().valid('eq', 'neq', 'in').required(),
+          value: Joi.when('operator', {
+            is: 'in',
+            then: Joi.array().items(Joi.string()).min(1).required(),
+            otherwise: Joi.string().required()
+          }),
+          reason: knockoutReasonSchema
+        })
+      }
+    ],
+    otherwise: Joi.forbidden()
+  }).messages({
+    'any.unknown': 'Solo las preguntas de sí/no, número u opción única pueden ser eliminatorias',
+    'any.only': `El operador del criterio eliminatorio debe ser uno de: ${Object.keys(KNOCKOUT_OPERATORS).join(', ')}`,
+    'any.required': 'El criterio eliminatorio necesita un operador y un valor'
+  })
+}).custom((question, helpers) => {
+  // Los valores de un criterio eliminatorio de opción única deben ser opciones de la pregunta
+  const values = [].concat(question.knockout?.value ?? []);
+  if (question.type === 'choice' && question.knockout && !values.every(v => question.options.includes(v))) {
+    return helpers.error('question.knockoutOption');
+  }
+  return question;
+}).messages({
+  'question.knockoutOption': 'El valor del criterio eliminatorio debe ser una de las opciones de la pregunta'
+});
+
+const questionsSchema = Joi.array().items(questionSchema).max(30).unique('key').messages({
+  'array.max': 'El formulario no puede tener más de 30 preguntas',
+  'array.unique': 'Las claves de las preguntas deben ser únicas'
+});
+
+// Consenso: número de evaluaciones por CV (1 = sin consenso) y proveedores entre los que se reparten
+const consensusSamplesSchema = Joi.number().integer().min(1).max(5).messages({
+  'number.min': 'El número de muestras debe ser al menos 1',
+  'number.max': 'El número de muestras no puede superar 5'
+});
+
+const consensusProvidersSchema = Joi.array().items(Joi.string().valid(...PROVIDER_NAMES)).max(5).unique().messages({
+  'any.only': `Los proveedores de consenso deben ser: ${PROVIDER_NAMES.join(', ')}`,
+  'array.unique': 'Los proveedores de consenso no pueden repetirse'
+});
+
+// Idioma en que la IA redacta evaluaciones, comparaciones y guías de entrevista del puesto
+const outputLanguageSchema = Joi.string().valid(...SUPPORTED_LANGUAGES).messages({
+  'any.only': `El idioma debe ser uno de: ${SUPPORTED_LANGUAGES.join(', ')}`
+});
+
 const createRoleSchema = Joi.object({
   title: Joi.string().min(3).max(255).required().messages({
     'string.min': 'El título debe tener al menos 3 caracteres',
@@ -20,7 +168,13 @@ const createRoleSchema = Joi.object({
   department: Joi.string().max(100).optional(),
   location: Joi.string().max(255).optional(),
   employmentType: Joi.string().valid('full-time', 'part-time', 'contract', 'internship').default('full-time'),
-  salaryRange: Joi.string().max(100).optional()
+  salaryRange: Joi.string().max(100).optional(),
+  rubric: rubricSchema.optional(),
+  questions: questionsSchema.optional(),
+  blindEvaluation: Joi.boolean().default(false),
+  consensusSamples: consensusSamplesSchema.default(1),
+  consensusProviders: consensusProvidersSchema.optional(),
+  outputLanguage: outputLanguageSchema.optional()
 });
 
 const updateRoleSchema = Joi.object({
@@ -31,9 +185,86 @@ const updateRoleSchema = Joi.object({
   location: Joi.string().max(255).optional(),
   employmentType: Joi.string().valid('full-time', 'part-time', 'contract', 'internship').optional(),
   salaryRange: Joi.string().max(100).optional(),
+  rubric: rubricSchema.allow(null).optional(),
+  questions: questionsSchema.optional(),
+  blindEvaluation: Joi.boolean().optional(),
+  consensusSamples: consensusSamplesSchema.optional(),
+  consensusProviders: consensusProvidersSchema.allow(null).optional(),
+  outputLanguage: outputLanguageSchema.optional(),
   status: Joi.string().valid('active', 'inactive', 'closed').optional()
 });
 
+const roleDraftSchema = Joi.object({
+  title: Joi.string().min(3).max(255).required().messages({
+    'string.min': 'El título debe tener al menos 3 caracteres',
+    'any.required': 'El título es requerido'
+  }),
+  seniority: Joi.string().valid('intern', 'junior', 'mid', 'senior', 'lead', 'manager').required().messages({
+    'any.only': 'El nivel debe ser uno de: intern, junior, mid, senior, lead, manager',
+    'any.required': 'El nivel es requerido'
+  }),
+  department: Joi.string().max(100).optional(),
+  notes: Joi.array().items(Joi.string().max(500)).max(20).default([]),
+  outputLanguage: outputLanguageSchema.optional()
+});
+
+const reevaluateRoleSchema = Joi.object({
+  onlyStale: Joi.boolean().default(false),
+  evaluationStatus: Joi.array().items(
+    Joi.string().valid('pending', 'completed', 'failed', 'needs_manual_review')
+  ).optional(),
+  applicationStatus: Joi.array().items(
+    Joi.string().valid('pending', 'reviewing', 'interviewed', 'hired', 'rejected', 'withdrawn')
+  ).optional(),
+  applicationIds: Joi.array().items(Joi.string().uuid().messages({
+    'string.guid': 'ID de aplicación inválido'
+  })).optional(),
+  force: Joi.boolean().default(false)
+});
+
+const rankingSchema = Joi.object({
+  opponents: Joi.number().integer().min(1).max(10).default(3).messages({
+    'number.min': 'El número de rivales por candidato debe estar entre 1 y 10',
+    'number.max': 'El número de rivales por candidato debe estar entre 1 y 10'
+  }),
+  applicationIds: Joi.array().items(Joi.string().uuid().messages({
+    'string.guid': 'ID de aplicación inválido'
+  })).optional(),
+  minScore: Joi.number().integer().min(0).max(100).optional().messages({
+    'number.min': 'La puntuación mínima debe estar entre 0 y 100',
+    'number.max': 'La puntuación mínima debe estar entre 0 y 100'
+  })
+});
+
+const assessRequirementsSchema = Joi.object({
+  force: Joi.boolean().default(false)
+});
+
+const comparisonDecisionSchema = Joi.object({
+  status: Joi.string().valid('accepted', 'overridden').required().messages({
+    'any.only': 'La decisión debe ser accepted u overridden',
+    'any.required': 'La decisión es requerida'
+  }),
+  applicationId: Joi.when('status', {
+    is: 'overridden',
+    then: Joi.string().uuid().required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'string.guid': 'ID de aplicación inválido',
+    'any.required': 'Para sustituir la recomendación hay que indicar el candidato elegido',
+    'any.unknown': 'Al aceptar la recomendación no se indica otro candidato'
+  }),
+  reason: Joi.when('status', {
+    is: 'overridden',
+    then: Joi.string().trim().min(1).max(2000).required(),
+    otherwise: Joi.string().trim().max(2000).allow('').optional()
+  }).messages({
+    'string.empty': 'El motivo es requerido al sustituir la recomendación',
+    'any.required': 'El motivo es requerido al sustituir la recomendación',
+    'string.max': 'El motivo no puede exceder 2000 caracteres'
+  })
+});
+
 /**
  * GET /api/roles
  * Obtener todos los roles (con filtros opcionales)
@@ -184,6 +415,13 @@ router.get('/:id', optionalAuth, async (req, res) => {
         jr.location,
         jr.employment_type,
         jr.salary_range,
+        jr.rubric,
+        jr.questions,
+        jr.blind_evaluation,
+        jr.consensus_samples,
+        jr.consensus_providers,
+        jr.output_language,
+        jr.intake_token,
         jr.status,
         jr.created_by as user_id,
         jr.created_at,
@@ -196,7 +434,8 @@ router.get('/:id', optionalAuth, async (req, res) => {
       LEFT JOIN public.applications a ON jr.id = a.job_role_id
       WHERE jr.id = $1
       GROUP BY jr.id, jr.title, jr.description, jr.requirements, jr.department, 
-               jr.location, jr.employment_type, jr.salary_range, jr.status, 
+               jr.location, jr.employment_type, jr.salary_range, jr.rubric, jr.questions, jr.blind_evaluation,
+               jr.consensus_samples, jr.consensus_providers, jr.output_language, jr.intake_token, jr.status, 
                jr.created_by, jr.created_at, jr.updated_at, u.full_name, u.company_name
     `;
 
@@ -221,6 +460,13 @@ router.get('/:id', optionalAuth, async (req, res) => {
       location: role.location,
       employmentType: role.employment_type,
       salaryRange: role.salary_range,
+      rubric: role.rubric || DEFAULT_RUBRIC,
+      questions: role.questions || [],
+      blindEvaluation: role.blind_evaluation,
+      consensusSamples: role.consensus_samples,
+      consensusProviders: role.consensus_providers || [],
+      outputLanguage: role.output_language,
+      intake: getRoleIntakeAddress(role.intake_token),
       candidatesCount: parseInt(role.candidates_count),
       createdAt: role.created_at,
       status: role.status,
@@ -270,14 +516,22 @@ router.post('/', authenticateToken, async (req, res) => {
       department,
       location,
       employmentType,
-      salaryRange
+      salaryRange,
+      rubric,
+      questions,
+      blindEvaluation,
+      consensusSamples,
+      consensusProviders,
+      outputLanguage
     } = value;
 
+    // Sin idioma explícito se usa el que pide el reclutador (Accept-Language)
     const insertQuery = `
       INSERT INTO public.job_roles (
         title, description, requirements, department, location, 
-        employment_type, salary_range, created_by
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        employment_type, salary_range, rubric, questions, blind_evaluation, consensus_samples,
+        consensus_providers, output_language, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
       RETURNING *
     `;
 
@@ -289,6 +543,12 @@ router.post('/', authenticateToken, async (req, res) => {
       location,
       employmentType,
       salaryRange,
+      rubric ? JSON.stringify(rubric) : null,
+      JSON.stringify(questions || []),
+      blindEvaluation,
+      consensusSamples,
+      consensusProviders || null,
+      outputLanguage || req.language,
       req.user.id
     ]);
 
@@ -307,6 +567,72 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/roles/draft
+ * Redactar con IA un borrador de descripción y requisitos (no se guarda)
+ */
+router.post('/draft', authenticateToken, async (req, res) => {
+  try {
+    const { error: validationError, value } = roleDraftSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          message: validationError.details[0].message,
+          status: 400
+        }
+      });
+    }
+
+    let draft;
+    try {
+      const promptTemplate = await getActivePromptTemplate('role_draft');
+      draft = await draftRoleDescription(value, {
+        promptTemplate,
+        language: value.outputLanguage || req.language,
+        usageContext: { userId: req.user.id }
+      });
+    } catch (aiError) {
+      return res.status(502).json({
+        error: {
+          message: 'No se pudo generar el borrador debido a un error del modelo de IA',
+          status: 502
+        }
+      });
+    }
+
+    // requirementsText se puede enviar tal cual como "requirements" al crear el rol
+    const requirementsText = [
+      'Imprescindible:',
+      ...draft.mustHave.map(item => `- ${item}`),
+      ...(draft.niceToHave.length > 0 ? ['', 'Deseable:', ...draft.niceToHave.map(item => `- ${item}`)] : [])
+    ].join('\n');
+
+    res.json({
+      message: 'Borrador generado. Revísalo antes de crear el rol.',
+      draft: {
+        title: value.title,
+        department: value.department,
+        description: draft.description,
+        requirements: {
+          mustHave: draft.mustHave,
+          niceToHave: draft.niceToHave
+        },
+        requirementsText,
+        model: draft.model,
+        promptVersion: draft.promptVersion
+      }
+    });
+  } catch (error) {
+    console.error('Error generando borrador de rol:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
 /**
  * PUT /api/roles/:id
  * Actualizar un rol existente
@@ -359,9 +685,13 @@ router.put('/:id', authenticateToken, async (req, res) => {
     Object.entries(value).forEach(([key, val]) => {
       if (val !== undefined) {
         const dbField = key === 'employmentType' ? 'employment_type' : 
-                       key === 'salaryRange' ? 'salary_range' : key;
+                       key === 'salaryRange' ? 'salary_range' :
+                       key === 'blindEvaluation' ? 'blind_evaluation' :
+                       key === 'consensusSamples' ? 'consensus_samples' :
+                       key === 'consensusProviders' ? 'consensus_providers' :
+                       key === 'outputLanguage' ? 'output_language' : key;
         updates.push(`${dbField} = $${paramCount}`);
-        values.push(val);
+        values.push((key === 'rubric' || key === 'questions') && val !== null ? JSON.stringify(val) : val);
         paramCount++;
       }
     });
@@ -383,11 +713,19 @@ router.put('/:id', authenticateToken, async (req, res) => {
       RETURNING *
     `;
 
-    const result = await query(updateQuery, values);
+    // Si cambia algo que usa la evaluación, las puntuaciones existentes quedan desactualizadas
+    const markStale = affectsEvaluations(existingRole.rows[0], value);
+
+    const { role, staleEvaluations } = await transaction(async (client) => {
+      const result = await client.query(updateQuery, values);
+      const staleCount = markStale ? await markRoleEvaluationsStale(client, id) : 0;
+      return { role: result.rows[0], staleEvaluations: staleCount };
+    });
 
     res.json({
       message: 'Rol actualizado exitosamente',
-      role: result.rows[0]
+      role,
+      staleEvaluations
     });
   } catch (error) {
     console.error('Error actualizando rol:', error);
@@ -481,11 +819,25 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 /**
  * GET /api/roles/:id/candidates
  * Obtener todos los candidatos para un rol específico
+ * Ordenación: sortBy (applied_at, score, rank) y sortOrder (ASC, DESC)
+ * Requisitos: requirement (clave) y requirementStatus (met, partial, missing; por defecto missing)
  */
 router.get('/:id/candidates', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { page = 1, limit = 10, status, search } = req.query;
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      search,
+      skills,
+      minYears,
+      language,
+      requirement,
+      requirementStatus,
+      sortBy = 'applied_at',
+      sortOrder
+    } = req.query;
 
     // Verificar que el rol existe y el usuario tiene permisos
     const roleCheck = await query(
@@ -531,25 +883,71 @@ router.get('/:id/candidates', authenticateToken, async (req, res) => {
       paramCount++;
     }
 
+    // Filtros por el perfil extraído del CV
+    const profileFilters = buildProfileFilters({ skills, minYears, language }, paramCount);
+    whereConditions.push(...profileFilters.conditions);
+    queryParams.push(...profileFilters.params);
+    paramCount = profileFilters.paramCount;
+
+    // Filtro por la matriz de requisitos (ej. candidatos a los que les falta un requisito)
+    const requirementFilters = buildRequirementFilters({ requirement, requirementStatus }, paramCount);
+    whereConditions.push(...requirementFilters.conditions);
+    queryParams.push(...requirementFilters.params);
+    paramCount = requirementFilters.paramCount;
+
     const whereClause = whereConditions.join(' AND ');
 
+    // Ordenación: rank es la posición en el último ranking completado del puesto (por defecto
+    // ascendente, la 1 primero); los candidatos que no están en el ranking o sin evaluación
+    // completada van al final
+    const validSortFields = {
+      applied_at: 'a.applied_at',
+      score: COMPLETED_SCORE,
+      rank: 'rk.rank'
+    };
+    const finalSortBy = validSortFields[sortBy] ? sortBy : 'applied_at';
+    const finalSortOrder = ['ASC', 'DESC'].includes(String(sortOrder).toUpperCase())
+      ? String(sortOrder).toUpperCase()
+      : (finalSortBy === 'rank' ? 'ASC' : 'DESC');
+    const orderClause = finalSortBy === 'rank'
+      ? `rk.rank ${finalSortOrder} NULLS LAST, ${COMPLETED_SCORE} DESC NULLS LAST`
+      : `${validSortFields[finalSortBy]} ${finalSortOrder}${finalSortBy === 'score' ? ' NULLS LAST' : ''}`;
+
     const candidatesQuery = `
       SELECT 
         a.id,
         a.candidate_name as name,
         a.candidate_email as email,
         a.cv_file_path as "cvUrl",
-        COALESCE(e.score, 0) as score,
+        ${COMPLETED_SCORE} as score,
+        e.criteria_scores,
         e.strengths,
         e.weaknesses,
         e.summary as evaluation,
+        e.status as evaluation_status,
+        e.is_stale,
+        e.score_spread,
+        e.confidence,
+        e.output_language,
         e.created_at as evaluation_date,
+        a.cv_language,
+        p.total_years_experience,
+        p.skills as profile_skills,
         a.applied_at as appliedAt,
-        a.status
+        a.status,
+        rk.rank,
+        rk.rating as rank_rating
       FROM public.applications a
       LEFT JOIN public.evaluations e ON a.id = e.application_id
+      LEFT JOIN public.candidate_profiles p ON a.id = p.application_id
+      LEFT JOIN public.role_ranking_entries rk ON rk.application_id = a.id AND rk.ranking_id = (
+        SELECT id FROM public.role_rankings
+        WHERE job_role_id = $1 AND status = 'completed'
+        ORDER BY completed_at DESC
+        LIMIT 1
+      )
       WHERE ${whereClause}
-      ORDER BY a.applied_at DESC
+      ORDER BY ${orderClause}
       LIMIT $${paramCount} OFFSET $${paramCount + 1}
     `;
 
@@ -558,6 +956,7 @@ router.get('/:id/candidates', authenticateToken, async (req, res) => {
     const countQuery = `
       SELECT COUNT(*) as total
       FROM public.applications a
+      LEFT JOIN public.candidate_profiles p ON a.id = p.application_id
       WHERE ${whereClause}
     `;
 
@@ -577,13 +976,24 @@ router.get('/:id/candidates', authenticateToken, async (req, res) => {
       name: row.name,
       email: row.email,
       cvUrl: row.cvUrl,
-      score: parseInt(row.score) || 0,
+      score: row.score !== null ? parseInt(row.score) : null,
+      criteriaScores: row.criteria_scores || [],
       strengths: row.strengths || [],
       weaknesses: row.weaknesses || [],
       evaluation: row.evaluation || '',
+      evaluationStatus: row.evaluation_status,
+      isStale: row.is_stale || false,
+      scoreSpread: row.score_spread,
+      confidence: row.confidence,
+      evaluationLanguage: row.output_language,
+      cvLanguage: row.cv_language,
+      totalYearsExperience: row.total_years_experience !== null ? parseFloat(row.total_years_experience) : null,
+      skills: row.profile_skills || [],
       evaluation_date: row.evaluation_date,
       appliedAt: row.appliedAt,
-      status: row.status
+      status: row.status,
+      rank: row.rank,
+      rankRating: row.rank_rating !== null ? parseFloat(row.rank_rating) : null
     }));
 
     res.json({
@@ -608,6 +1018,676 @@ router.get('/:id/candidates', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/roles/:id/reevaluate
+ * Re-evaluar en segundo plano todas las aplicaciones de un rol (o un subconjunto filtrado)
+ */
+router.post('/:id/reevaluate', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error: validationError, value } = reevaluateRoleSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          message: validationError.details[0].message,
+          status: 400
+        }
+      });
+    }
+
+    const roleCheck = await query(
+      'SELECT created_by FROM public.job_roles WHERE id = $1',
+      [id]
+    );
+
+    if (roleCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Rol no encontrado',
+          status: 404
+        }
+      });
+    }
+
+    if (roleCheck.rows[0].created_by !== req.user.id && req.user.profile?.role !== 'admin') {
+      return res.status(403).json({
+        error: {
+          message: 'No tienes permisos para re-evaluar los candidatos de este rol',
+          status: 403
+        }
+      });
+    }
+
+    const { batch, skipped } = await createReevaluationBatch(id, req.user.id, value);
+    const progress = await getReevaluationProgress(id, batch.id);
+
+    res.status(202).json({
+      message: `Re-evaluación encolada para ${batch.total} aplicaciones`,
+      skipped,
+      batch: progress
+    });
+  } catch (error) {
+    console.error('Error encolando re-evaluación del rol:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/roles/:id/reevaluations/:batchId
+ * Obtener el progreso de una re-evaluación masiva
+ */
+router.get('/:id/reevaluations/:batchId', authenticateToken, async (req, res) => {
+  try {
+    const { id, batchId } = req.params;
+
+    const roleCheck = await query(
+      'SELECT created_by FROM public.job_roles WHERE id = $1',
+      [id]
+    );
+
+    if (roleCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Rol no encontrado',
+          status: 404
+        }
+      });
+    }
+
+    if (roleCheck.rows[0].created_by !== req.user.id && req.user.profile?.role !== 'admin') {
+      return res.status(403).json({
+        error: {
+          message: 'No tienes permisos para ver las re-evaluaciones de este rol',
+          status: 403
+        }
+      });
+    }
+
+    const batch = await getReevaluationProgress(id, batchId);
+
+    if (!batch) {
+      return res.status(404).json({
+        error: {
+          message: 'Re-evaluación no encontrada',
+          status: 404
+        }
+      });
+    }
+
+    res.json({ batch });
+  } catch (error) {
+    console.error('Error obteniendo progreso de la re-evaluación:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/roles/:id/comparisons
+ * Historial de comparaciones de candidatos del puesto, de la más reciente a la más antigua
+ */
+router.get('/:id/comparisons', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 10 } = req.query;
+
+    const roleCheck = await query(
+      'SELECT created_by FROM public.job_roles WHERE id = $1',
+      [id]
+    );
+
+    if (roleCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Rol no encontrado',
+          status: 404
+        }
+      });
+    }
+
+    if (roleCheck.rows[0].created_by !== req.user.id && req.user.profile?.role !== 'admin') {
+      return res.status(403).json({
+        error: {
+          message: 'No tienes permisos para ver las comparaciones de este rol',
+          status: 403
+        }
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 10));
+    const { comparisons, total } = await listRoleComparisons(id, {
+      limit: limitNum,
+      offset: (pageNum - 1) * limitNum
+    });
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.json({
+      comparisons,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error obteniendo comparaciones del rol:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/roles/:id/comparisons/:comparisonId
+ * Reabrir una comparación guardada
+ */
+router.get('/:id/comparisons/:comparisonId', authenticateToken, async (req, res) => {
+  try {
+    const { id, comparisonId } = req.params;
+
+    const roleCheck = await query(
+      'SELECT created_by FROM public.job_roles WHERE id = $1',
+      [id]
+    );
+
+    if (roleCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Rol no encontrado',
+          status: 404
+        }
+      });
+    }
+
+    if (roleCheck.rows[0].created_by !== req.user.id && req.user.profile?.role !== 'admin') {
+      return res.status(403).json({
+        error: {
+          message: 'No tienes permisos para ver las comparaciones de este rol',
+          status: 403
+        }
+      });
+    }
+
+    const comparison = await getComparison(id, comparisonId);
+
+    if (!comparison) {
+      return res.status(404).json({
+        error: {
+          message: 'Comparación no encontrada',
+          status: 404
+        }
+      });
+    }
+
+    res.json({ comparison });
+  } catch (error) {
+    console.error('Error obteniendo comparación:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * PUT /api/roles/:id/comparisons/:comparisonId/decision
+ * Aceptar la recomendación de una comparación o sustituirla por otro candidato, con un motivo
+ */
+router.put('/:id/comparisons/:comparisonId/decision', authenticateToken, async (req, res) => {
+  try {
+    const { id, comparisonId } = req.params;
+
+    const { error: validationError, value } = comparisonDecisionSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          message: validationError.details[0].message,
+          status: 400
+        }
+      });
+    }
+
+    const roleCheck = await query(
+      'SELECT created_by FROM public.job_roles WHERE id = $1',
+      [id]
+    );
+
+    if (roleCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Rol no encontrado',
+          status: 404
+        }
+      });
+    }
+
+    if (roleCheck.rows[0].created_by !== req.user.id && req.user.profile?.role !== 'admin') {
+      return res.status(403).json({
+        error: {
+          message: 'No tienes permisos para decidir sobre las comparaciones de este rol',
+          status: 403
+        }
+      });
+    }
+
+    const comparison = await getComparison(id, comparisonId);
+
+    if (!comparison) {
+      return res.status(404).json({
+        error: {
+          message: 'Comparación no encontrada',
+          status: 404
+        }
+      });
+    }
+
+    if (value.status === 'overridden') {
+      const candidateIds = comparison.candidates.map(c => c.applicationId);
+      if (!candidateIds.includes(value.applicationId)) {
+        return res.status(400).json({
+          error: {
+            message: 'El candidato elegido no forma parte de la comparación',
+            status: 400
+          }
+        });
+      }
+      if (value.applicationId === comparison.bestApplicationId) {
+        return res.status(400).json({
+          error: {
+            message: 'El candidato elegido es el recomendado: acepta la recomendación en su lugar',
+            status: 400
+          }
+        });
+      }
+    } else if (!comparison.bestApplicationId) {
+      return res.status(409).json({
+        error: {
+          message: 'El candidato recomendado ya no existe; sustituye la recomendación por otro candidato',
+          status: 409
+        }
+      });
+    }
+
+    const updated = await decideComparison(comparison, value, req.user.id);
+
+    res.json({
+      message: 'Decisión registrada exitosamente',
+      comparison: updated
+    });
+  } catch (error) {
+    console.error('Error registrando la decisión de la comparación:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * POST /api/roles/:id/rankings
+ * Ordenar en segundo plano a los candidatos evaluados del puesto mediante comparaciones por parejas
+ */
+router.post('/:id/rankings', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error: validationError, value } = rankingSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          message: validationError.details[0].message,
+          status: 400
+        }
+      });
+    }
+
+    const roleCheck = await query(
+      'SELECT created_by FROM public.job_roles WHERE id = $1',
+      [id]
+    );
+
+    if (roleCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Rol no encontrado',
+          status: 404
+        }
+      });
+    }
+
+    if (roleCheck.rows[0].created_by !== req.user.id && req.user.profile?.role !== 'admin') {
+      return res.status(403).json({
+        error: {
+          message: 'No tienes permisos para generar rankings de este rol',
+          status: 403
+        }
+      });
+    }
+
+    const ranking = await createRoleRanking(id, req.user.id, value);
+
+    if (!ranking) {
+      return res.status(400).json({
+        error: {
+          message: 'Se necesitan al menos 2 candidatos evaluados para generar un ranking',
+          status: 400
+        }
+      });
+    }
+
+    res.status(202).json({
+      message: `Ranking encolado para ${ranking.candidates} candidatos (${ranking.totalMatches} comparaciones)`,
+      ranking
+    });
+  } catch (error) {
+    console.error('Error encolando ranking del rol:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/roles/:id/rankings
+ * Rankings del puesto con su progreso, del más reciente al más antiguo
+ */
+router.get('/:id/rankings', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const roleCheck = await query(
+      'SELECT created_by FROM public.job_roles WHERE id = $1',
+      [id]
+    );
+
+    if (roleCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Rol no encontrado',
+          status: 404
+        }
+      });
+    }
+
+    if (roleCheck.rows[0].created_by !== req.user.id && req.user.profile?.role !== 'admin') {
+      return res.status(403).json({
+        error: {
+          message: 'No tienes permisos para ver los rankings de este rol',
+          status: 403
+        }
+      });
+    }
+
+    const rankings = await listRoleRankings(id);
+
+    res.json({ rankings });
+  } catch (error) {
+    console.error('Error obteniendo rankings del rol:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/roles/:id/rankings/:rankingId
+ * Progreso de un ranking y, cuando se completa, la posición de cada candidato
+ */
+router.get('/:id/rankings/:rankingId', authenticateToken, async (req, res) => {
+  try {
+    const { id, rankingId } = req.params;
+
+    const roleCheck = await query(
+      'SELECT created_by FROM public.job_roles WHERE id = $1',
+      [id]
+    );
+
+    if (roleCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Rol no encontrado',
+          status: 404
+        }
+      });
+    }
+
+    if (roleCheck.rows[0].created_by !== req.user.id && req.user.profile?.role !== 'admin') {
+      return res.status(403).json({
+        error: {
+          message: 'No tienes permisos para ver los rankings de este rol',
+          status: 403
+        }
+      });
+    }
+
+    const ranking = await getRoleRanking(id, rankingId);
+
+    if (!ranking) {
+      return res.status(404).json({
+        error: {
+          message: 'Ranking no encontrado',
+          status: 404
+        }
+      });
+    }
+
+    res.json({ ranking });
+  } catch (error) {
+    console.error('Error obteniendo ranking:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/roles/:id/requirements
+ * Requisitos del puesto con cuántos candidatos los cumplen, cumplen en parte o no los cumplen
+ */
+router.get('/:id/requirements', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const roleCheck = await query(
+      'SELECT created_by, requirements FROM public.job_roles WHERE id = $1',
+      [id]
+    );
+
+    if (roleCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Rol no encontrado',
+          status: 404
+        }
+      });
+    }
+
+    if (roleCheck.rows[0].created_by !== req.user.id && req.user.profile?.role !== 'admin') {
+      return res.status(403).json({
+        error: {
+          message: 'No tienes permisos para ver los candidatos de este rol',
+          status: 403
+        }
+      });
+    }
+
+    const requirements = await getRoleRequirementSummary(id, roleCheck.rows[0].requirements);
+
+    res.json({ requirements });
+  } catch (error) {
+    console.error('Error obteniendo requisitos del rol:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * POST /api/roles/:id/requirements/assess
+ * Valorar en segundo plano los requisitos de las aplicaciones del puesto. Por defecto solo las
+ * que tienen requisitos sin valorar (por ejemplo, tras editarlos); con { force: true }, todas.
+ */
+router.post('/:id/requirements/assess', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error: validationError, value } = assessRequirementsSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          message: validationError.details[0].message,
+          status: 400
+        }
+      });
+    }
+
+    const roleCheck = await query(
+      'SELECT created_by, requirements FROM public.job_roles WHERE id = $1',
+      [id]
+    );
+
+    if (roleCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Rol no encontrado',
+          status: 404
+        }
+      });
+    }
+
+    if (roleCheck.rows[0].created_by !== req.user.id && req.user.profile?.role !== 'admin') {
+      return res.status(403).json({
+        error: {
+          message: 'No tienes permisos para re-evaluar los candidatos de este rol',
+          status: 403
+        }
+      });
+    }
+
+    const { queued, skipped } = await enqueueRoleRequirementAssessments(id, roleCheck.rows[0].requirements, value);
+
+    res.status(202).json({
+      message: `Valoración de requisitos encolada para ${queued} aplicaciones`,
+      queued,
+      skipped
+    });
+  } catch (error) {
+    console.error('Error encolando valoración de requisitos:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
+/**
+ * POST /api/roles/:id/import
+ * Importar CVs de un ZIP (campo "archive") como aplicaciones del puesto, con un manifiesto CSV
+ * opcional (campo "manifest") con el archivo, nombre, email y teléfono de cada candidato
+ */
+router.post('/:id/import', authenticateToken, importUpload.fields([
+  { name: 'archive', maxCount: 1 },
+  { name: 'manifest', maxCount: 1 }
+]), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const archive = req.files?.archive?.[0];
+    const manifest = req.files?.manifest?.[0];
+
+    if (!archive) {
+      return res.status(400).json({
+        error: {
+          message: 'Archivo ZIP requerido',
+          status: 400
+        }
+      });
+    }
+
+    const roleCheck = await query(
+      'SELECT created_by, status FROM public.job_roles WHERE id = $1',
+      [id]
+    );
+
+    if (roleCheck.rows.length === 0 || roleCheck.rows[0].status !== 'active') {
+      return res.status(404).json({
+        error: {
+          message: 'Rol no encontrado o no está activo',
+          status: 404
+        }
+      });
+    }
+
+    if (roleCheck.rows[0].created_by !== req.user.id && req.user.profile?.role !== 'admin') {
+      return res.status(403).json({
+        error: {
+          message: 'No tienes permisos para importar candidatos en este rol',
+          status: 403
+        }
+      });
+    }
+
+    const result = await importApplications(id, archive.buffer, manifest?.buffer);
+
+    if (result.status !== 200) {
+      return res.status(result.status).json({
+        error: {
+          message: result.message,
+          status: result.status
+        }
+      });
+    }
+
+    res.json({
+      message: `Importación completada: ${result.summary.created} aplicaciones creadas`,
+      summary: result.summary,
+      rows: result.rows
+    });
+  } catch (error) {
+    console.error('Error importando candidatos:', error);
+    res.status(500).json({
+      error: {
+        message: 'Error interno del servidor',
+        status: 500
+      }
+    });
+  }
+});
+
 /**
  * GET /api/roles/:id/applications
  * Obtener aplicaciones de un rol específico
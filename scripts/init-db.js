@@ -1,5 +1,6 @@
 const { testConnection, runMigrations } = require('../utils/database');
 const { supabase } = require('../config/supabase');
+const { DOCUMENT_MIME_TYPES } = require('../utils/documents');
 
 /**
  * Script de inicialización de la base de datos
@@ -68,7 +69,7 @@ async function setupSupabaseStorage() {
     // Crear el bucket 'cvs'
     const { data, error } = await supabase.storage.createBucket('cvs', {
       public: false, // Los CVs deben ser privados
-      allowedMimeTypes: ['application/pdf'],
+      allowedMimeTypes: DOCUMENT_MIME_TYPES,
       fileSizeLimit: 10485760 // 10MB
     });
     
@@ -97,8 +98,7 @@ function checkEnvironment() {
     'DATABASE_URL',
     'SUPABASE_URL',
     'SUPABASE_ANON_KEY',
-    'SUPABASE_SERVICE_ROLE_KEY',
-    'GROQ_API_KEY'
+    'SUPABASE_SERVICE_ROLE_KEY'
   ];
   
   const missing = requiredVars.filter(varName => !process.env[varName]);
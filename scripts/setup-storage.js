@@ -1,4 +1,5 @@
 const { createClient } = require('@supabase/supabase-js');
+const { DOCUMENT_MIME_TYPES } = require('../utils/documents');
 require('dotenv').config();
 
 async function setupStorage() {
@@ -12,16 +13,25 @@ async function setupStorage() {
     console.log('🚀 Configurando Storage...');
 
     // 1. Crear bucket si no existe
-    const { data: bucketData, error: bucketError } = await supabaseAdmin.storage.createBucket('cvs', {
+    const bucketOptions = {
       public: false,
       fileSizeLimit: 10 * 1024 * 1024, // 10MB
-      allowedMimeTypes: ['application/pdf']
-    });
+      allowedMimeTypes: DOCUMENT_MIME_TYPES
+    };
+    const { data: bucketData, error: bucketError } = await supabaseAdmin.storage.createBucket('cvs', bucketOptions);
 
     if (bucketError && !bucketError.message.includes('already exists')) {
       throw bucketError;
     }
 
+    // Un bucket existente se actualiza para admitir todos los formatos de CV
+    if (bucketError) {
+      const { error: updateError } = await supabaseAdmin.storage.updateBucket('cvs', bucketOptions);
+      if (updateError) {
+        throw updateError;
+      }
+    }
+
     console.log('✅ Bucket "cvs" creado/configurado');
 
     // 2. Crear políticas RLS
@@ -1,4 +1,4 @@
-const { evaluateCV } = require('../config/groq');
+const { evaluateCVWithText } = require('../config/ai');
 
 async function testGroqEvaluation() {
   try {
@@ -31,7 +31,7 @@ async function testGroqEvaluation() {
     - Trabajo en equipo y comunicación efectiva
     `;
     
-    const evaluation = await evaluateCV(testCV, testJobDescription);
+    const evaluation = await evaluateCVWithText(testCV, testJobDescription, { provider: 'groq' });
     
     console.log('✅ Evaluación completada:');
     console.log('📊 Score:', evaluation.score);
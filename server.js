@@ -3,6 +3,18 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const { resolveRequestLanguage } = require('./middleware/i18n');
+const { translate } = require('./utils/i18n');
+const { startWorker } = require('./services/jobQueue');
+const { startMaildirPoller } = require('./services/emailIntake');
+// Registran los manejadores de la cola
+require('./services/evaluationJobs');
+require('./services/candidateProfiles');
+require('./services/promptExperiments');
+require('./services/rankings');
+require('./services/requirementMatrix');
+// Registra el consumo de cada llamada a la IA en public.ai_usage
+require('./services/aiUsage');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -10,11 +22,14 @@ const PORT = process.env.PORT || 3000;
 // Security middleware
 app.use(helmet());
 
+// Idioma de la respuesta (Accept-Language) y traducción de los mensajes de error
+app.use(resolveRequestLanguage);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 500, // limit each IP to 100 requests per windowMs
-  message: 'Demasiadas solicitudes desde esta IP, intenta de nuevo más tarde.'
+  message: (req) => translate('Demasiadas solicitudes desde esta IP, intenta de nuevo más tarde.', req.language)
 });
 app.use('/api/', limiter);
 
@@ -45,6 +60,9 @@ app.use('/api/applications', require('./routes/applications'));
 app.use('/api/evaluations', require('./routes/evaluations'));
 app.use('/api/dashboard', require('./routes/dashboard'));
 app.use('/api/candidates', require('./routes/candidates'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/inbox', require('./routes/inbox'));
+app.use('/api/portal', require('./routes/portal'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -72,6 +90,14 @@ app.listen(PORT, () => {
   console.log(`🚀 Servidor ejecutándose en puerto ${PORT}`);
   console.log(`🌍 Entorno: ${process.env.NODE_ENV}`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
+
+  // Worker de la cola de trabajos (se puede desactivar para ejecutarlo en otro proceso)
+  if (process.env.JOB_WORKER_ENABLED !== 'false') {
+    startWorker();
+  }
+
+  // Candidaturas por correo desde un maildir local (solo si INBOUND_MAILDIR está configurado)
+  startMaildirPoller();
 });
 
 module.exports = app;
\ No newline at end of file
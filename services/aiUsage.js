@@ -0,0 +1,240 @@
+const { query } = require('../utils/database');
+const { onUsage } = require('../config/ai');
+
+// Agrupaciones disponibles en el informe de consumo: columnas seleccionadas y de agrupación
+const USAGE_GROUPS = {
+  role: {
+    select: 'u.job_role_id as "jobRoleId", jr.title as "roleTitle"',
+    groupBy: 'u.job_role_id, jr.title'
+  },
+  recruiter: {
+    select: 'u.user_id as "userId", us.full_name as "recruiterName", us.email as "recruiterEmail"',
+    groupBy: 'u.user_id, us.full_name, us.email'
+  },
+  month: {
+    select: `to_char(date_trunc('month', u.created_at), 'YYYY-MM') as month`,
+    groupBy: `date_trunc('month', u.created_at)`
+  },
+  task: {
+    select: 'u.task',
+    groupBy: 'u.task'
+  }
+};
+
+/**
+ * Guarda el consumo de una llamada a la IA. La organización se toma del usuario al que se atribuye.
+ * @param {object} entry - Consumo notificado por config/ai.js.
+ * @returns {Promise<void>}
+ */
+async function recordUsage(entry) {
+  await query(
+    `INSERT INTO public.ai_usage (
+      task, provider, model, input_tokens, output_tokens, latency_ms, estimated_cost_usd,
+      success, error, application_id, job_role_id, user_id, schema_valid, schema_errors,
+      repair_attempt, organization
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
+      (SELECT company_name FROM public.users WHERE id = $12))`,
+    [
+      entry.task,
+      entry.provider,
+      entry.model,
+      entry.inputTokens,
+      entry.outputTokens,
+      entry.latencyMs,
+      entry.estimatedCostUsd,
+      entry.success,
+      entry.error,
+      entry.applicationId || null,
+      entry.jobRoleId || null,
+      entry.userId || null,
+      entry.schemaValid,
+      entry.schemaErrors ? JSON.stringify(entry.schemaErrors) : null,
+      entry.repairAttempt || 0
+    ]
+  );
+}
+
+onUsage(recordUsage);
+
+/**
+ * Convierte una fila de presupuesto (con el gasto del mes) en el estado que devuelve la API.
+ * @param {object} row - Fila con organization, monthly_budget_usd y spent_usd.
+ * @returns {object} - Estado del presupuesto.
+ */
+const formatBudget = (row) => {
+  const budget = parseFloat(row.monthly_budget_usd);
+  const spent = parseFloat(row.spent_usd) || 0;
+  return {
+    organization: row.organization,
+    monthlyBudgetUsd: budget,
+    spentUsd: Math.round(spent * 10000) / 10000,
+    remainingUsd: Math.max(0, Math.round((budget - spent) * 10000) / 10000),
+    exhausted: spent >= budget,
+    updatedAt: row.updated_at
+  };
+};
+
+// Gasto de la organización en el mes natural en curso
+const MONTHLY_SPEND = `
+  COALESCE((
+    SELECT SUM(estimated_cost_usd) FROM public.ai_usage
+    WHERE organization = b.organization AND created_at >= date_trunc('month', NOW())
+  ), 0) as spent_usd`;
+
+/**
+ * Lista los presupuestos de todas las organizaciones con el gasto del mes en curso.
+ * @returns {Promise<Array<Object>>} - Presupuestos.
+ */
+async function listBudgets() {
+  const result = await query(
+    `SELECT b.*, ${MONTHLY_SPEND}
+     FROM public.ai_budgets b
+     ORDER BY b.organization`
+  );
+  return result.rows.map(formatBudget);
+}
+
+/**
+ * Crea o actualiza el presupuesto mensual de una organización.
+ * @param {string} organization - Organización (users.company_name).
+ * @param {number} monthlyBudgetUsd - Presupuesto mensual en USD.
+ * @param {string} userId - Usuario que lo modifica.
+ * @returns {Promise<Object>} - Presupuesto con el gasto del mes.
+ */
+async function setBudget(organization, monthlyBudgetUsd, userId) {
+  await query(
+    `INSERT INTO public.ai_budgets (organization, monthly_budget_usd, updated_by)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (organization) DO UPDATE SET
+       monthly_budget_usd = EXCLUDED.monthly_budget_usd,
+       updated_by = EXCLUDED.updated_by`,
+    [organization, monthlyBudgetUsd, userId]
+  );
+  return getBudgetStatus(organization);
+}
+
+/**
+ * Elimina el presupuesto de una organización (deja de tener límite).
+ * @param {string} organization - Organización.
+ * @returns {Promise<boolean>} - true si existía.
+ */
+async function deleteBudget(organization) {
+  const result = await query('DELETE FROM public.ai_budgets WHERE organization = $1', [organization]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Obtiene el presupuesto de una organización con el gasto del mes en curso.
+ * @param {string} organization - Organización.
+ * @returns {Promise<Object|null>} - Estado del presupuesto o null si no tiene límite.
+ */
+async function getBudgetStatus(organization) {
+  const result = await query(
+    `SELECT b.*, ${MONTHLY_SPEND}
+     FROM public.ai_budgets b
+     WHERE b.organization = $1`,
+    [organization]
+  );
+  return result.rows[0] ? formatBudget(result.rows[0]) : null;
+}
+
+/**
+ * Obtiene el presupuesto que se aplica a la evaluación de una aplicación
+ * (el de la organización del creador del puesto).
+ * @param {string} applicationId - ID de la aplicación.
+ * @returns {Promise<Object|null>} - Estado del presupuesto o null si no tiene límite.
+ */
+async function getApplicationBudgetStatus(applicationId) {
+  const result = await query(
+    `SELECT b.*, ${MONTHLY_SPEND}
+     FROM public.applications a
+     JOIN public.job_roles jr ON a.job_role_id = jr.id
+     JOIN public.users us ON jr.created_by = us.id
+     JOIN public.ai_budgets b ON b.organization = us.company_name
+     WHERE a.id = $1`,
+    [applicationId]
+  );
+  return result.rows[0] ? formatBudget(result.rows[0]) : null;
+}
+
+/**
+ * Obtiene el presupuesto que se aplica a las tareas de IA de un puesto
+ * (el de la organización de su creador).
+ * @param {string} roleId - ID del puesto.
+ * @returns {Promise<Object|null>} - Estado del presupuesto o null si no tiene límite.
+ */
+async function getRoleBudgetStatus(roleId) {
+  const result = await query(
+    `SELECT b.*, ${MONTHLY_SPEND}
+     FROM public.job_roles jr
+     JOIN public.users us ON jr.created_by = us.id
+     JOIN public.ai_budgets b ON b.organization = us.company_name
+     WHERE jr.id = $1`,
+    [roleId]
+  );
+  return result.rows[0] ? formatBudget(result.rows[0]) : null;
+}
+
+/**
+ * Informe de consumo de IA agregado por puesto, reclutador, mes o tarea. Incluye las respuestas
+ * que no cumplieron su esquema y las llamadas de reparación.
+ * @param {object} filters - Filtros.
+ * @param {string} filters.groupBy - role | recruiter | month | task.
+ * @param {string} [filters.from] - Fecha inicial (incluida).
+ * @param {string} [filters.to] - Fecha final (excluida).
+ * @param {string} [filters.organization] - Organización.
+ * @returns {Promise<Array<Object>>} - Filas con llamadas, tokens, latencia media, coste estimado,
+ *   violaciones del esquema y reparaciones.
+ */
+async function getUsageReport({ groupBy, from, to, organization }) {
+  const group = USAGE_GROUPS[groupBy];
+  const conditions = [];
+  const params = [];
+
+  if (from) {
+    params.push(from);
+    conditions.push(`u.created_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`u.created_at < $${params.length}`);
+  }
+  if (organization) {
+    params.push(organization);
+    conditions.push(`u.organization = $${params.length}`);
+  }
+
+  const result = await query(
+    `SELECT
+      ${group.select},
+      COUNT(*)::int as calls,
+      COUNT(*) FILTER (WHERE NOT u.success)::int as "failedCalls",
+      COUNT(*) FILTER (WHERE u.schema_valid = false)::int as "schemaViolations",
+      COUNT(*) FILTER (WHERE u.repair_attempt > 0)::int as "repairCalls",
+      COALESCE(SUM(u.input_tokens), 0)::int as "inputTokens",
+      COALESCE(SUM(u.output_tokens), 0)::int as "outputTokens",
+      ROUND(AVG(u.latency_ms))::int as "avgLatencyMs",
+      ROUND(COALESCE(SUM(u.estimated_cost_usd), 0), 4)::float as "estimatedCostUsd"
+    FROM public.ai_usage u
+    LEFT JOIN public.job_roles jr ON u.job_role_id = jr.id
+    LEFT JOIN public.users us ON u.user_id = us.id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    GROUP BY ${group.groupBy}
+    ORDER BY ${groupBy === 'month' ? `${group.groupBy} DESC` : '"estimatedCostUsd" DESC'}`,
+    params
+  );
+  return result.rows;
+}
+
+module.exports = {
+  USAGE_GROUPS,
+  recordUsage,
+  listBudgets,
+  setBudget,
+  deleteBudget,
+  getBudgetStatus,
+  getApplicationBudgetStatus,
+  getRoleBudgetStatus,
+  getUsageReport
+};
@@ -0,0 +1,393 @@
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { query, transaction } = require('../utils/database');
+const { supabaseAdmin } = require('../config/supabase');
+const { detectLanguage } = require('../utils/i18n');
+const { DOCUMENT_TYPES, detectDocumentType, extractDocumentText } = require('../utils/documents');
+const { validateAnswers, findKnockoutFailures, buildAnswerSnapshot } = require('../utils/questions');
+const { createPendingEvaluation } = require('./evaluations');
+const { cancelApplicationJobs } = require('./jobQueue');
+const { EVALUATE_APPLICATION, enqueueEvaluation } = require('./evaluationJobs');
+const { EXTRACT_PROFILE, enqueueProfileExtraction } = require('./candidateProfiles');
+const { ASSESS_REQUIREMENTS, enqueueRequirementAssessment } = require('./requirementMatrix');
+
+// Esquema de los datos del candidato de una aplicación
+const createApplicationSchema = Joi.object({
+  jobRoleId: Joi.string().uuid().required().messages({
+    'string.uuid': 'ID de rol inválido',
+    'any.required': 'El ID del rol es requerido'
+  }),
+  candidateName: Joi.string().min(2).max(255).required().messages({
+    'string.min': 'El nombre debe tener al menos 2 caracteres',
+    'string.max': 'El nombre no puede exceder 255 caracteres',
+    'any.required': 'El nombre del candidato es requerido'
+  }),
+  candidateEmail: Joi.string().email().required().messages({
+    'string.email': 'Debe ser un email válido',
+    'any.required': 'El email del candidato es requerido'
+  }),
+  candidatePhone: Joi.string().max(50).optional()
+});
+
+/**
+ * Función para subir archivo a Supabase Storage
+ * @param {Buffer} fileBuffer - Buffer del archivo
+ * @param {string} fileName - Nombre del archivo
+ * @param {string} contentType - Tipo de contenido
+ * @returns {Promise<string>} - URL del archivo subido
+ */
+async function uploadToSupabaseStorage(fileBuffer, fileName, contentType) {
+  try {
+    // Usar supabaseAdmin (service role) para bypass de RLS en operaciones del servidor
+    const { data, error } = await supabaseAdmin.storage
+      .from('cvs')
+      .upload(fileName, fileBuffer, {
+        contentType,
+        upsert: false
+      });
+
+    if (error) {
+      throw new Error(`Error subiendo archivo: ${error.message}`);
+    }
+
+    // Obtener URL pública del archivo
+    const { data: urlData } = supabaseAdmin.storage
+      .from('cvs')
+      .getPublicUrl(data.path);
+
+    return urlData.publicUrl;
+  } catch (error) {
+    console.error('Error en uploadToSupabaseStorage:', error);
+    throw error;
+  }
+}
+
+/**
+ * Valida las respuestas al formulario del puesto, incluidos los archivos de las preguntas de tipo archivo.
+ * @param {Array<object>} questions - Preguntas del puesto.
+ * @param {object|string} [answers] - Respuestas por clave de pregunta (o su JSON).
+ * @param {object} answerFiles - Archivos por clave de pregunta ({ buffer, originalName }).
+ * @returns {{answers?: object, files?: Array<Object>, error?: string}} - Respuestas convertidas a su
+ *   tipo y archivos con su formato, o el mensaje de error.
+ */
+function validateApplicationAnswers(questions, answers, answerFiles) {
+  const { value, error } = validateAnswers(questions, answers);
+  if (error) return { error };
+
+  const unknownFile = Object.keys(answerFiles)
+    .find(key => !questions.some(q => q.key === key && q.type === 'file'));
+  if (unknownFile) return { error: `Pregunta desconocida: ${unknownFile}` };
+
+  const files = [];
+  for (const question of questions.filter(q => q.type === 'file')) {
+    const answerFile = answerFiles[question.key];
+    if (!answerFile) {
+      if (question.required) return { error: `La respuesta a "${question.label}" es requerida` };
+      continue;
+    }
+
+    const type = detectDocumentType(answerFile.buffer);
+    if (!type) return { error: `El archivo de "${question.label}" debe ser PDF, DOCX, ODT, RTF o TXT` };
+    files.push({ ...answerFile, key: question.key, type });
+  }
+
+  return { answers: value, files };
+}
+
+/**
+ * Crea una aplicación con su CV: valida los datos y las respuestas al formulario del puesto,
+ * comprueba que el puesto está activo y que el candidato no se ha postulado ya, extrae el texto
+ * del CV, guarda el archivo original y encola la evaluación, la extracción del perfil y la
+ * valoración de requisitos. Si las respuestas no cumplen algún criterio eliminatorio, la
+ * aplicación se crea descartada (rejected) con el motivo y sin evaluación ni trabajos de IA.
+ * @param {object} data - Datos del candidato (jobRoleId, candidateName, candidateEmail, candidatePhone)
+ *   y respuestas al formulario (answers, por clave de pregunta).
+ * @param {object} file - CV subido.
+ * @param {Buffer} file.buffer - Contenido del archivo.
+ * @param {string} [file.originalName] - Nombre con el que lo envió el candidato.
+ * @param {string} [file.type] - Formato ya detectado (ver detectDocumentType).
+ * @param {string} [file.text] - Texto ya extraído del archivo.
+ * @param {object} [options]
+ * @param {object} [options.answerFiles] - Archivos de las preguntas de tipo archivo, por clave de pregunta.
+ * @param {boolean} [options.skipQuestions] - No pedir las respuestas al formulario (importaciones
+ *   de CVs recibidos por otras vías, en las que el candidato no ha rellenado el formulario).
+ * @returns {Promise<{status: number, message?: string, application?: Object}>} - status 201 con la
+ *   aplicación creada o el status HTTP y el mensaje del error (400, 404 o 409 si ya existe).
+ */
+async function createApplication(data, file, { answerFiles = {}, skipQuestions = false } = {}) {
+  const { answers: rawAnswers, ...candidate } = data;
+  const { error: validationError, value } = createApplicationSchema.validate(candidate);
+  if (validationError) {
+    return { status: 400, message: validationError.details[0].message };
+  }
+
+  const { jobRoleId, candidateName, candidateEmail, candidatePhone } = value;
+
+  // Verificar que el rol existe y está activo
+  const roleCheck = await query(
+    'SELECT id, questions FROM public.job_roles WHERE id = $1 AND status = $2',
+    [jobRoleId, 'active']
+  );
+
+  if (roleCheck.rows.length === 0) {
+    return { status: 404, message: 'Rol no encontrado o no está activo' };
+  }
+
+  const questions = skipQuestions ? [] : roleCheck.rows[0].questions || [];
+  const answerCheck = validateApplicationAnswers(questions, rawAnswers, answerFiles);
+  if (answerCheck.error) {
+    return { status: 400, message: answerCheck.error };
+  }
+
+  // Verificar si ya existe una aplicación del mismo email para este rol
+  const existingApplication = await query(
+    'SELECT id FROM public.applications WHERE job_role_id = $1 AND candidate_email = $2',
+    [jobRoleId, candidateEmail]
+  );
+
+  if (existingApplication.rows.length > 0) {
+    return { status: 409, message: 'Ya existe una aplicación de este candidato para este rol' };
+  }
+
+  // Formato real del CV según su contenido
+  const cvFileType = file.type || detectDocumentType(file.buffer);
+  if (!cvFileType) {
+    return { status: 400, message: 'Formato de CV no admitido. Usa PDF, DOCX, ODT, RTF o TXT' };
+  }
+
+  // Extraer el texto del CV para guardarlo en la BD (para reevaluaciones)
+  let cvText = file.text;
+  if (cvText === undefined) {
+    try {
+      cvText = await extractDocumentText(file.buffer, cvFileType);
+    } catch (extractError) {
+      return { status: 400, message: extractError.message };
+    }
+  }
+
+  // Criterios eliminatorios: la aplicación se guarda igualmente, ya descartada y sin evaluar
+  const knockoutFailures = findKnockoutFailures(questions, answerCheck.answers);
+  const status = knockoutFailures.length > 0 ? 'rejected' : 'pending';
+  const rejectionReason = knockoutFailures.length > 0 ? knockoutFailures.join('; ') : null;
+
+  // Generar nombre único para el archivo
+  const { extension, mimeType } = DOCUMENT_TYPES[cvFileType];
+  const uniqueFileName = `${uuidv4()}_${candidateName.replace(/[^a-zA-Z0-9]/g, '_')}${extension}`;
+  const cvFileName = (file.originalName || '').slice(0, 255);
+
+  let cvFilePath = '';
+  const uploadedFiles = [];
+
+  const application = await transaction(async (client) => {
+    try {
+      // Subir el archivo original a Supabase Storage
+      cvFilePath = await uploadToSupabaseStorage(file.buffer, uniqueFileName, mimeType);
+      uploadedFiles.push(uniqueFileName);
+
+      // Archivos de las preguntas de tipo archivo, junto a los CVs
+      const answers = { ...answerCheck.answers };
+      for (const answerFile of answerCheck.files) {
+        const answerType = DOCUMENT_TYPES[answerFile.type];
+        const answerFileName = `${uuidv4()}_${answerFile.key}${answerType.extension}`;
+        const filePath = await uploadToSupabaseStorage(answerFile.buffer, answerFileName, answerType.mimeType);
+        uploadedFiles.push(answerFileName);
+        answers[answerFile.key] = {
+          fileName: (answerFile.originalName || '').slice(0, 255),
+          filePath,
+          fileType: answerFile.type
+        };
+      }
+
+      // Crear aplicación en la base de datos (con el idioma detectado del CV)
+      const applicationResult = await client.query(
+        `INSERT INTO public.applications (
+          job_role_id, candidate_name, candidate_email, candidate_phone,
+          cv_file_path, cv_text, cv_language, cv_file_type, cv_file_name,
+          answers, status, rejection_reason
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING *`,
+        [
+          jobRoleId, candidateName, candidateEmail, candidatePhone, cvFilePath, cvText,
+          detectLanguage(cvText), cvFileType, cvFileName,
+          JSON.stringify(buildAnswerSnapshot(questions, answers)), status, rejectionReason
+        ]
+      );
+
+      const applicationId = applicationResult.rows[0].id;
+
+      // La evaluación queda pendiente hasta que el worker la procese. Solo los PDF se envían
+      // como archivo a la IA; el resto de formatos se evalúa con el texto extraído. Las
+      // descartadas por un criterio eliminatorio no se envían a la IA: el reclutador puede
+      // evaluarlas a mano con POST /api/evaluations/reevaluate.
+      if (knockoutFailures.length === 0) {
+        await createPendingEvaluation(client, applicationId);
+        await enqueueEvaluation(client, applicationId, {
+          storagePath: cvFileType === 'pdf' ? uniqueFileName : undefined
+        });
+        await enqueueProfileExtraction(client, applicationId);
+        await enqueueRequirementAssessment(client, applicationId);
+      }
+
+      return applicationResult.rows[0];
+    } catch (error) {
+      // Si hay error, intentar limpiar los archivos subidos
+      if (uploadedFiles.length > 0) {
+        try {
+          await supabaseAdmin.storage
+            .from('cvs')
+            .remove(uploadedFiles);
+        } catch (cleanupError) {
+          console.error('Error limpiando archivo:', cleanupError);
+        }
+      }
+      throw error;
+    }
+  });
+
+  return {
+    status: 201,
+    application: {
+      id: application.id,
+      jobRoleId,
+      candidateName,
+      candidateEmail,
+      candidatePhone,
+      status,
+      rejectionReason,
+      cvFilePath,
+      cvFileType
+    }
+  };
+}
+
+// Estados en los que el candidato todavía puede cambiar su CV (antes de las entrevistas)
+const CV_UPDATABLE_STATUSES = ['pending', 'reviewing'];
+
+/**
+ * Sustituye el CV de una aplicación por una versión actualizada del candidato: extrae el texto,
+ * guarda el nuevo archivo, marca la evaluación anterior como desactualizada, cancela los trabajos
+ * de IA pendientes del CV anterior y encola de nuevo la evaluación, la extracción del perfil y la
+ * valoración de requisitos. El archivo anterior se elimina del storage una vez guardado el nuevo.
+ * @param {string} applicationId - ID de la aplicación.
+ * @param {object} file - CV nuevo.
+ * @param {Buffer} file.buffer - Contenido del archivo.
+ * @param {string} [file.originalName] - Nombre con el que lo envió el candidato.
+ * @returns {Promise<{status: number, message?: string, application?: Object}>} - status 200 con la
+ *   aplicación actualizada o el status HTTP y el mensaje del error (400, 404 o 409 si la aplicación
+ *   ya no admite cambios).
+ */
+async function replaceApplicationCv(applicationId, file) {
+  const current = await query(
+    `SELECT a.id, a.candidate_name, a.status, a.cv_file_path, jr.status as role_status
+     FROM public.applications a
+     JOIN public.job_roles jr ON a.job_role_id = jr.id
+     WHERE a.id = $1`,
+    [applicationId]
+  );
+
+  if (current.rows.length === 0) {
+    return { status: 404, message: 'Aplicación no encontrada' };
+  }
+
+  const application = current.rows[0];
+  if (!CV_UPDATABLE_STATUSES.includes(application.status) || application.role_status !== 'active') {
+    return { status: 409, message: 'La aplicación ya no admite cambios' };
+  }
+
+  const cvFileType = detectDocumentType(file.buffer);
+  if (!cvFileType) {
+    return { status: 400, message: 'Formato de CV no admitido. Usa PDF, DOCX, ODT, RTF o TXT' };
+  }
+
+  let cvText;
+  try {
+    cvText = await extractDocumentText(file.buffer, cvFileType);
+  } catch (extractError) {
+    return { status: 400, message: extractError.message };
+  }
+
+  const { extension, mimeType } = DOCUMENT_TYPES[cvFileType];
+  const uniqueFileName = `${uuidv4()}_${application.candidate_name.replace(/[^a-zA-Z0-9]/g, '_')}${extension}`;
+  const cvFileName = (file.originalName || '').slice(0, 255);
+  let uploaded = false;
+
+  const updated = await transaction(async (client) => {
+    try {
+      const cvFilePath = await uploadToSupabaseStorage(file.buffer, uniqueFileName, mimeType);
+      uploaded = true;
+
+      const result = await client.query(
+        `UPDATE public.applications
+         SET cv_file_path = $1, cv_text = $2, cv_language = $3, cv_file_type = $4, cv_file_name = $5,
+             cv_updated_at = NOW(), updated_at = NOW()
+         WHERE id = $6
+         RETURNING id, status, cv_file_path, cv_file_type, cv_file_name, cv_updated_at`,
+        [cvFilePath, cvText, detectLanguage(cvText), cvFileType, cvFileName, applicationId]
+      );
+
+      // La evaluación actual se sigue mostrando, marcada como desactualizada, hasta que el
+      // worker evalúe el CV nuevo
+      await client.query(
+        `UPDATE public.evaluations
+         SET is_stale = true, stale_since = COALESCE(stale_since, NOW())
+         WHERE application_id = $1`,
+        [applicationId]
+      );
+      // Los trabajos del CV anterior que no han terminado ya no sirven; uno que ya esté en
+      // ejecución termina pero no se reintenta
+      await cancelApplicationJobs(
+        client,
+        applicationId,
+        [EVALUATE_APPLICATION, EXTRACT_PROFILE, ASSESS_REQUIREMENTS],
+        'Cancelado: el candidato ha sustituido el CV'
+      );
+      await enqueueEvaluation(client, applicationId, {
+        storagePath: cvFileType === 'pdf' ? uniqueFileName : undefined
+      });
+      await enqueueProfileExtraction(client, applicationId);
+      await enqueueRequirementAssessment(client, applicationId);
+
+      return result.rows[0];
+    } catch (error) {
+      if (uploaded) {
+        try {
+          await supabaseAdmin.storage
+            .from('cvs')
+            .remove([uniqueFileName]);
+        } catch (cleanupError) {
+          console.error('Error limpiando archivo:', cleanupError);
+        }
+      }
+      throw error;
+    }
+  });
+
+  // El CV anterior ya no se usa; si no se puede eliminar no falla la operación
+  if (application.cv_file_path) {
+    try {
+      await supabaseAdmin.storage
+        .from('cvs')
+        .remove([application.cv_file_path.split('/').pop()]);
+    } catch (storageError) {
+      console.error('Error eliminando CV anterior del storage:', storageError);
+    }
+  }
+
+  return {
+    status: 200,
+    application: {
+      id: updated.id,
+      status: updated.status,
+      cvFilePath: updated.cv_file_path,
+      cvFileType: updated.cv_file_type,
+      cvFileName: updated.cv_file_name,
+      cvUpdatedAt: updated.cv_updated_at
+    }
+  };
+}
+
+module.exports = {
+  CV_UPDATABLE_STATUSES,
+  createApplication,
+  replaceApplicationCv
+};
@@ -0,0 +1,205 @@
+const path = require('path');
+const { readZipEntries, readZipEntry } = require('../utils/zip');
+const { parseCsv } = require('../utils/csv');
+const { normalizeForMatch } = require('../utils/evidence');
+const { findContactDetails } = require('../utils/redaction');
+const { detectDocumentType, decodePlainText, extractDocumentText } = require('../utils/documents');
+const { createApplication } = require('./applicationIntake');
+
+// Máximo de CVs por importación
+const MAX_IMPORT_FILES = parseInt(process.env.MAX_IMPORT_FILES) || 200;
+// Tamaño máximo de cada CV dentro del ZIP (el mismo que en la subida individual)
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+
+// Nombres aceptados para cada columna del manifiesto (normalizados, sin acentos)
+const MANIFEST_COLUMNS = {
+  file: ['file', 'filename', 'file name', 'archivo', 'fichero', 'nombre de archivo', 'cv'],
+  name: ['name', 'nombre', 'candidate name', 'candidato', 'nombre completo', 'nome'],
+  email: ['email', 'e-mail', 'mail', 'correo', 'correo electronico', 'candidate email'],
+  phone: ['phone', 'telefono', 'movil', 'celular', 'candidate phone', 'telefone']
+};
+
+// Palabras habituales en los nombres de archivo de CV que no forman parte del nombre
+const FILE_NAME_NOISE = new Set(['cv', 'curriculum', 'curriculo', 'vitae', 'resume', 'resumen', 'final']);
+
+/**
+ * Lee el manifiesto CSV: una fila por CV con el nombre del archivo y, opcionalmente, nombre,
+ * email y teléfono del candidato. La primera fila es la cabecera.
+ * @param {string} text - Contenido del CSV.
+ * @returns {{rows: Array<Object>, error?: string}} - Filas ({ line, file, name, email, phone }) o el error.
+ */
+function parseManifest(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    return { rows: [], error: 'El manifiesto CSV está vacío' };
+  }
+
+  const headers = header.fields.map(normalizeForMatch);
+  const columns = Object.fromEntries(Object.entries(MANIFEST_COLUMNS)
+    .map(([column, aliases]) => [column, headers.findIndex(h => aliases.includes(h))]));
+
+  if (columns.file === -1) {
+    return { rows: [], error: 'El manifiesto CSV debe tener una columna con el nombre del archivo' };
+  }
+
+  return {
+    rows: records.map((record) => {
+      const value = column => (columns[column] === -1 ? '' : record.fields[columns[column]] || '');
+      return {
+        line: record.line,
+        file: value('file'),
+        name: value('name'),
+        email: value('email'),
+        phone: value('phone')
+      };
+    })
+  };
+}
+
+/**
+ * Deduce el nombre del candidato a partir del nombre del archivo
+ * (ej. "CV_Juan_Pérez_2024.pdf" → "Juan Pérez").
+ * @param {string} fileName - Nombre del archivo.
+ * @returns {string} - Nombre deducido (puede quedar vacío).
+ */
+const nameFromFileName = fileName => path.basename(fileName, path.extname(fileName))
+  .split(/[\s_\-.]+/)
+  .filter(word => word && !FILE_NAME_NOISE.has(normalizeForMatch(word)) && !/^v?\d+$/i.test(word))
+  .join(' ');
+
+/**
+ * Lista los CVs de un ZIP, sin carpetas ni archivos ocultos o de sistema (ej. "__MACOSX/").
+ * @param {Buffer} archive - Contenido del ZIP.
+ * @returns {Array<Object>} - Entradas del ZIP.
+ */
+const listArchiveFiles = archive => readZipEntries(archive).filter(entry => !entry.directory &&
+  !entry.name.startsWith('__MACOSX/') && !path.basename(entry.name).startsWith('.'));
+
+/**
+ * Importa los CVs de un ZIP como aplicaciones de un puesto. Cada archivo pasa por las mismas
+ * validaciones y comprobaciones de duplicados que una aplicación individual y encola su
+ * evaluación. Los datos del manifiesto tienen prioridad; si faltan, el email y el teléfono se
+ * buscan en el texto del CV y el nombre se deduce del nombre del archivo.
+ * @param {string} roleId - ID del puesto.
+ * @param {Buffer} archive - Contenido del ZIP.
+ * @param {Buffer} [manifestFile] - Manifiesto CSV (UTF-8 o Windows-1252, como lo exporta Excel).
+ * @returns {Promise<{status: number, message?: string, summary?: Object, rows?: Array<Object>}>} -
+ *   status 200 con el informe por fila o 400 con el motivo si el ZIP o el manifiesto no son válidos.
+ */
+async function importApplications(roleId, archive, manifestFile) {
+  let files;
+  try {
+    files = listArchiveFiles(archive);
+  } catch (error) {
+    return { status: 400, message: 'El archivo debe ser un ZIP válido' };
+  }
+
+  if (files.length === 0) {
+    return { status: 400, message: 'El ZIP no contiene ningún CV' };
+  }
+  if (files.length > MAX_IMPORT_FILES) {
+    return { status: 400, message: `El ZIP no puede contener más de ${MAX_IMPORT_FILES} CVs` };
+  }
+
+  const manifest = manifestFile ? parseManifest(decodePlainText(manifestFile)) : { rows: [] };
+  if (manifest.error) {
+    return { status: 400, message: manifest.error };
+  }
+
+  // Cada fila del manifiesto se asocia a un archivo por su ruta o solo por su nombre
+  const findFile = name => files.find(e => e.name.toLowerCase() === name.toLowerCase()) ||
+    files.find(e => path.basename(e.name).toLowerCase() === path.basename(name).toLowerCase());
+
+  const rows = [];
+  const listed = new Set();
+
+  for (const row of manifest.rows) {
+    const entry = row.file ? findFile(row.file) : null;
+    if (!entry) {
+      rows.push({ line: row.line, file: row.file, status: 'failed', message: 'Archivo no encontrado en el ZIP' });
+    } else if (listed.has(entry.name)) {
+      rows.push({ line: row.line, file: row.file, status: 'failed', message: 'Archivo repetido en el manifiesto' });
+    } else {
+      listed.add(entry.name);
+      rows.push(await importFile(roleId, archive, entry, row));
+    }
+  }
+
+  // Los CVs del ZIP que no están en el manifiesto se importan con los datos deducidos
+  for (const entry of files.filter(e => !listed.has(e.name))) {
+    rows.push(await importFile(roleId, archive, entry, { line: null }));
+  }
+
+  return {
+    status: 200,
+    summary: {
+      total: rows.length,
+      created: rows.filter(r => r.status === 'created').length,
+      duplicates: rows.filter(r => r.status === 'duplicate').length,
+      failed: rows.filter(r => r.status === 'failed').length
+    },
+    rows
+  };
+}
+
+/**
+ * Importa un CV del ZIP.
+ * @param {string} roleId - ID del puesto.
+ * @param {Buffer} archive - Contenido del ZIP.
+ * @param {object} entry - Entrada del ZIP.
+ * @param {object} row - Fila del manifiesto ({ line } si el archivo no está en él).
+ * @returns {Promise<Object>} - Fila del informe.
+ */
+async function importFile(roleId, archive, entry, row) {
+  const report = { line: row.line, file: entry.name };
+
+  if (entry.size > MAX_FILE_SIZE) {
+    return { ...report, status: 'failed', message: 'El CV supera el tamaño máximo permitido' };
+  }
+
+  try {
+    const buffer = readZipEntry(archive, entry, { maxSize: MAX_FILE_SIZE });
+    const type = detectDocumentType(buffer);
+    if (!type) {
+      return { ...report, status: 'failed', message: 'Formato de CV no admitido. Usa PDF, DOCX, ODT, RTF o TXT' };
+    }
+
+    let text;
+    try {
+      text = await extractDocumentText(buffer, type);
+    } catch (extractError) {
+      return { ...report, status: 'failed', message: extractError.message };
+    }
+
+    const contact = findContactDetails(text);
+    const data = {
+      jobRoleId: roleId,
+      candidateName: row.name || nameFromFileName(entry.name) || undefined,
+      candidateEmail: row.email || contact.email || undefined,
+      candidatePhone: row.phone || contact.phone || undefined
+    };
+
+    const result = await createApplication(data, {
+      buffer,
+      originalName: path.basename(entry.name),
+      type,
+      text
+    }, { skipQuestions: true });
+
+    const candidate = { candidateName: data.candidateName, candidateEmail: data.candidateEmail };
+    if (result.status === 201) {
+      return { ...report, ...candidate, status: 'created', applicationId: result.application.id };
+    }
+    if (result.status === 409) {
+      return { ...report, ...candidate, status: 'duplicate', message: result.message };
+    }
+    return { ...report, ...candidate, status: 'failed', message: result.message };
+  } catch (error) {
+    console.error(`Error importando ${entry.name}:`, error);
+    return { ...report, status: 'failed', message: 'Error interno del servidor' };
+  }
+}
+
+module.exports = {
+  importApplications
+};
@@ -0,0 +1,105 @@
+const { query } = require('../utils/database');
+const { generateToken, verifyToken, CANDIDATE_PORTAL_PURPOSE } = require('../middleware/auth');
+const { CV_UPDATABLE_STATUSES } = require('./applicationIntake');
+
+// Validez del enlace del portal (formato de jsonwebtoken, ej. "30d" o "12h")
+const PORTAL_TOKEN_TTL = process.env.CANDIDATE_PORTAL_TOKEN_TTL || '30d';
+// Página del frontend que abre el portal con el token en ?token=
+const PORTAL_URL = process.env.CANDIDATE_PORTAL_URL ||
+  `${process.env.FRONTEND_URL || 'http://localhost:5173'}/portal`;
+// Estados en los que el candidato todavía puede retirar la aplicación
+const WITHDRAWABLE_STATUSES = ['pending', 'reviewing', 'interviewed'];
+
+/**
+ * Genera el enlace firmado con el que el candidato accede al portal de su aplicación.
+ * @param {string} applicationId - ID de la aplicación.
+ * @returns {{token: string, url: string, expiresAt: string}|null} - null si no hay JWT_SECRET
+ *   configurado (el portal queda desactivado).
+ */
+function issuePortalAccess(applicationId) {
+  if (!process.env.JWT_SECRET) return null;
+
+  const token = generateToken({ sub: applicationId, purpose: CANDIDATE_PORTAL_PURPOSE }, PORTAL_TOKEN_TTL);
+  const { exp } = verifyToken(token);
+  return {
+    token,
+    url: `${PORTAL_URL}?token=${encodeURIComponent(token)}`,
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Estado de la aplicación tal como lo ve el candidato: sin puntuaciones, notas ni motivos internos.
+ * @param {string} applicationId - ID de la aplicación.
+ * @returns {Promise<Object|null>} - null si la aplicación no existe.
+ */
+async function getPortalApplication(applicationId) {
+  const result = await query(
+    `SELECT
+      a.id, a.candidate_name, a.candidate_email, a.status, a.cv_file_name, a.cv_file_type,
+      a.cv_updated_at, a.withdrawn_at, a.applied_at, a.updated_at,
+      jr.title as job_title, jr.department, jr.location, jr.status as role_status
+     FROM public.applications a
+     JOIN public.job_roles jr ON a.job_role_id = jr.id
+     WHERE a.id = $1`,
+    [applicationId]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+  return {
+    id: row.id,
+    candidateName: row.candidate_name,
+    candidateEmail: row.candidate_email,
+    status: row.status,
+    role: {
+      title: row.job_title,
+      department: row.department,
+      location: row.location
+    },
+    cv: {
+      fileName: row.cv_file_name,
+      fileType: row.cv_file_type,
+      updatedAt: row.cv_updated_at
+    },
+    appliedAt: row.applied_at,
+    updatedAt: row.updated_at,
+    withdrawnAt: row.withdrawn_at,
+    canWithdraw: WITHDRAWABLE_STATUSES.includes(row.status),
+    canUpdateCv: CV_UPDATABLE_STATUSES.includes(row.status) && row.role_status === 'active'
+  };
+}
+
+/**
+ * Retira la aplicación a petición del candidato. Los trabajos pendientes de la aplicación se
+ * siguen procesando: la evaluación queda disponible si el reclutador la consulta.
+ * @param {string} applicationId - ID de la aplicación.
+ * @param {string} [reason] - Motivo indicado por el candidato.
+ * @returns {Promise<{status: number, message?: string, application?: Object}>} - status 200 con el
+ *   estado actualizado, 404 si no existe o 409 si ya no se puede retirar.
+ */
+async function withdrawApplication(applicationId, reason) {
+  const result = await query(
+    `UPDATE public.applications
+     SET status = 'withdrawn', withdrawn_at = NOW(), withdrawal_reason = $2, updated_at = NOW()
+     WHERE id = $1 AND status = ANY($3)
+     RETURNING id`,
+    [applicationId, reason || null, WITHDRAWABLE_STATUSES]
+  );
+
+  if (result.rows.length === 0) {
+    const exists = await query('SELECT id FROM public.applications WHERE id = $1', [applicationId]);
+    return exists.rows.length === 0
+      ? { status: 404, message: 'Aplicación no encontrada' }
+      : { status: 409, message: 'La aplicación ya no se puede retirar' };
+  }
+
+  return { status: 200, application: await getPortalApplication(applicationId) };
+}
+
+module.exports = {
+  issuePortalAccess,
+  getPortalApplication,
+  withdrawApplication
+};
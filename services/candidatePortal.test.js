@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../utils/database', () => ({ query: jest.fn() }));
+jest.mock('../middleware/auth', () => ({}));
+jest.mock('./applicationIntake', () => ({ CV_UPDATABLE_STATUSES: ['pending', 'reviewing'] }));
+
+const { query } = require('../utils/database');
+const { getPortalApplication, withdrawApplication } = require('./candidatePortal');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Columnas de cada tabla tras aplicar todas las migraciones (CREATE TABLE y ADD COLUMN)
+function readSchema() {
+  const tables = {};
+  const sql = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.sql'))
+    .sort()
+    .map(file => fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8').replace(/--.*$/gm, ''))
+    .join('\n');
+
+  for (const [, table, body] of sql.matchAll(/CREATE TABLE IF NOT EXISTS public\.(\w+) \(([\s\S]*?)\n\);/g)) {
+    tables[table] = new Set(body.split('\n')
+      .map(line => line.trim().match(/^(\w+)\s/))
+      .filter(match => match && !/^(CONSTRAINT|PRIMARY|UNIQUE|FOREIGN|CHECK)$/i.test(match[1]))
+      .map(match => match[1]));
+  }
+  for (const [, table, body] of sql.matchAll(/ALTER TABLE public\.(\w+)([^;]*);/g)) {
+    for (const [, column] of body.matchAll(/ADD COLUMN IF NOT EXISTS (\w+)/g)) {
+      tables[table].add(column);
+    }
+  }
+  return tables;
+}
+
+// Columnas "alias.columna" que usa una consulta
+const usedColumns = (text, alias) => [...text.matchAll(new RegExp(`\\b${alias}\\.(\\w+)`, 'g'))].map(match => match[1]);
+
+const ROW = {
+  id: 'app-1',
+  candidate_name: 'Ana Ruiz',
+  candidate_email: 'ana@example.com',
+  status: 'pending',
+  cv_file_name: 'cv.pdf',
+  cv_file_type: 'pdf',
+  cv_updated_at: null,
+  withdrawn_at: null,
+  applied_at: '2024-05-06T08:00:00.000Z',
+  updated_at: '2024-05-07T08:00:00.000Z',
+  job_title: 'Diseñadora',
+  department: 'Producto',
+  location: 'Madrid',
+  role_status: 'active',
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('getPortalApplication', () => {
+  test('solo consulta columnas que existen en las migraciones', async () => {
+    query.mockResolvedValue({ rows: [ROW] });
+    const schema = readSchema();
+
+    await getPortalApplication('app-1');
+
+    const [text] = query.mock.calls[0];
+    expect(usedColumns(text, 'a').filter(column => !schema.applications.has(column))).toEqual([]);
+    expect(usedColumns(text, 'jr').filter(column => !schema.job_roles.has(column))).toEqual([]);
+  });
+
+  test('devuelve el estado visible para el candidato', async () => {
+    query.mockResolvedValue({ rows: [ROW] });
+
+    expect(await getPortalApplication('app-1')).toEqual({
+      id: 'app-1',
+      candidateName: 'Ana Ruiz',
+      candidateEmail: 'ana@example.com',
+      status: 'pending',
+      role: { title: 'Diseñadora', department: 'Producto', location: 'Madrid' },
+      cv: { fileName: 'cv.pdf', fileType: 'pdf', updatedAt: null },
+      appliedAt: '2024-05-06T08:00:00.000Z',
+      updatedAt: '2024-05-07T08:00:00.000Z',
+      withdrawnAt: null,
+      canWithdraw: true,
+      canUpdateCv: true,
+    });
+  });
+
+  test('devuelve null si la aplicación no existe', async () => {
+    query.mockResolvedValue({ rows: [] });
+
+    expect(await getPortalApplication('app-1')).toBeNull();
+  });
+});
+
+describe('withdrawApplication', () => {
+  test('retira la aplicación y devuelve su estado', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [{ id: 'app-1' }] })
+      .mockResolvedValueOnce({ rows: [{ ...ROW, status: 'withdrawn', withdrawn_at: '2024-05-08T08:00:00.000Z' }] });
+
+    const result = await withdrawApplication('app-1', 'He aceptado otra oferta');
+
+    expect(result.status).toBe(200);
+    expect(result.application).toMatchObject({ status: 'withdrawn', canWithdraw: false, canUpdateCv: false });
+  });
+
+  test('distingue una aplicación inexistente de una que ya no se puede retirar', async () => {
+    query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [] });
+    expect(await withdrawApplication('app-1')).toEqual({ status: 404, message: 'Aplicación no encontrada' });
+
+    query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [{ id: 'app-1' }] });
+    expect(await withdrawApplication('app-1')).toEqual({ status: 409, message: 'La aplicación ya no se puede retirar' });
+  });
+});
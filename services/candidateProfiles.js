@@ -0,0 +1,173 @@
+const { query } = require('../utils/database');
+const { extractCandidateProfile } = require('../config/ai');
+const { toKey } = require('../utils/profile');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { getActivePromptTemplate } = require('./promptTemplates');
+const { MIN_CV_TEXT_LENGTH, getPromptCvText } = require('./evaluations');
+
+const EXTRACT_PROFILE = 'extract_profile';
+
+/**
+ * Convierte una fila de public.candidate_profiles en el perfil que devuelve la API.
+ * @param {object} row - Fila de la base de datos.
+ * @returns {object} - Perfil del candidato.
+ */
+const formatProfile = row => ({
+  workHistory: row.work_history,
+  totalYearsExperience: row.total_years_experience !== null ? parseFloat(row.total_years_experience) : null,
+  skills: row.skills,
+  education: row.education,
+  certifications: row.certifications,
+  languages: row.languages,
+  model: row.model_used,
+  promptVersion: row.prompt_version,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Obtiene el perfil estructurado de una aplicación.
+ * @param {string} applicationId - ID de la aplicación.
+ * @returns {Promise<Object|null>} - Perfil o null si aún no se ha extraído.
+ */
+async function getCandidateProfile(applicationId) {
+  const result = await query(
+    'SELECT * FROM public.candidate_profiles WHERE application_id = $1',
+    [applicationId]
+  );
+  return result.rows[0] ? formatProfile(result.rows[0]) : null;
+}
+
+/**
+ * Guarda (crea o reemplaza) el perfil de una aplicación.
+ * @param {string} applicationId - ID de la aplicación.
+ * @param {object} profile - Perfil normalizado devuelto por extractCandidateProfile.
+ * @returns {Promise<Object>} - Perfil guardado.
+ */
+async function saveCandidateProfile(applicationId, profile) {
+  const result = await query(
+    `INSERT INTO public.candidate_profiles (
+      application_id, work_history, total_years_experience, skills, education, certifications,
+      languages, skill_keys, language_keys, model_used, prompt_version
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    ON CONFLICT (application_id) DO UPDATE SET
+      work_history = EXCLUDED.work_history,
+      total_years_experience = EXCLUDED.total_years_experience,
+      skills = EXCLUDED.skills,
+      education = EXCLUDED.education,
+      certifications = EXCLUDED.certifications,
+      languages = EXCLUDED.languages,
+      skill_keys = EXCLUDED.skill_keys,
+      language_keys = EXCLUDED.language_keys,
+      model_used = EXCLUDED.model_used,
+      prompt_version = EXCLUDED.prompt_version
+    RETURNING *`,
+    [
+      applicationId,
+      JSON.stringify(profile.workHistory),
+      profile.totalYearsExperience,
+      JSON.stringify(profile.skills),
+      JSON.stringify(profile.education),
+      JSON.stringify(profile.certifications),
+      JSON.stringify(profile.languages),
+      profile.skills.map(toKey),
+      profile.languages.map(l => toKey(l.language)),
+      profile.model,
+      profile.promptVersion
+    ]
+  );
+  return formatProfile(result.rows[0]);
+}
+
+/**
+ * Extrae con IA el perfil del CV de una aplicación y lo guarda.
+ * Si el CV no tiene texto legible no se extrae nada.
+ * @param {string} applicationId - ID de la aplicación.
+ * @returns {Promise<Object|null>} - Perfil guardado o null si el CV no tiene texto.
+ * @throws {Error} - Si la IA falla.
+ */
+async function extractApplicationProfile(applicationId) {
+  const result = await query(
+    `SELECT a.job_role_id, a.cv_text, a.candidate_name, a.candidate_email, a.candidate_phone,
+            jr.blind_evaluation, jr.created_by as job_creator_id
+     FROM public.applications a
+     JOIN public.job_roles jr ON a.job_role_id = jr.id
+     WHERE a.id = $1`,
+    [applicationId]
+  );
+  if (result.rows.length === 0) {
+    throw new Error(`Aplicación ${applicationId} no encontrada`);
+  }
+
+  const application = result.rows[0];
+  if ((application.cv_text || '').trim().length < MIN_CV_TEXT_LENGTH) {
+    console.warn(`⚠️  Aplicación ${applicationId} sin texto legible; no se extrae el perfil`);
+    return null;
+  }
+
+  const promptTemplate = await getActivePromptTemplate('profile');
+  const profile = await extractCandidateProfile(getPromptCvText(application).text, {
+    promptTemplate,
+    usageContext: { applicationId, jobRoleId: application.job_role_id, userId: application.job_creator_id }
+  });
+  return saveCandidateProfile(applicationId, profile);
+}
+
+registerJobHandler(EXTRACT_PROFILE, {
+  async run(job) {
+    await extractApplicationProfile(job.application_id);
+  }
+});
+
+/**
+ * Encola la extracción del perfil de una aplicación.
+ * @param {Object|null} client - Cliente de transacción (o null para usar el pool).
+ * @param {string} applicationId - ID de la aplicación.
+ * @returns {Promise<Object>} - La fila del trabajo creado.
+ */
+function enqueueProfileExtraction(client, applicationId) {
+  return enqueueJob(client, { type: EXTRACT_PROFILE, applicationId });
+}
+
+/**
+ * Construye las condiciones SQL para filtrar por perfil (tabla con alias "p").
+ * @param {object} filters - Filtros de la petición.
+ * @param {string} [filters.skills] - Habilidades separadas por comas; se exigen todas.
+ * @param {string|number} [filters.minYears] - Años mínimos de experiencia.
+ * @param {string} [filters.language] - Idioma hablado.
+ * @param {number} paramCount - Siguiente índice de parámetro.
+ * @returns {{conditions: Array<string>, params: Array, paramCount: number}} - Condiciones y parámetros.
+ */
+function buildProfileFilters({ skills, minYears, language }, paramCount) {
+  const conditions = [];
+  const params = [];
+
+  const skillKeys = (skills || '').split(',').map(toKey).filter(Boolean);
+  if (skillKeys.length > 0) {
+    conditions.push(`p.skill_keys @> $${paramCount}::text[]`);
+    params.push(skillKeys);
+    paramCount++;
+  }
+
+  const years = parseFloat(minYears);
+  if (!isNaN(years)) {
+    conditions.push(`p.total_years_experience >= $${paramCount}`);
+    params.push(years);
+    paramCount++;
+  }
+
+  if (language && toKey(language)) {
+    conditions.push(`$${paramCount} = ANY(p.language_keys)`);
+    params.push(toKey(language));
+    paramCount++;
+  }
+
+  return { conditions, params, paramCount };
+}
+
+module.exports = {
+  EXTRACT_PROFILE,
+  getCandidateProfile,
+  extractApplicationProfile,
+  enqueueProfileExtraction,
+  buildProfileFilters
+};
@@ -0,0 +1,222 @@
+const { query } = require('../utils/database');
+
+/**
+ * Convierte una fila de public.candidate_comparisons en la comparación que devuelve la API.
+ * @param {object} row - Fila de la base de datos.
+ * @returns {object} - Comparación.
+ */
+const formatComparison = row => ({
+  id: row.id,
+  roleId: row.job_role_id,
+  candidates: row.candidates,
+  bestApplicationId: row.best_application_id,
+  justification: row.justification,
+  comparisonSummary: row.comparison_summary,
+  model: row.model_used,
+  promptVersion: row.prompt_version,
+  language: row.output_language,
+  decision: {
+    status: row.decision,
+    applicationId: row.decided_application_id,
+    reason: row.decision_reason,
+    decidedBy: row.decided_by,
+    decidedAt: row.decided_at
+  },
+  createdBy: row.created_by,
+  createdAt: row.created_at
+});
+
+/**
+ * Carga los candidatos de un puesto con la evaluación vigente que se pasa a la IA
+ * y la versión de esa evaluación.
+ * @param {string} roleId - ID del puesto.
+ * @param {Array<string>} applicationIds - IDs de las aplicaciones.
+ * @returns {Promise<Array<Object>>} - Candidatos encontrados (id, name, evaluationVersion, evaluation).
+ */
+async function getComparisonCandidates(roleId, applicationIds) {
+  const result = await query(
+    `SELECT
+      a.id,
+      a.candidate_name as name,
+      e.score,
+      e.strengths,
+      e.weaknesses,
+      e.summary,
+      (SELECT MAX(v.version) FROM public.evaluation_versions v WHERE v.application_id = a.id) as evaluation_version
+     FROM public.applications a
+     LEFT JOIN public.evaluations e ON a.id = e.application_id
+     WHERE a.id = ANY($1::uuid[]) AND a.job_role_id = $2`,
+    [applicationIds, roleId]
+  );
+
+  return result.rows.map(c => ({
+    id: c.id,
+    name: c.name,
+    evaluationVersion: c.evaluation_version,
+    evaluation: {
+      score: c.score,
+      strengths: c.strengths || [],
+      weaknesses: c.weaknesses || [],
+      summary: c.summary || 'Sin evaluación previa.'
+    }
+  }));
+}
+
+/**
+ * Asigna a cada candidato el nombre con el que lo verá la IA. Los nombres deben ser únicos para
+ * poder traducir la respuesta a IDs de aplicación: en evaluación a ciegas se usan etiquetas
+ * anónimas y, si no, el nombre real numerado cuando hay nombres repetidos.
+ * @param {Array<object>} candidates - Candidatos (con id y name).
+ * @param {boolean} blind - Si el puesto usa evaluación a ciegas.
+ * @returns {Array<object>} - Candidatos con el nombre para el prompt.
+ */
+function buildPromptCandidates(candidates, blind) {
+  const counts = candidates.reduce((acc, c) => acc.set(c.name, (acc.get(c.name) || 0) + 1), new Map());
+
+  return candidates.map((c, index) => {
+    if (blind) return { ...c, name: `Candidato ${index + 1}` };
+    return counts.get(c.name) > 1 ? { ...c, name: `${c.name} (${index + 1})` } : c;
+  });
+}
+
+/**
+ * Traduce la respuesta de la IA (que identifica a los candidatos por su nombre en el prompt)
+ * a IDs de aplicación y nombres reales.
+ * @param {object} result - Respuesta validada de la IA.
+ * @param {Array<object>} candidates - Candidatos con su nombre real.
+ * @param {Array<object>} promptCandidates - Los mismos candidatos con el nombre usado en el prompt.
+ * @returns {object} - Respuesta con best_application_id y application_id en cada análisis.
+ */
+function resolveComparisonResult(result, candidates, promptCandidates) {
+  const byPromptName = new Map(promptCandidates.map((c, index) => [c.name, candidates[index]]));
+  const best = byPromptName.get(result.best_candidate_name);
+
+  return {
+    ...result,
+    best_application_id: best.id,
+    best_candidate_name: best.name,
+    comparison_summary: result.comparison_summary.map((item) => {
+      const candidate = byPromptName.get(item.candidate_name);
+      return { ...item, application_id: candidate.id, candidate_name: candidate.name };
+    })
+  };
+}
+
+/**
+ * Guarda una comparación con sus entradas y la recomendación de la IA.
+ * @param {string} roleId - ID del puesto.
+ * @param {Array<object>} candidates - Candidatos comparados (id, name, evaluationVersion, evaluation.score).
+ * @param {object} result - Respuesta resuelta (ver resolveComparisonResult) con model, promptVersion y language.
+ * @param {string} userId - Usuario que pidió la comparación.
+ * @returns {Promise<Object>} - Comparación guardada.
+ */
+async function saveComparison(roleId, candidates, result, userId) {
+  const inserted = await query(
+    `INSERT INTO public.candidate_comparisons (
+      job_role_id, candidate_ids, candidates, best_application_id, justification,
+      comparison_summary, model_used, prompt_version, output_language, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *`,
+    [
+      roleId,
+      candidates.map(c => c.id),
+      JSON.stringify(candidates.map(c => ({
+        applicationId: c.id,
+        name: c.name,
+        evaluationVersion: c.evaluationVersion,
+        score: c.evaluation.score
+      }))),
+      result.best_application_id,
+      result.justification,
+      JSON.stringify(result.comparison_summary.map(item => ({
+        applicationId: item.application_id,
+        analysis: item.analysis
+      }))),
+      result.model,
+      result.promptVersion,
+      result.language,
+      userId
+    ]
+  );
+  return formatComparison(inserted.rows[0]);
+}
+
+/**
+ * Lista las comparaciones de un puesto, de la más reciente a la más antigua.
+ * @param {string} roleId - ID del puesto.
+ * @param {object} options - Paginación.
+ * @param {number} options.limit - Máximo de resultados.
+ * @param {number} options.offset - Desplazamiento.
+ * @returns {Promise<{comparisons: Array<Object>, total: number}>} - Página de comparaciones y total.
+ */
+async function listRoleComparisons(roleId, { limit, offset }) {
+  const [comparisons, count] = await Promise.all([
+    query(
+      `SELECT * FROM public.candidate_comparisons
+       WHERE job_role_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [roleId, limit, offset]
+    ),
+    query(
+      'SELECT COUNT(*) as total FROM public.candidate_comparisons WHERE job_role_id = $1',
+      [roleId]
+    )
+  ]);
+
+  return {
+    comparisons: comparisons.rows.map(formatComparison),
+    total: parseInt(count.rows[0].total)
+  };
+}
+
+/**
+ * Obtiene una comparación de un puesto.
+ * @param {string} roleId - ID del puesto.
+ * @param {string} comparisonId - ID de la comparación.
+ * @returns {Promise<Object|null>} - Comparación o null si no existe.
+ */
+async function getComparison(roleId, comparisonId) {
+  const result = await query(
+    'SELECT * FROM public.candidate_comparisons WHERE id = $1 AND job_role_id = $2',
+    [comparisonId, roleId]
+  );
+  return result.rows[0] ? formatComparison(result.rows[0]) : null;
+}
+
+/**
+ * Registra la decisión del reclutador sobre la recomendación: aceptarla o sustituirla por otro
+ * candidato de la comparación. Una decisión posterior reemplaza a la anterior.
+ * @param {object} comparison - Comparación (ver formatComparison).
+ * @param {object} decision - Decisión validada.
+ * @param {string} decision.status - 'accepted' u 'overridden'.
+ * @param {string} [decision.applicationId] - Candidato elegido (obligatorio al sustituir).
+ * @param {string} [decision.reason] - Motivo (obligatorio al sustituir).
+ * @param {string} userId - Usuario que decide.
+ * @returns {Promise<Object>} - Comparación actualizada.
+ */
+async function decideComparison(comparison, decision, userId) {
+  const applicationId = decision.status === 'accepted'
+    ? comparison.bestApplicationId
+    : decision.applicationId;
+
+  const result = await query(
+    `UPDATE public.candidate_comparisons
+     SET decision = $1, decided_application_id = $2, decision_reason = $3,
+         decided_by = $4, decided_at = NOW()
+     WHERE id = $5
+     RETURNING *`,
+    [decision.status, applicationId, decision.reason || null, userId, comparison.id]
+  );
+  return formatComparison(result.rows[0]);
+}
+
+module.exports = {
+  getComparisonCandidates,
+  buildPromptCandidates,
+  resolveComparisonResult,
+  saveComparison,
+  listRoleComparisons,
+  getComparison,
+  decideComparison
+};
@@ -0,0 +1,474 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { query } = require('../utils/database');
+const { parseMessage, isMbox, splitMbox } = require('../utils/mime');
+const { findContactDetails } = require('../utils/redaction');
+const { detectDocumentType, extractDocumentText } = require('../utils/documents');
+const { createApplication } = require('./applicationIntake');
+
+// Dirección a la que escriben los candidatos (ej. empleo@empresa.com). Cada puesto recibe en
+// empleo+<código>@empresa.com, que llega al mismo buzón.
+const INBOUND_EMAIL_ADDRESS = (process.env.INBOUND_EMAIL_ADDRESS || '').trim().toLowerCase();
+// Máximo de mensajes por buzón subido (el mismo que el de CVs por importación)
+const MAX_MAILBOX_MESSAGES = parseInt(process.env.MAX_IMPORT_FILES) || 200;
+// Tamaño máximo de cada CV adjunto (el mismo que en la subida individual)
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+// Código del puesto en el asunto, ej. "Candidatura [REF-1a2b3c4d]"
+const SUBJECT_TOKEN = /\bREF[-:#\s]*([a-z0-9]{6,12})\b/i;
+
+/**
+ * Dirección de correo y referencia de asunto con las que se reciben candidaturas de un puesto.
+ * @param {string} intakeToken - Código del puesto (job_roles.intake_token).
+ * @returns {{token: string, email: string|null, subjectToken: string}} - email es null si no hay
+ *   INBOUND_EMAIL_ADDRESS configurada.
+ */
+function getRoleIntakeAddress(intakeToken) {
+  const [local, domain] = INBOUND_EMAIL_ADDRESS.split('@');
+  return {
+    token: intakeToken,
+    email: local && domain ? `${local}+${intakeToken}@${domain}` : null,
+    subjectToken: `[REF-${intakeToken}]`
+  };
+}
+
+/**
+ * Busca el código del puesto en los destinatarios (empleo+<código>@empresa.com) y, si no
+ * aparece, en el asunto.
+ * @param {object} message - Mensaje leído (ver parseMessage).
+ * @returns {string|null} - Código en minúsculas.
+ */
+function findIntakeToken(message) {
+  const [local, domain] = INBOUND_EMAIL_ADDRESS.split('@');
+  if (local && domain) {
+    const recipient = message.recipients
+      .map(r => r.email.match(/^([^+@]+)\+([^@]+)@(.+)$/))
+      .find(match => match && match[1] === local && match[3] === domain);
+    if (recipient) return recipient[2].toLowerCase();
+  }
+
+  const subject = message.subject.match(SUBJECT_TOKEN);
+  return subject ? subject[1].toLowerCase() : null;
+}
+
+/**
+ * Nombre del candidato: el del remitente o, si el mensaje no lo trae, la parte local del email
+ * (ej. "jose.perez@x.com" → "Jose Perez").
+ * @param {object} from - Remitente ({ name, email }).
+ * @returns {string}
+ */
+const senderName = from => from.name || from.email.split('@')[0]
+  .replace(/[._\-+\d]+/g, ' ')
+  .trim()
+  .replace(/(^|\s)(\p{L})/gu, (match, space, letter) => space + letter.toUpperCase());
+
+/**
+ * Crea una aplicación por cada CV adjunto. Los adjuntos que no son documentos admitidos (firmas,
+ * imágenes...) se omiten; si no queda ninguno, el mensaje va a triaje.
+ * @param {object} message - Mensaje leído.
+ * @param {string} roleId - Puesto.
+ * @returns {Promise<{triageReason?: string, attachments: Array<Object>}>} - Resultado por adjunto.
+ */
+async function createMessageApplications(message, roleId) {
+  const documents = message.attachments
+    .map(attachment => ({ ...attachment, type: detectDocumentType(attachment.content) }));
+
+  if (!documents.some(d => d.type)) {
+    return {
+      triageReason: 'no_attachment',
+      attachments: documents.map(d => ({ filename: d.filename, status: 'skipped', message: 'Formato de CV no admitido. Usa PDF, DOCX, ODT, RTF o TXT' }))
+    };
+  }
+
+  const attachments = [];
+  for (const document of documents) {
+    const report = { filename: document.filename };
+
+    if (!document.type) {
+      attachments.push({ ...report, status: 'skipped', message: 'Formato de CV no admitido. Usa PDF, DOCX, ODT, RTF o TXT' });
+      continue;
+    }
+    if (document.content.length > MAX_FILE_SIZE) {
+      attachments.push({ ...report, status: 'failed', message: 'El CV supera el tamaño máximo permitido' });
+      continue;
+    }
+
+    let text;
+    try {
+      text = await extractDocumentText(document.content, document.type);
+    } catch (extractError) {
+      attachments.push({ ...report, status: 'failed', message: extractError.message });
+      continue;
+    }
+
+    const result = await createApplication({
+      jobRoleId: roleId,
+      candidateName: senderName(message.from) || undefined,
+      candidateEmail: message.from.email,
+      candidatePhone: findContactDetails(text).phone || undefined
+    }, {
+      buffer: document.content,
+      originalName: document.filename,
+      type: document.type,
+      text
+    }, { skipQuestions: true });
+
+    if (result.status === 201) {
+      attachments.push({ ...report, status: 'created', applicationId: result.application.id });
+    } else if (result.status === 409) {
+      attachments.push({ ...report, status: 'duplicate', message: result.message });
+    } else {
+      attachments.push({ ...report, status: 'failed', message: result.message });
+    }
+  }
+
+  return { attachments };
+}
+
+/**
+ * Procesa un mensaje: resuelve el puesto, el remitente y los CVs adjuntos y crea las aplicaciones.
+ * @param {object} message - Mensaje leído.
+ * @param {object} [role] - Puesto ya elegido ({ id, status }); si no, se busca por el código.
+ * @returns {Promise<{roleId: string|null, triageReason?: string, attachments: Array<Object>}>}
+ */
+async function processMessage(message, role) {
+  if (!role) {
+    const token = findIntakeToken(message);
+    const roleResult = token
+      ? await query('SELECT id, status FROM public.job_roles WHERE intake_token = $1', [token])
+      : { rows: [] };
+    role = roleResult.rows[0];
+  }
+
+  if (!role) return { roleId: null, triageReason: 'role_not_found', attachments: [] };
+  if (role.status !== 'active') return { roleId: role.id, triageReason: 'role_inactive', attachments: [] };
+  if (!message.from) return { roleId: role.id, triageReason: 'no_sender', attachments: [] };
+
+  return { roleId: role.id, ...(await createMessageApplications(message, role.id)) };
+}
+
+/**
+ * Recibe un mensaje de correo con una candidatura. Si se puede asociar a un puesto activo y trae
+ * CVs, cada CV pasa por el mismo flujo que POST /api/applications; si no, el mensaje queda en
+ * triaje. Un mensaje ya recibido (mismo Message-ID) no se vuelve a procesar.
+ * @param {Buffer} raw - Mensaje RFC 822.
+ * @param {object} options - Origen del mensaje.
+ * @param {string} options.source - 'upload' o 'maildir'.
+ * @param {string} [options.userId] - Usuario que lo subió.
+ * @returns {Promise<Object>} - Resultado (ver formatInboundEmail) con status 'duplicate' si ya se había recibido.
+ */
+async function ingestMessage(raw, { source, userId = null }) {
+  let message = null;
+  try {
+    message = parseMessage(raw);
+  } catch (error) {
+    console.error('Error leyendo mensaje de correo:', error);
+  }
+
+  const messageKey = (message?.messageId || `sha256:${crypto.createHash('sha256').update(raw).digest('hex')}`).slice(0, 500);
+
+  const existing = await query(
+    'SELECT id, status, job_role_id FROM public.inbound_emails WHERE message_key = $1',
+    [messageKey]
+  );
+  if (existing.rows.length > 0) {
+    return { id: existing.rows[0].id, messageKey, status: 'duplicate', jobRoleId: existing.rows[0].job_role_id };
+  }
+
+  const result = message
+    ? await processMessage(message)
+    : { roleId: null, triageReason: 'parse_error', attachments: [] };
+  const status = result.triageReason ? 'triage' : 'processed';
+
+  const inserted = await query(
+    `INSERT INTO public.inbound_emails (
+      message_key, source, from_name, from_email, subject, sent_at, job_role_id,
+      status, triage_reason, attachments, raw_message, uploaded_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    ON CONFLICT (message_key) DO NOTHING
+    RETURNING *`,
+    [
+      messageKey,
+      source,
+      message?.from?.name?.slice(0, 255) || null,
+      message?.from?.email?.slice(0, 255) || null,
+      message?.subject || null,
+      message?.date || null,
+      result.roleId,
+      status,
+      result.triageReason || null,
+      JSON.stringify(result.attachments),
+      status === 'triage' ? raw : null,
+      userId
+    ]
+  );
+
+  // Otro proceso lo ha registrado a la vez
+  if (inserted.rows.length === 0) {
+    return { messageKey, status: 'duplicate', jobRoleId: result.roleId };
+  }
+
+  return formatInboundEmail(inserted.rows[0]);
+}
+
+/**
+ * Recibe un archivo subido: un mensaje .eml o un buzón mbox con varios mensajes.
+ * @param {Buffer} file - Contenido del archivo.
+ * @param {string} userId - Usuario que lo sube.
+ * @returns {Promise<{status: number, message?: string, summary?: Object, messages?: Array<Object>}>} -
+ *   status 200 con el resultado por mensaje o 400 si el archivo no contiene mensajes.
+ */
+async function ingestMailbox(file, userId) {
+  const messages = isMbox(file) ? splitMbox(file) : [file];
+
+  // Un .eml empieza por una cabecera "Nombre: valor"
+  if (messages.length === 0 || (!isMbox(file) && !/^[\x21-\x39\x3b-\x7e]+:/.test(file.subarray(0, 200).toString('latin1')))) {
+    return { status: 400, message: 'El archivo debe ser un mensaje de correo (.eml) o un buzón mbox' };
+  }
+  if (messages.length > MAX_MAILBOX_MESSAGES) {
+    return { status: 400, message: `El buzón no puede contener más de ${MAX_MAILBOX_MESSAGES} mensajes` };
+  }
+
+  const results = [];
+  for (const raw of messages) {
+    results.push(await ingestMessage(raw, { source: 'upload', userId }));
+  }
+
+  return {
+    status: 200,
+    summary: {
+      total: results.length,
+      processed: results.filter(r => r.status === 'processed').length,
+      triage: results.filter(r => r.status === 'triage').length,
+      duplicates: results.filter(r => r.status === 'duplicate').length
+    },
+    messages: results
+  };
+}
+
+/**
+ * Formatea un mensaje recibido (sin el mensaje original).
+ * @param {object} row - Fila de public.inbound_emails.
+ * @returns {Object}
+ */
+const formatInboundEmail = row => ({
+  id: row.id,
+  messageKey: row.message_key,
+  source: row.source,
+  from: { name: row.from_name, email: row.from_email },
+  subject: row.subject,
+  sentAt: row.sent_at,
+  jobRoleId: row.job_role_id,
+  roleTitle: row.role_title,
+  status: row.status,
+  triageReason: row.triage_reason,
+  attachments: row.attachments,
+  uploadedBy: row.uploaded_by,
+  resolvedBy: row.resolved_by,
+  resolvedAt: row.resolved_at,
+  receivedAt: row.received_at
+});
+
+/**
+ * Lista los mensajes recibidos, del más reciente al más antiguo. Los que no son admin ven los
+ * mensajes en triaje y los de sus puestos o subidos por ellos.
+ * @param {object} filters - Filtros.
+ * @param {string} [filters.status] - processed | triage | discarded.
+ * @param {object} filters.user - Usuario ({ id, isAdmin }).
+ * @param {number} filters.limit - Máximo de resultados.
+ * @param {number} filters.offset - Desplazamiento.
+ * @returns {Promise<{messages: Array<Object>, total: number}>}
+ */
+async function listInboundEmails({ status, user, limit, offset }) {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    params.push(status);
+    conditions.push(`ie.status = $${params.length}`);
+  }
+  if (!user.isAdmin) {
+    params.push(user.id);
+    conditions.push(`(ie.status = 'triage' OR jr.created_by = $${params.length} OR ie.uploaded_by = $${params.length})`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const from = `FROM public.inbound_emails ie
+    LEFT JOIN public.job_roles jr ON ie.job_role_id = jr.id
+    ${where}`;
+
+  const [messages, count] = await Promise.all([
+    query(
+      `SELECT ie.id, ie.message_key, ie.source, ie.from_name, ie.from_email, ie.subject, ie.sent_at,
+              ie.job_role_id, jr.title as role_title, ie.status, ie.triage_reason, ie.attachments,
+              ie.uploaded_by, ie.resolved_by, ie.resolved_at, ie.received_at
+       ${from}
+       ORDER BY ie.received_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    query(`SELECT COUNT(*) as total ${from}`, params)
+  ]);
+
+  return {
+    messages: messages.rows.map(formatInboundEmail),
+    total: parseInt(count.rows[0].total)
+  };
+}
+
+/**
+ * Obtiene un mensaje recibido. Los que siguen en triaje incluyen destinatarios y texto del
+ * mensaje original para decidir a qué puesto corresponden.
+ * @param {string} id - ID del mensaje.
+ * @returns {Promise<Object|null>} - Mensaje (con createdBy del puesto, para comprobar permisos) o null.
+ */
+async function getInboundEmail(id) {
+  const result = await query(
+    `SELECT ie.*, jr.title as role_title, jr.created_by as role_created_by
+     FROM public.inbound_emails ie
+     LEFT JOIN public.job_roles jr ON ie.job_role_id = jr.id
+     WHERE ie.id = $1`,
+    [id]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+
+  const email = { ...formatInboundEmail(row), roleCreatedBy: row.role_created_by };
+  if (row.raw_message) {
+    try {
+      const message = parseMessage(row.raw_message);
+      email.recipients = message.recipients;
+      email.text = message.text.slice(0, 5000);
+      email.attachmentNames = message.attachments.map(a => a.filename);
+    } catch (error) {
+      console.error('Error leyendo mensaje de correo:', error);
+    }
+  }
+  return email;
+}
+
+/**
+ * Asigna un puesto a un mensaje en triaje y vuelve a procesarlo con ese puesto.
+ * @param {string} id - ID del mensaje.
+ * @param {object} role - Puesto ({ id, status }).
+ * @param {string} userId - Usuario que lo asigna.
+ * @returns {Promise<{status: number, message?: string, email?: Object}>} - status 200 con el mensaje
+ *   procesado, 404 si no está en triaje o 409 si sigue sin poder procesarse.
+ */
+async function assignInboundEmail(id, role, userId) {
+  const result = await query(
+    "SELECT raw_message FROM public.inbound_emails WHERE id = $1 AND status = 'triage'",
+    [id]
+  );
+  if (result.rows.length === 0 || !result.rows[0].raw_message) {
+    return { status: 404, message: 'Mensaje no encontrado en triaje' };
+  }
+
+  let message;
+  try {
+    message = parseMessage(result.rows[0].raw_message);
+  } catch (error) {
+    return { status: 409, message: 'No se pudo leer el mensaje de correo' };
+  }
+
+  const processed = await processMessage(message, role);
+  if (processed.triageReason === 'no_sender') {
+    return { status: 409, message: 'El mensaje no tiene remitente' };
+  }
+  if (processed.triageReason === 'no_attachment') {
+    return { status: 409, message: 'El mensaje no tiene ningún CV adjunto' };
+  }
+
+  const updated = await query(
+    `UPDATE public.inbound_emails
+     SET status = 'processed', triage_reason = NULL, job_role_id = $1, attachments = $2,
+         raw_message = NULL, resolved_by = $3, resolved_at = NOW()
+     WHERE id = $4 AND status = 'triage'
+     RETURNING *`,
+    [role.id, JSON.stringify(processed.attachments), userId, id]
+  );
+  if (updated.rows.length === 0) {
+    return { status: 404, message: 'Mensaje no encontrado en triaje' };
+  }
+
+  return { status: 200, email: formatInboundEmail(updated.rows[0]) };
+}
+
+/**
+ * Descarta un mensaje en triaje (ej. spam o un correo que no es una candidatura).
+ * @param {string} id - ID del mensaje.
+ * @param {string} userId - Usuario que lo descarta.
+ * @returns {Promise<Object|null>} - Mensaje descartado o null si no estaba en triaje.
+ */
+async function discardInboundEmail(id, userId) {
+  const result = await query(
+    `UPDATE public.inbound_emails
+     SET status = 'discarded', raw_message = NULL, resolved_by = $1, resolved_at = NOW()
+     WHERE id = $2 AND status = 'triage'
+     RETURNING *`,
+    [userId, id]
+  );
+  return result.rows[0] ? formatInboundEmail(result.rows[0]) : null;
+}
+
+/**
+ * Lee periódicamente los mensajes nuevos de un maildir local (INBOUND_MAILDIR). Cada mensaje
+ * de new/ se procesa y se mueve a cur/ marcado como leído; si falla (ej. la BD no responde) se
+ * deja en new/ para el siguiente ciclo.
+ * @param {object} [options]
+ * @param {string} [options.maildir] - Ruta del maildir.
+ * @param {number} [options.pollIntervalMs] - Intervalo entre lecturas.
+ * @returns {{stop: Function}|null} - null si no hay maildir configurado.
+ */
+function startMaildirPoller({
+  maildir = process.env.INBOUND_MAILDIR,
+  pollIntervalMs = parseInt(process.env.INBOUND_MAILDIR_POLL_MS) || 60000
+} = {}) {
+  if (!maildir) return null;
+
+  let stopped = false;
+  let timer = null;
+
+  const tick = async () => {
+    if (stopped) return;
+    try {
+      const files = (await fs.readdir(path.join(maildir, 'new'))).filter(name => !name.startsWith('.'));
+
+      for (const name of files) {
+        if (stopped) break;
+        const file = path.join(maildir, 'new', name);
+        try {
+          const result = await ingestMessage(await fs.readFile(file), { source: 'maildir' });
+          await fs.rename(file, path.join(maildir, 'cur', `${name.split(':')[0]}:2,S`));
+          console.log(`📬 Correo ${name}: ${result.status}`);
+        } catch (error) {
+          console.error(`❌ Error procesando el correo ${name}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error leyendo el maildir de candidaturas:', error.message);
+    }
+    timer = setTimeout(tick, pollIntervalMs);
+  };
+
+  console.log(`📬 Lectura de candidaturas por correo iniciada (${maildir})`);
+  tick();
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+}
+
+module.exports = {
+  getRoleIntakeAddress,
+  ingestMessage,
+  ingestMailbox,
+  listInboundEmails,
+  getInboundEmail,
+  assignInboundEmail,
+  discardInboundEmail,
+  startMaildirPoller
+};
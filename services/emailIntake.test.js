@@ -0,0 +1,227 @@
+process.env.INBOUND_EMAIL_ADDRESS = 'Empleo@Empresa.com';
+
+jest.mock('../utils/database', () => ({ query: jest.fn() }));
+jest.mock('./applicationIntake', () => ({ createApplication: jest.fn() }));
+
+const { query } = require('../utils/database');
+const { createApplication } = require('./applicationIntake');
+const { getRoleIntakeAddress, ingestMessage, ingestMailbox } = require('./emailIntake');
+
+const ROLE_ID = '11111111-1111-4111-8111-111111111111';
+
+// Mensaje con un CV en texto plano y, opcionalmente, otros adjuntos
+function buildMessage({ headers = [], attachments = [{ filename: 'cv.txt', content: 'Ana Ruiz\nTeléfono: 612 345 678\nExperiencia en ventas' }] }) {
+  const parts = attachments.flatMap(({ filename, content, contentType = 'text/plain; charset=utf-8' }) => [
+    '--b',
+    `Content-Type: ${contentType}`,
+    `Content-Disposition: attachment; filename="${filename}"`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from(content).toString('base64'),
+  ]);
+  return Buffer.from([
+    ...headers,
+    'Content-Type: multipart/mixed; boundary=b',
+    '',
+    '--b',
+    'Content-Type: text/plain',
+    '',
+    'Adjunto mi CV',
+    ...parts,
+    '--b--',
+  ].join('\r\n'));
+}
+
+// Base de datos simulada: sin mensajes previos y con los puestos indicados por código
+function mockDatabase(roles = {}, existing = []) {
+  query.mockImplementation(async (text, params) => {
+    if (text.includes('FROM public.inbound_emails WHERE message_key')) {
+      return { rows: existing.filter(row => row.message_key === params[0]) };
+    }
+    if (text.includes('FROM public.job_roles WHERE intake_token')) {
+      return { rows: roles[params[0]] ? [roles[params[0]]] : [] };
+    }
+    if (text.includes('INSERT INTO public.inbound_emails')) {
+      const [message_key, source, from_name, from_email, subject, sent_at, job_role_id, status, triage_reason, attachments, raw_message, uploaded_by] = params;
+      const row = { id: `email-${existing.length + 1}`, message_key, source, from_name, from_email, subject, sent_at, job_role_id, status, triage_reason, attachments: JSON.parse(attachments), raw_message, uploaded_by };
+      existing.push(row);
+      return { rows: [row] };
+    }
+    throw new Error(`Consulta inesperada: ${text}`);
+  });
+  return existing;
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  createApplication.mockResolvedValue({ status: 201, application: { id: 'app-1' } });
+});
+
+describe('getRoleIntakeAddress', () => {
+  test('devuelve la dirección con el código del puesto y la referencia del asunto', () => {
+    expect(getRoleIntakeAddress('1a2b3c4d')).toEqual({
+      token: '1a2b3c4d',
+      email: 'empleo+1a2b3c4d@empresa.com',
+      subjectToken: '[REF-1a2b3c4d]',
+    });
+  });
+});
+
+describe('ingestMessage', () => {
+  test('asocia el mensaje al puesto por la dirección con el código y crea la aplicación', async () => {
+    mockDatabase({ '1a2b3c4d': { id: ROLE_ID, status: 'active' } });
+    const raw = buildMessage({
+      headers: [
+        'Message-ID: <m1@example.com>',
+        'From: =?UTF-8?Q?Ana_Ru=C3=ADz?= <ana@example.com>',
+        'To: Empleo+1A2B3C4D@empresa.com',
+        'Subject: Candidatura',
+      ],
+    });
+
+    const result = await ingestMessage(raw, { source: 'upload', userId: 'user-1' });
+
+    expect(result).toMatchObject({
+      messageKey: 'm1@example.com',
+      source: 'upload',
+      from: { name: 'Ana Ruíz', email: 'ana@example.com' },
+      jobRoleId: ROLE_ID,
+      status: 'processed',
+      triageReason: null,
+      attachments: [{ filename: 'cv.txt', status: 'created', applicationId: 'app-1' }],
+      uploadedBy: 'user-1',
+    });
+    expect(query).toHaveBeenCalledWith(expect.stringContaining('intake_token'), ['1a2b3c4d']);
+    expect(createApplication).toHaveBeenCalledWith(
+      { jobRoleId: ROLE_ID, candidateName: 'Ana Ruíz', candidateEmail: 'ana@example.com', candidatePhone: '612 345 678' },
+      expect.objectContaining({ originalName: 'cv.txt', type: 'txt', text: expect.stringContaining('Experiencia en ventas') }),
+      { skipQuestions: true }
+    );
+    // El mensaje original solo se guarda para el triaje
+    expect(query.mock.calls[2][1][10]).toBeNull();
+  });
+
+  test('busca el código en el asunto si no viene en la dirección', async () => {
+    mockDatabase({ zx81ab: { id: ROLE_ID, status: 'active' } });
+    const raw = buildMessage({ headers: ['From: jose.perez_2@example.com', 'To: empleo@empresa.com', 'Subject: Candidatura [REF-ZX81AB]'] });
+
+    const result = await ingestMessage(raw, { source: 'maildir' });
+
+    expect(result.status).toBe('processed');
+    expect(query).toHaveBeenCalledWith(expect.stringContaining('intake_token'), ['zx81ab']);
+    expect(createApplication.mock.calls[0][0].candidateName).toBe('Jose Perez');
+  });
+
+  test('ignora los códigos de direcciones de otros dominios', async () => {
+    mockDatabase({ '1a2b3c4d': { id: ROLE_ID, status: 'active' } });
+    const raw = buildMessage({ headers: ['From: ana@example.com', 'To: empleo+1a2b3c4d@otra.com', 'Subject: Hola'] });
+
+    const result = await ingestMessage(raw, { source: 'upload' });
+
+    expect(result).toMatchObject({ status: 'triage', triageReason: 'role_not_found', jobRoleId: null });
+    expect(createApplication).not.toHaveBeenCalled();
+  });
+
+  test('deja en triaje los mensajes sin puesto activo, sin remitente o sin CV', async () => {
+    mockDatabase({
+      activo01: { id: ROLE_ID, status: 'active' },
+      cerrado1: { id: 'role-closed', status: 'closed' },
+    });
+
+    const inactive = await ingestMessage(buildMessage({ headers: ['From: ana@example.com', 'Subject: REF-cerrado1'] }), { source: 'upload' });
+    const noSender = await ingestMessage(buildMessage({ headers: ['Subject: REF-activo01'] }), { source: 'upload' });
+    const noCv = await ingestMessage(buildMessage({
+      headers: ['From: ana@example.com', 'Subject: REF-activo01 sin CV'],
+      attachments: [{ filename: 'firma.png', content: '\x89PNG\r\n\x1a\n\x00\x00', contentType: 'image/png' }],
+    }), { source: 'upload' });
+
+    expect(inactive).toMatchObject({ status: 'triage', triageReason: 'role_inactive', jobRoleId: 'role-closed' });
+    expect(noSender).toMatchObject({ status: 'triage', triageReason: 'no_sender', jobRoleId: ROLE_ID });
+    expect(noCv).toMatchObject({ status: 'triage', triageReason: 'no_attachment', attachments: [{ filename: 'firma.png', status: 'skipped' }] });
+    expect(createApplication).not.toHaveBeenCalled();
+    // El mensaje original se guarda para asignarlo a mano
+    expect(Buffer.isBuffer(query.mock.calls.find(([text]) => text.includes('INSERT'))[1][10])).toBe(true);
+  });
+
+  test('informa de cada adjunto: creado, duplicado, omitido o fallido', async () => {
+    mockDatabase({ activo01: { id: ROLE_ID, status: 'active' } });
+    createApplication
+      .mockResolvedValueOnce({ status: 201, application: { id: 'app-1' } })
+      .mockResolvedValueOnce({ status: 409, message: 'Ya existe una aplicación con ese email' })
+      .mockResolvedValueOnce({ status: 400, message: 'El nombre del candidato es requerido' });
+    const raw = buildMessage({
+      headers: ['From: ana@example.com', 'Subject: REF-activo01'],
+      attachments: [
+        { filename: 'cv.txt', content: 'CV uno' },
+        { filename: 'firma.png', content: '\x89PNG\r\n\x1a\n\x00\x00', contentType: 'image/png' },
+        { filename: 'cv2.txt', content: 'CV dos' },
+        { filename: 'cv3.txt', content: 'CV tres' },
+      ],
+    });
+
+    const result = await ingestMessage(raw, { source: 'upload' });
+
+    expect(result.status).toBe('processed');
+    expect(result.attachments.map(a => [a.filename, a.status])).toEqual([
+      ['cv.txt', 'created'],
+      ['firma.png', 'skipped'],
+      ['cv2.txt', 'duplicate'],
+      ['cv3.txt', 'failed'],
+    ]);
+  });
+
+  test('no vuelve a procesar un mensaje ya recibido', async () => {
+    mockDatabase({}, [{ id: 'email-1', message_key: 'm1@example.com', status: 'processed', job_role_id: ROLE_ID }]);
+
+    const result = await ingestMessage(buildMessage({ headers: ['Message-ID: <m1@example.com>'] }), { source: 'maildir' });
+
+    expect(result).toEqual({ id: 'email-1', messageKey: 'm1@example.com', status: 'duplicate', jobRoleId: ROLE_ID });
+    expect(createApplication).not.toHaveBeenCalled();
+  });
+
+  test('identifica los mensajes sin Message-ID por su contenido', async () => {
+    const stored = mockDatabase({});
+    const raw = buildMessage({ headers: ['From: ana@example.com'] });
+
+    await ingestMessage(raw, { source: 'upload' });
+    const again = await ingestMessage(raw, { source: 'upload' });
+
+    expect(stored).toHaveLength(1);
+    expect(stored[0].message_key).toMatch(/^sha256:[0-9a-f]{64}$/);
+    expect(again.status).toBe('duplicate');
+  });
+});
+
+describe('ingestMailbox', () => {
+  test('procesa cada mensaje del buzón y resume el resultado', async () => {
+    mockDatabase({ activo01: { id: ROLE_ID, status: 'active' } });
+    const first = buildMessage({ headers: ['Message-ID: <a@x.com>', 'From: ana@example.com', 'Subject: REF-activo01'] });
+    const second = buildMessage({ headers: ['Message-ID: <b@x.com>', 'From: juan@example.com', 'Subject: Sin referencia'] });
+    const mbox = Buffer.concat([
+      Buffer.from('From ana@example.com Mon May  6 10:00:00 2024\n'), first,
+      Buffer.from('\n\nFrom juan@example.com Mon May  6 11:00:00 2024\n'), second,
+      Buffer.from('\n\nFrom ana@example.com Mon May  6 12:00:00 2024\n'), first,
+    ]);
+
+    const result = await ingestMailbox(mbox, 'user-1');
+
+    expect(result.status).toBe(200);
+    expect(result.summary).toEqual({ total: 3, processed: 1, triage: 1, duplicates: 1 });
+    expect(result.messages.map(m => m.messageKey)).toEqual(['a@x.com', 'b@x.com', 'a@x.com']);
+  });
+
+  test('acepta un único mensaje .eml', async () => {
+    mockDatabase({ activo01: { id: ROLE_ID, status: 'active' } });
+
+    const result = await ingestMailbox(buildMessage({ headers: ['From: ana@example.com', 'Subject: REF-activo01'] }), 'user-1');
+
+    expect(result.summary).toEqual({ total: 1, processed: 1, triage: 0, duplicates: 0 });
+  });
+
+  test('rechaza archivos que no son correo', async () => {
+    const result = await ingestMailbox(Buffer.from('%PDF-1.4 no es un correo'), 'user-1');
+
+    expect(result).toEqual({ status: 400, message: 'El archivo debe ser un mensaje de correo (.eml) o un buzón mbox' });
+    expect(query).not.toHaveBeenCalled();
+  });
+});
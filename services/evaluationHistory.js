@@ -0,0 +1,104 @@
+const { query } = require('../utils/database');
+const { normalizeForMatch, claimText } = require('../utils/evidence');
+
+/**
+ * Lista las versiones de evaluación de una aplicación, de la más antigua a la más reciente.
+ * @param {string} applicationId - ID de la aplicación.
+ * @returns {Promise<Array<Object>>} - Versiones de la evaluación.
+ */
+async function listEvaluationVersions(applicationId) {
+  const result = await query(
+    `SELECT *
+     FROM public.evaluation_versions
+     WHERE application_id = $1
+     ORDER BY version ASC`,
+    [applicationId]
+  );
+  return result.rows;
+}
+
+/**
+ * Obtiene una versión concreta de la evaluación de una aplicación.
+ * @param {string} applicationId - ID de la aplicación.
+ * @param {number} version - Número de versión.
+ * @returns {Promise<Object|null>} - Versión o null si no existe.
+ */
+async function getEvaluationVersion(applicationId, version) {
+  const result = await query(
+    `SELECT *
+     FROM public.evaluation_versions
+     WHERE application_id = $1 AND version = $2`,
+    [applicationId, version]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Calcula qué afirmaciones aparecen solo en una de las dos listas (comparando su texto normalizado).
+ * @param {Array<object|string>} fromItems - Afirmaciones de la versión de origen.
+ * @param {Array<object|string>} toItems - Afirmaciones de la versión de destino.
+ * @returns {{added: Array, removed: Array}} - Afirmaciones añadidas y eliminadas.
+ */
+function diffClaims(fromItems, toItems) {
+  const keyOf = item => normalizeForMatch(claimText(item));
+  const fromList = Array.isArray(fromItems) ? fromItems : [];
+  const toList = Array.isArray(toItems) ? toItems : [];
+  const fromKeys = new Set(fromList.map(keyOf));
+  const toKeys = new Set(toList.map(keyOf));
+
+  return {
+    added: toList.filter(item => !fromKeys.has(keyOf(item))),
+    removed: fromList.filter(item => !toKeys.has(keyOf(item)))
+  };
+}
+
+/**
+ * Compara dos versiones de una evaluación.
+ * @param {object} from - Versión de origen.
+ * @param {object} to - Versión de destino.
+ * @returns {object} - Diferencias de puntuación, criterios, fortalezas, debilidades y contexto.
+ */
+function diffEvaluationVersions(from, to) {
+  const fromCriteria = new Map((from.criteria_scores || []).map(c => [c.key, c]));
+  const toCriteria = new Map((to.criteria_scores || []).map(c => [c.key, c]));
+  const criteriaKeys = [...new Set([...fromCriteria.keys(), ...toCriteria.keys()])];
+
+  const fromRole = from.role_snapshot || {};
+  const toRole = to.role_snapshot || {};
+
+  return {
+    from: from.version,
+    to: to.version,
+    score: {
+      from: from.score,
+      to: to.score,
+      delta: from.score !== null && to.score !== null ? to.score - from.score : null
+    },
+    criteria: criteriaKeys.map((key) => {
+      const before = fromCriteria.get(key);
+      const after = toCriteria.get(key);
+      return {
+        key,
+        name: (after || before).name,
+        from: before ? before.score : null,
+        to: after ? after.score : null,
+        delta: before && after ? after.score - before.score : null
+      };
+    }),
+    strengths: diffClaims(from.strengths, to.strengths),
+    weaknesses: diffClaims(from.weaknesses, to.weaknesses),
+    summaryChanged: (from.summary || '') !== (to.summary || ''),
+    statusChanged: from.status !== to.status,
+    modelChanged: from.model_used !== to.model_used,
+    promptVersionChanged: from.prompt_version !== to.prompt_version,
+    languageChanged: (from.output_language || null) !== (to.output_language || null),
+    roleChanges: ['title', 'description', 'requirements', 'rubric']
+      .filter(field => JSON.stringify(fromRole[field] ?? null) !== JSON.stringify(toRole[field] ?? null))
+  };
+}
+
+module.exports = {
+  listEvaluationVersions,
+  getEvaluationVersion,
+  diffEvaluationVersions
+};
@@ -0,0 +1,132 @@
+const { query } = require('../utils/database');
+const { supabaseAdmin } = require('../config/supabase');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { evaluateApplication, markEvaluationFailed } = require('./evaluations');
+const { getApplicationBudgetStatus } = require('./aiUsage');
+
+const EVALUATE_APPLICATION = 'evaluate_application';
+
+// Cada cuánto se vuelve a comprobar el presupuesto de una evaluación pospuesta
+const BUDGET_RECHECK_MS = parseInt(process.env.AI_BUDGET_RECHECK_MS) || 60 * 60 * 1000; // 1 hora
+
+/**
+ * Comprueba si el archivo de un trabajo sigue siendo el CV actual de la aplicación (el candidato
+ * puede haberlo sustituido después de encolarse el trabajo).
+ * @param {string} applicationId - ID de la aplicación.
+ * @param {string} storagePath - Ruta del archivo dentro del bucket 'cvs'.
+ * @returns {Promise<boolean>}
+ */
+async function isCurrentCV(applicationId, storagePath) {
+  const result = await query(
+    'SELECT cv_file_path FROM public.applications WHERE id = $1',
+    [applicationId]
+  );
+  const cvFilePath = result.rows[0]?.cv_file_path;
+  return Boolean(cvFilePath) && cvFilePath.split('/').pop() === storagePath;
+}
+
+/**
+ * Descarga un CV de Supabase Storage.
+ * @param {string} storagePath - Ruta del archivo dentro del bucket 'cvs'.
+ * @returns {Promise<Buffer>} - Contenido del archivo.
+ */
+async function downloadCV(storagePath) {
+  const { data, error } = await supabaseAdmin.storage
+    .from('cvs')
+    .download(storagePath);
+
+  if (error) {
+    throw new Error(`Error descargando CV: ${error.message}`);
+  }
+
+  return Buffer.from(await data.arrayBuffer());
+}
+
+registerJobHandler(EVALUATE_APPLICATION, {
+  /**
+   * Evalúa la aplicación del trabajo. Si la IA falla se lanza el error para que la cola reintente.
+   * Si la organización agotó su presupuesto mensual de IA, el trabajo se pospone (la evaluación sigue pendiente).
+   * Si el CV del trabajo ya no es el de la aplicación, el trabajo termina sin evaluar: el CV nuevo
+   * tiene su propio trabajo.
+   * @param {object} job - Trabajo con payload { storagePath?, bypassCache? }.
+   * @returns {Promise<Object|undefined>} - { deferUntil, reason } si se pospone.
+   */
+  async run(job) {
+    const { storagePath, bypassCache } = job.payload || {};
+    if (storagePath && !(await isCurrentCV(job.application_id, storagePath))) {
+      console.log(`⏭️  Evaluación de aplicación ${job.application_id} omitida: el CV ${storagePath} ya no es el actual`);
+      return;
+    }
+
+    const budget = await getApplicationBudgetStatus(job.application_id);
+    if (budget && budget.exhausted) {
+      return {
+        deferUntil: new Date(Date.now() + BUDGET_RECHECK_MS),
+        reason: `Presupuesto mensual de IA agotado para ${budget.organization}`
+      };
+    }
+
+    const cvBuffer = storagePath ? await downloadCV(storagePath) : undefined;
+
+    console.log(`🤖 Iniciando evaluación de CV para aplicación ${job.application_id} (intento ${job.attempts}/${job.max_attempts})`);
+    const evaluation = await evaluateApplication(job.application_id, { cvBuffer, bypassCache });
+    console.log(`✅ Evaluación de aplicación ${job.application_id} finalizada con estado ${evaluation.status}`);
+  },
+
+  /**
+   * Tras agotar los reintentos se registra el último error (la evaluación queda en estado
+   * 'failed' si no había una con puntuación; ver markEvaluationFailed).
+   */
+  async onDeadLetter(job, error) {
+    await markEvaluationFailed(
+      job.application_id,
+      `La evaluación falló tras ${job.attempts} intentos: ${error.message}`
+    );
+  }
+});
+
+/**
+ * Encola la evaluación de una aplicación.
+ * @param {Object|null} client - Cliente de transacción (o null para usar el pool).
+ * @param {string} applicationId - ID de la aplicación.
+ * @param {object} [options] - Opciones.
+ * @param {string} [options.storagePath] - Ruta del CV en Storage (solo PDF, que se envía como archivo a la IA);
+ *   si se omite se evalúa el texto guardado.
+ * @param {string} [options.batchId] - Lote de re-evaluación al que pertenece el trabajo.
+ * @param {boolean} [options.bypassCache] - Llamar a la IA aunque haya un resultado en caché.
+ * @returns {Promise<Object>} - La fila del trabajo creado.
+ */
+function enqueueEvaluation(client, applicationId, { storagePath, batchId, bypassCache } = {}) {
+  const payload = {};
+  if (storagePath) payload.storagePath = storagePath;
+  if (bypassCache) payload.bypassCache = true;
+
+  return enqueueJob(client, {
+    type: EVALUATE_APPLICATION,
+    payload,
+    applicationId,
+    batchId
+  });
+}
+
+/**
+ * Obtiene el último trabajo de evaluación de una aplicación.
+ * @param {string} applicationId - ID de la aplicación.
+ * @returns {Promise<Object|null>} - Fila del trabajo o null si no existe.
+ */
+async function getLatestEvaluationJob(applicationId) {
+  const result = await query(
+    `SELECT * FROM public.jobs
+     WHERE application_id = $1 AND type = $2
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [applicationId, EVALUATE_APPLICATION]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  EVALUATE_APPLICATION,
+  enqueueEvaluation,
+  getLatestEvaluationJob
+};
@@ -0,0 +1,461 @@
+const crypto = require('crypto');
+const { query, transaction } = require('../utils/database');
+const { evaluateCVWithFile, evaluateCVWithText, resolveRubric, getProvider } = require('../config/ai');
+const { formatPromptVersion } = require('../config/prompts');
+const { normalizeForMatch } = require('../utils/evidence');
+const { redactCV } = require('../utils/redaction');
+const { formatAnswers } = require('../utils/questions');
+const { combineEvaluations } = require('../utils/consensus');
+const { DEFAULT_LANGUAGE } = require('../utils/i18n');
+const { getActivePromptTemplate } = require('./promptTemplates');
+
+// Por debajo de esta longitud se considera que el CV no tiene texto legible (ej. PDF escaneado)
+const MIN_CV_TEXT_LENGTH = 100;
+
+/**
+ * Construye la descripción del puesto que se envía a la IA (descripción y requisitos).
+ * @param {object} role - Puesto con description y requirements.
+ * @returns {string} - Descripción completa del puesto.
+ */
+function buildJobDescription({ description, requirements }) {
+  return requirements
+    ? `${description}\n\nRequisitos:\n${requirements}`
+    : description;
+}
+
+/**
+ * Devuelve el texto del CV que se puede enviar a la IA. Si el puesto usa evaluación
+ * a ciegas, el texto se anonimiza antes de construir cualquier prompt.
+ * @param {object} application - Aplicación con cv_text, candidate_name, candidate_email,
+ *   candidate_phone y blind_evaluation (del puesto).
+ * @returns {{text: string, redaction: object|null}} - Texto para el prompt y resumen de la anonimización.
+ */
+function getPromptCvText(application) {
+  const cvText = application.cv_text || '';
+  if (!application.blind_evaluation) {
+    return { text: cvText, redaction: null };
+  }
+
+  const { text, summary } = redactCV(cvText, getCandidateIdentity(application));
+  return { text, redaction: summary };
+}
+
+/**
+ * Devuelve las respuestas del candidato al formulario del puesto para el prompt, anonimizadas
+ * como el CV si el puesto usa evaluación a ciegas.
+ * @param {object} application - Aplicación con answers y los datos de getPromptCvText.
+ * @returns {string} - Respuestas (vacío si no hay).
+ */
+function getPromptAnswers(application) {
+  const answers = formatAnswers(application.answers);
+  if (!answers || !application.blind_evaluation) return answers;
+  return redactCV(answers, getCandidateIdentity(application)).text;
+}
+
+const getCandidateIdentity = application => ({
+  name: application.candidate_name,
+  email: application.candidate_email,
+  phone: application.candidate_phone
+});
+
+/**
+ * Obtiene los datos necesarios para evaluar una aplicación.
+ * @param {string} applicationId - ID de la aplicación.
+ * @returns {Promise<Object|null>} - Aplicación con la descripción y rúbrica del puesto.
+ */
+async function getEvaluationContext(applicationId) {
+  const result = await query(
+    `SELECT
+      a.id,
+      a.job_role_id,
+      a.cv_text,
+      a.candidate_name,
+      a.candidate_email,
+      a.candidate_phone,
+      a.answers,
+      jr.title,
+      jr.description,
+      jr.requirements,
+      jr.rubric as job_rubric,
+      jr.blind_evaluation,
+      jr.consensus_samples,
+      jr.consensus_providers,
+      jr.output_language,
+      jr.created_by as job_creator_id
+     FROM public.applications a
+     JOIN public.job_roles jr ON a.job_role_id = jr.id
+     WHERE a.id = $1`,
+    [applicationId]
+  );
+  const context = result.rows[0];
+  return context ? { ...context, job_description: buildJobDescription(context) } : null;
+}
+
+/**
+ * Determina si una evaluación completada debe pasar a revisión manual.
+ * @param {object} evaluation - Evaluación normalizada.
+ * @param {string} cvText - Texto del CV.
+ * @returns {string|null} - Motivo de la revisión manual o null si no es necesaria.
+ */
+function getManualReviewReason(evaluation, cvText) {
+  if (!cvText || cvText.trim().length < MIN_CV_TEXT_LENGTH) {
+    return 'No se pudo extraer texto legible del CV; las citas de la evaluación no se pudieron verificar';
+  }
+  if (evaluation.strengths.length > 0 && evaluation.strengths.every(s => !s.verified)) {
+    return 'Ninguna fortaleza tiene evidencia verificable en el CV';
+  }
+  return null;
+}
+
+/**
+ * Valores de una ejecución de la IA en el orden de las columnas de public.evaluations y
+ * public.evaluation_versions (ver saveEvaluation).
+ * @param {string} applicationId - ID de la aplicación.
+ * @param {object} fields - status, statusReason y evaluation (ver saveEvaluation).
+ * @returns {Array} - Parámetros $1 a $19.
+ */
+function buildEvaluationValues(applicationId, { status, statusReason = null, evaluation = null }) {
+  const consensus = evaluation && evaluation.consensus;
+  return [
+    evaluation ? evaluation.score : null,
+    evaluation ? JSON.stringify(evaluation.criteriaScores) : null,
+    evaluation ? JSON.stringify(evaluation.strengths) : null,
+    evaluation ? JSON.stringify(evaluation.weaknesses) : null,
+    evaluation ? evaluation.summary : null,
+    evaluation ? evaluation.model : null,
+    evaluation ? evaluation.promptVersion : null,
+    status,
+    statusReason,
+    applicationId,
+    Boolean(evaluation && evaluation.redaction),
+    evaluation && evaluation.redaction ? JSON.stringify(evaluation.redaction) : null,
+    consensus ? consensus.sampleCount : 1,
+    consensus ? JSON.stringify(consensus.sampleScores) : null,
+    consensus ? consensus.spread : null,
+    consensus ? consensus.confidence : null,
+    evaluation ? evaluation.cacheKey || null : null,
+    Boolean(evaluation && evaluation.fromCache),
+    evaluation ? evaluation.language || null : null
+  ];
+}
+
+/**
+ * Añade una versión al historial de evaluaciones de la aplicación.
+ * @param {Object} client - Cliente de la transacción.
+ * @param {Array} values - Valores de la ejecución (ver buildEvaluationValues).
+ * @param {object|null} roleSnapshot - Puesto contra el que se evaluó.
+ * @returns {Promise<void>}
+ */
+async function insertEvaluationVersion(client, values, roleSnapshot) {
+  await client.query(
+    `INSERT INTO public.evaluation_versions (
+      score, criteria_scores, strengths, weaknesses, summary, model_used, prompt_version,
+      status, status_reason, application_id, redaction_applied, redaction_summary,
+      sample_count, sample_scores, score_spread, confidence, cache_key, from_cache, output_language,
+      role_snapshot, version
+    )
+    SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20,
+           COALESCE(MAX(version), 0) + 1
+    FROM public.evaluation_versions
+    WHERE application_id = $10`,
+    [...values, roleSnapshot ? JSON.stringify(roleSnapshot) : null]
+  );
+}
+
+/**
+ * Guarda el resultado de una ejecución de la IA: añade una versión al historial
+ * (public.evaluation_versions) y actualiza la evaluación vigente de la aplicación,
+ * que deja de estar desactualizada respecto al puesto.
+ * @param {string} applicationId - ID de la aplicación.
+ * @param {object} fields - Campos a guardar.
+ * @param {string} fields.status - Estado de la evaluación.
+ * @param {string|null} [fields.statusReason] - Motivo del fallo o de la revisión manual.
+ * @param {object|null} [fields.evaluation] - Resultado de la IA (null si falló), con la
+ *   anonimización aplicada en evaluation.redaction (null si no hubo) y, si se evaluó por
+ *   consenso, las muestras en evaluation.consensus. evaluation.cacheKey y evaluation.fromCache
+ *   indican la clave de caché y si el resultado se reutilizó; evaluation.language, el idioma de salida.
+ * @param {object|null} [fields.roleSnapshot] - Puesto contra el que se evaluó.
+ * @returns {Promise<Object>} - La fila de la evaluación guardada.
+ */
+async function saveEvaluation(applicationId, { status, statusReason = null, evaluation = null, roleSnapshot = null }) {
+  const values = buildEvaluationValues(applicationId, { status, statusReason, evaluation });
+
+  return transaction(async (client) => {
+    await insertEvaluationVersion(client, values, roleSnapshot);
+
+    const updated = await client.query(
+      `UPDATE public.evaluations
+       SET score = $1, criteria_scores = $2, strengths = $3, weaknesses = $4, summary = $5,
+           model_used = $6, prompt_version = $7, status = $8, status_reason = $9, evaluation_date = NOW(),
+           redaction_applied = $11, redaction_summary = $12, sample_count = $13, sample_scores = $14,
+           score_spread = $15, confidence = $16, cache_key = $17, from_cache = $18, output_language = $19,
+           is_stale = false, stale_since = NULL
+       WHERE application_id = $10
+       RETURNING *`,
+      values
+    );
+
+    if (updated.rows.length > 0) {
+      return updated.rows[0];
+    }
+
+    const inserted = await client.query(
+      `INSERT INTO public.evaluations (
+        score, criteria_scores, strengths, weaknesses, summary, model_used, prompt_version,
+        status, status_reason, application_id, redaction_applied, redaction_summary,
+        sample_count, sample_scores, score_spread, confidence, cache_key, from_cache, output_language
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+      RETURNING *`,
+      values
+    );
+    return inserted.rows[0];
+  });
+}
+
+/**
+ * Crea la evaluación en estado pendiente dentro de una transacción.
+ * @param {Object} client - Cliente de la transacción.
+ * @param {string} applicationId - ID de la aplicación.
+ * @returns {Promise<Object>} - La fila de la evaluación creada.
+ */
+async function createPendingEvaluation(client, applicationId) {
+  const result = await client.query(
+    `INSERT INTO public.evaluations (application_id, status)
+     VALUES ($1, 'pending')
+     RETURNING *`,
+    [applicationId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Proveedores con los que se toma cada muestra de una evaluación. Se toman
+ * consensus_samples muestras (como mínimo una por proveedor configurado), repartidas
+ * entre los proveedores por turnos; sin proveedores configurados se usa el proveedor por defecto.
+ * @param {object} role - Puesto con consensus_samples y consensus_providers.
+ * @returns {Array<string|undefined>} - Proveedor de cada muestra.
+ */
+function getSampleProviders({ consensus_samples: samples, consensus_providers: providers }) {
+  const names = Array.isArray(providers) && providers.length > 0 ? providers : [undefined];
+  const count = Math.max(samples || 1, names.length);
+  return Array.from({ length: count }, (_, index) => names[index % names.length]);
+}
+
+/**
+ * Evalúa un CV una vez por cada proveedor de la lista y combina las muestras.
+ * Basta con que responda correctamente la mitad de las muestras (redondeando hacia arriba).
+ * @param {Array<string|undefined>} sampleProviders - Proveedor de cada muestra.
+ * @param {Function} evaluate - Evalúa el CV con el proveedor indicado.
+ * @returns {Promise<Object>} - Evaluación (combinada si hay más de una muestra).
+ * @throws {Error} - Si fallan demasiadas muestras.
+ */
+async function evaluateWithConsensus(sampleProviders, evaluate) {
+  if (sampleProviders.length === 1) {
+    return evaluate(sampleProviders[0]);
+  }
+
+  const results = await Promise.allSettled(sampleProviders.map(provider => evaluate(provider)));
+  const evaluations = results.filter(r => r.status === 'fulfilled').map(r => r.value);
+  if (evaluations.length < Math.ceil(sampleProviders.length / 2)) {
+    throw results.find(r => r.status === 'rejected').reason;
+  }
+  return combineEvaluations(evaluations);
+}
+
+/**
+ * Calcula la clave de caché de una evaluación: hash SHA-256 del texto normalizado del CV,
+ * la descripción del puesto, la rúbrica, la versión del prompt, los proveedores de cada muestra
+ * y lo que lee cada uno (el PDF o el texto), el idioma de salida y las respuestas al formulario
+ * (solo si las hay, para no invalidar la caché de las aplicaciones sin respuestas).
+ * @param {object} input - Entradas de la evaluación.
+ * @param {string} input.cvText - Texto del CV enviado a la IA (anonimizado si procede).
+ * @param {string} input.jobDescription - Descripción completa del puesto.
+ * @param {Array<object>} input.rubric - Rúbrica efectiva.
+ * @param {string} input.promptVersion - Versión del prompt (ej. "evaluation-v2").
+ * @param {Array<string>} input.providers - Proveedor de cada muestra.
+ * @param {Array<string>} input.sampleInputs - Entrada de cada muestra: 'text' o 'file:<hash del PDF>'.
+ * @param {string} input.language - Idioma de salida.
+ * @param {string} [input.answers] - Respuestas del candidato enviadas a la IA.
+ * @returns {string} - Clave hexadecimal de 64 caracteres.
+ */
+function buildEvaluationCacheKey({ cvText, jobDescription, rubric, promptVersion, providers, sampleInputs, language, answers }) {
+  const inputs = [normalizeForMatch(cvText), jobDescription, rubric, promptVersion, providers, sampleInputs, language];
+  if (answers) inputs.push(answers);
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(inputs))
+    .digest('hex');
+}
+
+/**
+ * Busca el último resultado válido guardado con la misma clave de caché.
+ * @param {string} cacheKey - Clave de caché.
+ * @returns {Promise<Object|null>} - Evaluación en el formato de la IA o null si no hay.
+ */
+async function findCachedEvaluation(cacheKey) {
+  const result = await query(
+    `SELECT * FROM public.evaluation_versions
+     WHERE cache_key = $1 AND status IN ('completed', 'needs_manual_review')
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [cacheKey]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+
+  return {
+    score: row.score,
+    criteriaScores: row.criteria_scores,
+    strengths: row.strengths,
+    weaknesses: row.weaknesses,
+    summary: row.summary,
+    model: row.model_used,
+    promptVersion: row.prompt_version,
+    language: row.output_language,
+    consensus: row.sample_count > 1
+      ? {
+        sampleCount: row.sample_count,
+        sampleScores: row.sample_scores,
+        spread: row.score_spread,
+        confidence: row.confidence
+      }
+      : null
+  };
+}
+
+/**
+ * Evalúa una aplicación con IA y guarda el resultado (completed o needs_manual_review).
+ * Si ya existe un resultado con las mismas entradas (ver buildEvaluationCacheKey) se reutiliza
+ * sin llamar a la IA, salvo que se pida bypassCache.
+ * Si el puesto usa consenso, el CV se evalúa varias veces y se guarda la mediana.
+ * La evaluación se redacta en el idioma de salida del puesto.
+ * @param {string} applicationId - ID de la aplicación.
+ * @param {object} [options] - Opciones.
+ * @param {Buffer} [options.cvBuffer] - PDF del CV. Si se omite (o el puesto usa evaluación
+ *   a ciegas), se evalúa el texto guardado.
+ * @param {boolean} [options.bypassCache] - Llamar a la IA aunque haya un resultado en caché.
+ * @returns {Promise<Object>} - La fila de la evaluación guardada.
+ * @throws {Error} - Si la IA falla (la evaluación no se modifica).
+ */
+async function evaluateApplication(applicationId, { cvBuffer, bypassCache = false } = {}) {
+  const context = await getEvaluationContext(applicationId);
+  if (!context) {
+    throw new Error(`Aplicación ${applicationId} no encontrada`);
+  }
+
+  // En modo ciego nunca se envía el PDF (nombre, foto...), solo el texto anonimizado
+  const { text: cvText, redaction } = getPromptCvText(context);
+  const answers = getPromptAnswers(context);
+  const promptTemplate = await getActivePromptTemplate('evaluation');
+  const language = context.output_language || DEFAULT_LANGUAGE;
+  const options = {
+    rubric: context.job_rubric,
+    promptTemplate,
+    language,
+    answers,
+    usageContext: { applicationId, jobRoleId: context.job_role_id, userId: context.job_creator_id }
+  };
+  const sampleProviders = getSampleProviders(context);
+  // Los proveedores que admiten archivos leen el PDF; el resto, el texto extraído
+  const sendsFile = Boolean(cvBuffer) && !redaction;
+  const fileHash = sendsFile ? crypto.createHash('sha256').update(cvBuffer).digest('hex') : null;
+  const cacheKey = buildEvaluationCacheKey({
+    cvText,
+    jobDescription: context.job_description,
+    rubric: resolveRubric(context.job_rubric),
+    promptVersion: formatPromptVersion(promptTemplate),
+    providers: sampleProviders.map(provider => getProvider(provider).name),
+    sampleInputs: sampleProviders.map(provider => (sendsFile && getProvider(provider).supportsFiles ? `file:${fileHash}` : 'text')),
+    language,
+    answers
+  });
+
+  const cached = bypassCache ? null : await findCachedEvaluation(cacheKey);
+  if (cached) {
+    console.log(`♻️  Evaluación de aplicación ${applicationId} reutilizada de la caché`);
+  }
+
+  const evaluation = cached || await evaluateWithConsensus(sampleProviders, provider => (sendsFile
+    ? evaluateCVWithFile(cvBuffer, context.job_description, { ...options, provider, cvText })
+    : evaluateCVWithText(cvText, context.job_description, { ...options, provider })));
+
+  const reviewReason = getManualReviewReason(evaluation, cvText);
+  return saveEvaluation(applicationId, {
+    status: reviewReason ? 'needs_manual_review' : 'completed',
+    statusReason: reviewReason,
+    evaluation: { ...evaluation, redaction, cacheKey, fromCache: Boolean(cached), language },
+    roleSnapshot: {
+      title: context.title,
+      description: context.description,
+      requirements: context.requirements,
+      rubric: resolveRubric(context.job_rubric),
+      blindEvaluation: context.blind_evaluation,
+      consensusSamples: context.consensus_samples,
+      consensusProviders: context.consensus_providers,
+      outputLanguage: language
+    }
+  });
+}
+
+/**
+ * Registra el fallo de una evaluación. Si la aplicación ya tiene una evaluación con puntuación
+ * (completed o needs_manual_review; por ejemplo, al fallar una re-evaluación), el fallo solo se
+ * añade al historial y la evaluación vigente conserva su estado y su puntuación; si no, la
+ * evaluación queda en estado 'failed', sin puntuación, para que no cuente en las estadísticas.
+ * @param {string} applicationId - ID de la aplicación.
+ * @param {string} reason - Motivo del fallo.
+ * @returns {Promise<Object>} - La fila de la evaluación vigente; si se conserva la anterior,
+ *   con el motivo del fallo en reevaluation_error.
+ */
+async function markEvaluationFailed(applicationId, reason) {
+  console.error(`❌ Evaluación fallida para aplicación ${applicationId}:`, reason);
+
+  const kept = await transaction(async (client) => {
+    const current = await client.query(
+      `SELECT * FROM public.evaluations
+       WHERE application_id = $1 AND status IN ('completed', 'needs_manual_review')
+       FOR UPDATE`,
+      [applicationId]
+    );
+    if (current.rows.length === 0) return null;
+
+    await insertEvaluationVersion(
+      client,
+      buildEvaluationValues(applicationId, { status: 'failed', statusReason: reason }),
+      null
+    );
+    return { ...current.rows[0], reevaluation_error: reason };
+  });
+
+  return kept || saveEvaluation(applicationId, {
+    status: 'failed',
+    statusReason: reason
+  });
+}
+
+/**
+ * Evalúa una aplicación con IA; si la IA falla, se registra el fallo (ver markEvaluationFailed).
+ * @param {string} applicationId - ID de la aplicación.
+ * @param {object} [options] - Opciones (ver evaluateApplication).
+ * @returns {Promise<Object>} - La fila de la evaluación guardada.
+ */
+async function runApplicationEvaluation(applicationId, options = {}) {
+  try {
+    return await evaluateApplication(applicationId, options);
+  } catch (error) {
+    return markEvaluationFailed(applicationId, error.message);
+  }
+}
+
+module.exports = {
+  MIN_CV_TEXT_LENGTH,
+  buildJobDescription,
+  buildEvaluationCacheKey,
+  getPromptCvText,
+  getPromptAnswers,
+  createPendingEvaluation,
+  evaluateApplication,
+  markEvaluationFailed,
+  runApplicationEvaluation,
+  saveEvaluation
+};
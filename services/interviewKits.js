@@ -0,0 +1,134 @@
+const { query } = require('../utils/database');
+const { generateInterviewKit } = require('../config/ai');
+const { getActivePromptTemplate } = require('./promptTemplates');
+const { buildJobDescription, getPromptCvText } = require('./evaluations');
+
+/**
+ * Convierte una fila de public.interview_kits en la guía que devuelve la API.
+ * @param {object} row - Fila de la base de datos.
+ * @returns {object} - Guía de entrevista.
+ */
+const formatInterviewKit = row => ({
+  id: row.id,
+  applicationId: row.application_id,
+  technicalQuestions: row.technical_questions,
+  behaviouralQuestions: row.behavioural_questions,
+  weaknessProbes: row.weakness_probes,
+  notes: row.notes,
+  model: row.model_used,
+  promptVersion: row.prompt_version,
+  generatedBy: row.generated_by,
+  editedBy: row.edited_by,
+  editedAt: row.edited_at,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Obtiene la guía de entrevista de una aplicación.
+ * @param {string} applicationId - ID de la aplicación.
+ * @returns {Promise<Object|null>} - Guía o null si no se ha generado.
+ */
+async function getInterviewKit(applicationId) {
+  const result = await query(
+    'SELECT * FROM public.interview_kits WHERE application_id = $1',
+    [applicationId]
+  );
+  return result.rows[0] ? formatInterviewKit(result.rows[0]) : null;
+}
+
+/**
+ * Genera con IA la guía de entrevista de una aplicación y la guarda,
+ * reemplazando la anterior (incluidas sus ediciones).
+ * @param {object} application - Aplicación con cv_text, datos del candidato, description, requirements,
+ *   blind_evaluation, summary y weaknesses.
+ * @param {string} userId - Usuario que la genera.
+ * @param {string} [language] - Idioma de salida de la guía.
+ * @returns {Promise<Object>} - Guía guardada.
+ * @throws {Error} - Si la IA falla.
+ */
+async function generateApplicationInterviewKit(application, userId, language) {
+  const promptTemplate = await getActivePromptTemplate('interview_kit');
+  const kit = await generateInterviewKit({
+    jobDescription: buildJobDescription(application),
+    cvText: getPromptCvText(application).text,
+    evaluation: { summary: application.summary, weaknesses: application.weaknesses }
+  }, {
+    promptTemplate,
+    language,
+    usageContext: { applicationId: application.id, jobRoleId: application.job_role_id, userId }
+  });
+
+  const result = await query(
+    `INSERT INTO public.interview_kits (
+      application_id, technical_questions, behavioural_questions, weakness_probes,
+      model_used, prompt_version, generated_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (application_id) DO UPDATE SET
+      technical_questions = EXCLUDED.technical_questions,
+      behavioural_questions = EXCLUDED.behavioural_questions,
+      weakness_probes = EXCLUDED.weakness_probes,
+      notes = NULL,
+      model_used = EXCLUDED.model_used,
+      prompt_version = EXCLUDED.prompt_version,
+      generated_by = EXCLUDED.generated_by,
+      edited_by = NULL,
+      edited_at = NULL,
+      created_at = NOW()
+    RETURNING *`,
+    [
+      application.id,
+      JSON.stringify(kit.technicalQuestions),
+      JSON.stringify(kit.behaviouralQuestions),
+      JSON.stringify(kit.weaknessProbes),
+      kit.model,
+      kit.promptVersion,
+      userId
+    ]
+  );
+  return formatInterviewKit(result.rows[0]);
+}
+
+/**
+ * Actualiza una guía de entrevista con los cambios del reclutador.
+ * @param {string} applicationId - ID de la aplicación.
+ * @param {object} changes - Campos a reemplazar (technicalQuestions, behaviouralQuestions, weaknessProbes, notes).
+ * @param {string} userId - Usuario que la edita.
+ * @returns {Promise<Object|null>} - Guía actualizada o null si no existe.
+ */
+async function updateInterviewKit(applicationId, changes, userId) {
+  const fields = {
+    technicalQuestions: 'technical_questions',
+    behaviouralQuestions: 'behavioural_questions',
+    weaknessProbes: 'weakness_probes',
+    notes: 'notes'
+  };
+
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+
+  Object.entries(fields).forEach(([key, column]) => {
+    if (changes[key] !== undefined) {
+      updates.push(`${column} = $${paramCount}`);
+      values.push(key === 'notes' ? changes[key] : JSON.stringify(changes[key]));
+      paramCount++;
+    }
+  });
+
+  values.push(userId, applicationId);
+  const result = await query(
+    `UPDATE public.interview_kits
+     SET ${updates.join(', ')}, edited_by = $${paramCount}, edited_at = NOW()
+     WHERE application_id = $${paramCount + 1}
+     RETURNING *`,
+    values
+  );
+  return result.rows[0] ? formatInterviewKit(result.rows[0]) : null;
+}
+
+module.exports = {
+  getInterviewKit,
+  generateApplicationInterviewKit,
+  updateInterviewKit
+};
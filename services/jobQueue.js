@@ -0,0 +1,248 @@
+const os = require('os');
+const { query } = require('../utils/database');
+require('dotenv').config();
+
+/**
+ * Cola de trabajos respaldada por PostgreSQL (tabla public.jobs).
+ * - Ejecución al menos una vez: un trabajo 'running' cuyo bloqueo expira vuelve a reclamarse.
+ * - Reintentos con backoff exponencial hasta max_attempts; después pasa a 'dead' (dead-letter).
+ * - Los trabajos de una aplicación se pueden cancelar ('cancelled') mientras no hayan terminado.
+ * - Concurrencia configurable por proceso; varios procesos pueden compartir la cola (FOR UPDATE SKIP LOCKED).
+ */
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+const BACKOFF_BASE_MS = parseInt(process.env.JOB_BACKOFF_BASE_MS) || 30 * 1000; // 30 segundos
+const BACKOFF_MAX_MS = parseInt(process.env.JOB_BACKOFF_MAX_MS) || 60 * 60 * 1000; // 1 hora
+const VISIBILITY_TIMEOUT_MS = parseInt(process.env.JOB_VISIBILITY_TIMEOUT_MS) || 10 * 60 * 1000; // 10 minutos
+
+// Manejadores registrados por tipo de trabajo: { run(job), onDeadLetter?(job, error) }.
+// run puede devolver { deferUntil, reason } para posponer el trabajo sin consumir un intento.
+const handlers = {};
+
+/**
+ * Registra el manejador de un tipo de trabajo.
+ * @param {string} type - Tipo de trabajo.
+ * @param {object} handler - Manejador.
+ * @param {Function} handler.run - Ejecuta el trabajo; debe lanzar un error para reintentarlo o
+ *   devolver { deferUntil: Date, reason } para posponerlo sin consumir un intento.
+ * @param {Function} [handler.onDeadLetter] - Se invoca cuando el trabajo agota sus reintentos.
+ */
+function registerJobHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+/**
+ * Encola un trabajo. Si se pasa el cliente de una transacción, el trabajo
+ * solo será visible para los workers cuando la transacción se confirme.
+ * @param {Object|null} client - Cliente de transacción (o null para usar el pool).
+ * @param {object} job - Datos del trabajo.
+ * @param {string} job.type - Tipo de trabajo.
+ * @param {object} [job.payload] - Datos necesarios para ejecutarlo.
+ * @param {string} [job.applicationId] - Aplicación asociada.
+ * @param {string} [job.batchId] - Lote de re-evaluación al que pertenece.
+ * @param {number} [job.maxAttempts] - Número máximo de intentos.
+ * @returns {Promise<Object>} - La fila del trabajo creado.
+ */
+async function enqueueJob(client, { type, payload = {}, applicationId = null, batchId = null, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+  const run = client ? client.query.bind(client) : query;
+  const result = await run(
+    `INSERT INTO public.jobs (type, payload, application_id, batch_id, max_attempts)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [type, JSON.stringify(payload), applicationId, batchId, maxAttempts]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Cancela los trabajos pendientes o en ejecución de una aplicación. Un trabajo cancelado mientras
+ * se ejecuta no se reintenta ni pasa a dead-letter, pero su manejador termina la ejecución en curso.
+ * @param {Object|null} client - Cliente de transacción (o null para usar el pool).
+ * @param {string} applicationId - ID de la aplicación.
+ * @param {Array<string>} types - Tipos de trabajo a cancelar.
+ * @param {string} reason - Motivo (se guarda en last_error).
+ * @returns {Promise<number>} - Número de trabajos cancelados.
+ */
+async function cancelApplicationJobs(client, applicationId, types, reason) {
+  const run = client ? client.query.bind(client) : query;
+  const result = await run(
+    `UPDATE public.jobs
+     SET status = 'cancelled', last_error = $3, locked_at = NULL, locked_by = NULL
+     WHERE application_id = $1 AND type = ANY($2) AND status IN ('queued', 'running')`,
+    [applicationId, types, reason]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Calcula el retraso antes del siguiente intento (backoff exponencial con tope).
+ * @param {number} attempts - Intentos realizados.
+ * @returns {number} - Retraso en milisegundos.
+ */
+function getBackoffDelay(attempts) {
+  return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * Math.pow(2, Math.max(0, attempts - 1)));
+}
+
+/**
+ * Reclama trabajos listos para ejecutarse (o cuyo bloqueo expiró) y los marca como 'running'.
+ * @param {number} limit - Número máximo de trabajos a reclamar.
+ * @returns {Promise<Array<Object>>} - Trabajos reclamados.
+ */
+async function claimJobs(limit) {
+  const result = await query(
+    `UPDATE public.jobs
+     SET status = 'running', attempts = attempts + 1, locked_at = NOW(), locked_by = $1
+     WHERE id IN (
+       SELECT id FROM public.jobs
+       WHERE (status = 'queued' AND run_at <= NOW())
+          OR (status = 'running' AND locked_at < NOW() - ($2 * INTERVAL '1 millisecond') AND attempts < max_attempts)
+       ORDER BY run_at
+       LIMIT $3
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [WORKER_ID, VISIBILITY_TIMEOUT_MS, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Envía a dead-letter los trabajos bloqueados que expiraron sin intentos restantes
+ * (por ejemplo, si el proceso se reinició durante el último intento).
+ */
+async function deadLetterExpiredJobs() {
+  const result = await query(
+    `UPDATE public.jobs
+     SET status = 'dead', locked_at = NULL, locked_by = NULL,
+         last_error = COALESCE(last_error, 'Tiempo de ejecución agotado')
+     WHERE status = 'running'
+       AND locked_at < NOW() - ($1 * INTERVAL '1 millisecond')
+       AND attempts >= max_attempts
+     RETURNING *`,
+    [VISIBILITY_TIMEOUT_MS]
+  );
+
+  for (const job of result.rows) {
+    await notifyDeadLetter(job, new Error(job.last_error));
+  }
+}
+
+/**
+ * Invoca el manejador de dead-letter del tipo de trabajo, si existe.
+ * @param {object} job - Trabajo muerto.
+ * @param {Error} error - Último error.
+ */
+async function notifyDeadLetter(job, error) {
+  const handler = handlers[job.type];
+  if (!handler || !handler.onDeadLetter) return;
+  try {
+    await handler.onDeadLetter(job, error);
+  } catch (handlerError) {
+    console.error(`❌ Error en dead-letter del trabajo ${job.id}:`, handlerError);
+  }
+}
+
+/**
+ * Ejecuta un trabajo reclamado y registra su resultado. El resultado solo se registra si el
+ * trabajo sigue 'running': uno cancelado durante la ejecución sigue cancelado.
+ * @param {object} job - Trabajo a ejecutar.
+ */
+async function processJob(job) {
+  const handler = handlers[job.type];
+  try {
+    if (!handler) {
+      throw new Error(`No hay manejador registrado para el tipo de trabajo "${job.type}"`);
+    }
+
+    const outcome = await handler.run(job);
+
+    if (outcome && outcome.deferUntil) {
+      await query(
+        `UPDATE public.jobs
+         SET status = 'queued', attempts = attempts - 1, run_at = $2, last_error = $3,
+             locked_at = NULL, locked_by = NULL
+         WHERE id = $1 AND status = 'running'`,
+        [job.id, outcome.deferUntil, outcome.reason || null]
+      );
+      console.log(`⏸️  Trabajo ${job.id} (${job.type}) pospuesto hasta ${outcome.deferUntil.toISOString()}: ${outcome.reason}`);
+      return;
+    }
+
+    await query(
+      `UPDATE public.jobs
+       SET status = 'completed', completed_at = NOW(), locked_at = NULL, locked_by = NULL, last_error = NULL
+       WHERE id = $1 AND status = 'running'`,
+      [job.id]
+    );
+  } catch (error) {
+    console.error(`❌ Trabajo ${job.id} (${job.type}) falló en el intento ${job.attempts}/${job.max_attempts}:`, error.message);
+
+    const result = await query(
+      `UPDATE public.jobs
+       SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+           run_at = NOW() + ($2 * INTERVAL '1 millisecond'),
+           last_error = $3, locked_at = NULL, locked_by = NULL
+       WHERE id = $1 AND status = 'running'
+       RETURNING *`,
+      [job.id, getBackoffDelay(job.attempts), error.message]
+    );
+
+    if (result.rows[0] && result.rows[0].status === 'dead') {
+      await notifyDeadLetter(result.rows[0], error);
+    }
+  }
+}
+
+/**
+ * Inicia el worker que consume la cola.
+ * @param {object} [options] - Opciones del worker.
+ * @param {number} [options.concurrency] - Trabajos simultáneos por proceso.
+ * @param {number} [options.pollIntervalMs] - Intervalo de sondeo de la cola.
+ * @returns {{stop: Function}} - Control del worker.
+ */
+function startWorker({
+  concurrency = parseInt(process.env.JOB_WORKER_CONCURRENCY) || 2,
+  pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000
+} = {}) {
+  let active = 0;
+  let stopped = false;
+  let timer = null;
+
+  const tick = async () => {
+    if (stopped) return;
+    try {
+      await deadLetterExpiredJobs();
+
+      const available = concurrency - active;
+      if (available > 0) {
+        const jobs = await claimJobs(available);
+        jobs.forEach((job) => {
+          active++;
+          processJob(job).finally(() => { active--; });
+        });
+      }
+    } catch (error) {
+      console.error('❌ Error en el worker de la cola de trabajos:', error.message);
+    }
+    timer = setTimeout(tick, pollIntervalMs);
+  };
+
+  console.log(`⚙️  Worker de trabajos iniciado (${WORKER_ID}, concurrencia ${concurrency})`);
+  tick();
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  cancelApplicationJobs,
+  getBackoffDelay,
+  startWorker
+};
@@ -0,0 +1,218 @@
+const { query } = require('../utils/database');
+const { evaluateCVWithText } = require('../config/ai');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { getPromptTemplate } = require('./promptTemplates');
+const { MIN_CV_TEXT_LENGTH, buildJobDescription, getPromptCvText, getPromptAnswers } = require('./evaluations');
+
+const PROMPT_EXPERIMENT = 'prompt_experiment';
+
+/**
+ * Media aritmética.
+ * @param {Array<number>} values - Valores.
+ * @returns {number|null} - Media o null si no hay valores.
+ */
+const mean = values => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+/**
+ * Coeficiente de correlación de Pearson entre dos series.
+ * @param {Array<number>} xs - Primera serie.
+ * @param {Array<number>} ys - Segunda serie (misma longitud).
+ * @returns {number|null} - Correlación o null si no se puede calcular (menos de 2 pares o varianza nula).
+ */
+function pearsonCorrelation(xs, ys) {
+  if (xs.length < 2) return null;
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  });
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+const round = (value, decimals = 2) => (value === null ? null : Number(value.toFixed(decimals)));
+
+/**
+ * Resume los resultados de un experimento.
+ * @param {Array<object>} results - Resultados por aplicación ({ scoreA, scoreB } o { error }).
+ * @returns {object} - Correlación, desplazamiento medio (B - A) y otras métricas.
+ */
+function computeExperimentReport(results) {
+  const pairs = results.filter(r => !r.error);
+  const scoresA = pairs.map(r => r.scoreA);
+  const scoresB = pairs.map(r => r.scoreB);
+  const differences = pairs.map(r => r.scoreB - r.scoreA);
+
+  return {
+    evaluated: pairs.length,
+    failed: results.length - pairs.length,
+    meanScoreA: round(mean(scoresA)),
+    meanScoreB: round(mean(scoresB)),
+    meanShift: round(mean(differences)),
+    meanAbsoluteDifference: round(mean(differences.map(Math.abs))),
+    correlation: round(pearsonCorrelation(scoresA, scoresB), 4)
+  };
+}
+
+/**
+ * Crea un experimento A/B y lo encola.
+ * @param {object} data - Datos del experimento.
+ * @param {number} data.versionA - Versión de referencia.
+ * @param {number} data.versionB - Versión candidata.
+ * @param {number} data.sampleSize - Número de aplicaciones a evaluar.
+ * @param {string} [data.jobRoleId] - Limitar la muestra a un puesto.
+ * @param {string} userId - Usuario que lo solicita.
+ * @returns {Promise<Object>} - Fila del experimento creado.
+ */
+async function createPromptExperiment({ versionA, versionB, sampleSize, jobRoleId = null }, userId) {
+  const result = await query(
+    `INSERT INTO public.prompt_experiments (version_a, version_b, sample_size, job_role_id, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [versionA, versionB, sampleSize, jobRoleId, userId]
+  );
+  const experiment = result.rows[0];
+
+  await enqueueJob(null, {
+    type: PROMPT_EXPERIMENT,
+    payload: { experimentId: experiment.id },
+    maxAttempts: 3
+  });
+
+  return experiment;
+}
+
+/**
+ * Obtiene un experimento.
+ * @param {string} experimentId - ID del experimento.
+ * @returns {Promise<Object|null>} - Experimento o null si no existe.
+ */
+async function getPromptExperiment(experimentId) {
+  const result = await query(
+    'SELECT * FROM public.prompt_experiments WHERE id = $1',
+    [experimentId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Busca el último experimento completado entre dos versiones del prompt de evaluación.
+ * @param {number} versionA - Versión de referencia.
+ * @param {number} versionB - Versión candidata.
+ * @returns {Promise<Object|null>} - Experimento o null si no existe.
+ */
+async function findCompletedExperiment(versionA, versionB) {
+  const result = await query(
+    `SELECT * FROM public.prompt_experiments
+     WHERE name = 'evaluation' AND version_a = $1 AND version_b = $2 AND status = 'completed'
+     ORDER BY completed_at DESC
+     LIMIT 1`,
+    [versionA, versionB]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Selecciona la muestra del experimento: aplicaciones con texto legible y evaluación completada.
+ * El orden depende del ID del experimento, así que un reintento usa la misma muestra.
+ * @param {object} experiment - Experimento.
+ * @returns {Promise<Array<Object>>} - Aplicaciones con los datos del puesto.
+ */
+async function getExperimentSample(experiment) {
+  const result = await query(
+    `SELECT a.id, a.job_role_id, a.cv_text, a.candidate_name, a.candidate_email, a.candidate_phone, a.answers,
+            jr.description, jr.requirements, jr.rubric, jr.blind_evaluation, jr.output_language
+     FROM public.applications a
+     JOIN public.job_roles jr ON a.job_role_id = jr.id
+     JOIN public.evaluations e ON e.application_id = a.id
+     WHERE e.status = 'completed'
+       AND LENGTH(COALESCE(a.cv_text, '')) >= $1
+       AND ($2::uuid IS NULL OR a.job_role_id = $2)
+     ORDER BY md5(a.id::text || $3)
+     LIMIT $4`,
+    [MIN_CV_TEXT_LENGTH, experiment.job_role_id, experiment.id, experiment.sample_size]
+  );
+  return result.rows;
+}
+
+registerJobHandler(PROMPT_EXPERIMENT, {
+  /**
+   * Evalúa la muestra con ambas versiones. Los resultados se guardan tras cada aplicación,
+   * de modo que un reintento continúa donde se quedó.
+   * @param {object} job - Trabajo con payload { experimentId }.
+   */
+  async run(job) {
+    const experiment = await getPromptExperiment(job.payload.experimentId);
+    if (!experiment || experiment.status === 'completed') return;
+
+    await query(
+      `UPDATE public.prompt_experiments SET status = 'running', error = NULL WHERE id = $1`,
+      [experiment.id]
+    );
+
+    const [templateA, templateB] = await Promise.all([
+      getPromptTemplate(experiment.name, experiment.version_a),
+      getPromptTemplate(experiment.name, experiment.version_b)
+    ]);
+    if (!templateA || !templateB) {
+      throw new Error('Alguna de las versiones del experimento ya no existe');
+    }
+
+    const results = experiment.results || [];
+    const done = new Set(results.map(r => r.applicationId));
+    const sample = await getExperimentSample(experiment);
+
+    for (const application of sample.filter(a => !done.has(a.id))) {
+      const jobDescription = buildJobDescription(application);
+      const { text: cvText } = getPromptCvText(application);
+      const options = {
+        rubric: application.rubric,
+        language: application.output_language,
+        answers: getPromptAnswers(application),
+        usageContext: { applicationId: application.id, jobRoleId: application.job_role_id, userId: experiment.created_by }
+      };
+      let entry;
+      try {
+        const [evaluationA, evaluationB] = await Promise.all([
+          evaluateCVWithText(cvText, jobDescription, { ...options, promptTemplate: templateA }),
+          evaluateCVWithText(cvText, jobDescription, { ...options, promptTemplate: templateB })
+        ]);
+        entry = { applicationId: application.id, scoreA: evaluationA.score, scoreB: evaluationB.score };
+      } catch (error) {
+        entry = { applicationId: application.id, error: error.message };
+      }
+
+      results.push(entry);
+      await query(
+        'UPDATE public.prompt_experiments SET results = $2 WHERE id = $1',
+        [experiment.id, JSON.stringify(results)]
+      );
+    }
+
+    await query(
+      `UPDATE public.prompt_experiments
+       SET status = 'completed', report = $2, completed_at = NOW()
+       WHERE id = $1`,
+      [experiment.id, JSON.stringify(computeExperimentReport(results))]
+    );
+  },
+
+  async onDeadLetter(job, error) {
+    await query(
+      `UPDATE public.prompt_experiments SET status = 'failed', error = $2 WHERE id = $1`,
+      [job.payload.experimentId, error.message]
+    );
+  }
+});
+
+module.exports = {
+  computeExperimentReport,
+  createPromptExperiment,
+  getPromptExperiment,
+  findCompletedExperiment
+};
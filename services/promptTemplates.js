@@ -0,0 +1,140 @@
+const { query, transaction } = require('../utils/database');
+const { PROMPT_NAMES, getBuiltInTemplate } = require('../config/prompts');
+
+/**
+ * Convierte una fila de public.prompt_templates en plantilla.
+ * @param {object} row - Fila de la base de datos.
+ * @returns {object} - Plantilla.
+ */
+const toTemplate = (row) => ({
+  id: row.id,
+  name: row.name,
+  version: row.version,
+  template: row.template,
+  description: row.description,
+  status: row.status,
+  builtIn: false,
+  createdBy: row.created_by,
+  promotedAt: row.promoted_at,
+  createdAt: row.created_at
+});
+
+/**
+ * Obtiene una versión concreta de una plantilla (la versión 1 es la integrada).
+ * @param {string} name - Tipo de prompt.
+ * @param {number} version - Versión.
+ * @returns {Promise<Object|null>} - Plantilla o null si no existe.
+ */
+async function getPromptTemplate(name, version) {
+  if (version === 1) {
+    return { ...getBuiltInTemplate(name), builtIn: true };
+  }
+
+  const result = await query(
+    'SELECT * FROM public.prompt_templates WHERE name = $1 AND version = $2',
+    [name, version]
+  );
+  return result.rows[0] ? toTemplate(result.rows[0]) : null;
+}
+
+/**
+ * Obtiene la plantilla activa de un tipo de prompt (la integrada si no hay ninguna promovida).
+ * @param {string} name - Tipo de prompt.
+ * @returns {Promise<Object>} - Plantilla activa.
+ */
+async function getActivePromptTemplate(name) {
+  const result = await query(
+    `SELECT * FROM public.prompt_templates WHERE name = $1 AND status = 'active'`,
+    [name]
+  );
+  return result.rows[0]
+    ? toTemplate(result.rows[0])
+    : { ...getBuiltInTemplate(name), builtIn: true };
+}
+
+/**
+ * Lista todas las versiones de las plantillas, incluidas las integradas.
+ * @param {string} [name] - Filtrar por tipo de prompt.
+ * @returns {Promise<Array<Object>>} - Plantillas ordenadas por tipo y versión.
+ */
+async function listPromptTemplates(name) {
+  const names = name ? [name] : PROMPT_NAMES;
+  const result = await query(
+    `SELECT * FROM public.prompt_templates
+     WHERE name = ANY($1)
+     ORDER BY name, version`,
+    [names]
+  );
+
+  const stored = result.rows.map(toTemplate);
+
+  return names.flatMap((promptName) => {
+    const versions = stored.filter(t => t.name === promptName);
+    const hasActive = versions.some(t => t.status === 'active');
+    return [
+      {
+        ...getBuiltInTemplate(promptName),
+        description: 'Plantilla integrada',
+        status: hasActive ? 'retired' : 'active',
+        builtIn: true
+      },
+      ...versions
+    ];
+  });
+}
+
+/**
+ * Crea una nueva versión (borrador) de una plantilla.
+ * @param {object} data - Datos de la plantilla.
+ * @param {string} data.name - Tipo de prompt.
+ * @param {string} data.template - Texto con marcadores {{nombre}}.
+ * @param {string} [data.description] - Descripción del cambio.
+ * @param {string} userId - Usuario que la crea.
+ * @returns {Promise<Object>} - Plantilla creada.
+ */
+async function createPromptTemplate({ name, template, description = null }, userId) {
+  const result = await query(
+    `INSERT INTO public.prompt_templates (name, version, template, description, created_by)
+     SELECT $1, GREATEST(COALESCE(MAX(version), 1), 1) + 1, $2, $3, $4
+     FROM public.prompt_templates
+     WHERE name = $1
+     RETURNING *`,
+    [name, template, description, userId]
+  );
+  return toTemplate(result.rows[0]);
+}
+
+/**
+ * Promueve una versión a activa y retira la anterior. Promover la versión 1
+ * vuelve a la plantilla integrada.
+ * @param {string} name - Tipo de prompt.
+ * @param {number} version - Versión a promover.
+ * @returns {Promise<Object>} - Plantilla activa tras la promoción.
+ */
+async function promotePromptTemplate(name, version) {
+  await transaction(async (client) => {
+    await client.query(
+      `UPDATE public.prompt_templates SET status = 'retired'
+       WHERE name = $1 AND status = 'active'`,
+      [name]
+    );
+
+    if (version !== 1) {
+      await client.query(
+        `UPDATE public.prompt_templates SET status = 'active', promoted_at = NOW()
+         WHERE name = $1 AND version = $2`,
+        [name, version]
+      );
+    }
+  });
+
+  return getActivePromptTemplate(name);
+}
+
+module.exports = {
+  getPromptTemplate,
+  getActivePromptTemplate,
+  listPromptTemplates,
+  createPromptTemplate,
+  promotePromptTemplate
+};
@@ -0,0 +1,337 @@
+const { query, transaction } = require('../utils/database');
+const { compareCandidatesWithGemini } = require('../config/ai');
+const { buildPairSchedule, bradleyTerry } = require('../utils/ranking');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { getActivePromptTemplate } = require('./promptTemplates');
+const { getRoleBudgetStatus } = require('./aiUsage');
+const { getComparisonCandidates, buildPromptCandidates, resolveComparisonResult } = require('./comparisons');
+
+const RANK_ROLE = 'rank_role';
+
+// Máximo de candidatos de un ranking (los de mayor puntuación de evaluación)
+const MAX_RANKING_CANDIDATES = 200;
+// Comparaciones por ejecución del trabajo: el resto continúa en la siguiente, sin superar
+// el tiempo de bloqueo de la cola
+const MATCHES_PER_RUN = parseInt(process.env.RANKING_MATCHES_PER_RUN) || 20;
+// Cada cuánto se vuelve a comprobar el presupuesto de un ranking pospuesto
+const BUDGET_RECHECK_MS = parseInt(process.env.AI_BUDGET_RECHECK_MS) || 60 * 60 * 1000; // 1 hora
+// Intentos de cada comparación que falla antes de darla por fallida
+const MATCH_MAX_ATTEMPTS = parseInt(process.env.RANKING_MATCH_MAX_ATTEMPTS) || 3;
+// Espera tras una comparación fallida (se duplica con cada intento de la misma pareja)
+const MATCH_RETRY_DELAY_MS = parseInt(process.env.RANKING_RETRY_DELAY_MS) || 60 * 1000; // 1 minuto
+const MATCH_RETRY_MAX_DELAY_MS = 60 * 60 * 1000; // 1 hora
+// Proporción máxima de comparaciones fallidas con la que el ranking se completa
+const MAX_FAILED_SHARE = parseFloat(process.env.RANKING_MAX_FAILED_SHARE) || 0.2;
+
+const pairKey = (a, b) => [a, b].sort().join(':');
+
+// Una comparación está resuelta si tiene ganador o si agotó sus intentos (los enfrentamientos
+// guardados antes de los reintentos no tienen attempts y cuentan como un intento)
+const isSettled = match => Boolean(match.winner) || (match.attempts || 1) >= MATCH_MAX_ATTEMPTS;
+
+/**
+ * Convierte una fila de public.role_rankings en el progreso que devuelve la API.
+ * @param {object} row - Fila de la base de datos.
+ * @returns {object} - Ranking sin sus posiciones.
+ */
+function formatRanking(row) {
+  const matches = row.matches || [];
+  const completed = matches.filter(m => m.winner).length;
+  const failed = matches.filter(m => m.error && isSettled(m)).length;
+
+  return {
+    id: row.id,
+    roleId: row.job_role_id,
+    requestedBy: row.requested_by,
+    status: row.status,
+    candidates: row.candidate_ids.length,
+    opponents: row.opponents,
+    totalMatches: row.total_matches,
+    completedMatches: completed,
+    failedMatches: failed,
+    progress: row.total_matches > 0 ? Math.round(((completed + failed) / row.total_matches) * 100) : 100,
+    error: row.error,
+    createdAt: row.created_at,
+    completedAt: row.completed_at
+  };
+}
+
+/**
+ * Crea el ranking de los candidatos evaluados de un puesto y encola su cálculo.
+ * @param {string} roleId - ID del puesto.
+ * @param {string} userId - Usuario que lo solicita.
+ * @param {object} options - Opciones validadas.
+ * @param {number} options.opponents - Rivales de cada candidato en el calendario.
+ * @param {Array<string>} [options.applicationIds] - Limitar el ranking a estas aplicaciones.
+ * @param {number} [options.minScore] - Puntuación de evaluación mínima para entrar.
+ * @returns {Promise<Object|null>} - Ranking creado o null si hay menos de 2 candidatos evaluados.
+ */
+async function createRoleRanking(roleId, userId, { opponents, applicationIds, minScore }) {
+  const whereConditions = ['a.job_role_id = $1', 'e.score IS NOT NULL', "e.status IN ('completed', 'needs_manual_review')"];
+  const queryParams = [roleId];
+  let paramCount = 2;
+
+  if (applicationIds && applicationIds.length > 0) {
+    whereConditions.push(`a.id = ANY($${paramCount})`);
+    queryParams.push(applicationIds);
+    paramCount++;
+  }
+
+  if (minScore !== undefined) {
+    whereConditions.push(`e.score >= $${paramCount}`);
+    queryParams.push(minScore);
+    paramCount++;
+  }
+
+  queryParams.push(MAX_RANKING_CANDIDATES);
+
+  const shortlist = await query(
+    `SELECT a.id
+     FROM public.applications a
+     JOIN public.evaluations e ON a.id = e.application_id
+     WHERE ${whereConditions.join(' AND ')}
+     ORDER BY e.score DESC, a.id
+     LIMIT $${paramCount}`,
+    queryParams
+  );
+
+  if (shortlist.rows.length < 2) {
+    return null;
+  }
+
+  const candidateIds = shortlist.rows.map(row => row.id);
+  const totalMatches = buildPairSchedule(candidateIds.length, opponents).length;
+
+  return transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO public.role_rankings (job_role_id, requested_by, candidate_ids, opponents, total_matches)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [roleId, userId, candidateIds, opponents, totalMatches]
+    );
+    const ranking = result.rows[0];
+
+    await enqueueJob(client, {
+      type: RANK_ROLE,
+      payload: { rankingId: ranking.id },
+      maxAttempts: 3
+    });
+
+    return formatRanking(ranking);
+  });
+}
+
+/**
+ * Lista los rankings de un puesto, del más reciente al más antiguo.
+ * @param {string} roleId - ID del puesto.
+ * @returns {Promise<Array<Object>>} - Rankings sin sus posiciones.
+ */
+async function listRoleRankings(roleId) {
+  const result = await query(
+    `SELECT * FROM public.role_rankings
+     WHERE job_role_id = $1
+     ORDER BY created_at DESC`,
+    [roleId]
+  );
+  return result.rows.map(formatRanking);
+}
+
+/**
+ * Obtiene un ranking con las posiciones de sus candidatos (si ya se completó).
+ * @param {string} roleId - ID del puesto.
+ * @param {string} rankingId - ID del ranking.
+ * @returns {Promise<Object|null>} - Ranking o null si no existe.
+ */
+async function getRoleRanking(roleId, rankingId) {
+  const result = await query(
+    'SELECT * FROM public.role_rankings WHERE id = $1 AND job_role_id = $2',
+    [rankingId, roleId]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const entries = await query(
+    `SELECT r.*, a.candidate_name, e.score
+     FROM public.role_ranking_entries r
+     JOIN public.applications a ON a.id = r.application_id
+     LEFT JOIN public.evaluations e ON e.application_id = r.application_id
+     WHERE r.ranking_id = $1
+     ORDER BY r.rank`,
+    [rankingId]
+  );
+
+  return {
+    ...formatRanking(result.rows[0]),
+    entries: entries.rows.map(row => ({
+      rank: row.rank,
+      applicationId: row.application_id,
+      name: row.candidate_name,
+      rating: parseFloat(row.rating),
+      wins: row.wins,
+      losses: row.losses,
+      score: row.score
+    }))
+  };
+}
+
+/**
+ * Calcula las posiciones finales a partir de los enfrentamientos con resultado y las guarda.
+ * Los empates de rating se deshacen por la puntuación de evaluación (el orden del calendario).
+ * @param {object} ranking - Fila del ranking.
+ * @param {Array<string>} candidateIds - Candidatos que siguen existiendo, en el orden del calendario.
+ */
+async function completeRanking(ranking, candidateIds) {
+  const outcomes = ranking.matches
+    .filter(m => m.winner && candidateIds.includes(m.a) && candidateIds.includes(m.b))
+    .map(m => ({ winner: m.winner, loser: m.winner === m.a ? m.b : m.a }));
+  const ratings = bradleyTerry(candidateIds, outcomes);
+
+  const ordered = candidateIds
+    .map((id, index) => ({ id, index, ...ratings.get(id) }))
+    .sort((x, y) => y.rating - x.rating || x.index - y.index);
+
+  await transaction(async (client) => {
+    await client.query('DELETE FROM public.role_ranking_entries WHERE ranking_id = $1', [ranking.id]);
+
+    for (const [position, entry] of ordered.entries()) {
+      await client.query(
+        `INSERT INTO public.role_ranking_entries (ranking_id, application_id, rank, rating, wins, losses)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [ranking.id, entry.id, position + 1, entry.rating.toFixed(2), entry.wins, entry.losses]
+      );
+    }
+
+    await client.query(
+      `UPDATE public.role_rankings
+       SET status = 'completed', error = NULL, completed_at = NOW()
+       WHERE id = $1`,
+      [ranking.id]
+    );
+  });
+}
+
+registerJobHandler(RANK_ROLE, {
+  /**
+   * Juega los enfrentamientos pendientes del calendario, como mucho MATCHES_PER_RUN por ejecución;
+   * cada resultado se guarda al momento, de modo que un reintento continúa donde se quedó.
+   * Si una comparación falla (caída del proveedor, límite de peticiones) el resto se pospone con
+   * una espera creciente y la pareja se repite, hasta MATCH_MAX_ATTEMPTS intentos. Cuando no
+   * quedan enfrentamientos se calculan y guardan las posiciones, salvo que hayan fallado más de
+   * MAX_FAILED_SHARE de las comparaciones.
+   * @param {object} job - Trabajo con payload { rankingId }.
+   * @returns {Promise<Object|undefined>} - { deferUntil, reason } si el ranking continúa más tarde.
+   */
+  async run(job) {
+    const result = await query('SELECT * FROM public.role_rankings WHERE id = $1', [job.payload.rankingId]);
+    const ranking = result.rows[0];
+    if (!ranking || ranking.status === 'completed') return;
+
+    const budget = await getRoleBudgetStatus(ranking.job_role_id);
+    if (budget && budget.exhausted) {
+      return {
+        deferUntil: new Date(Date.now() + BUDGET_RECHECK_MS),
+        reason: `Presupuesto mensual de IA agotado para ${budget.organization}`
+      };
+    }
+
+    await query(
+      `UPDATE public.role_rankings SET status = 'running', error = NULL WHERE id = $1`,
+      [ranking.id]
+    );
+
+    const roleResult = await query(
+      'SELECT title, description, requirements, blind_evaluation, output_language FROM public.job_roles WHERE id = $1',
+      [ranking.job_role_id]
+    );
+    const role = roleResult.rows[0];
+
+    // Las aplicaciones eliminadas desde que se creó el ranking quedan fuera
+    const loaded = await getComparisonCandidates(ranking.job_role_id, ranking.candidate_ids);
+    const byId = new Map(loaded.map(c => [c.id, c]));
+    const candidateIds = ranking.candidate_ids.filter(id => byId.has(id));
+
+    const matches = ranking.matches || [];
+    const played = new Set(matches.filter(isSettled).map(m => pairKey(m.a, m.b)));
+    const pending = buildPairSchedule(ranking.candidate_ids.length, ranking.opponents)
+      .map(([i, j]) => [ranking.candidate_ids[i], ranking.candidate_ids[j]])
+      .filter(([a, b]) => byId.has(a) && byId.has(b) && !played.has(pairKey(a, b)));
+
+    const promptTemplate = await getActivePromptTemplate('comparison');
+
+    for (const [a, b] of pending.slice(0, MATCHES_PER_RUN)) {
+      const pair = [byId.get(a), byId.get(b)];
+      const promptCandidates = buildPromptCandidates(pair, role.blind_evaluation);
+      const comparison = await compareCandidatesWithGemini(role, promptCandidates, {
+        promptTemplate,
+        language: role.output_language,
+        usageContext: { jobRoleId: ranking.job_role_id, userId: ranking.requested_by }
+      });
+
+      // Un reintento sustituye al resultado fallido anterior de la misma pareja
+      const index = matches.findIndex(m => pairKey(m.a, m.b) === pairKey(a, b));
+      const previousAttempts = index >= 0 ? matches[index].attempts || 1 : 0;
+      const match = comparison.error
+        ? { a, b, error: comparison.details || comparison.message, attempts: previousAttempts + 1 }
+        : { a, b, winner: resolveComparisonResult(comparison, pair, promptCandidates).best_application_id };
+      if (index >= 0) {
+        matches[index] = match;
+      } else {
+        matches.push(match);
+      }
+
+      await query(
+        'UPDATE public.role_rankings SET matches = $2 WHERE id = $1',
+        [ranking.id, JSON.stringify(matches)]
+      );
+
+      // El mismo fallo se repetiría en el resto de comparaciones: se pospone el lote
+      if (match.error) {
+        const delay = Math.min(MATCH_RETRY_MAX_DELAY_MS, MATCH_RETRY_DELAY_MS * Math.pow(2, match.attempts - 1));
+        return {
+          deferUntil: new Date(Date.now() + delay),
+          reason: `Comparación fallida (intento ${match.attempts}/${MATCH_MAX_ATTEMPTS}): ${match.error}`
+        };
+      }
+    }
+
+    if (pending.length > MATCHES_PER_RUN) {
+      return {
+        deferUntil: new Date(),
+        reason: `Ranking en curso: ${matches.length}/${ranking.total_matches} comparaciones`
+      };
+    }
+
+    // Con demasiadas comparaciones fallidas las posiciones no serían fiables
+    const results = matches.filter(m => byId.has(m.a) && byId.has(m.b));
+    const failed = results.filter(m => !m.winner).length;
+    if (failed === results.length || failed / results.length > MAX_FAILED_SHARE) {
+      await query(
+        `UPDATE public.role_rankings SET status = 'failed', error = $2 WHERE id = $1`,
+        [
+          ranking.id,
+          failed === results.length
+            ? 'Ninguna comparación del ranking se completó'
+            : `Fallaron ${failed} de ${results.length} comparaciones del ranking`
+        ]
+      );
+      return;
+    }
+
+    await completeRanking({ ...ranking, matches }, candidateIds);
+  },
+
+  async onDeadLetter(job, error) {
+    await query(
+      `UPDATE public.role_rankings SET status = 'failed', error = $2 WHERE id = $1`,
+      [job.payload.rankingId, error.message]
+    );
+  }
+});
+
+module.exports = {
+  RANK_ROLE,
+  createRoleRanking,
+  listRoleRankings,
+  getRoleRanking
+};
@@ -0,0 +1,195 @@
+const { query, transaction } = require('../utils/database');
+const { enqueueEvaluation, EVALUATE_APPLICATION } = require('./evaluationJobs');
+
+// Campos del puesto (clave de la API → columna) que, al cambiar, dejan desactualizadas sus evaluaciones
+const EVALUATION_FIELDS = {
+  description: 'description',
+  requirements: 'requirements',
+  rubric: 'rubric',
+  blindEvaluation: 'blind_evaluation',
+  outputLanguage: 'output_language'
+};
+
+/**
+ * Compara dos valores JSON sin tener en cuenta el orden de las claves de los objetos
+ * (las columnas JSONB no conservan el orden con el que se enviaron).
+ * @param {*} a - Primer valor.
+ * @param {*} b - Segundo valor.
+ * @returns {boolean} - true si son iguales.
+ */
+function isSameJson(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a).filter(key => a[key] !== undefined);
+  const keysB = Object.keys(b).filter(key => b[key] !== undefined);
+  return keysA.length === keysB.length &&
+    keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && isSameJson(a[key], b[key]));
+}
+
+/**
+ * Indica si una actualización del puesto afecta a sus evaluaciones.
+ * @param {object} currentRole - Fila actual del puesto.
+ * @param {object} changes - Campos a actualizar.
+ * @returns {boolean} - true si cambia algún campo usado en la evaluación.
+ */
+function affectsEvaluations(currentRole, changes) {
+  return Object.entries(EVALUATION_FIELDS).some(([field, column]) =>
+    changes[field] !== undefined &&
+    !isSameJson(changes[field], currentRole[column] ?? null));
+}
+
+/**
+ * Marca como desactualizadas las evaluaciones con puntuación de un puesto.
+ * @param {Object|null} client - Cliente de transacción (o null para usar el pool).
+ * @param {string} roleId - ID del puesto.
+ * @returns {Promise<number>} - Número de evaluaciones marcadas.
+ */
+async function markRoleEvaluationsStale(client, roleId) {
+  const run = client ? client.query.bind(client) : query;
+  const result = await run(
+    `UPDATE public.evaluations e
+     SET is_stale = true, stale_since = COALESCE(e.stale_since, NOW())
+     FROM public.applications a
+     WHERE e.application_id = a.id
+       AND a.job_role_id = $1
+       AND e.status IN ('completed', 'needs_manual_review')`,
+    [roleId]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Crea un lote de re-evaluación y encola un trabajo por cada aplicación seleccionada.
+ * Se omiten las aplicaciones que ya tienen una evaluación en cola o en ejecución.
+ * @param {string} roleId - ID del puesto.
+ * @param {string} userId - Usuario que solicita la re-evaluación.
+ * @param {object} [filters] - Filtros de selección.
+ * @param {boolean} [filters.onlyStale] - Solo evaluaciones desactualizadas.
+ * @param {Array<string>} [filters.evaluationStatus] - Estados de evaluación a incluir.
+ * @param {Array<string>} [filters.applicationStatus] - Estados de aplicación a incluir.
+ * @param {Array<string>} [filters.applicationIds] - Aplicaciones concretas.
+ * @param {boolean} [filters.force] - Llamar a la IA aunque haya resultados en caché.
+ * @returns {Promise<{batch: Object, skipped: number}>} - Lote creado y aplicaciones omitidas.
+ */
+async function createReevaluationBatch(roleId, userId, filters = {}) {
+  const whereConditions = ['a.job_role_id = $1'];
+  const queryParams = [roleId];
+  let paramCount = 2;
+
+  if (filters.onlyStale) {
+    whereConditions.push('e.is_stale = true');
+  }
+
+  if (filters.evaluationStatus && filters.evaluationStatus.length > 0) {
+    whereConditions.push(`e.status = ANY($${paramCount})`);
+    queryParams.push(filters.evaluationStatus);
+    paramCount++;
+  }
+
+  if (filters.applicationStatus && filters.applicationStatus.length > 0) {
+    whereConditions.push(`a.status = ANY($${paramCount})`);
+    queryParams.push(filters.applicationStatus);
+    paramCount++;
+  }
+
+  if (filters.applicationIds && filters.applicationIds.length > 0) {
+    whereConditions.push(`a.id = ANY($${paramCount})`);
+    queryParams.push(filters.applicationIds);
+    paramCount++;
+  }
+
+  queryParams.push(EVALUATE_APPLICATION);
+
+  return transaction(async (client) => {
+    const applications = await client.query(
+      `SELECT
+        a.id,
+        EXISTS (
+          SELECT 1 FROM public.jobs j
+          WHERE j.application_id = a.id AND j.type = $${paramCount}
+            AND j.status IN ('queued', 'running')
+        ) as in_progress
+       FROM public.applications a
+       LEFT JOIN public.evaluations e ON a.id = e.application_id
+       WHERE ${whereConditions.join(' AND ')}`,
+      queryParams
+    );
+
+    const toEnqueue = applications.rows.filter(row => !row.in_progress);
+
+    const batchResult = await client.query(
+      `INSERT INTO public.reevaluation_batches (job_role_id, requested_by, filters, total)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [roleId, userId, JSON.stringify(filters), toEnqueue.length]
+    );
+    const batch = batchResult.rows[0];
+
+    for (const row of toEnqueue) {
+      await enqueueEvaluation(client, row.id, { batchId: batch.id, bypassCache: filters.force });
+    }
+
+    return {
+      batch,
+      skipped: applications.rows.length - toEnqueue.length
+    };
+  });
+}
+
+/**
+ * Obtiene el progreso de un lote de re-evaluación a partir de sus trabajos.
+ * @param {string} roleId - ID del puesto.
+ * @param {string} batchId - ID del lote.
+ * @returns {Promise<Object|null>} - Progreso del lote o null si no existe.
+ */
+async function getReevaluationProgress(roleId, batchId) {
+  const result = await query(
+    `SELECT
+      b.*,
+      COUNT(j.id) FILTER (WHERE j.status = 'queued') as queued,
+      COUNT(j.id) FILTER (WHERE j.status = 'running') as running,
+      COUNT(j.id) FILTER (WHERE j.status = 'completed') as completed,
+      COUNT(j.id) FILTER (WHERE j.status = 'dead') as failed,
+      COUNT(j.id) FILTER (WHERE j.status = 'cancelled') as cancelled
+     FROM public.reevaluation_batches b
+     LEFT JOIN public.jobs j ON j.batch_id = b.id
+     WHERE b.id = $1 AND b.job_role_id = $2
+     GROUP BY b.id`,
+    [batchId, roleId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  const completed = parseInt(row.completed);
+  const failed = parseInt(row.failed);
+  const cancelled = parseInt(row.cancelled);
+  const finished = completed + failed + cancelled;
+
+  return {
+    id: row.id,
+    roleId: row.job_role_id,
+    requestedBy: row.requested_by,
+    filters: row.filters,
+    total: row.total,
+    queued: parseInt(row.queued),
+    running: parseInt(row.running),
+    completed,
+    failed,
+    cancelled,
+    progress: row.total > 0 ? Math.round((finished / row.total) * 100) : 100,
+    status: finished >= row.total ? 'finished' : 'in_progress',
+    createdAt: row.created_at
+  };
+}
+
+module.exports = {
+  affectsEvaluations,
+  markRoleEvaluationsStale,
+  createReevaluationBatch,
+  getReevaluationProgress
+};
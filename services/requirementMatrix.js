@@ -0,0 +1,262 @@
+const { query, transaction } = require('../utils/database');
+const { assessRequirements } = require('../config/ai');
+const { parseRequirements } = require('../utils/requirements');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { getActivePromptTemplate } = require('./promptTemplates');
+const { MIN_CV_TEXT_LENGTH, getPromptCvText } = require('./evaluations');
+
+const ASSESS_REQUIREMENTS = 'assess_requirements';
+const REQUIREMENT_STATUSES = ['met', 'partial', 'missing'];
+
+/**
+ * Construye la matriz de una aplicación a partir de los requisitos actuales del puesto y de las
+ * valoraciones guardadas. Los requisitos sin valoración (nuevos o aún no procesados) quedan
+ * con status null; las valoraciones de requisitos que ya no existen se descartan.
+ * @param {Array<object>} requirements - Requisitos actuales del puesto (ver parseRequirements).
+ * @param {Array<object>} rows - Filas de public.application_requirements de la aplicación.
+ * @returns {object} - Matriz { requirements, summary, assessedAt }.
+ */
+function buildMatrix(requirements, rows) {
+  const byKey = new Map(rows.map(row => [row.requirement_key, row]));
+
+  const items = requirements.map((requirement) => {
+    const row = byKey.get(requirement.key);
+    return {
+      key: requirement.key,
+      requirement: requirement.text,
+      level: requirement.level,
+      status: row ? row.status : null,
+      evidence: row ? row.evidence : null,
+      evidenceVerified: row ? row.evidence_verified : false,
+      justification: row ? row.justification : null
+    };
+  });
+
+  const assessed = rows.filter(row => requirements.some(r => r.key === row.requirement_key));
+  const summary = Object.fromEntries(REQUIREMENT_STATUSES.map(status =>
+    [status, items.filter(item => item.status === status).length]));
+  summary.pending = items.filter(item => item.status === null).length;
+
+  return {
+    requirements: items,
+    summary,
+    model: assessed[0] ? assessed[0].model_used : null,
+    promptVersion: assessed[0] ? assessed[0].prompt_version : null,
+    assessedAt: assessed.length > 0
+      ? assessed.map(row => row.assessed_at).sort((a, b) => b - a)[0]
+      : null
+  };
+}
+
+/**
+ * Obtiene la matriz de requisitos de una aplicación.
+ * @param {string} applicationId - ID de la aplicación.
+ * @param {string} requirementsText - Requisitos actuales del puesto (job_roles.requirements).
+ * @returns {Promise<Object>} - Matriz (ver buildMatrix).
+ */
+async function getRequirementMatrix(applicationId, requirementsText) {
+  const result = await query(
+    'SELECT * FROM public.application_requirements WHERE application_id = $1',
+    [applicationId]
+  );
+  return buildMatrix(parseRequirements(requirementsText), result.rows);
+}
+
+/**
+ * Valora con IA el CV de una aplicación contra los requisitos de su puesto y guarda la matriz,
+ * reemplazando la anterior. Si el puesto no tiene requisitos o el CV no tiene texto legible
+ * no se valora nada.
+ * @param {string} applicationId - ID de la aplicación.
+ * @param {string} [userId] - Usuario que lo solicita (por defecto, el creador del puesto).
+ * @returns {Promise<Object|null>} - Matriz guardada o null si no se pudo valorar.
+ * @throws {Error} - Si la IA falla.
+ */
+async function assessApplicationRequirements(applicationId, userId) {
+  const result = await query(
+    `SELECT a.job_role_id, a.cv_text, a.candidate_name, a.candidate_email, a.candidate_phone,
+            jr.requirements, jr.blind_evaluation, jr.output_language, jr.created_by as job_creator_id
+     FROM public.applications a
+     JOIN public.job_roles jr ON a.job_role_id = jr.id
+     WHERE a.id = $1`,
+    [applicationId]
+  );
+  if (result.rows.length === 0) {
+    throw new Error(`Aplicación ${applicationId} no encontrada`);
+  }
+
+  const application = result.rows[0];
+  const requirements = parseRequirements(application.requirements);
+  if (requirements.length === 0) {
+    return null;
+  }
+  if ((application.cv_text || '').trim().length < MIN_CV_TEXT_LENGTH) {
+    console.warn(`⚠️  Aplicación ${applicationId} sin texto legible; no se valoran sus requisitos`);
+    return null;
+  }
+
+  const promptTemplate = await getActivePromptTemplate('requirement_matrix');
+  const matrix = await assessRequirements({
+    requirements,
+    cvText: getPromptCvText(application).text
+  }, {
+    promptTemplate,
+    language: application.output_language,
+    usageContext: { applicationId, jobRoleId: application.job_role_id, userId: userId || application.job_creator_id }
+  });
+
+  const rows = await transaction(async (client) => {
+    await client.query('DELETE FROM public.application_requirements WHERE application_id = $1', [applicationId]);
+
+    const inserted = [];
+    for (const item of matrix.requirements) {
+      const row = await client.query(
+        `INSERT INTO public.application_requirements (
+          application_id, job_role_id, requirement_key, requirement, level, status, evidence,
+          evidence_verified, justification, model_used, prompt_version, output_language
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING *`,
+        [
+          applicationId,
+          application.job_role_id,
+          item.key,
+          item.text,
+          item.level,
+          item.status,
+          item.evidence || null,
+          item.evidenceVerified,
+          item.justification,
+          matrix.model,
+          matrix.promptVersion,
+          application.output_language
+        ]
+      );
+      inserted.push(row.rows[0]);
+    }
+    return inserted;
+  });
+
+  return buildMatrix(requirements, rows);
+}
+
+registerJobHandler(ASSESS_REQUIREMENTS, {
+  async run(job) {
+    await assessApplicationRequirements(job.application_id);
+  }
+});
+
+/**
+ * Encola la valoración de los requisitos de una aplicación.
+ * @param {Object|null} client - Cliente de transacción (o null para usar el pool).
+ * @param {string} applicationId - ID de la aplicación.
+ * @returns {Promise<Object>} - La fila del trabajo creado.
+ */
+function enqueueRequirementAssessment(client, applicationId) {
+  return enqueueJob(client, { type: ASSESS_REQUIREMENTS, applicationId });
+}
+
+/**
+ * Encola la valoración de los requisitos de las aplicaciones de un puesto. Por defecto solo las
+ * que tienen algún requisito actual sin valorar (por ejemplo, tras editar los requisitos).
+ * Se omiten las que ya tienen una valoración en curso.
+ * @param {string} roleId - ID del puesto.
+ * @param {string} requirementsText - Requisitos actuales del puesto.
+ * @param {object} [options] - Opciones.
+ * @param {boolean} [options.force] - Volver a valorar también las matrices completas.
+ * @returns {Promise<{queued: number, skipped: number}>} - Trabajos encolados y aplicaciones omitidas.
+ */
+async function enqueueRoleRequirementAssessments(roleId, requirementsText, { force = false } = {}) {
+  const keys = parseRequirements(requirementsText).map(requirement => requirement.key);
+
+  return transaction(async (client) => {
+    const applications = await client.query(
+      `SELECT
+        a.id,
+        COALESCE(ARRAY_AGG(r.requirement_key) FILTER (WHERE r.requirement_key IS NOT NULL), '{}') as assessed_keys,
+        EXISTS (
+          SELECT 1 FROM public.jobs j
+          WHERE j.application_id = a.id AND j.type = $2
+            AND j.status IN ('queued', 'running')
+        ) as in_progress
+       FROM public.applications a
+       LEFT JOIN public.application_requirements r ON r.application_id = a.id
+       WHERE a.job_role_id = $1
+       GROUP BY a.id`,
+      [roleId, ASSESS_REQUIREMENTS]
+    );
+
+    const toEnqueue = applications.rows.filter(row => !row.in_progress &&
+      (force || keys.some(key => !row.assessed_keys.includes(key))));
+
+    for (const row of toEnqueue) {
+      await enqueueRequirementAssessment(client, row.id);
+    }
+
+    return { queued: toEnqueue.length, skipped: applications.rows.length - toEnqueue.length };
+  });
+}
+
+/**
+ * Resumen de los requisitos de un puesto: cuántas aplicaciones cumplen, cumplen en parte
+ * o no cumplen cada requisito actual.
+ * @param {string} roleId - ID del puesto.
+ * @param {string} requirementsText - Requisitos actuales del puesto.
+ * @returns {Promise<Array<Object>>} - Requisitos con met, partial y missing.
+ */
+async function getRoleRequirementSummary(roleId, requirementsText) {
+  const requirements = parseRequirements(requirementsText);
+  const result = await query(
+    `SELECT requirement_key, status, COUNT(*) as total
+     FROM public.application_requirements
+     WHERE job_role_id = $1 AND requirement_key = ANY($2)
+     GROUP BY requirement_key, status`,
+    [roleId, requirements.map(requirement => requirement.key)]
+  );
+
+  return requirements.map(requirement => ({
+    key: requirement.key,
+    requirement: requirement.text,
+    level: requirement.level,
+    ...Object.fromEntries(REQUIREMENT_STATUSES.map((status) => {
+      const row = result.rows.find(r => r.requirement_key === requirement.key && r.status === status);
+      return [status, row ? parseInt(row.total) : 0];
+    }))
+  }));
+}
+
+/**
+ * Construye la condición SQL para filtrar aplicaciones (alias "a") por la valoración de un requisito.
+ * @param {object} filters - Filtros de la petición.
+ * @param {string} [filters.requirement] - Clave del requisito (ver GET /api/roles/:id/requirements).
+ * @param {string} [filters.requirementStatus] - met | partial | missing (por defecto missing).
+ * @param {number} paramCount - Siguiente índice de parámetro.
+ * @returns {{conditions: Array<string>, params: Array, paramCount: number}} - Condiciones y parámetros.
+ */
+function buildRequirementFilters({ requirement, requirementStatus }, paramCount) {
+  if (!requirement) {
+    return { conditions: [], params: [], paramCount };
+  }
+
+  const statuses = (requirementStatus || 'missing')
+    .split(',')
+    .map(status => status.trim())
+    .filter(status => REQUIREMENT_STATUSES.includes(status));
+
+  return {
+    conditions: [`EXISTS (
+      SELECT 1 FROM public.application_requirements ar
+      WHERE ar.application_id = a.id AND ar.requirement_key = $${paramCount} AND ar.status = ANY($${paramCount + 1})
+    )`],
+    params: [requirement, statuses],
+    paramCount: paramCount + 2
+  };
+}
+
+module.exports = {
+  ASSESS_REQUIREMENTS,
+  getRequirementMatrix,
+  assessApplicationRequirements,
+  enqueueRequirementAssessment,
+  enqueueRoleRequirementAssessments,
+  getRoleRequirementSummary,
+  buildRequirementFilters
+};
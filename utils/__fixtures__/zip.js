@@ -0,0 +1,94 @@
+/**
+ * Construcción de archivos ZIP en memoria para las pruebas (DOCX, ODT, importaciones).
+ */
+const zlib = require('zlib');
+
+/**
+ * Crea un ZIP con las entradas indicadas.
+ * @param {Array<{name: string, content: string|Buffer, method?: number, encrypted?: boolean}>} files -
+ *   Entradas; method 0 (sin comprimir, por defecto) u 8 (deflate). Con otro método el contenido
+ *   se guarda tal cual con ese método declarado.
+ * @returns {Buffer}
+ */
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, content, method = 0, encrypted = false } of files) {
+    const raw = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const data = method === 8 ? zlib.deflateRawSync(raw) : raw;
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const flags = 0x800 | (encrypted ? 0x1 : 0);
+    const crc = zlib.crc32 ? zlib.crc32(raw) : 0;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(flags, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+/**
+ * Crea un DOCX mínimo con el XML del cuerpo y, opcionalmente, un encabezado de página.
+ * @param {string} body - Contenido de <w:body>.
+ * @param {string} [header] - Contenido de <w:hdr>.
+ * @returns {Buffer}
+ */
+function buildDocx(body, header) {
+  const files = [
+    { name: '[Content_Types].xml', content: '<?xml version="1.0"?><Types/>' },
+    { name: 'word/document.xml', content: `<w:document><w:body>${body}</w:body></w:document>`, method: 8 },
+  ];
+  if (header) files.push({ name: 'word/header1.xml', content: `<w:hdr>${header}</w:hdr>`, method: 8 });
+  return buildZip(files);
+}
+
+/**
+ * Crea un ODT mínimo con el XML del texto.
+ * @param {string} text - Contenido de <office:text>.
+ * @returns {Buffer}
+ */
+function buildOdt(text) {
+  return buildZip([
+    { name: 'mimetype', content: 'application/vnd.oasis.opendocument.text' },
+    { name: 'content.xml', content: `<office:document-content><office:body><office:text>${text}</office:text></office:body></office:document-content>`, method: 8 },
+  ]);
+}
+
+module.exports = {
+  buildZip,
+  buildDocx,
+  buildOdt,
+};
@@ -0,0 +1,71 @@
+/**
+ * Utilidades para combinar varias evaluaciones del mismo CV (puntuación por consenso):
+ * mediana de las puntuaciones, dispersión entre muestras y nivel de confianza.
+ */
+
+// Dispersión (puntuación máxima - mínima) a partir de la cual la evaluación es de baja confianza
+const DEFAULT_LOW_CONFIDENCE_SPREAD = 15;
+
+/**
+ * Mediana de una lista de números.
+ * @param {Array<number>} values - Valores (al menos uno).
+ * @returns {number} - Mediana redondeada al entero más próximo.
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+/**
+ * Umbral de dispersión configurado (EVALUATION_LOW_CONFIDENCE_SPREAD).
+ * @returns {number} - Umbral en puntos.
+ */
+function getLowConfidenceSpread() {
+  const value = parseInt(process.env.EVALUATION_LOW_CONFIDENCE_SPREAD);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_LOW_CONFIDENCE_SPREAD;
+}
+
+/**
+ * Combina varias evaluaciones normalizadas del mismo CV.
+ * La puntuación global y la de cada criterio son la mediana de las muestras; las fortalezas,
+ * debilidades y el resumen se toman de la muestra cuya puntuación está más cerca de la mediana.
+ * @param {Array<object>} evaluations - Evaluaciones normalizadas (score, criteriaScores, model...).
+ * @param {number} [lowConfidenceSpread] - Umbral de dispersión para marcar baja confianza.
+ * @returns {object} - Evaluación combinada con consensus { sampleCount, sampleScores, spread, confidence }.
+ */
+function combineEvaluations(evaluations, lowConfidenceSpread = getLowConfidenceSpread()) {
+  const scores = evaluations.map(e => e.score);
+  const score = median(scores);
+  const representative = evaluations.reduce((best, current) =>
+    (Math.abs(current.score - score) < Math.abs(best.score - score) ? current : best));
+
+  const criteriaScores = representative.criteriaScores.map(criterion => ({
+    ...criterion,
+    score: median(evaluations
+      .map(e => (e.criteriaScores.find(c => c.key === criterion.key) || criterion).score)),
+  }));
+
+  const spread = Math.max(...scores) - Math.min(...scores);
+  const models = [...new Set(evaluations.map(e => e.model))];
+
+  return {
+    ...representative,
+    score,
+    criteriaScores,
+    model: models.join(', ').slice(0, 100),
+    consensus: {
+      sampleCount: evaluations.length,
+      sampleScores: evaluations.map(e => ({ score: e.score, model: e.model })),
+      spread,
+      confidence: spread > lowConfidenceSpread ? 'low' : 'high',
+    },
+  };
+}
+
+module.exports = {
+  median,
+  combineEvaluations,
+};
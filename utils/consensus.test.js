@@ -0,0 +1,90 @@
+const { median, combineEvaluations } = require('./consensus');
+
+// Evaluación normalizada con dos criterios
+const evaluation = (score, model, criteria = [score, score]) => ({
+  score,
+  model,
+  summary: `Resumen de ${model}`,
+  strengths: [`Fortaleza de ${model}`],
+  weaknesses: [],
+  criteriaScores: [
+    { key: 'experience', label: 'Experiencia', weight: 60, score: criteria[0] },
+    { key: 'skills', label: 'Habilidades', weight: 40, score: criteria[1] },
+  ],
+});
+
+describe('median', () => {
+  test('devuelve el valor central con un número impar de valores', () => {
+    expect(median([90, 10, 50])).toBe(50);
+  });
+
+  test('redondea la media de los dos centrales con un número par de valores', () => {
+    expect(median([70, 60])).toBe(65);
+    expect(median([80, 61, 70, 10])).toBe(66);
+  });
+
+  test('no modifica la lista recibida', () => {
+    const values = [3, 1, 2];
+
+    median(values);
+
+    expect(values).toEqual([3, 1, 2]);
+  });
+});
+
+describe('combineEvaluations', () => {
+  test('con un único proveedor devuelve su evaluación con confianza alta', () => {
+    const combined = combineEvaluations([evaluation(72, 'gemini', [80, 60])], 15);
+
+    expect(combined).toMatchObject({
+      score: 72,
+      model: 'gemini',
+      summary: 'Resumen de gemini',
+      consensus: { sampleCount: 1, sampleScores: [{ score: 72, model: 'gemini' }], spread: 0, confidence: 'high' },
+    });
+    expect(combined.criteriaScores.map(c => c.score)).toEqual([80, 60]);
+  });
+
+  test('con un número par de muestras usa la mediana y el texto de la muestra más cercana', () => {
+    const combined = combineEvaluations([
+      evaluation(60, 'gemini', [50, 70]),
+      evaluation(72, 'groq', [60, 80]),
+      evaluation(67, 'gemini', [70, 60]),
+      evaluation(80, 'groq', [90, 70]),
+    ], 30);
+
+    expect(combined.score).toBe(70);
+    expect(combined.summary).toBe('Resumen de groq');
+    expect(combined.criteriaScores.map(c => [c.key, c.score])).toEqual([['experience', 65], ['skills', 70]]);
+    expect(combined.model).toBe('gemini, groq');
+    expect(combined.consensus).toMatchObject({ sampleCount: 4, spread: 20, confidence: 'high' });
+  });
+
+  test('marca baja confianza cuando la dispersión supera el umbral', () => {
+    const samples = [evaluation(40, 'gemini'), evaluation(85, 'groq'), evaluation(55, 'gemini')];
+
+    expect(combineEvaluations(samples, 15).consensus).toMatchObject({ spread: 45, confidence: 'low' });
+    expect(combineEvaluations(samples, 45).consensus.confidence).toBe('high');
+  });
+
+  test('usa la puntuación de la muestra representativa si a otra le falta un criterio', () => {
+    const incomplete = { ...evaluation(50, 'groq'), criteriaScores: [{ key: 'experience', score: 40 }] };
+
+    const combined = combineEvaluations([evaluation(60, 'gemini', [60, 90]), incomplete, evaluation(62, 'gemini', [70, 30])], 15);
+
+    expect(combined.criteriaScores.map(c => [c.key, c.score])).toEqual([['experience', 60], ['skills', 90]]);
+  });
+
+  test('toma el umbral de EVALUATION_LOW_CONFIDENCE_SPREAD', () => {
+    const samples = [evaluation(50, 'gemini'), evaluation(60, 'groq')];
+    const previous = process.env.EVALUATION_LOW_CONFIDENCE_SPREAD;
+
+    process.env.EVALUATION_LOW_CONFIDENCE_SPREAD = '5';
+    expect(combineEvaluations(samples).consensus.confidence).toBe('low');
+    process.env.EVALUATION_LOW_CONFIDENCE_SPREAD = 'no es un número';
+    expect(combineEvaluations(samples).consensus.confidence).toBe('high');
+
+    if (previous === undefined) delete process.env.EVALUATION_LOW_CONFIDENCE_SPREAD;
+    else process.env.EVALUATION_LOW_CONFIDENCE_SPREAD = previous;
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Lectura de archivos CSV (RFC 4180) exportados desde hojas de cálculo: campos entre comillas
+ * con saltos de línea o comillas dobles escapadas, y separador coma, punto y coma o tabulador.
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Elige el separador más frecuente en la primera línea (las hojas de cálculo en español
+ * suelen exportar con punto y coma).
+ * @param {string} line - Primera línea del archivo.
+ * @returns {string} - Separador.
+ */
+function detectDelimiter(line) {
+  const unquoted = line.replace(/"[^"]*"/g, '');
+  return DELIMITERS
+    .map(delimiter => ({ delimiter, count: unquoted.split(delimiter).length - 1 }))
+    .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+/**
+ * Convierte el texto de un CSV en filas de campos. Se omiten las filas vacías.
+ * @param {string} text - Contenido del archivo.
+ * @returns {Array<{line: number, fields: Array<string>}>} - Filas con su número de línea (desde 1).
+ */
+function parseCsv(text) {
+  const content = (text || '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(content.split(/\r?\n/, 1)[0]);
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.some(value => value.trim() !== '')) {
+      rows.push({ line: rowLine, fields: fields.map(value => value.trim()) });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      inQuotes = true;
+      field = '';
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  endRow();
+
+  return rows;
+}
+
+module.exports = {
+  parseCsv,
+};
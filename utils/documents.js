@@ -0,0 +1,284 @@
+/**
+ * Ingesta de documentos de CV: detecta el formato real del archivo por su contenido
+ * ("magic bytes"), sin fiarse del tipo MIME que envía el cliente, y extrae su texto.
+ * Formatos admitidos: PDF, DOCX, ODT, RTF y texto plano.
+ */
+const pdfParse = require('pdf-parse');
+const { isZip, readZipEntries, readZipEntry } = require('./zip');
+
+const DOCUMENT_TYPES = {
+  pdf: { extension: '.pdf', mimeType: 'application/pdf' },
+  docx: { extension: '.docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  odt: { extension: '.odt', mimeType: 'application/vnd.oasis.opendocument.text' },
+  rtf: { extension: '.rtf', mimeType: 'application/rtf' },
+  txt: { extension: '.txt', mimeType: 'text/plain' },
+};
+
+// Tipos MIME con los que se guardan los CVs en Storage
+const DOCUMENT_MIME_TYPES = Object.values(DOCUMENT_TYPES).map(type => type.mimeType);
+
+// Bytes que se inspeccionan para decidir si un archivo es texto plano
+const TEXT_SAMPLE_SIZE = 4096;
+
+/**
+ * Detecta el formato de un documento por su contenido.
+ * @param {Buffer} buffer - Contenido del archivo.
+ * @returns {string|null} - pdf | docx | odt | rtf | txt, o null si no es un formato admitido.
+ */
+function detectDocumentType(buffer) {
+  if (!buffer || buffer.length === 0) return null;
+
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+  if (buffer.subarray(0, 5).toString('latin1') === '{\\rtf') return 'rtf';
+
+  if (isZip(buffer)) {
+    // Un ZIP dañado, cifrado o con un método de compresión no soportado no es un CV admitido
+    try {
+      const entries = readZipEntries(buffer);
+      if (entries.some(e => e.name === 'word/document.xml')) return 'docx';
+
+      // En ODF la primera entrada es "mimetype", sin comprimir, con el tipo del documento
+      const mimetype = entries.find(e => e.name === 'mimetype');
+      if (mimetype && readZipEntry(buffer, mimetype).toString('latin1').trim() === DOCUMENT_TYPES.odt.mimeType) {
+        return 'odt';
+      }
+    } catch (error) {
+      return null;
+    }
+    return null;
+  }
+
+  return isPlainText(buffer) ? 'txt' : null;
+}
+
+/**
+ * Indica si un archivo parece texto plano: sin bytes nulos (salvo UTF-16 con BOM) y casi
+ * sin caracteres de control.
+ * @param {Buffer} buffer - Contenido del archivo.
+ * @returns {boolean}
+ */
+function isPlainText(buffer) {
+  if (hasUtf16Bom(buffer)) return true;
+
+  const sample = buffer.subarray(0, TEXT_SAMPLE_SIZE);
+  let control = 0;
+  for (const byte of sample) {
+    if (byte === 0) return false;
+    if (byte < 0x20 && ![0x09, 0x0a, 0x0c, 0x0d].includes(byte)) control++;
+  }
+  return control / sample.length < 0.01;
+}
+
+// Caracteres de Windows-1252 entre 0x80 y 0x9F (€, comillas tipográficas, rayas...). El
+// TextDecoder de Node 20 los decodifica como latin1 (caracteres de control), así que se
+// sustituyen a mano; los 5 bytes sin asignar se conservan.
+const WINDOWS_1252_HIGH = '\u20ac\u0081\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\u008d\u017d\u008f' +
+  '\u0090\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\u009d\u017e\u0178';
+
+/**
+ * Decodifica bytes en Windows-1252.
+ * @param {Buffer} buffer - Contenido.
+ * @returns {string}
+ */
+const decodeWindows1252 = buffer => buffer.toString('latin1')
+  .replace(/[\x80-\x9f]/g, char => WINDOWS_1252_HIGH[char.charCodeAt(0) - 0x80]);
+
+const hasUtf16Bom = buffer => buffer.length >= 2 &&
+  ((buffer[0] === 0xff && buffer[1] === 0xfe) || (buffer[0] === 0xfe && buffer[1] === 0xff));
+
+/**
+ * Decodifica un archivo de texto: UTF-16 o UTF-8 con BOM, UTF-8 si es válido y, si no, Windows-1252.
+ * @param {Buffer} buffer - Contenido del archivo.
+ * @returns {string}
+ */
+function decodePlainText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+  try {
+    return new TextDecoder('utf-8', { fatal: true, ignoreBOM: false }).decode(buffer);
+  } catch (error) {
+    return decodeWindows1252(buffer);
+  }
+}
+
+/**
+ * Sustituye las entidades XML por sus caracteres.
+ * @param {string} text - Texto con entidades.
+ * @returns {string}
+ */
+const decodeXmlEntities = text => text
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * Lee una entrada XML de un documento ZIP.
+ * @param {Buffer} buffer - Contenido del documento.
+ * @param {RegExp} pattern - Nombre (o patrón de nombres) de las entradas.
+ * @returns {Array<string>} - Contenido de las entradas que coinciden, en orden.
+ */
+function readXmlEntries(buffer, pattern) {
+  return readZipEntries(buffer)
+    .filter(entry => pattern.test(entry.name))
+    .map(entry => readZipEntry(buffer, entry).toString('utf8'));
+}
+
+/**
+ * Texto de un documento DOCX: encabezados de página (donde muchos CVs ponen el nombre y
+ * el contacto) y cuerpo. Se omiten los códigos de campo, el texto eliminado con control de
+ * cambios y la versión alternativa de los cuadros de texto (para no duplicarlos).
+ * @param {Buffer} buffer - Contenido del DOCX.
+ * @returns {string}
+ */
+function extractDocxText(buffer) {
+  const xml = [
+    ...readXmlEntries(buffer, /^word\/header\d*\.xml$/),
+    ...readXmlEntries(buffer, /^word\/document\.xml$/),
+  ].join('');
+
+  return decodeXmlEntities(xml
+    .replace(/<mc:Fallback>[\s\S]*?<\/mc:Fallback>/g, '')
+    .replace(/<w:(instrText|delText)\b[^>]*>[\s\S]*?<\/w:\1>/g, '')
+    .replace(/<w:tab\/>/g, '\t')
+    .replace(/<w:(br|cr)\b[^>]*\/>/g, '\n')
+    .replace(/<\/w:p>/g, '\n')
+    .replace(/<[^>]+>/g, ''));
+}
+
+/**
+ * Texto de un documento ODT (content.xml), sin anotaciones ni cambios registrados.
+ * @param {Buffer} buffer - Contenido del ODT.
+ * @returns {string}
+ */
+function extractOdtText(buffer) {
+  const [xml = ''] = readXmlEntries(buffer, /^content\.xml$/);
+
+  return decodeXmlEntities(xml
+    .replace(/<text:tracked-changes>[\s\S]*?<\/text:tracked-changes>/g, '')
+    .replace(/<office:annotation\b[\s\S]*?<\/office:annotation>/g, '')
+    .replace(/<text:tab\/>/g, '\t')
+    .replace(/<text:line-break\/>/g, '\n')
+    .replace(/<text:s text:c="(\d+)"\/>/g, (match, count) => ' '.repeat(parseInt(count)))
+    .replace(/<text:s\/>/g, ' ')
+    .replace(/<\/text:(p|h)>/g, '\n')
+    .replace(/<[^>]+>/g, ''));
+}
+
+// Palabras de control, caracteres en hexadecimal, símbolos, llaves y texto de un RTF
+const RTF_TOKEN = /\\([a-z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/gi;
+// Destinos de un RTF que no forman parte del texto visible
+const RTF_IGNORED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'listtable', 'listoverridetable', 'revtbl', 'rsidtbl',
+  'info', 'pict', 'object', 'fldinst', 'themedata', 'colorschememapping', 'datastore',
+  'latentstyles', 'xmlnstbl', 'generator', 'footer', 'footerl', 'footerr', 'footerf',
+]);
+const RTF_CHARACTERS = {
+  par: '\n', line: '\n', sect: '\n\n', page: '\n\n', row: '\n', tab: '\t', cell: '\t',
+  emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”',
+};
+
+/**
+ * Texto de un documento RTF. Los caracteres en hexadecimal se interpretan como Windows-1252
+ * y los \u como Unicode (omitiendo su carácter alternativo).
+ * @param {Buffer} buffer - Contenido del RTF.
+ * @returns {string}
+ */
+function extractRtfText(buffer) {
+  const stack = [];
+  const output = [];
+  let ignorable = false;
+  let fallbackLength = 1;
+  let skip = 0;
+
+  for (const [, word, param, hex, symbol, brace, text] of buffer.toString('latin1').matchAll(RTF_TOKEN)) {
+    if (brace === '{') {
+      stack.push({ ignorable, fallbackLength });
+      skip = 0;
+    } else if (brace === '}') {
+      ({ ignorable, fallbackLength } = stack.pop() || { ignorable: false, fallbackLength: 1 });
+      skip = 0;
+    } else if (symbol === '*') {
+      ignorable = true;
+    } else if (word && RTF_IGNORED_DESTINATIONS.has(word)) {
+      ignorable = true;
+    } else if (ignorable) {
+      continue;
+    } else if (word === 'uc') {
+      fallbackLength = parseInt(param);
+    } else if (word === 'u') {
+      const code = parseInt(param);
+      output.push(String.fromCharCode(code < 0 ? code + 65536 : code));
+      skip = fallbackLength;
+    } else if (word) {
+      if (RTF_CHARACTERS[word]) output.push(RTF_CHARACTERS[word]);
+      skip = 0;
+    } else if (hex) {
+      if (skip > 0) skip--;
+      else output.push(decodeWindows1252(Buffer.from([parseInt(hex, 16)])));
+    } else if (symbol) {
+      if (skip > 0) skip--;
+      else if ('\\{}'.includes(symbol)) output.push(symbol);
+      else if (symbol === '~') output.push('\u00a0');
+      else if (symbol === '_') output.push('-');
+    } else if (text) {
+      const skipped = Math.min(skip, text.length);
+      skip -= skipped;
+      output.push(text.slice(skipped));
+    }
+  }
+
+  return output.join('');
+}
+
+/**
+ * Normaliza los espacios del texto extraído: sin espacios al final de línea y como mucho
+ * una línea en blanco seguida.
+ * @param {string} text - Texto extraído.
+ * @returns {string}
+ */
+const normalizeExtractedText = text => text
+  .replace(/\r\n?/g, '\n')
+  .replace(/[ \t\u00a0]+\n/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Extrae el texto de un documento.
+ * @param {Buffer} buffer - Contenido del archivo.
+ * @param {string} type - Formato (ver detectDocumentType).
+ * @returns {Promise<string>} - Texto extraído.
+ * @throws {Error} - Si el documento está dañado o el formato no está admitido.
+ */
+async function extractDocumentText(buffer, type) {
+  try {
+    switch (type) {
+      case 'pdf':
+        return (await pdfParse(buffer)).text;
+      case 'docx':
+        return normalizeExtractedText(extractDocxText(buffer));
+      case 'odt':
+        return normalizeExtractedText(extractOdtText(buffer));
+      case 'rtf':
+        return normalizeExtractedText(extractRtfText(buffer));
+      case 'txt':
+        return normalizeExtractedText(decodePlainText(buffer));
+      default:
+        throw new Error(`Formato de documento no admitido: ${type}`);
+    }
+  } catch (error) {
+    console.error(`Error extrayendo texto del documento (${type}):`, error);
+    throw new Error('No se pudo extraer el texto del CV');
+  }
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  DOCUMENT_MIME_TYPES,
+  detectDocumentType,
+  decodePlainText,
+  extractDocumentText,
+};
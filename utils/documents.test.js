@@ -0,0 +1,128 @@
+const { detectDocumentType, decodePlainText, extractDocumentText } = require('./documents');
+const { buildZip, buildDocx, buildOdt } = require('./__fixtures__/zip');
+
+const ODT_MIMETYPE = 'application/vnd.oasis.opendocument.text';
+
+// PDF mínimo con una línea de texto
+function buildPdf(text) {
+  const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+describe('detectDocumentType', () => {
+  test('detecta cada formato por su contenido', () => {
+    expect(detectDocumentType(buildPdf('Hola'))).toBe('pdf');
+    expect(detectDocumentType(Buffer.from('{\\rtf1\\ansi Hola}'))).toBe('rtf');
+    expect(detectDocumentType(buildDocx('<w:p><w:r><w:t>Hola</w:t></w:r></w:p>'))).toBe('docx');
+    expect(detectDocumentType(buildOdt('<text:p>Hola</text:p>'))).toBe('odt');
+    expect(detectDocumentType(Buffer.from('Experiencia: 5 años\n'))).toBe('txt');
+    expect(detectDocumentType(Buffer.from('\ufeffHola', 'utf16le'))).toBe('txt');
+  });
+
+  test('no admite archivos vacíos, binarios ni otros ZIP', () => {
+    expect(detectDocumentType(Buffer.alloc(0))).toBeNull();
+    expect(detectDocumentType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01, 0x02]))).toBeNull();
+    expect(detectDocumentType(buildZip([{ name: 'foto.jpg', content: 'x' }]))).toBeNull();
+    expect(detectDocumentType(buildZip([{ name: 'mimetype', content: 'application/vnd.oasis.opendocument.spreadsheet' }]))).toBeNull();
+  });
+
+  test('devuelve null para ZIP truncados, cifrados o con métodos no soportados', () => {
+    const odt = buildOdt('<text:p>Hola</text:p>');
+
+    expect(detectDocumentType(odt.subarray(0, odt.length - 30))).toBeNull();
+    expect(detectDocumentType(buildZip([{ name: 'mimetype', content: ODT_MIMETYPE, encrypted: true }]))).toBeNull();
+    expect(detectDocumentType(buildZip([{ name: 'mimetype', content: ODT_MIMETYPE, method: 12 }]))).toBeNull();
+  });
+});
+
+describe('decodePlainText', () => {
+  test('decodifica UTF-8, UTF-16 con BOM y Windows-1252', () => {
+    expect(decodePlainText(Buffer.from('Gestión de café', 'utf8'))).toBe('Gestión de café');
+    expect(decodePlainText(Buffer.from('\ufeffGestión', 'utf16le'))).toBe('Gestión');
+    expect(decodePlainText(Buffer.from([0xfe, 0xff, 0x00, 0x47, 0x00, 0xf3]))).toBe('Gó');
+    expect(decodePlainText(Buffer.from([0x47, 0x65, 0x73, 0x74, 0x69, 0xf3, 0x6e, 0x20, 0x80]))).toBe('Gestión €');
+  });
+});
+
+describe('extractDocumentText', () => {
+  test('extrae el texto de un PDF', async () => {
+    const text = await extractDocumentText(buildPdf('Desarrolladora Node.js'), 'pdf');
+
+    expect(text).toContain('Desarrolladora Node.js');
+  });
+
+  test('extrae el encabezado y el cuerpo de un DOCX sin códigos de campo ni texto eliminado', async () => {
+    const body = [
+      '<w:p><w:r><w:t>Experiencia</w:t></w:r></w:p>',
+      '<w:p><w:r><w:t>Lead</w:t></w:r><w:r><w:tab/><w:t xml:space="preserve">2020 &amp; 2023</w:t></w:r></w:p>',
+      '<w:p><w:r><w:instrText>PAGE</w:instrText></w:r><w:r><w:delText>borrado</w:delText></w:r><w:r><w:t>Fin</w:t><w:br/><w:t>línea</w:t></w:r></w:p>',
+      '<w:p><mc:AlternateContent><mc:Choice><w:t>Cuadro</w:t></mc:Choice><mc:Fallback><w:t>Cuadro</w:t></mc:Fallback></mc:AlternateContent></w:p>',
+    ].join('');
+    const docx = buildDocx(body, '<w:p><w:r><w:t>Ana García</w:t></w:r></w:p>');
+
+    const text = await extractDocumentText(docx, 'docx');
+
+    expect(text).toBe('Ana García\nExperiencia\nLead\t2020 & 2023\nFin\nlínea\nCuadro');
+  });
+
+  test('extrae el texto de un ODT sin anotaciones ni cambios registrados', async () => {
+    const content = [
+      '<text:tracked-changes><text:p>eliminado</text:p></text:tracked-changes>',
+      '<text:h>Experiencia</text:h>',
+      '<text:p>Lead<text:tab/>2020<text:s text:c="3"/>2023<office:annotation><text:p>nota</text:p></office:annotation></text:p>',
+      '<text:p>Fin<text:line-break/>l&#237;nea</text:p>',
+    ].join('');
+
+    const text = await extractDocumentText(buildOdt(content), 'odt');
+
+    expect(text).toBe('Experiencia\nLead\t2020   2023\nFin\nlínea');
+  });
+
+  test('extrae el texto de un RTF con caracteres hexadecimales y Unicode', async () => {
+    const rtf = Buffer.from([
+      '{\\rtf1\\ansi\\ansicpg1252{\\fonttbl{\\f0 Arial;}}{\\colortbl;\\red0\\green0\\blue0;}',
+      '{\\*\\generator Writer;}{\\info{\\title CV}}',
+      '\\f0 Gesti\\\'f3n de equipos\\par',
+      '\\uc1\\u8364? 50.000 \\endash  \\{llaves\\}\\line',
+      'Fin}',
+    ].join('\n'), 'latin1');
+
+    const text = await extractDocumentText(rtf, 'rtf');
+
+    expect(text).toBe('Gestión de equipos\n€ 50.000 – {llaves}\nFin');
+  });
+
+  test('extrae el texto plano normalizando los espacios', async () => {
+    const text = await extractDocumentText(Buffer.from('Hola  \r\n\r\n\r\n\r\nMundo\t\n'), 'txt');
+
+    expect(text).toBe('Hola\n\nMundo');
+  });
+
+  test('falla con un mensaje genérico si el documento está dañado o no se admite', async () => {
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const docx = buildDocx('<w:p><w:r><w:t>Hola</w:t></w:r></w:p>');
+
+    await expect(extractDocumentText(docx.subarray(0, docx.length - 30), 'docx')).rejects.toThrow('No se pudo extraer el texto del CV');
+    await expect(extractDocumentText(buildZip([{ name: 'word/document.xml', content: '<w:t>x</w:t>', method: 12 }]), 'docx'))
+      .rejects.toThrow('No se pudo extraer el texto del CV');
+    await expect(extractDocumentText(Buffer.from('x'), 'xls')).rejects.toThrow('No se pudo extraer el texto del CV');
+    spy.mockRestore();
+  });
+});
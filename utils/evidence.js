@@ -0,0 +1,91 @@
+/**
+ * Utilidades para vincular las afirmaciones de la IA (fortalezas y debilidades)
+ * con fragmentos textuales del CV y verificar que esos fragmentos existen.
+ */
+
+/**
+ * Normaliza un texto para compararlo: minúsculas, sin acentos, sin comillas
+ * y con los espacios colapsados.
+ * @param {string} text - Texto a normalizar.
+ * @returns {string} - Texto normalizado.
+ */
+function normalizeForMatch(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u201c\u201d\u00ab\u00bb"'\u2018\u2019`]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Comprueba si un fragmento citado aparece literalmente en el texto del CV.
+ * Se toleran las elipsis: cada tramo separado por "..." debe aparecer en el CV.
+ * @param {string} excerpt - Fragmento citado por la IA.
+ * @param {string} cvText - Texto completo del CV.
+ * @returns {boolean} - true si el fragmento se encontró en el CV.
+ */
+function verifyEvidence(excerpt, cvText) {
+  const haystack = normalizeForMatch(cvText);
+  if (!excerpt || !haystack) return false;
+
+  const fragments = excerpt
+    .split(/\.{3}|\u2026/)
+    .map(normalizeForMatch)
+    .filter(fragment => fragment.length >= 3);
+
+  return fragments.length > 0 && fragments.every(fragment => haystack.includes(fragment));
+}
+
+/**
+ * Convierte un elemento de fortalezas/debilidades en { claim, evidence, verified }.
+ * Acepta tanto objetos como cadenas simples (formato antiguo).
+ * @param {object|string} item - Elemento devuelto por la IA.
+ * @param {string} cvText - Texto del CV contra el que verificar la evidencia.
+ * @returns {object|null} - Afirmación normalizada o null si no es válida.
+ */
+function toEvidenceClaim(item, cvText) {
+  const claim = typeof item === 'string' ? item : item && item.claim;
+  if (typeof claim !== 'string' || !claim.trim()) return null;
+
+  const evidence = item && typeof item.evidence === 'string' ? item.evidence.trim() : '';
+  return {
+    claim: claim.trim(),
+    evidence,
+    verified: verifyEvidence(evidence, cvText),
+  };
+}
+
+/**
+ * Devuelve el texto de una afirmación, sea objeto o cadena (formato antiguo).
+ * @param {object|string} item - Fortaleza o debilidad.
+ * @returns {string} - Texto de la afirmación.
+ */
+function claimText(item) {
+  return typeof item === 'string' ? item : (item && item.claim) || '';
+}
+
+/**
+ * Lista las afirmaciones cuya evidencia no se encontró en el CV.
+ * @param {object} evaluation - Evaluación con strengths y weaknesses.
+ * @returns {Array<{type: string, claim: string, evidence: string}>} - Afirmaciones sin verificar.
+ */
+function getUnverifiedClaims(evaluation) {
+  const collect = (items, type) => (Array.isArray(items) ? items : [])
+    .filter(item => item && typeof item === 'object' && !item.verified)
+    .map(item => ({ type, claim: item.claim, evidence: item.evidence }));
+
+  return [
+    ...collect(evaluation.strengths, 'strength'),
+    ...collect(evaluation.weaknesses, 'weakness'),
+  ];
+}
+
+module.exports = {
+  normalizeForMatch,
+  verifyEvidence,
+  toEvidenceClaim,
+  claimText,
+  getUnverifiedClaims,
+};
@@ -0,0 +1,127 @@
+/**
+ * Idiomas de la API: resolución de la cabecera Accept-Language, traducción de los mensajes
+ * (escritos en español en el código) y detección del idioma de un CV.
+ */
+const { normalizeForMatch } = require('./evidence');
+
+const DEFAULT_LANGUAGE = 'es';
+const SUPPORTED_LANGUAGES = ['es', 'en', 'pt'];
+
+// Catálogos por idioma; las claves son los mensajes originales en español
+const CATALOGS = {
+  en: require('../locales/en'),
+  pt: require('../locales/pt'),
+};
+
+// Palabras muy frecuentes y exclusivas de cada idioma (sin acentos)
+const STOPWORDS = {
+  es: ['el', 'la', 'los', 'las', 'y', 'del', 'con', 'por', 'una', 'para', 'su', 'sus', 'al', 'desarrollo', 'empresa', 'anos', 'tambien'],
+  en: ['the', 'and', 'of', 'to', 'in', 'with', 'for', 'on', 'at', 'is', 'my', 'by', 'from', 'experience', 'skills', 'years', 'development'],
+  pt: ['o', 'os', 'e', 'do', 'da', 'dos', 'das', 'em', 'com', 'um', 'uma', 'na', 'nao', 'pelo', 'pela', 'desenvolvimento', 'experiencia'],
+};
+const STOPWORD_LANGUAGE = new Map(
+  Object.entries(STOPWORDS).flatMap(([language, list]) => list.map(word => [word, language]))
+);
+// Mínimo de palabras reconocidas para dar un idioma por detectado
+const MIN_DETECTED_WORDS = 5;
+
+/**
+ * Compila las entradas con partes variables ({nombre}) de un catálogo en expresiones regulares.
+ * @param {object} catalog - Catálogo de traducciones.
+ * @returns {Array<{pattern: RegExp, names: Array<string>, translation: string}>} - Plantillas compiladas.
+ */
+function compileTemplates(catalog) {
+  return Object.entries(catalog)
+    .filter(([message]) => /\{\w+\}/.test(message))
+    .map(([message, translation]) => {
+      const names = [];
+      const source = message
+        .split(/(\{\w+\})/)
+        .map((part) => {
+          const placeholder = part.match(/^\{(\w+)\}$/);
+          if (!placeholder) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+          names.push(placeholder[1]);
+          return '(.+?)';
+        })
+        .join('');
+      return { pattern: new RegExp(`^${source}$`, 's'), names, translation };
+    });
+}
+
+const TEMPLATES = Object.fromEntries(
+  Object.entries(CATALOGS).map(([language, catalog]) => [language, compileTemplates(catalog)])
+);
+
+/**
+ * Comprueba si un código de idioma está soportado.
+ * @param {string} language - Código ISO 639-1.
+ * @returns {boolean} - true si está soportado.
+ */
+const isSupportedLanguage = language => SUPPORTED_LANGUAGES.includes(language);
+
+/**
+ * Busca el primer idioma soportado de la cabecera Accept-Language (respetando los pesos q=).
+ * @param {string} [header] - Valor de la cabecera Accept-Language.
+ * @returns {string|null} - Código del idioma o null si la cabecera no pide ninguno soportado.
+ */
+function parseAcceptLanguage(header) {
+  const preferred = (header || '')
+    .split(',')
+    .map((entry, index) => {
+      const [tag, ...params] = entry.trim().split(';');
+      const q = params.map(p => p.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+      return { language: tag.trim().toLowerCase().split('-')[0], q: q ? parseFloat(q[1]) : 1, index };
+    })
+    .filter(entry => entry.language && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .find(entry => isSupportedLanguage(entry.language));
+
+  return preferred ? preferred.language : null;
+}
+
+/**
+ * Traduce un mensaje de la API. Los mensajes sin traducción se devuelven tal cual.
+ * @param {string} message - Mensaje original en español.
+ * @param {string} [language] - Idioma destino.
+ * @returns {string} - Mensaje traducido.
+ */
+function translate(message, language = DEFAULT_LANGUAGE) {
+  const catalog = CATALOGS[language];
+  if (!catalog || typeof message !== 'string') return message;
+  if (catalog[message]) return catalog[message];
+
+  for (const { pattern, names, translation } of TEMPLATES[language]) {
+    const match = message.match(pattern);
+    if (match) {
+      return names.reduce((text, name, index) => text.replace(`{${name}}`, match[index + 1]), translation);
+    }
+  }
+  return message;
+}
+
+/**
+ * Detecta el idioma de un texto (ej. un CV) contando palabras frecuentes de cada idioma.
+ * @param {string} text - Texto a analizar.
+ * @returns {string|null} - Código del idioma o null si no hay señal suficiente.
+ */
+function detectLanguage(text) {
+  const words = normalizeForMatch(text).match(/\p{L}+/gu) || [];
+  const counts = Object.fromEntries(SUPPORTED_LANGUAGES.map(language => [language, 0]));
+
+  words.forEach((word) => {
+    const language = STOPWORD_LANGUAGE.get(word);
+    if (language) counts[language]++;
+  });
+
+  const [best, bestCount] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return bestCount >= MIN_DETECTED_WORDS ? best : null;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  isSupportedLanguage,
+  parseAcceptLanguage,
+  translate,
+  detectLanguage,
+};
@@ -0,0 +1,271 @@
+/**
+ * Lectura de mensajes de correo (RFC 822 / MIME) y de buzones mbox: cabeceras (con palabras
+ * codificadas RFC 2047 y parámetros RFC 2231), remitente, destinatarios, texto y adjuntos.
+ */
+
+// Cabeceras en las que puede aparecer la dirección a la que se envió el mensaje
+const RECIPIENT_HEADERS = ['to', 'cc', 'delivered-to', 'x-original-to', 'envelope-to'];
+
+/**
+ * Decodifica bytes con el juego de caracteres indicado (latin1 si no se reconoce).
+ * @param {Buffer} buffer - Bytes.
+ * @param {string} [charset] - Juego de caracteres (por defecto UTF-8).
+ * @returns {string}
+ */
+function decodeCharset(buffer, charset = 'utf-8') {
+  try {
+    return new TextDecoder(charset.toLowerCase()).decode(buffer);
+  } catch (error) {
+    return buffer.toString('latin1');
+  }
+}
+
+/**
+ * Decodifica una cabecera sin codificar: UTF-8 si sus bytes lo son (muchos clientes envían
+ * cabeceras de 8 bits) y, si no, latin1.
+ * @param {string} value - Cabecera leída como latin1.
+ * @returns {string}
+ */
+function decodeRawHeader(value) {
+  if (!/[\x80-\xff]/.test(value)) return value;
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(Buffer.from(value, 'latin1'));
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Decodifica las palabras codificadas de una cabecera (ej. "=?UTF-8?B?Sm9zw6k=?=").
+ * @param {string} value - Valor de la cabecera.
+ * @returns {string}
+ */
+function decodeEncodedWords(value) {
+  return decodeRawHeader(value || '')
+    // Los espacios entre dos palabras codificadas no forman parte del texto
+    .replace(/(\?=)\s+(=\?)/g, '$1$2')
+    .replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (match, charset, encoding, text) => {
+      const bytes = encoding.toLowerCase() === 'b'
+        ? Buffer.from(text, 'base64')
+        : Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9a-f]{2})/gi,
+          (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+      return decodeCharset(bytes, charset.split('*')[0]);
+    });
+}
+
+/**
+ * Separa las cabeceras del cuerpo de un mensaje o de una parte MIME.
+ * @param {Buffer} buffer - Mensaje o parte.
+ * @returns {{headers: Map<string, Array<string>>, body: Buffer}} - Cabeceras (nombre en minúsculas) y cuerpo.
+ */
+function splitMessage(buffer) {
+  const raw = buffer.toString('latin1');
+  const separator = raw.match(/\r?\n\r?\n/);
+  const headerEnd = separator ? separator.index : raw.length;
+  const bodyStart = separator ? separator.index + separator[0].length : raw.length;
+
+  const headers = new Map();
+  raw.slice(0, headerEnd)
+    .replace(/\r?\n[ \t]+/g, ' ')
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const colon = line.indexOf(':');
+      if (colon <= 0) return;
+      const name = line.slice(0, colon).trim().toLowerCase();
+      headers.set(name, [...(headers.get(name) || []), line.slice(colon + 1).trim()]);
+    });
+
+  return { headers, body: buffer.subarray(bodyStart) };
+}
+
+/**
+ * Lee una cabecera estructurada con parámetros (ej. Content-Type o Content-Disposition),
+ * incluidos los parámetros RFC 2231 divididos o codificados (ej. filename*=UTF-8''Jos%C3%A9.pdf).
+ * @param {string} [value] - Valor de la cabecera.
+ * @returns {{value: string, params: Object}} - Valor principal en minúsculas y parámetros.
+ */
+function parseHeaderParams(value) {
+  const [main, ...rest] = (value || '').split(';');
+  const params = {};
+  const extended = {};
+
+  for (const [, key, rawValue] of (';' + rest.join(';')).matchAll(/;\s*([^=\s;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g)) {
+    const paramValue = rawValue.trim().replace(/^"(.*)"$/, '$1').replace(/\\(.)/g, '$1');
+    const match = key.toLowerCase().match(/^([^*]+)(?:\*(\d+))?(\*)?$/);
+    if (!match) continue;
+
+    const [, name, index, encoded] = match;
+    if (index === undefined && !encoded) {
+      params[name] = decodeEncodedWords(paramValue);
+    } else {
+      (extended[name] = extended[name] || []).push({ index: parseInt(index || 0), encoded: Boolean(encoded), value: paramValue });
+    }
+  }
+
+  Object.entries(extended).forEach(([name, pieces]) => {
+    pieces.sort((a, b) => a.index - b.index);
+    let charset = 'utf-8';
+    const bytes = pieces.map((piece, i) => {
+      let text = piece.value;
+      if (piece.encoded && i === 0 && /^[^']*'[^']*'/.test(text)) {
+        charset = text.slice(0, text.indexOf("'")) || charset;
+        text = text.replace(/^[^']*'[^']*'/, '');
+      }
+      return piece.encoded
+        ? Buffer.from(text.replace(/%([0-9a-f]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1')
+        : Buffer.from(text, 'latin1');
+    });
+    params[name] = decodeCharset(Buffer.concat(bytes), charset);
+  });
+
+  return { value: main.trim().toLowerCase(), params };
+}
+
+/**
+ * Decodifica el cuerpo de una parte según su Content-Transfer-Encoding.
+ * @param {Buffer} body - Cuerpo sin decodificar.
+ * @param {string} [encoding] - base64, quoted-printable, 7bit, 8bit o binary.
+ * @returns {Buffer}
+ */
+function decodeTransferEncoding(body, encoding) {
+  switch ((encoding || '').toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.toString('latin1').replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    case 'quoted-printable':
+      return Buffer.from(body.toString('latin1')
+        .replace(/=\r?\n/g, '')
+        .replace(/=([0-9a-f]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+    default:
+      return body;
+  }
+}
+
+/**
+ * Lee una lista de direcciones (ej. "José <jose@x.com>, ana@y.com (Ana)").
+ * @param {string} [value] - Valor de la cabecera.
+ * @returns {Array<{name: string, email: string}>} - Direcciones (email en minúsculas).
+ */
+function parseAddressList(value) {
+  const addresses = [];
+  const items = decodeEncodedWords(value).match(/(?:"(?:[^"\\]|\\.)*"|<[^>]*>|\([^)]*\)|[^,])+/g) || [];
+
+  items.forEach((item) => {
+    const angle = item.match(/<([^>]+)>/);
+    const bare = item.replace(/\([^)]*\)/g, '').match(/[^\s<>"]+@[^\s<>",]+/);
+    const email = angle ? angle[1].trim() : (bare ? bare[0] : null);
+    if (!email || !email.includes('@')) return;
+
+    const name = (angle ? item.replace(angle[0], '') : (item.match(/\(([^)]*)\)/) || [])[1] || '')
+      .trim()
+      .replace(/^"(.*)"$/, '$1')
+      .replace(/\\(.)/g, '$1')
+      .trim();
+    addresses.push({ name, email: email.toLowerCase() });
+  });
+
+  return addresses;
+}
+
+/**
+ * Recorre una parte MIME (y sus subpartes) acumulando el texto y los adjuntos.
+ * @param {Buffer} buffer - Parte completa (cabeceras y cuerpo).
+ * @param {object} result - Acumulador { text, attachments }.
+ */
+function walkPart(buffer, result) {
+  const { headers, body } = splitMessage(buffer);
+  const header = name => (headers.get(name) || [])[0];
+  const contentType = parseHeaderParams(header('content-type') || 'text/plain');
+  const disposition = parseHeaderParams(header('content-disposition'));
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+    const raw = body.toString('latin1');
+    const delimiter = `--${contentType.params.boundary}`;
+    const sections = raw.split(new RegExp(`(?:^|\\r?\\n)${delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:--)?[ \\t]*(?:\\r?\\n|$)`));
+    // La primera sección es el preámbulo y la última el epílogo
+    sections.slice(1, -1).forEach(section => walkPart(Buffer.from(section, 'latin1'), result));
+    return;
+  }
+
+  const content = decodeTransferEncoding(body, header('content-transfer-encoding'));
+
+  // Los mensajes reenviados como adjunto se recorren para recoger sus propios adjuntos
+  if (contentType.value === 'message/rfc822') {
+    walkPart(content, result);
+    return;
+  }
+
+  const filename = disposition.params.filename || contentType.params.name;
+
+  if (disposition.value === 'attachment' || filename) {
+    result.attachments.push({
+      filename: filename || 'adjunto',
+      contentType: contentType.value,
+      content,
+    });
+  } else if (contentType.value === 'text/plain' && result.text === null) {
+    result.text = decodeCharset(content, contentType.params.charset);
+  }
+}
+
+/**
+ * Lee un mensaje de correo.
+ * @param {Buffer} buffer - Mensaje RFC 822.
+ * @returns {{messageId: string|null, subject: string, date: Date|null, from: Object|null, recipients: Array<Object>, text: string, attachments: Array<Object>}}
+ *   Mensaje con remitente ({ name, email }), destinatarios, texto y adjuntos ({ filename, contentType, content }).
+ */
+function parseMessage(buffer) {
+  const { headers } = splitMessage(buffer);
+  const header = name => (headers.get(name) || [])[0];
+  const result = { text: null, attachments: [] };
+  walkPart(buffer, result);
+
+  const date = header('date') ? new Date(header('date')) : null;
+
+  return {
+    messageId: (header('message-id') || '').replace(/[<>\s]/g, '') || null,
+    subject: decodeEncodedWords(header('subject') || '').trim(),
+    date: date && !isNaN(date) ? date : null,
+    from: parseAddressList(header('from') || header('reply-to'))[0] || null,
+    recipients: RECIPIENT_HEADERS.flatMap(name => (headers.get(name) || []).flatMap(parseAddressList)),
+    text: result.text || '',
+    attachments: result.attachments,
+  };
+}
+
+/**
+ * Indica si un archivo es un buzón mbox (empieza por una línea "From ").
+ * @param {Buffer} buffer - Contenido del archivo.
+ * @returns {boolean}
+ */
+const isMbox = buffer => buffer.subarray(0, 5).toString('latin1') === 'From ';
+
+/**
+ * Divide un buzón mbox en sus mensajes, deshaciendo el escapado ">From " de las líneas del cuerpo.
+ * @param {Buffer} buffer - Contenido del buzón.
+ * @returns {Array<Buffer>} - Mensajes.
+ */
+function splitMbox(buffer) {
+  const messages = [];
+  let current = null;
+  let previousBlank = true;
+
+  buffer.toString('latin1').split('\n').forEach((line) => {
+    if (line.startsWith('From ') && previousBlank) {
+      if (current) messages.push(current);
+      current = [];
+    } else if (current) {
+      current.push(line.replace(/^>(>*From )/, '$1'));
+    }
+    previousBlank = line.replace(/\r$/, '') === '';
+  });
+  if (current) messages.push(current);
+
+  return messages.map(lines => Buffer.from(lines.join('\n').replace(/\r?\n$/, ''), 'latin1'));
+}
+
+module.exports = {
+  parseMessage,
+  parseAddressList,
+  isMbox,
+  splitMbox,
+};
@@ -0,0 +1,220 @@
+const { parseMessage, parseAddressList, isMbox, splitMbox } = require('./mime');
+
+// Mensaje con líneas CRLF, como llegan de los servidores de correo
+const message = lines => Buffer.from(lines.join('\r\n'), 'latin1');
+
+describe('parseMessage', () => {
+  test('lee las cabeceras básicas', () => {
+    const parsed = parseMessage(message([
+      'Message-ID: <abc.123@mail.example.com>',
+      'Date: Mon, 6 May 2024 10:00:00 +0200',
+      'From: "Pérez, José" <Jose.Perez@Example.com>',
+      'To: empleo+1a2b3c4d@empresa.com, Otra <otra@empresa.com>',
+      'Cc: rrhh@empresa.com',
+      'Delivered-To: empleo@empresa.com',
+      'Subject: Candidatura',
+      ' para el puesto',
+      '',
+      'Hola',
+    ]));
+
+    expect(parsed.messageId).toBe('abc.123@mail.example.com');
+    expect(parsed.date.toISOString()).toBe('2024-05-06T08:00:00.000Z');
+    expect(parsed.from).toEqual({ name: 'Pérez, José', email: 'jose.perez@example.com' });
+    expect(parsed.recipients.map(r => r.email)).toEqual([
+      'empleo+1a2b3c4d@empresa.com', 'otra@empresa.com', 'rrhh@empresa.com', 'empleo@empresa.com',
+    ]);
+    expect(parsed.subject).toBe('Candidatura para el puesto');
+    expect(parsed.text).toBe('Hola');
+    expect(parsed.attachments).toEqual([]);
+  });
+
+  test('decodifica las palabras codificadas RFC 2047 en base64 y quoted-printable', () => {
+    const parsed = parseMessage(message([
+      'From: =?UTF-8?B?Sm9zw6kgUMOpcmV6?= <jose@example.com>',
+      'Subject: =?ISO-8859-1?Q?Candidatura_a_dise=F1ador?= =?UTF-8?Q?_=E2=80=94_ref?=',
+      '',
+      '',
+    ]));
+
+    expect(parsed.from.name).toBe('José Pérez');
+    expect(parsed.subject).toBe('Candidatura a diseñador — ref');
+  });
+
+  test('acepta cabeceras de 8 bits en UTF-8', () => {
+    const parsed = parseMessage(Buffer.from('Subject: Candidatura de María\r\n\r\n', 'utf8'));
+
+    expect(parsed.subject).toBe('Candidatura de María');
+  });
+
+  test('usa Reply-To si no hay From y admite mensajes sin fecha ni Message-ID', () => {
+    const parsed = parseMessage(message(['Reply-To: ana@example.com (Ana Ruiz)', 'Date: no es una fecha', '', '']));
+
+    expect(parsed.from).toEqual({ name: 'Ana Ruiz', email: 'ana@example.com' });
+    expect(parsed.date).toBeNull();
+    expect(parsed.messageId).toBeNull();
+  });
+
+  test('lee el texto y los adjuntos de un mensaje multipart', () => {
+    const pdf = Buffer.from('%PDF-1.4 contenido del CV');
+    const parsed = parseMessage(message([
+      'From: ana@example.com',
+      'Content-Type: multipart/mixed; boundary="limite"',
+      '',
+      'Preámbulo',
+      '--limite',
+      'Content-Type: multipart/alternative; boundary=alt',
+      '',
+      '--alt',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      'Adjunto mi curr=C3=ADculum para la oferta de dise=',
+      '=C3=B1o.',
+      '--alt',
+      'Content-Type: text/html',
+      '',
+      '<p>HTML</p>',
+      '--alt--',
+      '--limite',
+      'Content-Type: application/pdf; name="cv.pdf"',
+      'Content-Disposition: attachment; filename="cv.pdf"',
+      'Content-Transfer-Encoding: base64',
+      '',
+      pdf.toString('base64').replace(/(.{8})/g, '$1\r\n'),
+      '--limite--',
+      'Epílogo',
+    ]));
+
+    expect(parsed.text).toBe('Adjunto mi currículum para la oferta de diseño.');
+    expect(parsed.attachments).toHaveLength(1);
+    expect(parsed.attachments[0].filename).toBe('cv.pdf');
+    expect(parsed.attachments[0].contentType).toBe('application/pdf');
+    expect(parsed.attachments[0].content.equals(pdf)).toBe(true);
+  });
+
+  test('decodifica los nombres de archivo RFC 2231 y RFC 2047', () => {
+    const parsed = parseMessage(message([
+      'Content-Type: multipart/mixed; boundary=b',
+      '',
+      '--b',
+      'Content-Disposition: attachment; filename*=UTF-8\'\'Curr%C3%ADculum%20Jos%C3%A9.pdf',
+      '',
+      'uno',
+      '--b',
+      'Content-Type: application/pdf',
+      'Content-Disposition: attachment;',
+      ' filename*0*=ISO-8859-1\'es\'Carta%20de%20presentaci;',
+      ' filename*1*=%F3n;',
+      ' filename*2=".docx"',
+      '',
+      'dos',
+      '--b',
+      'Content-Type: application/pdf; name="=?UTF-8?B?Q1YgTWFyw61hLnBkZg==?="',
+      '',
+      'tres',
+      '--b',
+      'Content-Disposition: attachment',
+      '',
+      'cuatro',
+      '--b--',
+    ]));
+
+    expect(parsed.attachments.map(a => a.filename)).toEqual([
+      'Currículum José.pdf',
+      'Carta de presentación.docx',
+      'CV María.pdf',
+      'adjunto',
+    ]);
+  });
+
+  test('recoge los adjuntos de un mensaje reenviado como adjunto', () => {
+    const parsed = parseMessage(message([
+      'From: reclutador@empresa.com',
+      'Content-Type: multipart/mixed; boundary=externo',
+      '',
+      '--externo',
+      'Content-Type: text/plain; charset=iso-8859-1',
+      '',
+      'Te reenvío la candidatura',
+      '--externo',
+      'Content-Type: message/rfc822',
+      '',
+      'From: ana@example.com',
+      'Content-Type: multipart/mixed; boundary=interno',
+      '',
+      '--interno',
+      'Content-Type: application/pdf',
+      'Content-Disposition: attachment; filename=cv-ana.pdf',
+      '',
+      '%PDF-1.4',
+      '--interno--',
+      '--externo--',
+    ]));
+
+    expect(parsed.text).toBe('Te reenvío la candidatura');
+    expect(parsed.attachments.map(a => a.filename)).toEqual(['cv-ana.pdf']);
+  });
+
+  test('decodifica el texto con el juego de caracteres de la parte', () => {
+    const parsed = parseMessage(Buffer.concat([
+      Buffer.from('Content-Type: text/plain; charset=iso-8859-1\r\n\r\n', 'latin1'),
+      Buffer.from('Dise\xf1ador', 'latin1'),
+    ]));
+
+    expect(parsed.text).toBe('Diseñador');
+  });
+});
+
+describe('parseAddressList', () => {
+  test('lee nombres entre comillas, comentarios y direcciones sueltas', () => {
+    expect(parseAddressList('"Ruiz, Ana" <ana@x.com>, juan@y.com (Juan), <LUIS@Z.COM>, sin-email')).toEqual([
+      { name: 'Ruiz, Ana', email: 'ana@x.com' },
+      { name: 'Juan', email: 'juan@y.com' },
+      { name: '', email: 'luis@z.com' },
+    ]);
+  });
+
+  test('devuelve una lista vacía sin cabecera', () => {
+    expect(parseAddressList(undefined)).toEqual([]);
+  });
+});
+
+describe('splitMbox', () => {
+  test('divide el buzón en mensajes y deshace el escapado >From', () => {
+    const mbox = Buffer.from([
+      'From ana@example.com Mon May  6 10:00:00 2024',
+      'From: ana@example.com',
+      'Subject: Uno',
+      '',
+      'Hola',
+      '>From mi experiencia anterior',
+      '>>From literal',
+      '',
+      'From juan@example.com Mon May  6 11:00:00 2024',
+      'From: juan@example.com',
+      'Subject: Dos',
+      '',
+      'Hola de nuevo',
+      'From dentro de un parrafo no separa',
+    ].join('\n'), 'latin1');
+
+    const messages = splitMbox(mbox);
+
+    expect(isMbox(mbox)).toBe(true);
+    expect(messages).toHaveLength(2);
+    expect(parseMessage(messages[0]).subject).toBe('Uno');
+    expect(parseMessage(messages[0]).text).toBe('Hola\nFrom mi experiencia anterior\n>From literal');
+    expect(parseMessage(messages[1]).text).toBe('Hola de nuevo\nFrom dentro de un parrafo no separa');
+  });
+
+  test('acepta buzones con saltos de línea CRLF', () => {
+    const mbox = Buffer.from('From a@x.com Mon\r\nSubject: Uno\r\n\r\nHola\r\n\r\nFrom b@x.com Mon\r\nSubject: Dos\r\n\r\nAdiós\r\n', 'latin1');
+
+    expect(splitMbox(mbox).map(m => parseMessage(m).subject)).toEqual(['Uno', 'Dos']);
+  });
+
+  test('no confunde un .eml con un buzón', () => {
+    expect(isMbox(Buffer.from('From: ana@example.com\r\n'))).toBe(false);
+  });
+});
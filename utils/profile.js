@@ -0,0 +1,154 @@
+/**
+ * Utilidades para normalizar el perfil estructurado que la IA extrae de un CV
+ * (experiencia laboral, años de experiencia, habilidades, formación, certificaciones e idiomas).
+ */
+const { normalizeForMatch } = require('./evidence');
+
+const MAX_ITEMS = 50;
+
+/**
+ * Clave normalizada para buscar habilidades o idiomas sin distinguir mayúsculas ni acentos.
+ * @param {string} value - Texto original (ej. "PostgreSQL", "Inglés").
+ * @returns {string} - Clave normalizada (ej. "postgresql", "ingles").
+ */
+const toKey = value => normalizeForMatch(value);
+
+/**
+ * Devuelve la cadena recortada o null si está vacía.
+ * @param {*} value - Valor a limpiar.
+ * @returns {string|null} - Cadena limpia.
+ */
+const cleanString = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+/**
+ * Normaliza una fecha a "YYYY-MM" o "YYYY". Devuelve null si no es reconocible
+ * (por ejemplo "actualidad", que indica un puesto actual).
+ * @param {*} value - Fecha devuelta por la IA.
+ * @returns {string|null} - Fecha normalizada.
+ */
+function normalizeDate(value) {
+  const match = String(value || '').match(/^(\d{4})(?:[-/](\d{1,2}))?/);
+  if (!match) return null;
+  return match[2] ? `${match[1]}-${match[2].padStart(2, '0')}` : match[1];
+}
+
+/**
+ * Convierte una fecha normalizada en meses desde el año 0.
+ * @param {string} date - Fecha "YYYY-MM" o "YYYY".
+ * @param {boolean} isEnd - Si es fecha de fin, un año sin mes cuenta hasta diciembre.
+ * @returns {number} - Meses.
+ */
+function toMonths(date, isEnd) {
+  const [year, month] = date.split('-').map(Number);
+  return year * 12 + (month ? month - 1 : (isEnd ? 11 : 0));
+}
+
+/**
+ * Calcula los años de experiencia a partir del historial laboral, sin contar dos veces los
+ * periodos que se solapan. Los puestos sin fecha de fin se consideran actuales.
+ * @param {Array<object>} workHistory - Historial normalizado.
+ * @param {Date} [now] - Fecha de referencia.
+ * @returns {number|null} - Años con un decimal, o null si ningún puesto tiene fecha de inicio.
+ */
+function computeYearsOfExperience(workHistory, now = new Date()) {
+  const current = now.getFullYear() * 12 + now.getMonth();
+  const ranges = workHistory
+    .filter(job => job.startDate)
+    .map(job => [toMonths(job.startDate, false), job.endDate ? toMonths(job.endDate, true) : current])
+    .filter(([start, end]) => end >= start)
+    .sort((a, b) => a[0] - b[0]);
+
+  if (ranges.length === 0) return null;
+
+  let months = 0;
+  let [start, end] = ranges[0];
+  for (const [nextStart, nextEnd] of ranges.slice(1)) {
+    if (nextStart <= end + 1) {
+      end = Math.max(end, nextEnd);
+    } else {
+      months += end - start + 1;
+      [start, end] = [nextStart, nextEnd];
+    }
+  }
+  months += end - start + 1;
+
+  return Math.round((months / 12) * 10) / 10;
+}
+
+/**
+ * Elimina duplicados de una lista de cadenas (comparando su clave normalizada).
+ * @param {Array<*>} items - Lista devuelta por la IA.
+ * @returns {Array<string>} - Cadenas únicas.
+ */
+function uniqueStrings(items) {
+  const seen = new Set();
+  return (Array.isArray(items) ? items : [])
+    .map(cleanString)
+    .filter((item) => {
+      if (!item || seen.has(toKey(item))) return false;
+      seen.add(toKey(item));
+      return true;
+    })
+    .slice(0, MAX_ITEMS);
+}
+
+/**
+ * Normaliza y valida el perfil devuelto por la IA.
+ * @param {object} raw - Objeto JSON devuelto por el modelo.
+ * @returns {object} - Perfil con workHistory, totalYearsExperience, skills, education, certifications y languages.
+ */
+function normalizeProfile(raw) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Respuesta del modelo no es un objeto válido');
+  }
+
+  const workHistory = (Array.isArray(raw.workHistory) ? raw.workHistory : [])
+    .filter(job => job && typeof job === 'object' && (cleanString(job.title) || cleanString(job.employer)))
+    .slice(0, MAX_ITEMS)
+    .map(job => ({
+      employer: cleanString(job.employer),
+      title: cleanString(job.title),
+      startDate: normalizeDate(job.startDate),
+      endDate: normalizeDate(job.endDate),
+    }));
+
+  // Se prefiere el cálculo a partir de las fechas; si no hay fechas, se usa el valor de la IA
+  const reportedYears = parseFloat(raw.totalYearsExperience);
+  const totalYearsExperience = computeYearsOfExperience(workHistory) ??
+    (Number.isFinite(reportedYears) && reportedYears >= 0 ? Math.round(reportedYears * 10) / 10 : null);
+
+  const education = (Array.isArray(raw.education) ? raw.education : [])
+    .filter(item => item && typeof item === 'object' && cleanString(item.degree || item.institution))
+    .slice(0, MAX_ITEMS)
+    .map(item => ({
+      degree: cleanString(item.degree),
+      institution: cleanString(item.institution),
+      year: normalizeDate(item.year),
+    }));
+
+  const seenLanguages = new Set();
+  const languages = (Array.isArray(raw.languages) ? raw.languages : [])
+    .map(item => (typeof item === 'string' ? { language: item } : item))
+    .filter((item) => {
+      const language = item && cleanString(item.language);
+      if (!language || seenLanguages.has(toKey(language))) return false;
+      seenLanguages.add(toKey(language));
+      return true;
+    })
+    .map(item => ({ language: item.language.trim(), level: cleanString(item.level) }));
+
+  return {
+    workHistory,
+    totalYearsExperience,
+    skills: uniqueStrings(raw.skills),
+    education,
+    certifications: uniqueStrings(raw.certifications),
+    languages,
+  };
+}
+
+module.exports = {
+  toKey,
+  computeYearsOfExperience,
+  normalizeProfile,
+};
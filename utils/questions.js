@@ -0,0 +1,139 @@
+/**
+ * Preguntas del formulario de aplicación de un puesto: validación de las respuestas del
+ * candidato, criterios eliminatorios y texto de las respuestas para el prompt de evaluación.
+ */
+const Joi = require('joi');
+
+const QUESTION_TYPES = ['text', 'number', 'boolean', 'choice', 'file'];
+
+// Comparación de la respuesta con el valor del criterio eliminatorio (la respuesta lo cumple si devuelve true)
+const KNOCKOUT_OPERATORS = {
+  eq: (answer, value) => answer === value,
+  neq: (answer, value) => answer !== value,
+  gt: (answer, value) => answer > value,
+  gte: (answer, value) => answer >= value,
+  lt: (answer, value) => answer < value,
+  lte: (answer, value) => answer <= value,
+  in: (answer, value) => value.includes(answer),
+};
+
+const MAX_TEXT_ANSWER_LENGTH = 5000;
+
+/**
+ * Esquema de la respuesta a una pregunta (las de tipo archivo se reciben aparte).
+ * @param {object} question - Pregunta del puesto.
+ * @returns {Joi.Schema}
+ */
+function buildAnswerSchema(question) {
+  switch (question.type) {
+    case 'number':
+      return Joi.number();
+    case 'boolean':
+      return Joi.boolean().truthy('yes', 'sí', 'si', '1').falsy('no', '0');
+    case 'choice':
+      return Joi.string().valid(...question.options);
+    default:
+      return Joi.string().trim().max(MAX_TEXT_ANSWER_LENGTH);
+  }
+}
+
+/**
+ * Construye el esquema de las respuestas al formulario de un puesto. Las preguntas obligatorias
+ * y las que tienen criterio eliminatorio deben responderse.
+ * @param {Array<object>} questions - Preguntas del puesto.
+ * @returns {Joi.ObjectSchema}
+ */
+function buildAnswersSchema(questions) {
+  const keys = Object.fromEntries(questions
+    .filter(question => question.type !== 'file')
+    .map((question) => {
+      const schema = buildAnswerSchema(question).label(question.label);
+      return [question.key, (question.required || question.knockout ? schema.required() : schema.optional())];
+    }));
+
+  return Joi.object(keys).messages({
+    'any.required': 'La respuesta a "{#label}" es requerida',
+    'string.empty': 'La respuesta a "{#label}" es requerida',
+    'string.base': 'La respuesta a "{#label}" debe ser un texto',
+    'string.max': `La respuesta a "{#label}" no puede exceder ${MAX_TEXT_ANSWER_LENGTH} caracteres`,
+    'number.base': 'La respuesta a "{#label}" debe ser un número',
+    'boolean.base': 'La respuesta a "{#label}" debe ser sí o no',
+    'any.only': 'La respuesta a "{#label}" no es una de las opciones de la pregunta',
+    'object.unknown': 'Pregunta desconocida: {#label}',
+    'object.base': 'Las respuestas deben ser un objeto JSON',
+  });
+}
+
+/**
+ * Valida las respuestas del candidato.
+ * @param {Array<object>} questions - Preguntas del puesto.
+ * @param {object|string} [answers] - Respuestas por clave de pregunta (o su JSON, como llega en multipart).
+ * @returns {{value?: object, error?: string}} - Respuestas convertidas a su tipo o el mensaje de error.
+ */
+function validateAnswers(questions, answers = {}) {
+  let parsed = answers;
+  if (typeof answers === 'string') {
+    try {
+      parsed = JSON.parse(answers);
+    } catch (error) {
+      return { error: 'Las respuestas deben ser un objeto JSON' };
+    }
+  }
+
+  const { error, value } = buildAnswersSchema(questions).validate(parsed, {
+    errors: { wrap: { label: false } },
+  });
+  return error ? { error: error.details[0].message } : { value };
+}
+
+/**
+ * Motivos de descarte de los criterios eliminatorios que no cumplen las respuestas.
+ * @param {Array<object>} questions - Preguntas del puesto.
+ * @param {object} answers - Respuestas validadas.
+ * @returns {Array<string>} - Un motivo por criterio no cumplido (vacío si los cumple todos).
+ */
+function findKnockoutFailures(questions, answers) {
+  return questions
+    .filter(question => question.knockout && answers[question.key] !== undefined)
+    .filter(question => !KNOCKOUT_OPERATORS[question.knockout.operator](answers[question.key], question.knockout.value))
+    .map(question => question.knockout.reason || `No cumple el criterio eliminatorio "${question.label}"`);
+}
+
+/**
+ * Respuestas tal como se guardan en la aplicación: con el texto y el tipo de la pregunta en el
+ * momento de la candidatura, para que no cambien si el puesto edita sus preguntas.
+ * @param {Array<object>} questions - Preguntas del puesto.
+ * @param {object} answers - Respuestas validadas (las de archivo con { fileName, filePath, fileType }).
+ * @returns {Array<{key: string, label: string, type: string, value: *}>}
+ */
+const buildAnswerSnapshot = (questions, answers) => questions
+  .filter(question => answers[question.key] !== undefined && answers[question.key] !== '')
+  .map(question => ({
+    key: question.key,
+    label: question.label,
+    type: question.type,
+    value: answers[question.key],
+  }));
+
+/**
+ * Texto de las respuestas del candidato para el prompt de evaluación.
+ * @param {Array<object>} [answers] - Respuestas guardadas (ver buildAnswerSnapshot).
+ * @returns {string} - Una línea por respuesta (vacío si no hay respuestas).
+ */
+function formatAnswers(answers) {
+  return (answers || []).map((answer) => {
+    const value = answer.type === 'boolean' ? (answer.value ? 'Sí' : 'No')
+      : answer.type === 'file' ? `(archivo adjunto: ${answer.value.fileName || 'sin nombre'})`
+        : answer.value;
+    return `- ${answer.label}: ${value}`;
+  }).join('\n');
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  KNOCKOUT_OPERATORS,
+  validateAnswers,
+  findKnockoutFailures,
+  buildAnswerSnapshot,
+  formatAnswers,
+};
@@ -0,0 +1,109 @@
+const {
+  KNOCKOUT_OPERATORS,
+  validateAnswers,
+  findKnockoutFailures,
+  buildAnswerSnapshot,
+  formatAnswers,
+} = require('./questions');
+
+const QUESTIONS = [
+  { key: 'years', label: 'Años de experiencia', type: 'number', knockout: { operator: 'gte', value: 3 } },
+  { key: 'permit', label: 'Permiso de trabajo', type: 'boolean', knockout: { operator: 'eq', value: true, reason: 'Sin permiso de trabajo' } },
+  { key: 'shift', label: 'Turno', type: 'choice', options: ['Mañana', 'Tarde'], required: true },
+  { key: 'notes', label: 'Comentarios', type: 'text' },
+  { key: 'portfolio', label: 'Portfolio', type: 'file', required: true },
+];
+
+describe('validateAnswers', () => {
+  test('convierte las respuestas a su tipo', () => {
+    const { value, error } = validateAnswers(QUESTIONS, { years: '4.5', permit: 'sí', shift: 'Tarde', notes: '  Disponible ya  ' });
+
+    expect(error).toBeUndefined();
+    expect(value).toEqual({ years: 4.5, permit: true, shift: 'Tarde', notes: 'Disponible ya' });
+  });
+
+  test('acepta las formas habituales de sí y no', () => {
+    const permit = answer => validateAnswers(QUESTIONS, { years: 5, shift: 'Mañana', permit: answer }).value.permit;
+
+    expect(['yes', 'sí', 'si', '1', 'true', true].map(permit)).toEqual([true, true, true, true, true, true]);
+    expect(['no', '0', 'false', false].map(permit)).toEqual([false, false, false, false]);
+  });
+
+  test('lee las respuestas como JSON si llegan en un campo multipart', () => {
+    expect(validateAnswers(QUESTIONS, '{"years":"3","permit":"no","shift":"Mañana"}').value)
+      .toEqual({ years: 3, permit: false, shift: 'Mañana' });
+    expect(validateAnswers(QUESTIONS, '{no es json')).toEqual({ error: 'Las respuestas deben ser un objeto JSON' });
+  });
+
+  test('exige las preguntas obligatorias y las eliminatorias, pero no las de archivo', () => {
+    expect(validateAnswers(QUESTIONS, { years: 5, permit: true }))
+      .toEqual({ error: 'La respuesta a "Turno" es requerida' });
+    expect(validateAnswers(QUESTIONS, { permit: true, shift: 'Tarde' }))
+      .toEqual({ error: 'La respuesta a "Años de experiencia" es requerida' });
+    expect(validateAnswers(QUESTIONS, { years: 5, permit: true, shift: 'Tarde' }).error).toBeUndefined();
+  });
+
+  test('rechaza respuestas que no encajan con el tipo de la pregunta', () => {
+    const base = { years: 5, permit: true, shift: 'Tarde' };
+
+    expect(validateAnswers(QUESTIONS, { ...base, years: 'cinco' }).error).toBe('La respuesta a "Años de experiencia" debe ser un número');
+    expect(validateAnswers(QUESTIONS, { ...base, permit: 'quizá' }).error).toBe('La respuesta a "Permiso de trabajo" debe ser sí o no');
+    expect(validateAnswers(QUESTIONS, { ...base, shift: 'Noche' }).error).toBe('La respuesta a "Turno" no es una de las opciones de la pregunta');
+    expect(validateAnswers(QUESTIONS, { ...base, extra: 'x' }).error).toBe('Pregunta desconocida: extra');
+  });
+});
+
+describe('findKnockoutFailures', () => {
+  test('aplica cada operador a la respuesta', () => {
+    expect(KNOCKOUT_OPERATORS.eq('a', 'a')).toBe(true);
+    expect(KNOCKOUT_OPERATORS.neq('a', 'a')).toBe(false);
+    expect(KNOCKOUT_OPERATORS.gt(3, 3)).toBe(false);
+    expect(KNOCKOUT_OPERATORS.gte(3, 3)).toBe(true);
+    expect(KNOCKOUT_OPERATORS.lt(2, 3)).toBe(true);
+    expect(KNOCKOUT_OPERATORS.lte(4, 3)).toBe(false);
+    expect(KNOCKOUT_OPERATORS.in('Tarde', ['Mañana', 'Tarde'])).toBe(true);
+    expect(KNOCKOUT_OPERATORS.in('Noche', ['Mañana', 'Tarde'])).toBe(false);
+  });
+
+  test('devuelve un motivo por criterio no cumplido', () => {
+    const { value } = validateAnswers(QUESTIONS, { years: '2', permit: 'no', shift: 'Tarde' });
+
+    expect(findKnockoutFailures(QUESTIONS, value)).toEqual([
+      'No cumple el criterio eliminatorio "Años de experiencia"',
+      'Sin permiso de trabajo',
+    ]);
+  });
+
+  test('no descarta a quien cumple los criterios o no los ha respondido', () => {
+    const { value } = validateAnswers(QUESTIONS, { years: '3', permit: 'sí', shift: 'Tarde' });
+
+    expect(findKnockoutFailures(QUESTIONS, value)).toEqual([]);
+    expect(findKnockoutFailures(QUESTIONS, {})).toEqual([]);
+  });
+});
+
+describe('buildAnswerSnapshot y formatAnswers', () => {
+  test('guardan y muestran las respuestas con el texto de la pregunta', () => {
+    const snapshot = buildAnswerSnapshot(QUESTIONS, {
+      years: 4,
+      permit: false,
+      shift: 'Mañana',
+      notes: '',
+      portfolio: { fileName: 'portfolio.pdf', filePath: 'answers/portfolio.pdf', fileType: 'pdf' },
+    });
+
+    expect(snapshot.map(answer => answer.key)).toEqual(['years', 'permit', 'shift', 'portfolio']);
+    expect(snapshot[0]).toEqual({ key: 'years', label: 'Años de experiencia', type: 'number', value: 4 });
+    expect(formatAnswers(snapshot)).toBe([
+      '- Años de experiencia: 4',
+      '- Permiso de trabajo: No',
+      '- Turno: Mañana',
+      '- Portfolio: (archivo adjunto: portfolio.pdf)',
+    ].join('\n'));
+  });
+
+  test('formatAnswers devuelve un texto vacío sin respuestas', () => {
+    expect(formatAnswers(null)).toBe('');
+    expect(formatAnswers([])).toBe('');
+  });
+});
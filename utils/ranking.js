@@ -0,0 +1,82 @@
+/**
+ * Utilidades para ordenar a todos los candidatos de un puesto a partir de comparaciones por
+ * parejas: calendario de enfrentamientos y agregación con el modelo de Bradley–Terry.
+ */
+
+// Escala de las puntuaciones: la fuerza del modelo se expresa como un rating de tipo Elo
+const BASE_RATING = 1500;
+const RATING_SCALE = 400;
+// Convergencia del algoritmo MM de Bradley–Terry
+const MAX_ITERATIONS = 500;
+const TOLERANCE = 1e-9;
+
+/**
+ * Calendario de enfrentamientos: con los candidatos ordenados por su puntuación de evaluación,
+ * cada uno se compara con los `opponents` siguientes. Así se enfrentan sobre todo candidatos de
+ * nivel parecido, que es donde la puntuación individual distingue peor. El orden de presentación
+ * se alterna para no favorecer al candidato que aparece primero en el prompt.
+ * @param {number} count - Número de candidatos.
+ * @param {number} opponents - Rivales posteriores de cada candidato.
+ * @returns {Array<[number, number]>} - Parejas de índices.
+ */
+function buildPairSchedule(count, opponents) {
+  const pairs = [];
+  for (let distance = 1; distance <= opponents; distance++) {
+    for (let i = 0; i + distance < count; i++) {
+      const j = i + distance;
+      pairs.push((i + distance) % 2 === 0 ? [i, j] : [j, i]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Estima la fuerza de cada candidato con el modelo de Bradley–Terry (algoritmo MM de Hunter).
+ * Cada candidato tiene además una victoria y una derrota virtuales contra un rival de fuerza 1,
+ * lo que mantiene finitas las fuerzas de quien lo gana (o lo pierde) todo y hace el resultado
+ * independiente del orden de los enfrentamientos.
+ * @param {Array<string>} ids - IDs de los candidatos.
+ * @param {Array<{winner: string, loser: string}>} outcomes - Resultados de los enfrentamientos.
+ * @returns {Map<string, {rating: number, wins: number, losses: number}>} - Rating y balance por candidato.
+ */
+function bradleyTerry(ids, outcomes) {
+  const wins = new Map(ids.map(id => [id, 0]));
+  const losses = new Map(ids.map(id => [id, 0]));
+  const games = new Map(ids.map(id => [id, new Map()]));
+
+  outcomes.forEach(({ winner, loser }) => {
+    wins.set(winner, wins.get(winner) + 1);
+    losses.set(loser, losses.get(loser) + 1);
+    games.get(winner).set(loser, (games.get(winner).get(loser) || 0) + 1);
+    games.get(loser).set(winner, (games.get(loser).get(winner) || 0) + 1);
+  });
+
+  let strength = new Map(ids.map(id => [id, 1]));
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const next = new Map();
+    ids.forEach((id) => {
+      const p = strength.get(id);
+      // Dos partidas virtuales contra el rival de fuerza 1
+      let denominator = 2 / (p + 1);
+      games.get(id).forEach((count, opponent) => {
+        denominator += count / (p + strength.get(opponent));
+      });
+      next.set(id, (wins.get(id) + 1) / denominator);
+    });
+
+    const change = Math.max(...ids.map(id => Math.abs(Math.log(next.get(id) / strength.get(id)))));
+    strength = next;
+    if (change < TOLERANCE) break;
+  }
+
+  return new Map(ids.map(id => [id, {
+    rating: BASE_RATING + RATING_SCALE * Math.log10(strength.get(id)),
+    wins: wins.get(id),
+    losses: losses.get(id),
+  }]));
+}
+
+module.exports = {
+  buildPairSchedule,
+  bradleyTerry,
+};
@@ -0,0 +1,96 @@
+const { buildPairSchedule, bradleyTerry } = require('./ranking');
+
+// Posiciones de los candidatos por rating (de mayor a menor)
+const order = ratings => [...ratings.entries()].sort(([, x], [, y]) => y.rating - x.rating).map(([id]) => id);
+
+describe('buildPairSchedule', () => {
+  test('enfrenta a cada candidato con los siguientes y alterna el orden de presentación', () => {
+    expect(buildPairSchedule(4, 2)).toEqual([
+      [1, 0], [1, 2], [3, 2],
+      [0, 2], [3, 1],
+    ]);
+  });
+
+  test('no repite parejas aunque haya más rivales que candidatos', () => {
+    const pairs = buildPairSchedule(3, 10);
+    const keys = pairs.map(pair => [...pair].sort().join('-'));
+
+    expect(keys.sort()).toEqual(['0-1', '0-2', '1-2']);
+  });
+
+  test('no genera parejas con menos de dos candidatos', () => {
+    expect(buildPairSchedule(0, 3)).toEqual([]);
+    expect(buildPairSchedule(1, 3)).toEqual([]);
+  });
+});
+
+describe('bradleyTerry', () => {
+  test('ordena un resultado transitivo A > B > C', () => {
+    const ratings = bradleyTerry(['c', 'b', 'a'], [
+      { winner: 'a', loser: 'b' },
+      { winner: 'b', loser: 'c' },
+      { winner: 'a', loser: 'c' },
+    ]);
+
+    expect(order(ratings)).toEqual(['a', 'b', 'c']);
+    expect(ratings.get('a')).toMatchObject({ wins: 2, losses: 0 });
+    expect(ratings.get('c')).toMatchObject({ wins: 0, losses: 2 });
+    // Resultado simétrico: el del medio queda en la base y los extremos a la misma distancia
+    expect(ratings.get('b').rating).toBeCloseTo(1500, 3);
+    expect(ratings.get('a').rating - 1500).toBeCloseTo(1500 - ratings.get('c').rating, 3);
+    expect(Number.isFinite(ratings.get('a').rating)).toBe(true);
+  });
+
+  test('da el mismo rating a candidatos empatados', () => {
+    const ratings = bradleyTerry(['a', 'b', 'c'], [
+      { winner: 'a', loser: 'b' },
+      { winner: 'b', loser: 'a' },
+      { winner: 'a', loser: 'c' },
+      { winner: 'b', loser: 'c' },
+    ]);
+
+    expect(ratings.get('a').rating).toBeCloseTo(ratings.get('b').rating, 3);
+    expect(ratings.get('c').rating).toBeLessThan(ratings.get('a').rating);
+  });
+
+  test('deja en la base a quien no tiene ninguna comparación', () => {
+    const ratings = bradleyTerry(['a', 'b', 'solo'], [{ winner: 'a', loser: 'b' }]);
+
+    expect(ratings.get('solo')).toEqual({ rating: 1500, wins: 0, losses: 0 });
+    expect(order(ratings)).toEqual(['a', 'solo', 'b']);
+  });
+
+  test('ordena con los resultados disponibles cuando fallaron algunas comparaciones', () => {
+    const ids = ['a', 'b', 'c', 'd'];
+    // Calendario completo menos las parejas a-d y b-c, que fallaron
+    const outcomes = [
+      { winner: 'a', loser: 'b' },
+      { winner: 'a', loser: 'c' },
+      { winner: 'b', loser: 'd' },
+      { winner: 'c', loser: 'd' },
+    ];
+
+    const ratings = bradleyTerry(ids, outcomes);
+
+    expect(order(ratings)[0]).toBe('a');
+    expect(order(ratings)[3]).toBe('d');
+    expect(ratings.get('b').rating).toBeCloseTo(ratings.get('c').rating, 3);
+    expect([...ratings.values()].every(r => Number.isFinite(r.rating))).toBe(true);
+  });
+
+  test('no depende del orden de los resultados', () => {
+    const outcomes = [
+      { winner: 'a', loser: 'b' },
+      { winner: 'c', loser: 'a' },
+      { winner: 'b', loser: 'c' },
+      { winner: 'a', loser: 'c' },
+    ];
+
+    const forward = bradleyTerry(['a', 'b', 'c'], outcomes);
+    const backward = bradleyTerry(['c', 'b', 'a'], [...outcomes].reverse());
+
+    ['a', 'b', 'c'].forEach((id) => {
+      expect(backward.get(id).rating).toBeCloseTo(forward.get(id).rating, 3);
+    });
+  });
+});
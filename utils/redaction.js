@@ -0,0 +1,176 @@
+/**
+ * Anonimización del texto de un CV para la evaluación a ciegas: elimina nombre, emails,
+ * teléfonos, fechas de nacimiento, direcciones, enlaces personales y datos como nacionalidad,
+ * sexo o estado civil antes de construir cualquier prompt.
+ */
+const { normalizeForMatch } = require('./evidence');
+
+const PLACEHOLDERS = {
+  name: '[NOMBRE]',
+  email: '[EMAIL]',
+  phone: '[TELÉFONO]',
+  url: '[ENLACE]',
+  birthDate: '[FECHA DE NACIMIENTO]',
+  address: '[DIRECCIÓN]',
+  personalDetails: '[DATO PERSONAL]',
+};
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b(?:linkedin\.com|github\.com)\/\S+/gi;
+// Teléfonos: prefijo internacional y prefijo entre paréntesis opcionales, y grupos de 2 a 4
+// dígitos separados como mucho por un espacio, punto o guion (nunca por un salto de línea),
+// sin empezar en mitad de una cifra
+const PHONE_PATTERN = /(?<![\w+]|\d[.,])(?:\+\d{1,3}[ \t.-]?)?(?:\(\d{1,4}\)[ \t.-]?)?\d{2,4}(?:[ \t.-]?\d{2,4}){1,5}(?!\w)/g;
+const MIN_PHONE_DIGITS = 9;
+const MAX_PHONE_DIGITS = 15;
+const YEAR_PATTERN = /^(?:19|20)\d{2}$/;
+// Cifras con separador de miles (ej. 1.250.000.000)
+const FIGURE_PATTERN = /^\d{1,3}(?:\.\d{3})+$/;
+
+/**
+ * Indica si una coincidencia de PHONE_PATTERN es un teléfono y no una cifra o un rango de años.
+ * @param {string} match - Coincidencia.
+ * @returns {boolean}
+ */
+function isPhoneNumber(match) {
+  const digits = match.replace(/\D/g, '');
+  if (digits.length < MIN_PHONE_DIGITS || digits.length > MAX_PHONE_DIGITS) return false;
+  // Rangos de años (ej. "2018-2020-2023")
+  if (match.match(/\d+/g).every(group => YEAR_PATTERN.test(group))) return false;
+  return match.startsWith('+') || !FIGURE_PATTERN.test(match);
+}
+
+// Etiquetas cuyo valor (hasta el final de la línea) se elimina. Solo cuentan al principio de una
+// línea (tras una viñeta opcional) y seguidas de ":" o " - ", para no confundirlas con texto del CV
+// como "Máster en Dirección de Proyectos" o "Skills: Node.js, Passport"
+const labelPattern = labels => new RegExp(`^([^\\S\\n]*(?:[-•*·][^\\S\\n]*)?)(${labels})[^\\S\\n]*(?::|-(?=\\s))[^\\n]*`, 'gim');
+const LABELLED_FIELDS = [
+  {
+    category: 'birthDate',
+    pattern: labelPattern('fecha de nacimiento|f\\. de nacimiento|nacid[oa] el|nacimiento|date of birth|birth date|born|edad|age'),
+  },
+  {
+    category: 'address',
+    pattern: labelPattern('direcci[oó]n|domicilio|residencia|address'),
+  },
+  {
+    category: 'personalDetails',
+    pattern: labelPattern('nacionalidad|nationality|sexo|g[eé]nero|gender|estado civil|marital status|dni|nie|pasaporte|passport'),
+  },
+];
+
+// Direcciones sin etiqueta: tipo de vía seguido del nombre y el número (ej. "C/ Mayor 12",
+// "Avenida de la Paz, 3") o, en inglés, número, nombre y tipo de vía (ej. "221 Baker Street")
+const STREET_PATTERNS = [
+  /\b(?:calle|c\/|avda\.?|avenida|plaza|paseo)[^\S\n]+[^\n,;:\d]{1,40}?,?[^\S\n]*(?:n[º°o]\.?[^\S\n]*)?\d+[^\n,;]*/gi,
+  /\b\d+[^\S\n]+(?:\p{Lu}\p{L}*[^\S\n]+){1,3}(?:Street|Road|Avenue|Lane)\b/gu,
+];
+
+// Partículas de los apellidos (ej. "Juan Del Campo"): no se eliminan por sí solas, porque son
+// palabras corrientes del texto, sino solo como parte del nombre completo o de la cabecera
+const NAME_PARTICLES = new Set([
+  'de', 'del', 'la', 'las', 'los', 'el', 'y', 'e', 'i', 'san', 'santa', 'da', 'das', 'do', 'dos',
+  'di', 'du', 'van', 'von', 'der', 'den', 'le', 'al', 'bin', 'ben',
+]);
+// Partes del nombre ya eliminadas seguidas, o separadas solo por partículas
+const NAME_PLACEHOLDER_RUN = new RegExp(
+  `\\[NOMBRE\\](?:\\s+(?:(?:${[...NAME_PARTICLES].join('|')})\\s+)*\\[NOMBRE\\])+`,
+  'gi'
+);
+
+/**
+ * Reemplaza las coincidencias de un patrón y cuenta cuántas hubo.
+ * @param {string} text - Texto de entrada.
+ * @param {RegExp} pattern - Patrón global.
+ * @param {Function} replacer - Devuelve el reemplazo o null para conservar la coincidencia.
+ * @returns {{text: string, count: number}} - Texto resultante y reemplazos realizados.
+ */
+function replaceCounting(text, pattern, replacer) {
+  let count = 0;
+  const result = text.replace(pattern, (...args) => {
+    const replacement = replacer(...args);
+    if (replacement === null) return args[0];
+    count++;
+    return replacement;
+  });
+  return { text: result, count };
+}
+
+/**
+ * Anonimiza el texto de un CV.
+ * @param {string} cvText - Texto del CV.
+ * @param {object} [candidate] - Datos conocidos del candidato.
+ * @param {string} [candidate.name] - Nombre completo (cada palabra se elimina del texto; las
+ *   partículas como "del", solo junto al resto del nombre).
+ * @param {string} [candidate.email] - Email.
+ * @param {string} [candidate.phone] - Teléfono.
+ * @returns {{text: string, summary: object}} - Texto anonimizado y resumen de lo eliminado por categoría.
+ */
+function redactCV(cvText, { name, email, phone } = {}) {
+  let text = cvText || '';
+  const counts = {};
+  const apply = (category, pattern, replacer) => {
+    const result = replaceCounting(text, pattern, replacer);
+    text = result.text;
+    counts[category] = (counts[category] || 0) + result.count;
+  };
+
+  // Primero los valores estructurados (para que no se confundan con otros patrones)
+  apply('email', EMAIL_PATTERN, () => PLACEHOLDERS.email);
+  apply('url', URL_PATTERN, () => PLACEHOLDERS.url);
+
+  LABELLED_FIELDS.forEach(({ category, pattern }) => {
+    apply(category, pattern, (match, prefix, label) => `${prefix}${label}: ${PLACEHOLDERS[category]}`);
+  });
+  STREET_PATTERNS.forEach(pattern => apply('address', pattern, () => PLACEHOLDERS.address));
+
+  apply('phone', PHONE_PATTERN, match => (isPhoneNumber(match) ? PLACEHOLDERS.phone : null));
+
+  // Valores conocidos del candidato que no encajen en los patrones anteriores
+  [email, phone].filter(Boolean).forEach((value) => {
+    const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    apply(value === email ? 'email' : 'phone', new RegExp(escaped, 'gi'),
+      () => (value === email ? PLACEHOLDERS.email : PLACEHOLDERS.phone));
+  });
+
+  // Nombre: cada palabra del nombre salvo las partículas, sin distinguir mayúsculas ni acentos
+  const nameKeys = new Set((name || '').split(/\s+/).map(normalizeForMatch)
+    .filter(part => part.length >= 3 && !NAME_PARTICLES.has(part)));
+  if (nameKeys.size > 0) {
+    // Una línea corta que contiene el nombre suele ser la cabecera con el nombre completo
+    // (incluidos apellidos que no constan en la aplicación): se elimina entera
+    apply('name', /^[^\S\n]*(\p{L}+(?:[^\S\n]+\p{L}+){0,4})[^\S\n]*$/gmu, line =>
+      ((line.match(/\p{L}+/gu) || []).some(word => nameKeys.has(normalizeForMatch(word))) ? PLACEHOLDERS.name : null));
+    apply('name', /\p{L}+/gu, word => (nameKeys.has(normalizeForMatch(word)) ? PLACEHOLDERS.name : null));
+    // Las partículas entre dos partes del nombre forman parte de él ("[NOMBRE] Del [NOMBRE]")
+    text = text.replace(NAME_PLACEHOLDER_RUN, PLACEHOLDERS.name);
+  }
+
+  return {
+    text,
+    summary: {
+      // El PDF nunca se envía a la IA en modo ciego, así que tampoco la fotografía
+      photoExcluded: true,
+      categories: Object.fromEntries(Object.entries(counts).filter(([, count]) => count > 0)),
+    },
+  };
+}
+
+/**
+ * Busca en el texto de un CV el primer email y el primer teléfono (por ejemplo, para completar
+ * los datos de un candidato importado sin ellos).
+ * @param {string} cvText - Texto del CV.
+ * @returns {{email: string|null, phone: string|null}} - Datos de contacto encontrados.
+ */
+function findContactDetails(cvText) {
+  const text = cvText || '';
+  const [email = null] = text.match(EMAIL_PATTERN) || [];
+  const phone = (text.match(PHONE_PATTERN) || []).find(isPhoneNumber);
+
+  return { email, phone: phone ? phone.trim() : null };
+}
+
+module.exports = {
+  redactCV,
+  findContactDetails,
+};
@@ -0,0 +1,147 @@
+const { redactCV, findContactDetails } = require('./redaction');
+
+describe('redactCV', () => {
+  test('elimina teléfonos en los formatos habituales', () => {
+    const cv = [
+      'Móvil: +34 612 345 678',
+      'Oficina (555) 123-4567',
+      'UK +44 (0)20 7946 0958',
+      'Casa 91 123 45 67',
+      'Otro 612345678',
+    ].join('\n');
+
+    const { text, summary } = redactCV(cv);
+
+    expect(text).toBe([
+      'Móvil: [TELÉFONO]',
+      'Oficina [TELÉFONO]',
+      'UK [TELÉFONO]',
+      'Casa [TELÉFONO]',
+      'Otro [TELÉFONO]',
+    ].join('\n'));
+    expect(summary.categories.phone).toBe(5);
+  });
+
+  test('conserva los rangos de fechas de la experiencia', () => {
+    const cv = 'Experiencia\n2018 - 2020\n2020 - 2023 Lead en Foo\n2015-2018 Desarrollador\n2012-2014-2015';
+
+    const { text, summary } = redactCV(cv);
+
+    expect(text).toBe(cv);
+    expect(summary.categories.phone).toBeUndefined();
+  });
+
+  test('conserva cifras grandes y años sueltos', () => {
+    const cv = 'Facturación de 1.250.000.000 EUR en 2021\nGestión de 12 500 000 unidades al año\nPresupuesto: 3,5 M€';
+
+    expect(redactCV(cv).text).toBe(cv);
+  });
+
+  test('no une dígitos de líneas distintas en un teléfono', () => {
+    const cv = 'Versión 4.2\n2019 10 empleados\n2020 2021';
+
+    expect(redactCV(cv).text).toBe(cv);
+  });
+
+  test('elimina el teléfono conocido del candidato aunque no encaje en el patrón', () => {
+    const { text } = redactCV('Contacto: 6-1-2-3-4-5-6-7-8', { phone: '6-1-2-3-4-5-6-7-8' });
+
+    expect(text).toBe('Contacto: [TELÉFONO]');
+  });
+
+  test('elimina los datos personales etiquetados al principio de una línea', () => {
+    const cv = [
+      'Fecha de nacimiento: 12/03/1990',
+      '• Nacionalidad: española',
+      'Dirección - C/ Mayor 12, 3ºB',
+      'Estado civil: casado',
+      'DNI: 12345678Z',
+    ].join('\n');
+
+    const { text, summary } = redactCV(cv);
+
+    expect(text).toBe([
+      'Fecha de nacimiento: [FECHA DE NACIMIENTO]',
+      '• Nacionalidad: [DATO PERSONAL]',
+      'Dirección: [DIRECCIÓN]',
+      'Estado civil: [DATO PERSONAL]',
+      'DNI: [DATO PERSONAL]',
+    ].join('\n'));
+    expect(summary.categories).toEqual({ birthDate: 1, personalDetails: 3, address: 1 });
+  });
+
+  test('no confunde con etiquetas las mismas palabras dentro del texto', () => {
+    const cv = [
+      'Máster en Dirección de Proyectos',
+      'Designed a caching layer to address latency',
+      'Skills: Node.js, Passport, Express',
+      'Address-book sync for the mobile app',
+      'Dirección de equipos: 12 personas',
+      'Led the road map for Wall Street clients',
+      'Calle ancha del crecimiento: 40% anual',
+    ].join('\n');
+
+    expect(redactCV(cv).text).toBe(cv);
+  });
+
+  test('elimina direcciones sin etiqueta', () => {
+    const { text } = redactCV('Vivo en C/ Mayor 12\nAvenida de la Paz, 3\nOffice at 221 Baker Street, London');
+
+    expect(text).toBe('Vivo en [DIRECCIÓN]\n[DIRECCIÓN]\nOffice at [DIRECCIÓN], London');
+  });
+
+  test('elimina emails, enlaces y el nombre del candidato', () => {
+    const cv = 'Ana García\nana@example.com\nlinkedin.com/in/anagarcia\nAna lideró el equipo de datos';
+
+    const { text } = redactCV(cv, { name: 'Ana García' });
+
+    expect(text).toBe('[NOMBRE]\n[EMAIL]\n[ENLACE]\n[NOMBRE] lideró el equipo de datos');
+  });
+
+  test('elimina las partículas del nombre solo junto al resto del nombre', () => {
+    const cv = [
+      'Juan Del Campo',
+      'Jefe del equipo de desarrollo del área de pagos',
+      'Proyecto dirigido por Juan de la Campo y Juan',
+    ].join('\n');
+
+    const { text } = redactCV(cv, { name: 'Juan Del Campo' });
+
+    expect(text).toBe([
+      '[NOMBRE]',
+      'Jefe del equipo de desarrollo del área de pagos',
+      'Proyecto dirigido por [NOMBRE]',
+    ].join('\n'));
+  });
+
+  test('no toma como cabecera una línea corta con una partícula del nombre', () => {
+    const { text } = redactCV('María de los Ángeles Ruiz\nDel equipo de ventas\nDe 2018 a 2020 en Ruiz de los Santos', { name: 'María de los Ángeles Ruiz' });
+
+    expect(text).toBe('[NOMBRE]\nDel equipo de ventas\nDe 2018 a 2020 en [NOMBRE] de los Santos');
+  });
+});
+
+describe('findContactDetails', () => {
+  test('devuelve el primer email y el primer teléfono del CV', () => {
+    const cv = 'Ana García\nana@example.com | +34 612 345 678\nOtro: 699 111 222';
+
+    expect(findContactDetails(cv)).toEqual({ email: 'ana@example.com', phone: '+34 612 345 678' });
+  });
+
+  test('no toma como teléfono los rangos de años de líneas consecutivas', () => {
+    const cv = 'Experiencia\n2018 - 2020\n2020 - 2023 Lead en Foo\n2015-2018-2019';
+
+    expect(findContactDetails(cv).phone).toBeNull();
+  });
+
+  test('busca el teléfono después de las fechas y cifras', () => {
+    const cv = '2018 - 2020\n2020 - 2023\nVentas de 1.250.000.000 EUR\nTeléfono: (555) 123-4567';
+
+    expect(findContactDetails(cv).phone).toBe('(555) 123-4567');
+  });
+
+  test('devuelve null si no hay datos de contacto', () => {
+    expect(findContactDetails('')).toEqual({ email: null, phone: null });
+    expect(findContactDetails(null)).toEqual({ email: null, phone: null });
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Utilidades para convertir el texto libre de los requisitos de un puesto (job_roles.requirements)
+ * en una lista de requisitos individuales con una clave estable.
+ */
+const crypto = require('crypto');
+const { normalizeForMatch } = require('./evidence');
+
+const MAX_REQUIREMENTS = 30;
+
+// Viñetas y numeraciones al inicio de una línea ("- ", "* ", "• ", "1. ", "2) ")
+const BULLET = /^(?:[-*•·]|\d{1,2}[.)])\s+/;
+// Encabezados que abren la sección de requisitos deseables (texto normalizado, sin acentos)
+const PREFERRED_HEADING = /^(deseables?|valorables?|se valora(ra)?|opcional(es)?|plus|nice to have|preferred|desejave(l|is)|diferenciais)\b/;
+
+/**
+ * Clave estable de un requisito: depende solo de su texto normalizado, así que se conserva
+ * mientras el requisito no cambie aunque se reordenen o editen los demás.
+ * @param {string} text - Texto del requisito.
+ * @returns {string} - Clave (ej. "req_3f9a0c1b2d").
+ */
+const requirementKey = text =>
+  `req_${crypto.createHash('sha1').update(normalizeForMatch(text)).digest('hex').slice(0, 10)}`;
+
+/**
+ * Divide los requisitos de un puesto en requisitos individuales: uno por línea (sin viñetas) o,
+ * si son un único párrafo, uno por cada fragmento separado por punto y coma. Las líneas que
+ * terminan en ":" son encabezados; tras "Deseable:" (o similar) los requisitos son deseables.
+ * @param {string} text - Requisitos del puesto.
+ * @returns {Array<{key: string, text: string, level: string}>} - Requisitos (level: required | preferred).
+ */
+function parseRequirements(text) {
+  const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const items = [];
+  let level = 'required';
+
+  lines.forEach((line) => {
+    if (line.endsWith(':') && !BULLET.test(line)) {
+      level = PREFERRED_HEADING.test(normalizeForMatch(line)) ? 'preferred' : 'required';
+      return;
+    }
+    items.push({ text: line.replace(BULLET, '').trim(), level });
+  });
+
+  const split = items.length === 1 && items[0].text.includes(';')
+    ? items[0].text.split(';').map(part => ({ text: part.trim(), level: items[0].level }))
+    : items;
+
+  const seen = new Set();
+  return split
+    .filter(item => item.text.length > 0)
+    .map(item => ({ key: requirementKey(item.text), text: item.text, level: item.level }))
+    .filter((item) => {
+      if (seen.has(item.key)) return false;
+      seen.add(item.key);
+      return true;
+    })
+    .slice(0, MAX_REQUIREMENTS);
+}
+
+module.exports = {
+  requirementKey,
+  parseRequirements,
+};
@@ -0,0 +1,126 @@
+/**
+ * Lectura mínima de archivos ZIP en memoria (DOCX y ODT son ZIP). Solo admite entradas
+ * sin comprimir o comprimidas con deflate, sin cifrar y sin ZIP64.
+ */
+const zlib = require('zlib');
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const STORED = 0;
+const DEFLATED = 8;
+
+// Tamaño máximo descomprimido de una entrada (protege frente a "zip bombs")
+const MAX_ENTRY_SIZE = 50 * 1024 * 1024;
+
+/**
+ * Indica si un buffer empieza como un archivo ZIP.
+ * @param {Buffer} buffer - Contenido del archivo.
+ * @returns {boolean}
+ */
+const isZip = buffer => buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_HEADER;
+
+/**
+ * Lista las entradas de un ZIP a partir de su directorio central.
+ * @param {Buffer} buffer - Contenido del ZIP.
+ * @returns {Array<{name: string, method: number, compressedSize: number, size: number, offset: number, encrypted: boolean, directory: boolean}>}
+ * @throws {Error} - Si el archivo no es un ZIP válido.
+ */
+function readZipEntries(buffer) {
+  // El registro final está en los últimos 22 bytes más un comentario de hasta 64 KB
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('Archivo ZIP inválido');
+  }
+
+  const total = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < total; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+      throw new Error('Archivo ZIP inválido');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    // Bit 11: nombre en UTF-8; si no, se interpreta como latin1
+    const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+    entries.push({
+      name,
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      offset: buffer.readUInt32LE(offset + 42),
+      encrypted: Boolean(flags & 0x1),
+      directory: name.endsWith('/'),
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Extrae el contenido de una entrada de un ZIP.
+ * @param {Buffer} buffer - Contenido del ZIP.
+ * @param {object} entry - Entrada (ver readZipEntries).
+ * @param {object} [options] - Opciones.
+ * @param {number} [options.maxSize] - Tamaño máximo descomprimido (por defecto 50 MB).
+ * @returns {Buffer} - Contenido descomprimido.
+ * @throws {Error} - Si la entrada está cifrada, usa un método no soportado o supera el tamaño máximo.
+ */
+function readZipEntry(buffer, entry, { maxSize = MAX_ENTRY_SIZE } = {}) {
+  if (entry.encrypted) {
+    throw new Error(`La entrada ${entry.name} del ZIP está cifrada`);
+  }
+  if (entry.size > maxSize) {
+    throw new Error(`La entrada ${entry.name} del ZIP supera el tamaño máximo`);
+  }
+  if (entry.offset + 30 > buffer.length || buffer.readUInt32LE(entry.offset) !== LOCAL_HEADER) {
+    throw new Error('Archivo ZIP inválido');
+  }
+
+  // Los tamaños del encabezado local pueden ir a 0; se usan los del directorio central
+  const start = entry.offset + 30 + buffer.readUInt16LE(entry.offset + 26) + buffer.readUInt16LE(entry.offset + 28);
+  if (start + entry.compressedSize > buffer.length) {
+    throw new Error('Archivo ZIP inválido');
+  }
+  const data = buffer.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === STORED) {
+    return Buffer.from(data);
+  }
+  if (entry.method === DEFLATED) {
+    return zlib.inflateRawSync(data, { maxOutputLength: maxSize });
+  }
+  throw new Error(`Método de compresión ${entry.method} no soportado en ${entry.name}`);
+}
+
+/**
+ * Extrae una entrada de un ZIP por su nombre.
+ * @param {Buffer} buffer - Contenido del ZIP.
+ * @param {string} name - Nombre de la entrada (ej. "word/document.xml").
+ * @returns {Buffer|null} - Contenido o null si no existe.
+ */
+function readZipFile(buffer, name) {
+  const entry = readZipEntries(buffer).find(e => e.name === name);
+  return entry ? readZipEntry(buffer, entry) : null;
+}
+
+module.exports = {
+  isZip,
+  readZipEntries,
+  readZipEntry,
+  readZipFile,
+};
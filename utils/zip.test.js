@@ -0,0 +1,78 @@
+const { isZip, readZipEntries, readZipEntry, readZipFile } = require('./zip');
+const { buildZip } = require('./__fixtures__/zip');
+
+describe('readZipEntries', () => {
+  test('lista las entradas con su método y tamaño', () => {
+    const zip = buildZip([
+      { name: 'a.txt', content: 'hola' },
+      { name: 'carpeta/', content: '' },
+      { name: 'b.txt', content: 'x'.repeat(1000), method: 8 },
+    ]);
+
+    const entries = readZipEntries(zip);
+
+    expect(isZip(zip)).toBe(true);
+    expect(entries.map(e => [e.name, e.method, e.size, e.directory])).toEqual([
+      ['a.txt', 0, 4, false],
+      ['carpeta/', 0, 0, true],
+      ['b.txt', 8, 1000, false],
+    ]);
+    expect(entries[2].compressedSize).toBeLessThan(1000);
+  });
+
+  test('lee los nombres en UTF-8', () => {
+    const zip = buildZip([{ name: 'currículum_josé.pdf', content: '%PDF-' }]);
+
+    expect(readZipEntries(zip)[0].name).toBe('currículum_josé.pdf');
+  });
+
+  test('rechaza un archivo que no es ZIP o está truncado', () => {
+    const zip = buildZip([{ name: 'a.txt', content: 'hola' }]);
+
+    expect(isZip(Buffer.from('hola'))).toBe(false);
+    expect(() => readZipEntries(Buffer.from('PK'))).toThrow('Archivo ZIP inválido');
+    expect(() => readZipEntries(zip.subarray(0, zip.length - 10))).toThrow('Archivo ZIP inválido');
+  });
+});
+
+describe('readZipEntry', () => {
+  test('extrae entradas sin comprimir y con deflate', () => {
+    const zip = buildZip([
+      { name: 'a.txt', content: 'sin comprimir' },
+      { name: 'b.txt', content: 'comprimido con deflate', method: 8 },
+    ]);
+
+    expect(readZipFile(zip, 'a.txt').toString()).toBe('sin comprimir');
+    expect(readZipFile(zip, 'b.txt').toString()).toBe('comprimido con deflate');
+    expect(readZipFile(zip, 'c.txt')).toBeNull();
+  });
+
+  test('rechaza entradas cifradas', () => {
+    const zip = buildZip([{ name: 'a.txt', content: 'secreto', encrypted: true }]);
+    const [entry] = readZipEntries(zip);
+
+    expect(entry.encrypted).toBe(true);
+    expect(() => readZipEntry(zip, entry)).toThrow('La entrada a.txt del ZIP está cifrada');
+  });
+
+  test('rechaza métodos de compresión no soportados', () => {
+    const zip = buildZip([{ name: 'a.txt', content: 'bzip2', method: 12 }]);
+
+    expect(() => readZipFile(zip, 'a.txt')).toThrow('Método de compresión 12 no soportado en a.txt');
+  });
+
+  test('rechaza entradas que superan el tamaño máximo', () => {
+    const zip = buildZip([{ name: 'a.txt', content: 'x'.repeat(100), method: 8 }]);
+    const [entry] = readZipEntries(zip);
+
+    expect(() => readZipEntry(zip, entry, { maxSize: 10 })).toThrow('supera el tamaño máximo');
+  });
+
+  test('rechaza entradas cuyos datos están truncados', () => {
+    const zip = buildZip([{ name: 'a.txt', content: 'x'.repeat(100) }]);
+    const [entry] = readZipEntries(zip);
+
+    expect(() => readZipEntry(zip.subarray(0, 60), entry)).toThrow('Archivo ZIP inválido');
+    expect(() => readZipEntry(zip, { ...entry, offset: zip.length })).toThrow('Archivo ZIP inválido');
+  });
+});